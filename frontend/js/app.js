@@ -6,6 +6,24 @@
 // API Configuration
 const API_BASE_URL = 'http://localhost:3000/api/tasks';
 
+// Users, who tasks can be assigned to
+const USERS_URL = 'http://localhost:3000/api/users';
+
+// Live stream of task and user changes (Server-Sent Events)
+const EVENTS_URL = 'http://localhost:3000/api/events?resources=tasks,users';
+
+// Event types that change the task list (purged tasks already left it when deleted)
+const TASK_EVENTS = ['task.created', 'task.updated', 'task.deleted', 'task.restored'];
+
+// Event types that change the assignee pickers
+const USER_EVENTS = ['user.created', 'user.updated', 'user.deleted', 'user.restored'];
+
+// Priority ranks, for sorting like the API does
+const PRIORITY_ORDER = { low: 1, medium: 2, high: 3 };
+
+// Number of tasks fetched per page (more are loaded while scrolling)
+const PAGE_SIZE = 12;
+
 // DOM Elements
 const tasksContainer = document.getElementById('tasksContainer');
 const taskForm = document.getElementById('taskForm');
@@ -20,6 +38,20 @@ const clearFiltersBtn = document.getElementById('clearFilters');
 const editModal = document.getElementById('editModal');
 const closeModal = document.querySelector('.close');
 const cancelEditBtn = document.getElementById('cancelEdit');
+const conflictModal = document.getElementById('conflictModal');
+const conflictFields = document.getElementById('conflictFields');
+const conflictReloadBtn = document.getElementById('conflictReload');
+const conflictOverwriteBtn = document.getElementById('conflictOverwrite');
+const conflictCancelBtn = document.getElementById('conflictCancel');
+const scrollSentinel = document.getElementById('scrollSentinel');
+const bulkBar = document.getElementById('bulkBar');
+const selectedCount = document.getElementById('selectedCount');
+const bulkStatusSelect = document.getElementById('bulkStatus');
+const bulkPrioritySelect = document.getElementById('bulkPriority');
+const bulkDeleteBtn = document.getElementById('bulkDelete');
+const selectAllBtn = document.getElementById('selectAll');
+const clearSelectionBtn = document.getElementById('clearSelection');
+const liveStatus = document.getElementById('liveStatus');
 
 // State
 let currentFilters = {
@@ -29,10 +61,38 @@ let currentFilters = {
     order: 'asc'
 };
 
+// ETag of the task currently open in the edit modal (sent back as If-Match)
+let editingTaskETag = null;
+
+// Subtask and dependency links of the task in the edit modal (not editable
+// here, but PUT replaces the whole task so they must be sent back)
+let editingTaskLinks = {};
+
+// Latest server copy of a task whose update was rejected with 412
+let conflictState = null;
+
+// Cursor of the next page of tasks (null once every task is loaded)
+let nextCursor = null;
+let loadingMore = false;
+
+// Tasks selected for bulk actions (task ID -> version shown on the card)
+const selectedTasks = new Map();
+
+// Tasks shown in the list (task ID -> task), kept current by live events
+const shownTasks = new Map();
+
+// Users tasks can be assigned to (user ID -> user)
+const users = new Map();
+
+// Live event stream (null until connected)
+let liveEvents = null;
+
 // Initialize app
 document.addEventListener('DOMContentLoaded', () => {
+    loadUsers();
     loadTasks();
     setupEventListeners();
+    connectLiveUpdates();
 });
 
 /**
@@ -56,6 +116,27 @@ function setupEventListeners() {
     closeModal.addEventListener('click', closeEditModal);
     cancelEditBtn.addEventListener('click', closeEditModal);
     
+    // Edit conflict dialog
+    conflictReloadBtn.addEventListener('click', loadTheirVersion);
+    conflictOverwriteBtn.addEventListener('click', overwriteWithMine);
+    conflictCancelBtn.addEventListener('click', closeConflictModal);
+    
+    // Multi-select and bulk actions
+    tasksContainer.addEventListener('change', handleTaskSelection);
+    bulkStatusSelect.addEventListener('change', () => bulkUpdate({ status: bulkStatusSelect.value }));
+    bulkPrioritySelect.addEventListener('change', () => bulkUpdate({ priority: bulkPrioritySelect.value }));
+    bulkDeleteBtn.addEventListener('click', bulkDelete);
+    selectAllBtn.addEventListener('click', selectAllTasks);
+    clearSelectionBtn.addEventListener('click', clearSelection);
+    
+    // Infinite scroll: load the next page when the end of the list comes into view
+    const observer = new IntersectionObserver((entries) => {
+        if (entries[0].isIntersecting) {
+            loadMoreTasks();
+        }
+    }, { rootMargin: '200px' });
+    observer.observe(scrollSentinel);
+    
     // Close modal when clicking outside
     window.addEventListener('click', (e) => {
         if (e.target === editModal) {
@@ -65,25 +146,34 @@ function setupEventListeners() {
 }
 
 /**
- * Load tasks from API
+ * Build the task list URL from the current filters
+ * @param {string} cursor - Cursor of the page to load (omit for the first page)
+ */
+function buildTasksUrl(cursor) {
+    const queryParams = new URLSearchParams();
+    if (currentFilters.status) queryParams.append('status', currentFilters.status);
+    if (currentFilters.priority) queryParams.append('priority', currentFilters.priority);
+    if (currentFilters.sortBy) {
+        queryParams.append('sortBy', currentFilters.sortBy);
+        queryParams.append('order', currentFilters.order);
+    }
+    queryParams.append('limit', PAGE_SIZE);
+    if (cursor) queryParams.append('cursor', cursor);
+    
+    return `${API_BASE_URL}?${queryParams.toString()}`;
+}
+
+/**
+ * Load the first page of tasks from API
  */
 async function loadTasks() {
     showLoading();
     hideError();
+    nextCursor = null;
+    clearSelection();
     
     try {
-        // Build query string from filters
-        const queryParams = new URLSearchParams();
-        if (currentFilters.status) queryParams.append('status', currentFilters.status);
-        if (currentFilters.priority) queryParams.append('priority', currentFilters.priority);
-        if (currentFilters.sortBy) {
-            queryParams.append('sortBy', currentFilters.sortBy);
-            queryParams.append('order', currentFilters.order);
-        }
-        
-        const url = `${API_BASE_URL}${queryParams.toString() ? '?' + queryParams.toString() : ''}`;
-        
-        const response = await fetch(url);
+        const response = await fetch(buildTasksUrl());
         
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
@@ -93,7 +183,8 @@ async function loadTasks() {
         
         if (result.success) {
             displayTasks(result.data);
-            taskCount.textContent = result.count;
+            taskCount.textContent = result.total;
+            nextCursor = result.nextCursor;
         } else {
             throw new Error('Failed to load tasks');
         }
@@ -102,6 +193,56 @@ async function loadTasks() {
         displayTasks([]);
     } finally {
         hideLoading();
+        fillViewport();
+    }
+}
+
+/**
+ * Load the next page of tasks and append it to the list
+ */
+async function loadMoreTasks() {
+    if (!nextCursor || loadingMore) {
+        return;
+    }
+    
+    loadingMore = true;
+    scrollSentinel.textContent = 'Loading more tasks...';
+    
+    try {
+        const response = await fetch(buildTasksUrl(nextCursor));
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const result = await response.json();
+        
+        if (result.success) {
+            // Skip tasks a live event has already put in the list
+            result.data.filter(task => !shownTasks.has(task.id)).forEach(task => {
+                tasksContainer.appendChild(createTaskCard(task));
+            });
+            taskCount.textContent = result.total;
+            nextCursor = result.nextCursor;
+        }
+    } catch (error) {
+        showError(`Error loading more tasks: ${error.message}`);
+        // Stop auto-loading until the list is reloaded
+        nextCursor = null;
+    } finally {
+        loadingMore = false;
+        scrollSentinel.textContent = '';
+        fillViewport();
+    }
+}
+
+/**
+ * Keep loading pages while the end of the list is still on screen
+ * (the scroll observer only fires when visibility changes)
+ */
+function fillViewport() {
+    if (nextCursor && scrollSentinel.getBoundingClientRect().top < window.innerHeight) {
+        loadMoreTasks();
     }
 }
 
@@ -110,6 +251,7 @@ async function loadTasks() {
  */
 function displayTasks(tasks) {
     tasksContainer.innerHTML = '';
+    shownTasks.clear();
     
     if (tasks.length === 0) {
         emptyState.style.display = 'block';
@@ -130,6 +272,8 @@ function displayTasks(tasks) {
 function createTaskCard(task) {
     const card = document.createElement('div');
     card.className = `task-card priority-${task.priority} ${task.status === 'completed' ? 'completed' : ''}`;
+    card.dataset.id = task.id;
+    shownTasks.set(task.id, task);
     
     const formattedDate = task.dueDate ? new Date(task.dueDate).toLocaleDateString('en-US', {
         year: 'numeric',
@@ -146,6 +290,8 @@ function createTaskCard(task) {
     card.innerHTML = `
         <div class="task-header">
             <h3 class="task-title">${escapeHtml(task.title)}</h3>
+            <input type="checkbox" class="task-select" data-id="${task.id}" data-version="${task.version}"
+                aria-label="Select task">
         </div>
         <p class="task-description">${escapeHtml(task.description || 'No description')}</p>
         <div class="task-meta">
@@ -153,7 +299,9 @@ function createTaskCard(task) {
             <span class="badge badge-priority ${task.priority}">${task.priority} priority</span>
         </div>
         <div class="task-date">
+            <strong>Assignee:</strong> <span class="task-assignee" data-assignee-id="${task.assigneeId ?? ''}">${escapeHtml(assigneeName(task.assigneeId))}</span><br>
             <strong>Due:</strong> ${formattedDate}<br>
+            ${task.recurrence ? `<strong>Repeats:</strong> ${escapeHtml(recurrenceLabel(task.recurrence))}<br>` : ''}
             <strong>Created:</strong> ${createdDate}
         </div>
         <div class="task-actions">
@@ -176,7 +324,9 @@ async function handleCreateTask(e) {
         description: document.getElementById('description').value.trim(),
         status: document.getElementById('status').value,
         priority: document.getElementById('priority').value,
-        dueDate: document.getElementById('dueDate').value || null
+        dueDate: document.getElementById('dueDate').value || null,
+        assigneeId: Number(document.getElementById('assigneeId').value) || null,
+        recurrence: document.getElementById('recurrence').value || null
     };
     
     if (!formData.title) {
@@ -184,6 +334,11 @@ async function handleCreateTask(e) {
         return;
     }
     
+    if (formData.recurrence && !formData.dueDate) {
+        showError('A repeating task needs a due date');
+        return;
+    }
+    
     try {
         showLoading();
         hideError();
@@ -197,8 +352,9 @@ async function handleCreateTask(e) {
         });
         
         if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.message || 'Failed to create task');
+            // Errors are problem documents (application/problem+json)
+            const problem = await response.json();
+            throw new Error(problem.detail || 'Failed to create task');
         }
         
         const result = await response.json();
@@ -206,8 +362,8 @@ async function handleCreateTask(e) {
         if (result.success) {
             // Reset form
             taskForm.reset();
-            // Reload tasks
-            loadTasks();
+            // The new task shows up through the live stream
+            refreshUnlessLive();
             showSuccess('Task created successfully!');
         }
     } catch (error) {
@@ -233,15 +389,8 @@ async function openEditModal(taskId) {
         const result = await response.json();
         
         if (result.success) {
-            const task = result.data;
-            
-            // Populate form
-            document.getElementById('editId').value = task.id;
-            document.getElementById('editTitle').value = task.title;
-            document.getElementById('editDescription').value = task.description || '';
-            document.getElementById('editStatus').value = task.status;
-            document.getElementById('editPriority').value = task.priority;
-            document.getElementById('editDueDate').value = task.dueDate || '';
+            // Remember which version is being edited
+            populateEditForm(result.data, response.headers.get('ETag'));
             
             // Show modal
             editModal.style.display = 'block';
@@ -253,12 +402,30 @@ async function openEditModal(taskId) {
     }
 }
 
+/**
+ * Fill the edit form with a task and remember its ETag
+ */
+function populateEditForm(task, etag) {
+    document.getElementById('editId').value = task.id;
+    document.getElementById('editTitle').value = task.title;
+    document.getElementById('editDescription').value = task.description || '';
+    document.getElementById('editStatus').value = task.status;
+    document.getElementById('editPriority').value = task.priority;
+    document.getElementById('editDueDate').value = task.dueDate || '';
+    document.getElementById('editAssigneeId').value = task.assigneeId ?? '';
+    selectRecurrence(document.getElementById('editRecurrence'), task.recurrence);
+    editingTaskLinks = { parentId: task.parentId ?? null, blockedBy: task.blockedBy ?? [] };
+    editingTaskETag = etag;
+}
+
 /**
  * Close edit modal
  */
 function closeEditModal() {
     editModal.style.display = 'none';
     editForm.reset();
+    editingTaskETag = null;
+    editingTaskLinks = {};
 }
 
 /**
@@ -273,7 +440,10 @@ async function handleUpdateTask(e) {
         description: document.getElementById('editDescription').value.trim(),
         status: document.getElementById('editStatus').value,
         priority: document.getElementById('editPriority').value,
-        dueDate: document.getElementById('editDueDate').value || null
+        dueDate: document.getElementById('editDueDate').value || null,
+        assigneeId: Number(document.getElementById('editAssigneeId').value) || null,
+        recurrence: document.getElementById('editRecurrence').value || null,
+        ...editingTaskLinks
     };
     
     if (!formData.title) {
@@ -281,29 +451,50 @@ async function handleUpdateTask(e) {
         return;
     }
     
+    await saveTask(taskId, formData, editingTaskETag);
+}
+
+/**
+ * Send a full update for a task
+ * The If-Match header makes the server reject the update (412) if the task
+ * changed since it was loaded, instead of silently overwriting it.
+ */
+async function saveTask(taskId, formData, etag) {
     try {
         showLoading();
         hideError();
         
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+        if (etag) headers['If-Match'] = etag;
+        
         const response = await fetch(`${API_BASE_URL}/${taskId}`, {
             method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json'
-            },
+            headers,
             body: JSON.stringify(formData)
         });
         
+        // Someone else updated the task first
+        if (response.status === 412) {
+            await openConflictModal(taskId, formData);
+            return;
+        }
+        
         if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.message || 'Failed to update task');
+            const problem = await response.json();
+            throw new Error(problem.detail || 'Failed to update task');
         }
         
         const result = await response.json();
         
         if (result.success) {
             closeEditModal();
-            loadTasks();
-            showSuccess('Task updated successfully!');
+            refreshUnlessLive();
+            // Completing a repeating task creates the task of its next occurrence
+            showSuccess(result.nextOccurrence
+                ? `Task updated successfully! Next occurrence due ${result.nextOccurrence.dueDate}.`
+                : 'Task updated successfully!');
         }
     } catch (error) {
         showError(`Error updating task: ${error.message}`);
@@ -312,6 +503,68 @@ async function handleUpdateTask(e) {
     }
 }
 
+/**
+ * Show the edit conflict dialog with the fields that differ
+ */
+async function openConflictModal(taskId, formData) {
+    const response = await fetch(`${API_BASE_URL}/${taskId}`);
+    
+    if (!response.ok) {
+        throw new Error('The task was changed by someone else and could not be reloaded');
+    }
+    
+    const result = await response.json();
+    const latest = result.data;
+    conflictState = {
+        taskId,
+        formData,
+        latest,
+        etag: response.headers.get('ETag')
+    };
+    
+    // List every field where their version differs from the form
+    const changedFields = Object.keys(formData).filter(
+        (field) => (latest[field] || '') !== (formData[field] || '')
+    );
+    
+    conflictFields.innerHTML = changedFields.length === 0
+        ? '<li>No visible differences (only the version changed)</li>'
+        : changedFields.map((field) => `
+            <li>
+                <strong>${escapeHtml(field)}:</strong>
+                <span class="theirs">${escapeHtml(latest[field] || '(empty)')}</span> →
+                <span class="mine">${escapeHtml(formData[field] || '(empty)')}</span>
+            </li>
+        `).join('');
+    
+    conflictModal.style.display = 'block';
+}
+
+/**
+ * Close the edit conflict dialog (the edit modal stays open)
+ */
+function closeConflictModal() {
+    conflictModal.style.display = 'none';
+    conflictState = null;
+}
+
+/**
+ * Discard local edits and load the latest version into the edit form
+ */
+function loadTheirVersion() {
+    populateEditForm(conflictState.latest, conflictState.etag);
+    closeConflictModal();
+}
+
+/**
+ * Save local edits on top of the latest version
+ */
+async function overwriteWithMine() {
+    const { taskId, formData, etag } = conflictState;
+    closeConflictModal();
+    await saveTask(taskId, formData, etag);
+}
+
 /**
  * Delete a task
  */
@@ -335,7 +588,7 @@ async function deleteTask(taskId) {
         const result = await response.json();
         
         if (result.success) {
-            loadTasks();
+            refreshUnlessLive();
             showSuccess('Task deleted successfully!');
         }
     } catch (error) {
@@ -345,6 +598,362 @@ async function deleteTask(taskId) {
     }
 }
 
+/**
+ * Track a task card checkbox being ticked or unticked
+ */
+function handleTaskSelection(e) {
+    if (!e.target.classList.contains('task-select')) {
+        return;
+    }
+    
+    const { id, version } = e.target.dataset;
+    if (e.target.checked) {
+        selectedTasks.set(Number(id), Number(version));
+    } else {
+        selectedTasks.delete(Number(id));
+    }
+    e.target.closest('.task-card').classList.toggle('selected', e.target.checked);
+    updateBulkBar();
+}
+
+/**
+ * Select every task currently loaded in the list
+ */
+function selectAllTasks() {
+    tasksContainer.querySelectorAll('.task-select').forEach(checkbox => {
+        checkbox.checked = true;
+        checkbox.closest('.task-card').classList.add('selected');
+        selectedTasks.set(Number(checkbox.dataset.id), Number(checkbox.dataset.version));
+    });
+    updateBulkBar();
+}
+
+/**
+ * Untick every selected task
+ */
+function clearSelection() {
+    selectedTasks.clear();
+    tasksContainer.querySelectorAll('.task-select').forEach(checkbox => {
+        checkbox.checked = false;
+        checkbox.closest('.task-card').classList.remove('selected');
+    });
+    updateBulkBar();
+}
+
+/**
+ * Show the bulk action bar while tasks are selected
+ */
+function updateBulkBar() {
+    selectedCount.textContent = selectedTasks.size;
+    bulkBar.style.display = selectedTasks.size > 0 ? 'flex' : 'none';
+    bulkStatusSelect.value = '';
+    bulkPrioritySelect.value = '';
+}
+
+/**
+ * Apply the same change to every selected task
+ * @param {Object} data - Fields to change (e.g. { status: 'completed' })
+ */
+async function bulkUpdate(data) {
+    if (Object.values(data).every(value => !value)) {
+        return;
+    }
+    
+    const operations = [...selectedTasks].map(([id, version]) => ({ op: 'update', id, version, data }));
+    await runBulk(operations, 'updated');
+}
+
+/**
+ * Delete every selected task
+ */
+async function bulkDelete() {
+    if (!confirm(`Are you sure you want to delete ${selectedTasks.size} task(s)?`)) {
+        return;
+    }
+    
+    const operations = [...selectedTasks].map(([id, version]) => ({ op: 'delete', id, version }));
+    await runBulk(operations, 'deleted');
+}
+
+/**
+ * Send bulk operations in one request and report how many went through
+ * Partial mode is used so one stale or invalid task doesn't block the others.
+ * @param {Array} operations - Bulk operations
+ * @param {string} verb - Past tense of the action for the summary message
+ */
+async function runBulk(operations, verb) {
+    try {
+        showLoading();
+        hideError();
+        
+        const response = await fetch(`${API_BASE_URL}/bulk`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ mode: 'partial', operations })
+        });
+        
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.detail || 'Bulk request failed');
+        }
+        
+        clearSelection();
+        refreshUnlessLive();
+        
+        if (result.failed > 0) {
+            const reasons = result.results
+                .filter(item => !item.success)
+                .map(item => `Task ${item.id}: ${item.error}`);
+            showError(`${result.succeeded} task(s) ${verb}, ${result.failed} failed. ${reasons.join('; ')}`);
+        } else {
+            showSuccess(`${result.succeeded} task(s) ${verb} successfully!`);
+        }
+    } catch (error) {
+        showError(`Error running bulk action: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Follow task changes over the live event stream and patch the list
+ * EventSource reconnects on its own and resumes after the last event it
+ * received, so no change is missed while the connection is down.
+ */
+function connectLiveUpdates() {
+    liveEvents = new EventSource(EVENTS_URL);
+    
+    liveEvents.addEventListener('open', () => setLiveStatus(true));
+    liveEvents.addEventListener('error', () => setLiveStatus(false));
+    TASK_EVENTS.forEach(type => liveEvents.addEventListener(type, handleTaskEvent));
+    USER_EVENTS.forEach(type => liveEvents.addEventListener(type, handleUserEvent));
+    
+    // The missed changes are no longer available: start over
+    liveEvents.addEventListener('reset', () => {
+        loadUsers();
+        loadTasks();
+    });
+}
+
+/**
+ * Show whether live updates are connected
+ */
+function setLiveStatus(connected) {
+    liveStatus.textContent = connected ? '● Live' : '○ Reconnecting...';
+    liveStatus.classList.toggle('connected', connected);
+}
+
+/**
+ * Reload the list after a change made here, unless the live stream
+ * already brings the change in
+ */
+function refreshUnlessLive() {
+    if (!liveEvents || liveEvents.readyState !== EventSource.OPEN) {
+        loadTasks();
+    }
+}
+
+/**
+ * Apply a live task event to the list and the task count
+ */
+function handleTaskEvent(e) {
+    const { type, data } = JSON.parse(e.data);
+    const task = data.record;
+    const removed = type === 'task.deleted';
+    
+    // The list was loaded after this change already
+    const shown = shownTasks.get(task.id);
+    if (!removed && shown && shown.version >= task.version) {
+        return;
+    }
+    
+    // Count the task out if it matched before, and in if it matches now
+    // (for an update, the old values are in changes)
+    const before = type === 'task.updated' ? previousVersion(task, data.changes) : task;
+    const wasCounted = (type === 'task.updated' || removed) && matchesFilters(before);
+    const isCounted = !removed && matchesFilters(task);
+    taskCount.textContent = Number(taskCount.textContent) + Number(isCounted) - Number(wasCounted);
+    
+    // Take the old card out, then put the task where it belongs now
+    const card = tasksContainer.querySelector(`.task-card[data-id="${task.id}"]`);
+    if (card) {
+        card.remove();
+        shownTasks.delete(task.id);
+    }
+    if (isCounted) {
+        insertTaskCard(task);
+    } else if (selectedTasks.delete(task.id)) {
+        updateBulkBar();
+    }
+    
+    emptyState.style.display = tasksContainer.children.length === 0 ? 'block' : 'none';
+}
+
+/**
+ * Rebuild a task as it was before an update
+ * @param {Object} task - Task after the update
+ * @param {Object} changes - Changed fields ({ status: { from, to } })
+ */
+function previousVersion(task, changes = {}) {
+    const previous = { ...task };
+    Object.entries(changes).forEach(([field, change]) => {
+        previous[field] = change.from;
+    });
+    return previous;
+}
+
+/**
+ * Check a task against the status and priority filters
+ * (a task in the trash can still change, e.g. when its assignee is deleted)
+ */
+function matchesFilters(task) {
+    return !task.deletedAt &&
+        (!currentFilters.status || task.status === currentFilters.status) &&
+        (!currentFilters.priority || task.priority === currentFilters.priority);
+}
+
+/**
+ * Compare two tasks in the current sort order (ties are ordered by ID, as in the API)
+ */
+function compareTasks(a, b) {
+    const { sortBy, order } = currentFilters;
+    let result = 0;
+    
+    if (sortBy === 'priority') {
+        result = PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority];
+    } else if (sortBy === 'dueDate' || sortBy === 'createdAt') {
+        result = new Date(a[sortBy]) - new Date(b[sortBy]);
+    } else if (sortBy) {
+        result = a[sortBy] < b[sortBy] ? -1 : a[sortBy] > b[sortBy] ? 1 : 0;
+    }
+    
+    return (order === 'desc' ? -result : result) || a.id - b.id;
+}
+
+/**
+ * Insert a task card at its place in the sorted list
+ */
+function insertTaskCard(task) {
+    const next = [...tasksContainer.children].find(
+        card => compareTasks(task, shownTasks.get(Number(card.dataset.id))) < 0
+    );
+    
+    // A task after the last loaded one comes with a later page
+    if (!next && nextCursor) {
+        return;
+    }
+    
+    const card = createTaskCard(task);
+    if (selectedTasks.has(task.id)) {
+        card.querySelector('.task-select').checked = true;
+        card.classList.add('selected');
+    }
+    tasksContainer.insertBefore(card, next || null);
+}
+
+/**
+ * Load the users tasks can be assigned to and fill the assignee pickers
+ */
+async function loadUsers() {
+    try {
+        const response = await fetch(USERS_URL);
+        
+        if (!response.ok) {
+            throw new Error('Failed to load users');
+        }
+        
+        const result = await response.json();
+        
+        users.clear();
+        result.data.forEach(user => users.set(user.id, user));
+        fillAssigneePickers();
+        showAssigneeNames();
+    } catch (error) {
+        showError(`Error loading users: ${error.message}`);
+    }
+}
+
+/**
+ * Apply a live user event to the known users
+ */
+function handleUserEvent(e) {
+    const { type, data } = JSON.parse(e.data);
+    const user = data.record;
+    
+    if (type === 'user.deleted') {
+        users.delete(user.id);
+    } else {
+        users.set(user.id, user);
+    }
+    fillAssigneePickers();
+    showAssigneeNames();
+}
+
+/**
+ * Fill the assignee pickers with the known users, keeping their selection
+ */
+function fillAssigneePickers() {
+    const sorted = [...users.values()].sort((a, b) => a.name.localeCompare(b.name));
+    
+    document.querySelectorAll('.assignee-select').forEach(select => {
+        const selected = select.value;
+        select.innerHTML = '<option value="">Unassigned</option>' + sorted
+            .map(user => `<option value="${user.id}">${escapeHtml(user.name)}</option>`)
+            .join('');
+        select.value = users.has(Number(selected)) ? selected : '';
+    });
+}
+
+/**
+ * Show the current user names on the task cards
+ */
+function showAssigneeNames() {
+    document.querySelectorAll('.task-assignee').forEach(label => {
+        label.textContent = assigneeName(Number(label.dataset.assigneeId) || null);
+    });
+}
+
+/**
+ * Get the name shown for an assignee
+ * @param {number|null} assigneeId - User ID (null if unassigned)
+ */
+function assigneeName(assigneeId) {
+    if (assigneeId == null) {
+        return 'Unassigned';
+    }
+    return users.get(assigneeId)?.name ?? `User #${assigneeId}`;
+}
+
+/**
+ * Select a task's recurrence in a "Repeats" picker
+ * Rules set through the API that the picker does not offer are added as
+ * their own option, so saving the form keeps them.
+ * @param {HTMLSelectElement} select - Picker
+ * @param {string|null} recurrence - RRULE value (null if the task does not repeat)
+ */
+function selectRecurrence(select, recurrence) {
+    select.querySelectorAll('option.custom-recurrence').forEach(option => option.remove());
+    
+    if (recurrence && ![...select.options].some(option => option.value === recurrence)) {
+        const option = new Option(recurrence, recurrence);
+        option.className = 'custom-recurrence';
+        select.add(option);
+    }
+    select.value = recurrence ?? '';
+}
+
+/**
+ * Get the text shown for a recurrence rule
+ * @param {string} recurrence - RRULE value
+ */
+function recurrenceLabel(recurrence) {
+    const labels = { 'FREQ=DAILY': 'Daily', 'FREQ=WEEKLY': 'Weekly', 'FREQ=MONTHLY': 'Monthly', 'FREQ=YEARLY': 'Yearly' };
+    return labels[recurrence] ?? recurrence;
+}
+
 /**
  * Apply filters
  */
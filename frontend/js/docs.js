@@ -0,0 +1,395 @@
+/**
+ * API Documentation Page
+ * Renders the OpenAPI document from /api/openapi.json and lets you try
+ * every operation from the browser
+ */
+
+// OpenAPI document location
+const OPENAPI_URL = '/api/openapi.json';
+
+// Schema nesting shown before collapsing to the schema name
+const MAX_SCHEMA_DEPTH = 2;
+
+// DOM Elements
+const apiInfo = document.getElementById('apiInfo');
+const docsContent = document.getElementById('docsContent');
+const docsSearch = document.getElementById('docsSearch');
+const errorMessage = document.getElementById('errorMessage');
+
+// The loaded OpenAPI document
+let spec = null;
+
+// Initialize the page
+document.addEventListener('DOMContentLoaded', () => {
+    loadSpec();
+    docsSearch.addEventListener('input', filterOperations);
+});
+
+/**
+ * Fetch the OpenAPI document and render it
+ */
+async function loadSpec() {
+    try {
+        const response = await fetch(OPENAPI_URL);
+        if (!response.ok) {
+            throw new Error(`Failed to load the OpenAPI document (${response.status})`);
+        }
+        spec = await response.json();
+        apiInfo.textContent = `${spec.info.title} ${spec.info.version} · OpenAPI ${spec.openapi}`;
+        renderSpec();
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+/**
+ * Render every operation, grouped by tag
+ */
+function renderSpec() {
+    const groups = new Map(spec.tags.map(tag => [tag.name, { tag, operations: [] }]));
+
+    for (const [path, item] of Object.entries(spec.paths)) {
+        for (const method of ['get', 'post', 'put', 'patch', 'delete']) {
+            const operation = item[method];
+            if (!operation) continue;
+            // Path-level parameters apply to every operation of the path
+            const parameters = [...(item.parameters || []), ...(operation.parameters || [])].map(resolve);
+            const tagName = operation.tags?.[0] || 'Other';
+            if (!groups.has(tagName)) groups.set(tagName, { tag: { name: tagName }, operations: [] });
+            groups.get(tagName).operations.push({ path, method, operation, parameters });
+        }
+    }
+
+    docsContent.innerHTML = '';
+    for (const { tag, operations } of groups.values()) {
+        if (operations.length === 0) continue;
+        const section = document.createElement('section');
+        section.className = 'docs-tag';
+        section.innerHTML = `
+            <h2>${escapeHtml(tag.name)}</h2>
+            ${tag.description ? `<p class="docs-muted">${escapeHtml(tag.description)}</p>` : ''}
+        `;
+        operations.forEach(op => section.appendChild(createOperation(op)));
+        docsContent.appendChild(section);
+    }
+}
+
+/**
+ * Create the collapsible block of one operation
+ */
+function createOperation({ path, method, operation, parameters }) {
+    const block = document.createElement('details');
+    block.className = 'docs-operation';
+    block.dataset.search = `${method} ${path} ${operation.summary || ''}`.toLowerCase();
+
+    const requestBody = operation.requestBody ? resolve(operation.requestBody) : null;
+
+    block.innerHTML = `
+        <summary>
+            <span class="docs-method method-${method}">${method.toUpperCase()}</span>
+            <code class="docs-path">${escapeHtml(path)}</code>
+            <span class="docs-summary">${escapeHtml(operation.summary || '')}</span>
+        </summary>
+        <div class="docs-body">
+            ${operation.description ? `<p>${escapeHtml(operation.description)}</p>` : ''}
+            ${renderParameters(parameters)}
+            ${requestBody ? renderRequestBody(requestBody) : ''}
+            ${renderResponses(operation.responses)}
+            ${renderTryIt(parameters, requestBody)}
+        </div>
+    `;
+
+    block.querySelector('.docs-try').addEventListener('submit', (e) => {
+        e.preventDefault();
+        sendRequest(e.target, path, method, parameters);
+    });
+
+    const contentTypeSelect = block.querySelector('[name="contentType"]');
+    if (contentTypeSelect) {
+        contentTypeSelect.addEventListener('change', () => {
+            const media = requestBody.content[contentTypeSelect.value];
+            block.querySelector('[name="body"]').value = exampleBody(media);
+        });
+    }
+
+    return block;
+}
+
+/**
+ * Render the parameters table
+ */
+function renderParameters(parameters) {
+    if (parameters.length === 0) return '';
+    const rows = parameters.map(param => `
+        <tr>
+            <td><code>${escapeHtml(param.name)}</code>${param.required ? ' <span class="docs-required">*</span>' : ''}</td>
+            <td>${escapeHtml(param.in)}</td>
+            <td>${escapeHtml(schemaType(param.schema))}</td>
+            <td>${escapeHtml(param.description || '')}</td>
+        </tr>
+    `).join('');
+    return `
+        <h4>Parameters</h4>
+        <table class="docs-table">
+            <thead><tr><th>Name</th><th>In</th><th>Type</th><th>Description</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Render the request body of each content type
+ */
+function renderRequestBody(requestBody) {
+    const types = Object.entries(requestBody.content).map(([type, media]) => `
+        <div class="docs-media">
+            <code>${escapeHtml(type)}</code>
+            ${renderSchema(media.schema, 0)}
+        </div>
+    `).join('');
+    return `<h4>Request body</h4>${types}`;
+}
+
+/**
+ * Render the responses list
+ */
+function renderResponses(responses) {
+    const items = Object.entries(responses).map(([status, response]) => {
+        const resolved = resolve(response);
+        const media = resolved.content ? Object.entries(resolved.content)[0] : null;
+        return `
+            <li>
+                <strong class="docs-status status-${status[0]}xx">${escapeHtml(status)}</strong>
+                ${escapeHtml(resolved.description || '')}
+                ${media ? `<div class="docs-media"><code>${escapeHtml(media[0])}</code>${renderSchema(media[1].schema, 0)}</div>` : ''}
+            </li>
+        `;
+    }).join('');
+    return `<h4>Responses</h4><ul class="docs-responses">${items}</ul>`;
+}
+
+/**
+ * Render a schema as a nested list of its properties
+ */
+function renderSchema(schema, depth) {
+    if (!schema) return '';
+    const name = schema.$ref ? schema.$ref.split('/').pop() : null;
+    const resolved = resolve(schema);
+
+    if (depth > MAX_SCHEMA_DEPTH) {
+        return ` <span class="docs-type">${escapeHtml(name || schemaType(resolved))}</span>`;
+    }
+
+    if (resolved.type === 'array' && resolved.items) {
+        return ` <span class="docs-type">array of</span>${renderSchema(resolved.items, depth + 1)}`;
+    }
+
+    if (!resolved.properties) {
+        return ` <span class="docs-type">${escapeHtml(name || schemaType(resolved))}</span>` +
+            (resolved.description ? ` <span class="docs-muted">${escapeHtml(resolved.description)}</span>` : '');
+    }
+
+    const required = resolved.required || [];
+    const fields = Object.entries(resolved.properties).map(([field, fieldSchema]) => {
+        const resolvedField = resolve(fieldSchema);
+        return `
+            <li>
+                <code>${escapeHtml(field)}</code>${required.includes(field) ? ' <span class="docs-required">*</span>' : ''}
+                ${resolvedField.properties || resolvedField.items
+                    ? renderSchema(fieldSchema, depth + 1)
+                    : ` <span class="docs-type">${escapeHtml(schemaType(resolvedField))}</span>`}
+                ${resolvedField.description ? `<span class="docs-muted">${escapeHtml(resolvedField.description)}</span>` : ''}
+            </li>
+        `;
+    }).join('');
+
+    return `${name ? ` <span class="docs-type">${escapeHtml(name)}</span>` : ''}<ul class="docs-schema">${fields}</ul>`;
+}
+
+/**
+ * Render the "Try it" form
+ */
+function renderTryIt(parameters, requestBody) {
+    const inputs = parameters.map(param => `
+        <label>
+            ${escapeHtml(param.name)} <span class="docs-muted">(${escapeHtml(param.in)})</span>
+            <input type="text" name="param-${escapeHtml(param.in)}-${escapeHtml(param.name)}"
+                ${param.required ? 'required' : ''}
+                placeholder="${escapeAttribute(String(param.schema?.examples?.[0] ?? param.schema?.default ?? ''))}">
+        </label>
+    `).join('');
+
+    let body = '';
+    if (requestBody) {
+        const types = Object.keys(requestBody.content);
+        body = `
+            <label>
+                Content-Type
+                <select name="contentType" class="filter-select">
+                    ${types.map(type => `<option value="${escapeAttribute(type)}">${escapeHtml(type)}</option>`).join('')}
+                </select>
+            </label>
+            <label>
+                Body
+                <textarea name="body" rows="6">${escapeHtml(exampleBody(requestBody.content[types[0]]))}</textarea>
+            </label>
+        `;
+    }
+
+    return `
+        <form class="docs-try">
+            <h4>Try it</h4>
+            <div class="docs-inputs">${inputs}</div>
+            ${body}
+            <button type="submit" class="btn btn-primary">Send</button>
+            <pre class="docs-output" hidden></pre>
+        </form>
+    `;
+}
+
+/**
+ * Send the request described by a "Try it" form and show the response
+ */
+async function sendRequest(form, path, method, parameters) {
+    const output = form.querySelector('.docs-output');
+    const headers = {};
+    const query = new URLSearchParams();
+    let url = path;
+
+    for (const param of parameters) {
+        const value = form.querySelector(`[name="param-${param.in}-${param.name}"]`).value.trim();
+        if (value === '') continue;
+        if (param.in === 'path') url = url.replace(`{${param.name}}`, encodeURIComponent(value));
+        if (param.in === 'query') query.append(param.name, value);
+        if (param.in === 'header') headers[param.name] = value;
+    }
+
+    const options = { method: method.toUpperCase(), headers };
+    const bodyInput = form.querySelector('[name="body"]');
+    if (bodyInput) {
+        headers['Content-Type'] = form.querySelector('[name="contentType"]').value;
+        options.body = bodyInput.value;
+    }
+
+    const base = spec.servers?.[0]?.url || '';
+    const fullUrl = `${base}${url}${query.toString() ? `?${query}` : ''}`;
+
+    output.hidden = false;
+    output.textContent = `${options.method} ${fullUrl}\n\nSending…`;
+
+    try {
+        const response = await fetch(fullUrl, options);
+        const text = await response.text();
+        let body = text;
+        try {
+            body = JSON.stringify(JSON.parse(text), null, 2);
+        } catch {
+            // Not JSON (e.g. CSV or iCalendar): show as is
+        }
+        const shownHeaders = ['content-type', 'etag', 'link', 'location']
+            .filter(name => response.headers.has(name))
+            .map(name => `${name}: ${response.headers.get(name)}`)
+            .join('\n');
+        output.textContent = `${options.method} ${fullUrl}\n\n${response.status} ${response.statusText}\n${shownHeaders}\n\n${body}`;
+    } catch (error) {
+        output.textContent = `${options.method} ${fullUrl}\n\n${error.message}`;
+    }
+}
+
+/**
+ * Build an example body for a media type (from its example or schema)
+ */
+function exampleBody(media) {
+    if (media.example !== undefined) {
+        return typeof media.example === 'string' ? media.example : JSON.stringify(media.example, null, 2);
+    }
+    const schema = resolve(media.schema);
+    if (schema.examples) return JSON.stringify(schema.examples[0], null, 2);
+    if (schema.type === 'string') return '';
+    return JSON.stringify(exampleValue(schema, 0), null, 2);
+}
+
+/**
+ * Build an example value from a schema
+ */
+function exampleValue(schema, depth) {
+    const resolved = resolve(schema);
+    if (resolved.examples) return resolved.examples[0];
+    if (resolved.default !== undefined) return resolved.default;
+    if (resolved.enum) return resolved.enum[0];
+    const type = Array.isArray(resolved.type) ? resolved.type[0] : resolved.type;
+
+    if (type === 'object' && resolved.properties && depth < MAX_SCHEMA_DEPTH) {
+        // Required fields only, or every field if none are required
+        const fields = resolved.required?.length
+            ? resolved.required
+            : Object.keys(resolved.properties);
+        return Object.fromEntries(fields.map(field => [field, exampleValue(resolved.properties[field], depth + 1)]));
+    }
+    if (type === 'array') return resolved.items ? [exampleValue(resolved.items, depth + 1)] : [];
+    if (type === 'integer' || type === 'number') return resolved.minimum ?? 0;
+    if (type === 'boolean') return false;
+    if (type === 'object') return {};
+    return '';
+}
+
+/**
+ * Describe a schema's type in one line (e.g. "string (date)", "pending | completed")
+ */
+function schemaType(schema) {
+    if (!schema) return '';
+    if (schema.$ref) return schema.$ref.split('/').pop();
+    if (schema.enum) return schema.enum.join(' | ');
+    if (schema.const !== undefined) return JSON.stringify(schema.const);
+    if (schema.oneOf) return schema.oneOf.map(schemaType).join(' | ');
+    const type = Array.isArray(schema.type) ? schema.type.join(' | ') : (schema.type || 'any');
+    return schema.format ? `${type} (${schema.format})` : type;
+}
+
+/**
+ * Follow a $ref to the component it points at
+ */
+function resolve(item) {
+    if (!item || !item.$ref) return item || {};
+    const target = item.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], spec);
+    // Keep sibling keywords (e.g. a description overriding the component's)
+    const { $ref, ...overrides } = item;
+    return { ...resolve(target), ...overrides };
+}
+
+/**
+ * Show only the operations matching the search box
+ */
+function filterOperations() {
+    const term = docsSearch.value.trim().toLowerCase();
+    document.querySelectorAll('.docs-operation').forEach(block => {
+        block.hidden = term !== '' && !block.dataset.search.includes(term);
+    });
+    document.querySelectorAll('.docs-tag').forEach(section => {
+        section.hidden = !section.querySelector('.docs-operation:not([hidden])');
+    });
+}
+
+/**
+ * Utility: Escape HTML to prevent XSS
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Utility: Escape text for use inside a double-quoted attribute
+ */
+function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+/**
+ * Show error message
+ */
+function showError(message) {
+    errorMessage.textContent = message;
+    errorMessage.style.display = 'block';
+}
@@ -11,6 +11,7 @@ import path from "path";
 import { fileURLToPath } from "url";
 import router from "./routes/index.js";
 import errorHandler from "./middleware/errorHandler.js";
+import notFound from "./middleware/notFound.js";
 
 // Get __dirname equivalent for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -25,24 +26,36 @@ const app = express();
 
 // Enable CORS (Cross-Origin Resource Sharing) for all routes
 // This allows the API to be accessed from different domains/origins
-app.use(cors());
+// ETag and Link are exposed so browser clients can use conditional requests and pagination,
+// and the version headers so they can see which API version answered
+app.use(cors({ exposedHeaders: ["ETag", "Link", "API-Version", "Deprecation", "Sunset"] }));
 
 // Parse incoming JSON requests and make them available in req.body
-// This middleware allows the API to handle JSON payloads
-app.use(express.json());
+// This middleware allows the API to handle JSON payloads, including the
+// application/merge-patch+json and application/json-patch+json PATCH formats
+// (1mb rather than the default 100kb so bulk requests fit)
+app.use(express.json({ limit: "1mb", type: ["application/json", "application/*+json"] }));
 
 // ============================================
 // Route Configuration
 // ============================================
 
-// Mount all API routes under the "/api" prefix
-// Example: "/api/users" will be accessible at this path
+// Frontend directory (HTML, CSS and JS)
+// __dirname is src/, so we go up one level to reach the project root
+const frontendPath = path.join(__dirname, "../frontend");
+
+// Serve the API documentation page (it renders /api/openapi.json)
+// Registered before the API routes, as the page is the same for every version
+app.get("/api/docs", (req, res) => {
+    res.sendFile(path.join(frontendPath, "docs.html"));
+});
+
+// Mount all API routes under the "/api" prefix, with every version
+// Example: "/api/users", "/api/v1/users" and "/api/v2/users" will be accessible
 app.use("/api", router);
 
 // Serve static files from the frontend directory
 // This allows the frontend HTML, CSS, and JS files to be served
-// __dirname is src/, so we go up one level to reach the project root
-const frontendPath = path.join(__dirname, "../frontend");
 app.use(express.static(frontendPath, { index: false })); // Don't auto-serve index.html
 
 // Serve index.html for all non-API routes (for SPA routing if needed)
@@ -66,6 +79,9 @@ app.use((req, res, next) => {
 // Error Handling Middleware
 // ============================================
 
+// Unknown API paths get a 404 problem document (not the default HTML page)
+app.use("/api", notFound);
+
 // Custom error handling middleware (must be last)
 // This catches any errors thrown in routes and sends appropriate responses
 app.use(errorHandler);
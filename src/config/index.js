@@ -26,4 +26,68 @@ export const config = {
     
     // Application name displayed in logs and API responses
     appName: process.env.APP_NAME || "Node Deploy Demo",
+
+    // Persistence settings for the users, products and tasks repositories
+    storage: {
+        // Storage driver: "memory" (lost on restart), "json" (one file per collection)
+        // or "sqlite" (embedded database, requires Node.js 22.5+)
+        driver: process.env.STORAGE_DRIVER || "memory",
+
+        // Directory where the JSON file driver keeps its collection files
+        dataDir: process.env.DATA_DIR || "data",
+
+        // Database file used by the SQLite driver
+        sqliteFile: process.env.SQLITE_FILE || "data/app.db",
+
+        // Days a deleted record stays in the trash before it can be purged
+        trashRetentionDays: parseInt(process.env.TRASH_RETENTION_DAYS ?? "30"),
+    },
+
+    // Request body validation (see src/validation/)
+    validation: {
+        // Fields a resource does not have: "reject" (400 error) or "strip" (ignored)
+        unknownFields: process.env.UNKNOWN_FIELDS === "strip" ? "strip" : "reject",
+    },
+
+    // API versions (see src/middleware/apiVersion.js)
+    api: {
+        // Version of requests that name none (no /v1 or /v2 prefix, no API-Version header)
+        defaultVersion: process.env.API_DEFAULT_VERSION === "2" ? "2" : "1",
+
+        // Date v1 was deprecated in favour of v2 (empty: not deprecated)
+        v1DeprecatedAt: process.env.API_V1_DEPRECATED_AT || null,
+
+        // Date v1 will be removed, sent in the Sunset header (empty: not announced)
+        v1Sunset: process.env.API_V1_SUNSET || null,
+    },
+
+    // GraphQL endpoint limits (see src/graphql/limits.js)
+    graphql: {
+        // Deepest allowed field nesting of a query
+        maxDepth: parseInt(process.env.GRAPHQL_MAX_DEPTH ?? "6"),
+
+        // Highest allowed estimated cost of a query (about one per returned field)
+        maxComplexity: parseInt(process.env.GRAPHQL_MAX_COMPLEXITY ?? "2500"),
+    },
+
+    // Outgoing webhook delivery (see src/webhooks/)
+    webhooks: {
+        // Attempts per delivery before it is marked as failed
+        maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS ?? "6"),
+
+        // Wait before the first retry; each later retry waits twice as long
+        retryDelayMs: parseInt(process.env.WEBHOOK_RETRY_DELAY_MS ?? "30000"),
+
+        // Time a receiver has to answer an attempt
+        timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS ?? "10000"),
+    },
+
+    // Live event stream, GET /api/events (see src/realtime/)
+    events: {
+        // Events kept for clients that reconnect with Last-Event-ID
+        bufferSize: parseInt(process.env.EVENTS_BUFFER_SIZE ?? "1000"),
+
+        // Interval of the heartbeat comments that keep idle connections open
+        heartbeatMs: parseInt(process.env.EVENTS_HEARTBEAT_MS ?? "15000"),
+    },
 };
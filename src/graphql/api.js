@@ -0,0 +1,66 @@
+/**
+ * REST Calls from GraphQL Resolvers
+ * 
+ * Queries and mutations are answered by the REST routes, dispatched
+ * internally (see utils/dispatch.js), so GraphQL gets the same filters,
+ * sorting, pagination, validation, ETag checks and task history without a
+ * second implementation of any of them.
+ * 
+ * Calls always use version 1 (numeric ids, { success, data } bodies). A
+ * failed call becomes a GraphQL error whose extensions carry the problem
+ * document's code and status, and the failing fields of a validation error:
+ *   { "message": "Title is required", "extensions": { "code": "VALIDATION_FAILED", "status": 400, "errors": [...] } }
+ */
+
+import { GraphQLError } from "graphql";
+import { dispatch } from "../utils/dispatch.js";
+
+// Problem document members that are not copied to the error extensions
+const PROBLEM_MEMBERS = ["type", "title", "detail", "instance"];
+
+/**
+ * Turn the problem document of a failed call into a GraphQL error
+ * @param {number} status - HTTP status of the call
+ * @param {Object} problem - Problem document
+ * @returns {GraphQLError} Error with code, status and extension members
+ */
+const toGraphQLError = (status, problem) => {
+    const extensions = Object.fromEntries(
+        Object.entries(problem ?? {}).filter(([key]) => !PROBLEM_MEMBERS.includes(key))
+    );
+    return new GraphQLError(problem?.detail ?? problem?.title ?? `Request failed with status ${status}`, {
+        extensions: { code: "INTERNAL_ERROR", status, ...extensions },
+    });
+};
+
+/**
+ * Call a REST route
+ * @param {Object} context - GraphQL context { req, apiRouter }
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below /api, e.g. "/tasks/1"
+ * @param {Object} options - { query: query parameters (undefined and null are left out),
+ *   body: JSON request body, version: expected record version (sent as If-Match) }
+ * @returns {Promise<Object>} Response body
+ * @throws {GraphQLError} If the call fails
+ */
+export const callApi = async (context, method, path, { query = {}, body, version } = {}) => {
+    const search = new URLSearchParams(
+        Object.entries(query)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([name, value]) => [name, String(value)])
+    ).toString();
+
+    const result = await dispatch(context.apiRouter, context.req, {
+        method,
+        path: `/api/v1${path}${search ? `?${search}` : ""}`,
+        headers: {
+            // JSON records, and problem documents for errors
+            accept: "application/problem+json, application/json;q=0.9",
+            ...(version !== undefined && version !== null && { "if-match": `"${version}"` }),
+        },
+        body,
+    });
+
+    if (result.status >= 400) throw toGraphQLError(result.status, result.body);
+    return result.body;
+};
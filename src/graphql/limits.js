@@ -0,0 +1,139 @@
+/**
+ * GraphQL Query Limits
+ * 
+ * One GraphQL query can ask for a lot of work: every level of nested
+ * relations (users -> tasks -> assignee -> tasks ...) multiplies the records
+ * it returns. Before a query runs, the operation is measured and rejected
+ * with QUERY_TOO_COMPLEX if it goes over a limit (see config.graphql):
+ * - depth - Levels of nested fields ({ tasks { nodes { title } } } is 3)
+ * - complexity - Estimated number of fields returned. Each field costs 1,
+ *   and the fields below a list are counted once per expected item: `limit`
+ *   items for lists with a limit argument (MAX_LIMIT when it is left out, as
+ *   such a list returns the largest page) and RELATION_SIZE for relation lists
+ *   such as User.tasks. These are estimates: the point is to stop queries
+ *   whose nested lists multiply, not to count records exactly.
+ * 
+ * Introspection fields (__schema, __type, __typename) are not counted, so
+ * GraphQL tools can always load the schema.
+ */
+
+import { getNamedType, getNullableType, getOperationAST, GraphQLError, isListType, Kind } from "graphql";
+import { config } from "../config/index.js";
+import { MAX_LIMIT } from "../utils/pagination.js";
+
+// Expected items of a relation list (e.g. the tasks of a user)
+const RELATION_SIZE = 10;
+
+/**
+ * Read the limit argument of a field
+ * @param {Object} field - Field node
+ * @param {Object} variables - Variable values of the request
+ * @returns {number|undefined} The limit, or undefined if the field has none
+ */
+const limitOf = (field, variables) => {
+    const argument = field.arguments?.find((node) => node.name.value === "limit");
+    if (!argument) return undefined;
+
+    const value =
+        argument.value.kind === Kind.VARIABLE ? variables[argument.value.name.value] : Number(argument.value.value);
+    return Number.isInteger(value) && value > 0 ? value : undefined;
+};
+
+/**
+ * Measure a selection set
+ * @param {Object} selectionSet - Selection set node
+ * @param {Object} type - GraphQL type the selections are made on
+ * @param {Object} context - { schema, fragments, variables }
+ * @param {number} pageSize - Expected items of the list fields in this selection
+ * @returns {Object} { depth, complexity }
+ */
+const measure = (selectionSet, type, context, pageSize = RELATION_SIZE) => {
+    let depth = 0;
+    let complexity = 0;
+
+    for (const selection of selectionSet.selections) {
+        let result;
+
+        if (selection.kind === Kind.FIELD) {
+            const name = selection.name.value;
+            const fieldDef = type.getFields?.()[name];
+            if (name.startsWith("__") || !fieldDef) continue;
+
+            result = { depth: 1, complexity: 1 };
+            if (selection.selectionSet) {
+                // A field with a limit argument returns a page of that many items
+                const hasLimit = fieldDef.args.some((arg) => arg.name === "limit");
+                const childPageSize = hasLimit
+                    ? (limitOf(selection, context.variables) ?? MAX_LIMIT)
+                    : RELATION_SIZE;
+                const items = isListType(getNullableType(fieldDef.type)) ? pageSize : 1;
+                const child = measure(selection.selectionSet, getNamedType(fieldDef.type), context, childPageSize);
+
+                result = { depth: 1 + child.depth, complexity: 1 + items * child.complexity };
+            }
+        } else {
+            // Fragments add their fields to the selection they are used in
+            const fragment =
+                selection.kind === Kind.FRAGMENT_SPREAD ? context.fragments[selection.name.value] : selection;
+            if (!fragment) continue;
+
+            const fragmentType = fragment.typeCondition
+                ? (context.schema.getType(fragment.typeCondition.name.value) ?? type)
+                : type;
+            result = measure(fragment.selectionSet, fragmentType, context, pageSize);
+        }
+
+        depth = Math.max(depth, result.depth);
+        complexity += result.complexity;
+    }
+
+    return { depth, complexity };
+};
+
+/**
+ * Check the operation of a request against the depth and complexity limits
+ * @param {Object} schema - GraphQL schema
+ * @param {Object} document - Parsed and validated query document
+ * @param {Object} options - { operationName, variables } of the request
+ * @returns {Array<GraphQLError>} Errors (empty if the operation is within the limits)
+ */
+export const checkLimits = (schema, document, { operationName, variables } = {}) => {
+    // Without a matching operation, execution reports the problem
+    const operation = getOperationAST(document, operationName);
+    if (!operation) return [];
+
+    const rootType = schema.getRootType(operation.operation);
+    const fragments = Object.fromEntries(
+        document.definitions
+            .filter((definition) => definition.kind === Kind.FRAGMENT_DEFINITION)
+            .map((definition) => [definition.name.value, definition])
+    );
+
+    const { depth, complexity } = measure(operation.selectionSet, rootType, {
+        schema,
+        fragments,
+        variables: variables ?? {},
+    });
+
+    const { maxDepth, maxComplexity } = config.graphql;
+    const errors = [];
+    if (depth > maxDepth) {
+        errors.push(
+            new GraphQLError(`Query depth ${depth} exceeds the maximum of ${maxDepth}`, {
+                nodes: operation,
+                extensions: { code: "QUERY_TOO_COMPLEX", depth, maxDepth },
+            })
+        );
+    }
+    if (complexity > maxComplexity) {
+        errors.push(
+            new GraphQLError(
+                `Query complexity ${complexity} exceeds the maximum of ${maxComplexity}; ` +
+                    "request fewer fields or pass a smaller limit",
+                { nodes: operation, extensions: { code: "QUERY_TOO_COMPLEX", complexity, maxComplexity } }
+            )
+        );
+    }
+
+    return errors;
+};
@@ -0,0 +1,81 @@
+/**
+ * GraphQL Relation Loaders
+ * 
+ * Relations (Task.assignee, User.tasks) are resolved once per record, so a
+ * list of 50 tasks asks for 50 assignees. A loader collects the keys asked
+ * for while a query level is resolved and looks them all up together:
+ * one repository scan per relation and level instead of one per record.
+ * 
+ * Loaders are created per request, so their cache never outlives it (and
+ * never serves a record changed by another request).
+ */
+
+import { createRepository } from "../storage/index.js";
+import { withProgress } from "../utils/taskGraph.js";
+
+// Repositories the relations are read from (trashed records are left out,
+// as in the REST include parameter)
+const users = createRepository("users");
+const tasks = createRepository("tasks");
+
+/**
+ * Create a batching loader
+ * @param {Function} batchLoad - async (keys) => values, one value per key in the same order
+ * @returns {Object} { load(key) } - Promise of the value of one key
+ */
+const createLoader = (batchLoad) => {
+    const cache = new Map();
+    let queue = [];
+
+    // Look up every key queued since the last batch
+    const dispatchQueue = async () => {
+        const batch = queue;
+        queue = [];
+        try {
+            const values = await batchLoad(batch.map(({ key }) => key));
+            batch.forEach(({ resolve }, index) => resolve(values[index]));
+        } catch (error) {
+            batch.forEach(({ reject }) => reject(error));
+        }
+    };
+
+    return {
+        load(key) {
+            if (!cache.has(key)) {
+                cache.set(
+                    key,
+                    new Promise((resolve, reject) => {
+                        // The batch runs once the current level has asked for all its keys
+                        if (queue.length === 0) setImmediate(dispatchQueue);
+                        queue.push({ key, resolve, reject });
+                    })
+                );
+            }
+            return cache.get(key);
+        },
+    };
+};
+
+/**
+ * Create the loaders of one GraphQL request
+ * @returns {Object} { user, tasksByAssignee } loaders
+ */
+export const createLoaders = () => ({
+    // User by ID (null if there is no such user)
+    user: createLoader(async (ids) => {
+        const byId = new Map((await users.list()).map((user) => [user.id, user]));
+        return ids.map((id) => byId.get(id) ?? null);
+    }),
+
+    // Tasks assigned to a user, by user ID (ordered by task ID, with the
+    // progress of parent tasks as the REST routes return them)
+    tasksByAssignee: createLoader(async (userIds) => {
+        const allTasks = await tasks.list();
+        const byAssignee = new Map();
+        for (const task of withProgress(allTasks, allTasks).sort((a, b) => a.id - b.id)) {
+            if (!byAssignee.has(task.assigneeId)) byAssignee.set(task.assigneeId, []);
+            byAssignee.get(task.assigneeId).push(task);
+        }
+        return userIds.map((id) => byAssignee.get(id) ?? []);
+    }),
+});
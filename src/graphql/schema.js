@@ -0,0 +1,388 @@
+/**
+ * GraphQL Schema
+ * 
+ * Types, queries and mutations of POST /api/graphql. They mirror the REST
+ * API (see api.js): list queries take the same filters and sorts as the
+ * GET / routes, and the input types are generated from the validation
+ * schemas (src/validation/schemas.js), so GraphQL and REST accept the same
+ * fields and follow the same rules.
+ * 
+ * Enum members are the REST values in GraphQL style (in-progress is
+ * IN_PROGRESS, dueDate is DUE_DATE) and are converted at the boundary.
+ * Relations (Task.assignee, User.tasks) are resolved with the batching
+ * loaders of the request (see loaders.js).
+ */
+
+import { buildSchema } from "graphql";
+import { callApi } from "./api.js";
+import { MAX_LIMIT } from "../utils/pagination.js";
+import {
+    ASSIGNED_TASKS_POLICIES,
+    productSchema,
+    taskSchema,
+    TASK_PRIORITIES,
+    TASK_STATUSES,
+    userSchema,
+} from "../validation/schemas.js";
+
+// Enum types and the REST values of their members
+// (TaskSort holds the sortBy values of GET /api/tasks)
+const ENUMS = {
+    TaskStatus: TASK_STATUSES,
+    TaskPriority: TASK_PRIORITIES,
+    TaskSort: ["title", "priority", "dueDate", "createdAt"],
+    SortOrder: ["asc", "desc"],
+    AssignedTasksPolicy: ASSIGNED_TASKS_POLICIES,
+};
+
+// GraphQL types of the validation rule types
+const SCALARS = { string: "String", integer: "Int", number: "Float", boolean: "Boolean" };
+
+/**
+ * Get the enum member name of a REST value
+ * @param {string} value - e.g. "in-progress" or "dueDate"
+ * @returns {string} e.g. "IN_PROGRESS" or "DUE_DATE"
+ */
+const enumName = (value) =>
+    value
+        .replace(/([a-z])([A-Z])/g, "$1_$2")
+        .replace(/-/g, "_")
+        .toUpperCase();
+
+/**
+ * Get the REST value of an enum member
+ * @param {string} type - Enum type (key of ENUMS)
+ * @param {string} name - Member name (null and undefined are returned as they are)
+ * @returns {string} REST value
+ */
+const fromEnum = (type, name) => (name == null ? name : ENUMS[type].find((value) => enumName(value) === name));
+
+/**
+ * Write an input type for a validation schema
+ * @param {string} name - Input type name
+ * @param {Object} schema - Validation schema
+ * @param {string} mode - "create" (required fields are non-null) or "update" (every field is optional)
+ * @param {Object} fieldTypes - GraphQL types of fields that are not plain scalars
+ * @returns {string} SDL of the input type
+ */
+const inputType = (name, schema, mode, fieldTypes = {}) => {
+    const fields = Object.entries(schema.fields).map(([field, rule]) => {
+        const type = fieldTypes[field] ?? SCALARS[rule.type];
+        const required = mode === "create" && rule.required && rule.default === undefined;
+        const description = rule.description ? `    ${JSON.stringify(rule.description)}\n` : "";
+        return `${description}    ${field}: ${type}${required ? "!" : ""}`;
+    });
+    return `input ${name} {\n${fields.join("\n")}\n}`;
+};
+
+// Task fields with their own GraphQL types
+const taskFieldTypes = {
+    status: "TaskStatus",
+    priority: "TaskPriority",
+    assigneeId: "ID",
+    parentId: "ID",
+    blockedBy: "[ID!]",
+};
+
+const typeDefs = `
+${Object.entries(ENUMS)
+    .map(([name, values]) => `enum ${name} { ${values.map(enumName).join(" ")} }`)
+    .join("\n")}
+
+"A search match: the field and its text with <mark> around the matches"
+type Highlight {
+    field: String!
+    text: String!
+}
+
+type Task {
+    id: ID!
+    title: String!
+    description: String
+    status: TaskStatus!
+    priority: TaskPriority!
+    "Calendar date (YYYY-MM-DD)"
+    dueDate: String
+    assigneeId: ID
+    "The assigned user (null if unassigned)"
+    assignee: User
+    "The task this is a subtask of"
+    parentId: ID
+    "Tasks that must be completed before this one"
+    blockedBy: [ID!]!
+    "Completed subtasks, including nested ones (null without subtasks)"
+    progress: Progress
+    "RFC 5545 RRULE value of a recurring task (completing it creates the task of the next occurrence)"
+    recurrence: String
+    "Date of the occurrence of its series the task stands for (YYYY-MM-DD)"
+    occurrenceDate: String
+    createdAt: String!
+    updatedAt: String!
+    "Increases on every change; pass it to a mutation to reject outdated edits"
+    version: Int!
+    "Search relevance (only with q)"
+    relevance: Float
+    highlights: [Highlight!]
+}
+
+type Progress {
+    completed: Int!
+    total: Int!
+    percent: Int!
+}
+
+type User {
+    id: ID!
+    name: String!
+    email: String!
+    "Tasks assigned to the user"
+    tasks: [Task!]!
+    createdAt: String!
+    updatedAt: String!
+    version: Int!
+}
+
+type Product {
+    id: ID!
+    name: String!
+    description: String!
+    price: Float!
+    category: String!
+    stock: Int!
+    createdAt: String!
+    updatedAt: String!
+    version: Int!
+    relevance: Float
+    highlights: [Highlight!]
+}
+
+"""
+A page of records: at most limit of them (100 when limit is left out, the
+most allowed). nextCursor and prevCursor page through the rest (cursor
+pagination, as in the REST API).
+"""
+type TaskList {
+    nodes: [Task!]!
+    count: Int!
+    total: Int!
+    nextCursor: String
+    prevCursor: String
+}
+
+type UserList {
+    nodes: [User!]!
+    count: Int!
+    total: Int!
+    nextCursor: String
+    prevCursor: String
+}
+
+type ProductList {
+    nodes: [Product!]!
+    count: Int!
+    total: Int!
+    nextCursor: String
+    prevCursor: String
+}
+
+${inputType("NewTaskInput", taskSchema, "create", taskFieldTypes)}
+
+${inputType("TaskChanges", taskSchema, "update", taskFieldTypes)}
+
+${inputType("NewUserInput", userSchema, "create")}
+
+${inputType("UserChanges", userSchema, "update")}
+
+${inputType("NewProductInput", productSchema, "create")}
+
+${inputType("ProductChanges", productSchema, "update")}
+
+type Query {
+    """
+    Tasks, filtered and sorted like GET /api/tasks (filter takes the same
+    expressions, e.g. "dueDate < today and status != completed")
+    """
+    tasks(
+        q: String
+        status: TaskStatus
+        priority: TaskPriority
+        "Only the tasks of this user (none for unassigned tasks)"
+        assignee: ID
+        filter: String
+        sortBy: TaskSort
+        order: SortOrder
+        limit: Int
+        cursor: String
+    ): TaskList!
+    task(id: ID!): Task
+
+    "Users, filtered like GET /api/users"
+    users(filter: String, limit: Int, cursor: String): UserList!
+    user(id: ID!): User
+
+    "Products, filtered like GET /api/products"
+    products(
+        q: String
+        category: String
+        minPrice: Float
+        maxPrice: Float
+        filter: String
+        limit: Int
+        cursor: String
+    ): ProductList!
+    product(id: ID!): Product
+}
+
+"""
+Changes are validated like the REST routes. Pass version to make an update
+or delete fail (PRECONDITION_FAILED) if the record changed since it was read.
+"""
+type Mutation {
+    createTask(input: NewTaskInput!): Task!
+    "Change the given fields (null clears description, dueDate and assigneeId)"
+    updateTask(id: ID!, changes: TaskChanges!, version: Int): Task!
+    "Move a task to the trash"
+    deleteTask(id: ID!, version: Int): Task!
+
+    createUser(input: NewUserInput!): User!
+    updateUser(id: ID!, changes: UserChanges!, version: Int): User!
+    """
+    Move a user to the trash. Fails (USER_HAS_TASKS) while tasks are assigned
+    to the user, unless assignedTasks is UNASSIGN or reassignTo is given.
+    """
+    deleteUser(id: ID!, version: Int, assignedTasks: AssignedTasksPolicy, reassignTo: ID): User!
+
+    createProduct(input: NewProductInput!): Product!
+    updateProduct(id: ID!, changes: ProductChanges!, version: Int): Product!
+    deleteProduct(id: ID!, version: Int): Product!
+}
+`;
+
+/**
+ * Convert task input to a REST request body
+ * @param {Object} input - NewTaskInput or TaskChanges
+ * @returns {Object} Body with REST enum values and numeric ids
+ */
+const toTaskBody = (input) => {
+    const body = { ...input };
+    const toId = (id) => (typeof id === "string" && /^\d+$/.test(id) ? Number(id) : id);
+    if (body.status !== undefined) body.status = fromEnum("TaskStatus", body.status);
+    if (body.priority !== undefined) body.priority = fromEnum("TaskPriority", body.priority);
+    if (body.assigneeId !== undefined) body.assigneeId = toId(body.assigneeId);
+    if (body.parentId !== undefined) body.parentId = toId(body.parentId);
+    if (Array.isArray(body.blockedBy)) body.blockedBy = body.blockedBy.map(toId);
+    return body;
+};
+
+/**
+ * Create the resolvers of a REST resource
+ * @param {string} path - Collection path, e.g. "/tasks"
+ * @param {Function} toBody - Converts mutation input to a request body
+ * @param {Function} toDeleteQuery - Converts the extra arguments of a delete to query parameters
+ * @returns {Object} { list, find, create, update, remove } resolvers
+ */
+const resourceResolvers = (path, toBody = (input) => input, toDeleteQuery = (args) => args) => ({
+    list: (toQuery) => async (parent, args, context) => {
+        // Without a limit, a list returns the largest page (never every record,
+        // so the query limits can count it, see limits.js)
+        const query = toQuery(args);
+        const { data, count, total, nextCursor, prevCursor } = await callApi(context, "GET", path, {
+            query: { ...query, limit: query.limit ?? MAX_LIMIT },
+        });
+        return { nodes: data, count, total: total ?? count, nextCursor, prevCursor };
+    },
+
+    // A missing record is null, not an error
+    find: async (parent, { id }, context) => {
+        try {
+            return (await callApi(context, "GET", `${path}/${encodeURIComponent(id)}`)).data;
+        } catch (error) {
+            if (error.extensions.status === 404) return null;
+            throw error;
+        }
+    },
+
+    create: async (parent, { input }, context) =>
+        (await callApi(context, "POST", path, { body: toBody(input) })).data,
+
+    update: async (parent, { id, changes, version }, context) =>
+        (await callApi(context, "PATCH", `${path}/${encodeURIComponent(id)}`, { body: toBody(changes), version })).data,
+
+    remove: async (parent, { id, version, ...args }, context) =>
+        (await callApi(context, "DELETE", `${path}/${encodeURIComponent(id)}`, { query: toDeleteQuery(args), version })).data,
+});
+
+const tasks = resourceResolvers("/tasks", toTaskBody);
+const users = resourceResolvers("/users", undefined, (args) => ({
+    ...args,
+    assignedTasks: fromEnum("AssignedTasksPolicy", args.assignedTasks),
+}));
+const products = resourceResolvers("/products");
+
+// Fields every record type resolves the same way
+const recordFields = {
+    // Records written before updatedAt was tracked were never changed since
+    updatedAt: (record) => record.updatedAt ?? record.createdAt,
+    highlights: (record) =>
+        record.highlights && Object.entries(record.highlights).map(([field, text]) => ({ field, text })),
+};
+
+const resolvers = {
+    Query: {
+        tasks: tasks.list((args) => ({
+            ...args,
+            status: fromEnum("TaskStatus", args.status),
+            priority: fromEnum("TaskPriority", args.priority),
+            sortBy: fromEnum("TaskSort", args.sortBy),
+            order: fromEnum("SortOrder", args.order),
+        })),
+        task: tasks.find,
+        users: users.list((args) => args),
+        user: users.find,
+        products: products.list((args) => args),
+        product: products.find,
+    },
+    Mutation: {
+        createTask: tasks.create,
+        updateTask: tasks.update,
+        deleteTask: tasks.remove,
+        createUser: users.create,
+        updateUser: users.update,
+        deleteUser: users.remove,
+        createProduct: products.create,
+        updateProduct: products.update,
+        deleteProduct: products.remove,
+    },
+    Task: {
+        ...recordFields,
+        status: (task) => enumName(task.status),
+        priority: (task) => enumName(task.priority),
+        assignee: (task, args, context) =>
+            task.assigneeId == null ? null : context.loaders.user.load(task.assigneeId),
+        // Tasks written before blockedBy existed have no blockers
+        blockedBy: (task) => task.blockedBy ?? [],
+    },
+    User: {
+        updatedAt: recordFields.updatedAt,
+        tasks: (user, args, context) => context.loaders.tasksByAssignee.load(user.id),
+    },
+    Product: recordFields,
+};
+
+/**
+ * Attach resolvers to the fields of a schema built from SDL
+ * @param {Object} schema - GraphQL schema
+ * @param {Object} resolverMap - { TypeName: { fieldName: resolve } }
+ * @returns {Object} The schema
+ */
+const attachResolvers = (schema, resolverMap) => {
+    for (const [typeName, fieldResolvers] of Object.entries(resolverMap)) {
+        const fields = schema.getType(typeName).getFields();
+        for (const [fieldName, resolve] of Object.entries(fieldResolvers)) {
+            fields[fieldName].resolve = resolve;
+        }
+    }
+    return schema;
+};
+
+export const schema = attachResolvers(buildSchema(typeDefs), resolvers);
@@ -0,0 +1,93 @@
+/**
+ * API Version Middleware
+ * 
+ * Every version serves the same routes; a version only changes how requests
+ * and responses look:
+ * - v1 - The original response shapes (see src/routes/)
+ * - v2 - The normalized { data, meta } envelope with string ids (see
+ *        src/utils/envelope.js); errors are always problem documents
+ * 
+ * A request picks its version with the URL prefix (/api/v1/tasks,
+ * /api/v2/tasks) or, on unprefixed paths (/api/tasks), with the API-Version
+ * header. Without either it gets config.api.defaultVersion.
+ * 
+ * Responses name the version in API-Version. Deprecated versions also send
+ * Deprecation (RFC 9745), Sunset (RFC 8594, once a removal date is set) and
+ * a Link to the successor version.
+ */
+
+import { config } from "../config/index.js";
+import { fromV2Body, toV2Body } from "../utils/envelope.js";
+
+// Supported versions; deprecatedAt and sunset are dates (YYYY-MM-DD) or null
+export const API_VERSIONS = {
+    1: { deprecatedAt: config.api.v1DeprecatedAt, sunset: config.api.v1Sunset, successor: "2" },
+    2: { deprecatedAt: null, sunset: null, successor: null },
+};
+
+/**
+ * Apply a version to a request and its response
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} version - Key of API_VERSIONS
+ */
+const applyVersion = (req, res, version) => {
+    req.apiVersion = version;
+    res.set("API-Version", version);
+
+    // Tell clients of a deprecated version where to go and until when
+    const { deprecatedAt, sunset, successor } = API_VERSIONS[version];
+    if (deprecatedAt) {
+        res.set("Deprecation", `@${Math.floor(Date.parse(deprecatedAt) / 1000)}`);
+        if (sunset) res.set("Sunset", new Date(sunset).toUTCString());
+        res.set("Link", `</api/v${successor}>; rel="successor-version"`);
+    }
+
+    if (version === "2") {
+        // Batch sub-requests are converted when they are dispatched and answer
+        // in their own version (and the batch's own request ids are names)
+        const records = req.path !== "/batch";
+        if (req.body !== undefined && records) req.body = fromV2Body(req.body);
+
+        const json = res.json.bind(res);
+        res.json = (body) => json(toV2Body(body, { records }));
+    }
+};
+
+/**
+ * Create middleware for a URL-prefixed version (/api/v1, /api/v2)
+ * @param {string} version - Key of API_VERSIONS
+ * @returns {Function} Express middleware
+ */
+export const useVersion = (version) => (req, res, next) => {
+    applyVersion(req, res, version);
+    next();
+};
+
+/**
+ * Middleware for unprefixed paths: the version comes from the API-Version
+ * header, or the default version
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const selectVersion = (req, res, next) => {
+    // A prefixed mount already handled this request (and found no route)
+    if (req.apiVersion) return next();
+
+    // Responses of unprefixed paths depend on the header
+    res.vary("API-Version");
+
+    const requested = req.get("API-Version")?.trim().replace(/^v/i, "");
+    if (requested && !Object.hasOwn(API_VERSIONS, requested)) {
+        const error = new Error(
+            `Unsupported API version "${req.get("API-Version")}". Supported: ${Object.keys(API_VERSIONS).join(", ")}`
+        );
+        error.statusCode = 400;
+        error.code = "UNSUPPORTED_API_VERSION";
+        return next(error);
+    }
+
+    applyVersion(req, res, requested || config.api.defaultVersion);
+    next();
+};
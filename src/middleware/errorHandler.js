@@ -3,8 +3,16 @@
  * 
  * This middleware catches all errors thrown in routes and sends appropriate
  * error responses to the client. It should be the last middleware in the chain.
+ * 
+ * Errors are sent as RFC 7807 problem documents (application/problem+json),
+ * or in the legacy { success: false, error } envelope to clients that prefer
+ * application/json (see utils/problems.js). GET requests that negotiated
+ * CSV, NDJSON or XML get the problem document in that format.
  */
 
+import { errorResponse } from "../utils/problems.js";
+import { sendFormatted } from "../utils/formats.js";
+
 /**
  * Error handler middleware
  * @param {Error} err - The error object
@@ -16,22 +24,19 @@ const errorHandler = (err, req, res, next) => {
     // Log the error for debugging purposes
     console.error("Error:", err);
 
-    // Default error status code
-    const statusCode = err.statusCode || 500;
+    // Build the problem document (or legacy envelope) the client asked for
+    const { status, contentType, body } = errorResponse(err, req);
 
-    // Default error message
-    const message = err.message || "Internal Server Error";
+    // Send error response (Vary: the format depends on the Accept header)
+    res.vary("Accept");
 
-    // Send error response
-    res.status(statusCode).json({
-        success: false,
-        error: {
-            message: message,
-            // Include stack trace in development mode for debugging
-            ...(process.env.NODE_ENV === "development" && { stack: err.stack }),
-        },
-    });
+    // Render the problem in the format the request negotiated (see negotiate.js)
+    if (req.format && req.format !== "json") {
+        res.status(status);
+        return sendFormatted(res, req.format, body, { problem: true });
+    }
+
+    res.status(status).type(contentType).json(body);
 };
 
 export default errorHandler;
-
@@ -0,0 +1,88 @@
+/**
+ * Content Negotiation Middleware
+ * 
+ * GET requests can ask for their response in another format (see
+ * src/utils/formats.js), with the format query parameter or the Accept header:
+ *   GET /api/tasks?format=csv
+ *   GET /api/tasks  (Accept: application/x-ndjson)
+ * 
+ * format= wins over Accept. Browsers (whose Accept starts with text/html and
+ * lists application/xml only as a fallback) get JSON. When neither names a
+ * supported format the request fails with 406 Not Acceptable.
+ * 
+ * Paths with a file extension (calendar.ics, export.csv, openapi.json) have
+ * a fixed format and are left alone, as are event streams (Accept:
+ * text/event-stream, see routes/events.js) and requests that change data.
+ * 
+ * The format is kept in req.format, so errors are rendered in it too (see
+ * errorHandler.js).
+ */
+
+import path from "path";
+import { FORMATS, sendFormatted } from "../utils/formats.js";
+
+// Media types that can be negotiated, and the format of each
+const MEDIA_TYPES = Object.values(FORMATS).flat();
+const FORMAT_BY_TYPE = Object.fromEntries(
+    Object.entries(FORMATS).flatMap(([format, types]) => types.map((type) => [type, format]))
+);
+
+/**
+ * Create the 406 error for an unsupported format
+ * @param {string} requested - format parameter or Accept header
+ * @returns {Error} Error with statusCode 406
+ */
+const notAcceptable = (requested) => {
+    const error = new Error(
+        `Cannot respond with "${requested}". Supported formats: ${Object.keys(FORMATS).join(", ")} ` +
+            `(${Object.values(FORMATS).map((types) => types[0]).join(", ")})`
+    );
+    error.statusCode = 406;
+    error.code = "NOT_ACCEPTABLE";
+    error.details = { available: Object.values(FORMATS).map((types) => types[0]) };
+    return error;
+};
+
+/**
+ * Content negotiation middleware
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const negotiate = (req, res, next) => {
+    if ((req.method !== "GET" && req.method !== "HEAD") || path.extname(req.path)) return next();
+    if (/^\s*text\/event-stream/.test(req.get("Accept") ?? "")) return next();
+
+    // The same URL has several representations
+    res.vary("Accept");
+
+    let format;
+    if (req.query.format !== undefined) {
+        const requested = String(req.query.format).toLowerCase();
+        if (!Object.hasOwn(FORMATS, requested)) return next(notAcceptable(String(req.query.format)));
+        format = requested;
+    } else if (/^\s*text\/html/.test(req.get("Accept") ?? "")) {
+        format = "json";
+    } else {
+        const type = req.accepts(MEDIA_TYPES);
+        if (!type) return next(notAcceptable(req.get("Accept")));
+        format = FORMAT_BY_TYPE[type];
+    }
+
+    req.format = format;
+
+    // Render successful JSON responses in the negotiated format (errors are
+    // rendered by the error handler)
+    if (format !== "json") {
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            if (res.statusCode >= 400) return json(body);
+            sendFormatted(res, format, body).catch(next);
+            return res;
+        };
+    }
+
+    next();
+};
+
+export default negotiate;
@@ -0,0 +1,21 @@
+/**
+ * Not Found Middleware
+ * 
+ * Answers requests to unknown API paths with a 404 problem document instead
+ * of Express's default HTML page. Mounted at /api after every API route.
+ */
+
+/**
+ * Not found middleware
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const notFound = (req, res, next) => {
+    const error = new Error(`Cannot ${req.method} ${req.originalUrl.split("?")[0]}`);
+    error.statusCode = 404;
+    error.code = "ROUTE_NOT_FOUND";
+    next(error);
+};
+
+export default notFound;
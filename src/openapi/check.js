@@ -0,0 +1,30 @@
+/**
+ * Route Documentation Check
+ * 
+ * Fails (exit code 1) if a route mounted on the API router has no OpenAPI
+ * description, or a description has no route.
+ * 
+ * Usage: npm run docs:check
+ */
+
+import { mountPaths, router } from "../routes/index.js";
+import { checkRouteDocs } from "./index.js";
+
+const { undocumented, stale, unknown } = checkRouteDocs(router, mountPaths);
+
+// Report every problem before failing
+for (const route of undocumented) {
+    console.error(`❌ ${route} has no OpenAPI description (add it in src/openapi/paths/)`);
+}
+for (const route of stale) {
+    console.error(`❌ ${route} is described in the OpenAPI document but no such route is mounted`);
+}
+for (const name of unknown) {
+    console.error(`❌ Router "${name}" is mounted without mount() in src/routes/index.js, so its path is unknown`);
+}
+
+if (undocumented.length > 0 || stale.length > 0 || unknown.length > 0) {
+    process.exit(1);
+}
+
+console.log("✅ Every API route is described in the OpenAPI document");
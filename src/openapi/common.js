@@ -0,0 +1,285 @@
+/**
+ * OpenAPI Building Blocks
+ * 
+ * Helpers and shared pieces (parameters, responses) for the route
+ * descriptions in src/openapi/paths/, so every resource documents
+ * pagination, ETags, errors and the trash bin the same way.
+ */
+
+/**
+ * Reference a component
+ * @param {string} name - Schema name (e.g. "Task")
+ * @param {string} kind - Component kind (default "schemas")
+ * @returns {Object} $ref object
+ */
+export const ref = (name, kind = "schemas") => ({ $ref: `#/components/${kind}/${name}` });
+
+/**
+ * Describe a JSON request body
+ * @param {Object} schema - Body schema
+ * @returns {Object} OpenAPI requestBody
+ */
+export const jsonBody = (schema) => ({
+    required: true,
+    content: { "application/json": { schema } },
+});
+
+/**
+ * Describe a PATCH request body (plain JSON, merge patch or JSON Patch)
+ * Plain JSON is read as a merge patch on every route.
+ * @param {Object} changesSchema - Schema of the plain JSON body
+ * @returns {Object} OpenAPI requestBody
+ */
+export const patchBody = (changesSchema) => ({
+    required: true,
+    content: {
+        "application/json": { schema: changesSchema },
+        "application/merge-patch+json": { schema: ref("MergePatch") },
+        "application/json-patch+json": { schema: ref("JsonPatch") },
+    },
+});
+
+// The other formats a GET response can be sent in (see src/middleware/negotiate.js)
+const otherFormats = {
+    "text/csv": { schema: { type: "string", description: "Header row, then one row per record" } },
+    "application/x-ndjson": { schema: { type: "string", description: "One JSON record per line" } },
+    "application/xml": { schema: { type: "string", description: "The JSON body as XML" } },
+};
+
+/**
+ * Describe a successful JSON response with one record in `data`
+ * @param {string} description - Response description
+ * @param {Object} dataSchema - Schema of data
+ * @param {Object} options - { message: true if the body has a message, etag: true to document the ETag header,
+ *   formats: true for a GET response that can also be sent as CSV, NDJSON or XML,
+ *   properties: schemas of other members of the body }
+ * @returns {Object} OpenAPI response
+ */
+export const recordResponse = (
+    description,
+    dataSchema,
+    { message = false, etag = true, formats = false, properties = {} } = {}
+) => ({
+    description,
+    ...(etag && { headers: { ETag: ref("ETag", "headers") } }),
+    content: {
+        "application/json": {
+            schema: {
+                type: "object",
+                required: ["success", "data"],
+                properties: {
+                    success: { const: true },
+                    ...(message && { message: { type: "string" } }),
+                    data: dataSchema,
+                    ...properties,
+                },
+            },
+        },
+        ...(formats && otherFormats),
+    },
+});
+
+/**
+ * Describe a list response (paginated with limit/cursor)
+ * @param {string} description - Response description
+ * @param {Object} itemSchema - Schema of each record
+ * @returns {Object} OpenAPI response
+ */
+export const listResponse = (description, itemSchema) => ({
+    description,
+    headers: { Link: ref("Link", "headers") },
+    content: {
+        "application/json": {
+            schema: {
+                type: "object",
+                required: ["success", "count", "data"],
+                properties: {
+                    success: { const: true },
+                    count: { type: "integer", description: "Records in this response" },
+                    total: { type: "integer", description: "Matching records (paginated requests only)" },
+                    data: { type: "array", items: itemSchema },
+                    nextCursor: { type: ["string", "null"] },
+                    prevCursor: { type: ["string", "null"] },
+                },
+            },
+        },
+        ...otherFormats,
+    },
+});
+
+/**
+ * Describe a response with a success message and no record
+ * @param {string} description - Response description
+ * @returns {Object} OpenAPI response
+ */
+export const messageResponse = (description) => ({
+    description,
+    content: {
+        "application/json": {
+            schema: {
+                type: "object",
+                properties: { success: { const: true }, message: { type: "string" } },
+            },
+        },
+    },
+});
+
+/**
+ * Describe a query parameter
+ * @param {string} name - Parameter name
+ * @param {Object} schema - Parameter schema
+ * @param {string} description - Parameter description
+ * @returns {Object} OpenAPI parameter
+ */
+export const query = (name, schema, description) => ({ name, in: "query", schema, description });
+
+/**
+ * Describe an integer path parameter
+ * @param {string} name - Parameter name
+ * @param {string} description - Parameter description
+ * @returns {Object} OpenAPI parameter
+ */
+export const pathId = (name, description) => ({
+    name,
+    in: "path",
+    required: true,
+    schema: { type: "integer", minimum: 1 },
+    description,
+});
+
+// Parameters shared by several routes
+export const parameters = {
+    Id: pathId("id", "Record ID"),
+    IfMatch: {
+        name: "If-Match",
+        in: "header",
+        schema: { type: "string", examples: ['"3"'] },
+        description: "ETag of the version being changed; the request fails with 412 if the record has changed since",
+    },
+    Limit: query("limit", { type: "integer", minimum: 1, maximum: 100 }, "Page size; enables cursor pagination"),
+    Cursor: query("cursor", { type: "string" }, "nextCursor or prevCursor of a previous page"),
+    Filter: query(
+        "filter",
+        { type: "string", examples: ["dueDate < today and status != completed"] },
+        "Filter expression (comparisons combined with and/or/not)"
+    ),
+    Fields: query("fields", { type: "string", examples: ["id,title,status"] }, "Comma-separated fields to return"),
+    Include: query("include", { type: "string" }, "Comma-separated related records to embed"),
+    Format: query(
+        "format",
+        { type: "string", enum: ["json", "csv", "ndjson", "xml"] },
+        "Response format (instead of the Accept header)"
+    ),
+};
+
+// Error bodies: a problem document, or the legacy envelope for clients
+// that prefer application/json (see src/utils/problems.js)
+const errorContent = {
+    "application/problem+json": { schema: ref("Problem") },
+    "application/json": { schema: ref("Error") },
+};
+
+// Responses shared by several routes
+export const responses = {
+    BadRequest: { description: "Invalid request", content: errorContent },
+    NotFound: { description: "Record not found", content: errorContent },
+    Conflict: {
+        description: "Conflict with the current state (e.g. duplicate email, failed JSON Patch test)",
+        content: errorContent,
+    },
+    PreconditionFailed: {
+        description: "If-Match does not match the current version",
+        headers: { ETag: ref("ETag", "headers") },
+        content: errorContent,
+    },
+    UnsupportedMediaType: {
+        description: "Unsupported Content-Type",
+        content: errorContent,
+    },
+    UnprocessableEntity: {
+        description: "The patched record would be invalid",
+        content: errorContent,
+    },
+    NotAcceptable: {
+        description: "Neither format nor Accept names a supported format",
+        content: errorContent,
+    },
+};
+
+// Response headers shared by several routes
+export const headers = {
+    ETag: { description: "Version of the returned record", schema: { type: "string", examples: ['"3"'] } },
+    Link: { description: "RFC 8288 links to the next, previous and first page", schema: { type: "string" } },
+};
+
+/**
+ * Describe the trash routes of a resource (see src/routes/trash.js)
+ * @param {string} resource - Path segment (e.g. "tasks")
+ * @param {string} label - Resource name (e.g. "Task")
+ * @param {string} tag - Tag of the operations
+ * @returns {Object} OpenAPI paths
+ */
+export const trashPaths = (resource, label, tag) => ({
+    [`/${resource}/trash`]: {
+        get: {
+            tags: [tag],
+            summary: `List deleted ${resource}`,
+            description: "Most recently deleted first",
+            parameters: [
+                ref("Limit", "parameters"),
+                ref("Cursor", "parameters"),
+                ref("Fields", "parameters"),
+                ref("Format", "parameters"),
+            ],
+            responses: {
+                200: listResponse(`Deleted ${resource}`, ref(label)),
+                400: ref("BadRequest", "responses"),
+                406: ref("NotAcceptable", "responses"),
+            },
+        },
+        delete: {
+            tags: [tag],
+            summary: `Purge ${resource} past the retention period`,
+            parameters: [
+                query(
+                    "olderThanDays",
+                    { type: "integer", minimum: 0 },
+                    "Override the retention period (0 empties the trash)"
+                ),
+            ],
+            responses: {
+                200: {
+                    description: `Purged ${resource}`,
+                    content: {
+                        "application/json": {
+                            schema: {
+                                type: "object",
+                                properties: {
+                                    success: { const: true },
+                                    message: { type: "string" },
+                                    count: { type: "integer" },
+                                    data: { type: "array", items: ref(label) },
+                                },
+                            },
+                        },
+                    },
+                },
+                400: ref("BadRequest", "responses"),
+            },
+        },
+    },
+    [`/${resource}/{id}/restore`]: {
+        post: {
+            tags: [tag],
+            summary: `Restore a deleted ${label.toLowerCase()}`,
+            parameters: [ref("Id", "parameters"), ref("IfMatch", "parameters")],
+            responses: {
+                200: recordResponse(`Restored ${label.toLowerCase()}`, ref(label), { message: true }),
+                400: ref("BadRequest", "responses"),
+                404: ref("NotFound", "responses"),
+                409: { ...ref("Conflict", "responses"), description: "Not in the trash" },
+                412: ref("PreconditionFailed", "responses"),
+            },
+        },
+    },
+});
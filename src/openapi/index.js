@@ -0,0 +1,141 @@
+/**
+ * OpenAPI Document
+ * 
+ * Assembles the OpenAPI 3.1 description of the API from the route
+ * descriptions in src/openapi/paths/ and the shared components. The
+ * document is served at GET /api/openapi.json and rendered by the docs
+ * page at /api/docs.
+ * 
+ * checkRouteDocs() compares the document with the routes actually mounted
+ * on the API router, so a route added without a description (or a
+ * description left behind after a route is removed) is caught by
+ * `npm run docs:check`.
+ */
+
+import { readFileSync } from "fs";
+import { config } from "../config/index.js";
+import { headers, parameters, responses } from "./common.js";
+import { schemas } from "./schemas.js";
+import { generalPaths } from "./paths/general.js";
+import { taskPaths } from "./paths/tasks.js";
+import { userPaths } from "./paths/users.js";
+import { productPaths } from "./paths/products.js";
+import { webhookPaths } from "./paths/webhooks.js";
+
+// HTTP methods an OpenAPI path item can describe
+const HTTP_METHODS = ["get", "put", "post", "delete", "options", "head", "patch", "trace"];
+
+// The API version is the package version
+const packageInfo = JSON.parse(readFileSync(new URL("../../package.json", import.meta.url), "utf8"));
+
+// Built once, on first use
+let document = null;
+
+/**
+ * Build the OpenAPI document (cached after the first call)
+ * @returns {Object} OpenAPI 3.1 document
+ */
+export const buildOpenApiDocument = () => {
+    if (document) return document;
+
+    document = {
+        openapi: "3.1.0",
+        info: {
+            title: `${config.appName} API`,
+            version: packageInfo.version,
+            description:
+                "REST API for tasks, users and products. Records carry a version that is sent as the ETag; " +
+                "send it back in If-Match to avoid overwriting someone else's changes.\n\n" +
+                "The responses described here are those of version 1 (deprecated). Version 2 serves the same " +
+                "routes with a normalized envelope: `{ data, meta }` instead of success/message and the other " +
+                "top-level members, string ids, updatedAt on every record, and problem documents for every " +
+                "error. Pick a version with the URL prefix or, on /api, the API-Version header.",
+        },
+        servers: [
+            { url: "/api", description: "Version from the API-Version header (default: version 1)" },
+            { url: "/api/v1", description: "Version 1 (deprecated)" },
+            { url: "/api/v2", description: "Version 2" },
+        ],
+        tags: [
+            { name: "General", description: "Health check, batch requests and this document" },
+            { name: "Tasks", description: "Tasks with history, trash bin and calendar feed" },
+            { name: "Users", description: "Users and their calendar subscriptions" },
+            { name: "Products", description: "Product catalog with CSV import and export" },
+            { name: "Webhooks", description: "Event subscriptions and their delivery log" },
+            { name: "Test", description: "Quick checks" },
+        ],
+        paths: {
+            ...generalPaths,
+            ...taskPaths,
+            ...userPaths,
+            ...productPaths,
+            ...webhookPaths,
+        },
+        components: { schemas, parameters, responses, headers },
+    };
+
+    return document;
+};
+
+/**
+ * List the routes mounted on a router
+ * @param {Function} router - Express router
+ * @param {Map<Function, string>} mountPaths - Path each sub-router is mounted at
+ * @param {string} prefix - Path of the router itself
+ * @returns {Object} { routes: [{ method, path }], unknown: [layer names] }
+ *   Paths use the OpenAPI form (/tasks/{id}); unknown lists sub-routers
+ *   whose mount path is not recorded
+ */
+export const listRoutes = (router, mountPaths, prefix = "") => {
+    const routes = [];
+    const unknown = [];
+
+    for (const layer of router.stack) {
+        if (layer.route) {
+            // Express paths (/tasks/:id) become OpenAPI paths (/tasks/{id})
+            const path = `${prefix}${layer.route.path}`.replace(/:(\w+)/g, "{$1}").replace(/(.)\/$/, "$1");
+            for (const method of Object.keys(layer.route.methods)) {
+                if (method !== "_all") routes.push({ method, path: path || "/" });
+            }
+        } else if (layer.handle.stack) {
+            // Sub-router: its routes are relative to where it is mounted
+            const mountPath = mountPaths.get(layer.handle) ?? (layer.slash ? "" : null);
+            if (mountPath === null) {
+                unknown.push(layer.name);
+                continue;
+            }
+            const nested = listRoutes(layer.handle, mountPaths, `${prefix}${mountPath}`);
+            routes.push(...nested.routes);
+            unknown.push(...nested.unknown);
+        }
+    }
+
+    return { routes, unknown };
+};
+
+/**
+ * Compare the mounted routes with the OpenAPI document
+ * @param {Function} router - API router (mounted at /api)
+ * @param {Map<Function, string>} mountPaths - Path each sub-router is mounted at
+ * @returns {Object} { undocumented, stale, unknown }
+ *   undocumented: "METHOD /path" of routes without a description
+ *   stale: "METHOD /path" of descriptions without a route
+ *   unknown: sub-routers whose mount path is not recorded
+ */
+export const checkRouteDocs = (router, mountPaths) => {
+    const { paths } = buildOpenApiDocument();
+    const { routes, unknown } = listRoutes(router, mountPaths);
+
+    const mounted = new Set(routes.map(({ method, path }) => `${method.toUpperCase()} ${path}`));
+    const documented = new Set(
+        Object.entries(paths).flatMap(([path, item]) =>
+            HTTP_METHODS.filter((method) => item[method]).map((method) => `${method.toUpperCase()} ${path}`)
+        )
+    );
+
+    return {
+        undocumented: [...mounted].filter((route) => !documented.has(route)),
+        stale: [...documented].filter((route) => !mounted.has(route)),
+        unknown,
+    };
+};
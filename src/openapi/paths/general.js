@@ -0,0 +1,188 @@
+/**
+ * OpenAPI Description of the General Routes
+ * (health check, batch, GraphQL, live events, API description and test routes)
+ */
+
+import { jsonBody, listResponse, query, recordResponse, ref } from "../common.js";
+
+// A JSON object with a message
+const messageSchema = {
+    type: "object",
+    properties: { message: { type: "string" } },
+};
+
+// An entry of the error code catalog
+const problemTypeSchema = {
+    type: "object",
+    properties: {
+        code: { type: "string", examples: ["VALIDATION_FAILED"] },
+        type: { type: "string", examples: ["/api/problems/validation-failed"] },
+        status: { type: "integer" },
+        title: { type: "string" },
+        description: { type: "string" },
+    },
+};
+
+export const generalPaths = {
+    "/": {
+        get: {
+            tags: ["General"],
+            summary: "Health check",
+            responses: {
+                200: {
+                    description: "Application status",
+                    content: {
+                        "application/json": {
+                            schema: {
+                                type: "object",
+                                properties: {
+                                    message: { type: "string" },
+                                    environment: { type: "string" },
+                                    appName: { type: "string" },
+                                    time: { type: "string", format: "date-time" },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    },
+    "/openapi.json": {
+        get: {
+            tags: ["General"],
+            summary: "This OpenAPI document",
+            responses: {
+                200: {
+                    description: "OpenAPI 3.1 document",
+                    content: { "application/json": { schema: { type: "object" } } },
+                },
+            },
+        },
+    },
+    "/batch": {
+        post: {
+            tags: ["General"],
+            summary: "Run several API requests in one call",
+            description:
+                "sequential (default): requests run in order and can use earlier results with " +
+                "{{id.body.data.field}}. parallel: requests run at the same time.",
+            requestBody: jsonBody(ref("BatchRequest")),
+            responses: {
+                200: {
+                    description: "One result per sub-request, whatever their statuses",
+                    content: { "application/json": { schema: ref("BatchResponse") } },
+                },
+                400: ref("BadRequest", "responses"),
+            },
+        },
+    },
+    "/graphql": {
+        post: {
+            tags: ["General"],
+            summary: "Run a GraphQL query or mutation",
+            description:
+                "Queries users, products and tasks with the filters and sorts of their list routes; " +
+                "mutations are validated like the REST routes. Queries deeper or more complex than the " +
+                "configured limits are rejected with QUERY_TOO_COMPLEX.",
+            requestBody: jsonBody(ref("GraphqlRequest")),
+            responses: {
+                200: {
+                    description: "Result; errors of single fields are listed next to the data",
+                    content: { "application/json": { schema: ref("GraphqlResponse") } },
+                },
+                400: {
+                    description: "The request could not run (syntax, schema, variable or limit errors)",
+                    content: { "application/json": { schema: ref("GraphqlResponse") } },
+                },
+            },
+        },
+    },
+    "/events": {
+        get: {
+            tags: ["General"],
+            summary: "Stream resource events (Server-Sent Events)",
+            description:
+                "Sends task, product and user changes as they happen: the event name is the event type " +
+                "(task.created, task.updated, task.deleted, task.restored, task.purged and the same for " +
+                "products and users), the data the event as JSON. Idle connections get heartbeat comments. " +
+                "A client that reconnects with Last-Event-ID gets the events it missed, or a reset event " +
+                "if they are no longer available.",
+            parameters: [
+                query(
+                    "resources",
+                    { type: "string", examples: ["tasks,products"] },
+                    "Comma-separated resources to follow (tasks, products, users); default: all"
+                ),
+                query("lastEventId", { type: "string" }, "Resume after this event (instead of Last-Event-ID)"),
+                {
+                    name: "Last-Event-ID",
+                    in: "header",
+                    schema: { type: "string" },
+                    description: "Id of the last event received; the missed events are sent first",
+                },
+            ],
+            responses: {
+                200: {
+                    description: "Event stream",
+                    content: {
+                        "text/event-stream": {
+                            schema: { type: "string" },
+                            example:
+                                'id: 3f9c01ab-42\nevent: task.updated\ndata: {"id":"3f9c01ab-42","type":"task.updated",' +
+                                '"createdAt":"...","data":{"record":{...},"changes":{"status":{"from":"pending","to":"completed"}}}}\n\n',
+                        },
+                    },
+                },
+                400: ref("BadRequest", "responses"),
+            },
+        },
+    },
+    "/problems": {
+        get: {
+            tags: ["General"],
+            summary: "List the error codes",
+            description: "Every code used in problem documents, with its type URI, status and meaning.",
+            responses: {
+                200: listResponse("Error codes", problemTypeSchema),
+            },
+        },
+    },
+    "/problems/{type}": {
+        get: {
+            tags: ["General"],
+            summary: "Describe a problem type",
+            parameters: [
+                {
+                    name: "type",
+                    in: "path",
+                    required: true,
+                    schema: { type: "string", examples: ["validation-failed"] },
+                    description: "Last segment of the problem type URI",
+                },
+            ],
+            responses: {
+                200: recordResponse("Problem type", problemTypeSchema, { etag: false }),
+                404: ref("NotFound", "responses"),
+            },
+        },
+    },
+    "/test/hello": {
+        get: {
+            tags: ["Test"],
+            summary: "Hello world",
+            responses: {
+                200: { description: "Greeting", content: { "application/json": { schema: messageSchema } } },
+            },
+        },
+    },
+    "/test/hi": {
+        get: {
+            tags: ["Test"],
+            summary: "Hello world (variant)",
+            responses: {
+                200: { description: "Greeting", content: { "application/json": { schema: messageSchema } } },
+            },
+        },
+    },
+};
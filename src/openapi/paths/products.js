@@ -0,0 +1,141 @@
+/**
+ * OpenAPI Description of the Product Routes (src/routes/products.js)
+ */
+
+import { jsonBody, listResponse, patchBody, query, recordResponse, ref, trashPaths } from "../common.js";
+
+const tag = "Products";
+
+// Filters shared by the product list and the CSV export
+const productFilters = [
+    query("q", { type: "string" }, "Full-text search in name, category and description (ranked by relevance)"),
+    query("category", { type: "string" }, "Only products in this category (case-insensitive)"),
+    query("minPrice", { type: "number" }, "Minimum price"),
+    query("maxPrice", { type: "number" }, "Maximum price"),
+    ref("Filter", "parameters"),
+];
+
+export const productPaths = {
+    "/products": {
+        get: {
+            tags: [tag],
+            summary: "List products",
+            parameters: [
+                ...productFilters,
+                ref("Limit", "parameters"),
+                ref("Cursor", "parameters"),
+                ref("Fields", "parameters"),
+                ref("Format", "parameters"),
+            ],
+            responses: {
+                200: listResponse("Products", ref("Product")),
+                400: ref("BadRequest", "responses"),
+                406: ref("NotAcceptable", "responses"),
+            },
+        },
+        post: {
+            tags: [tag],
+            summary: "Create a product",
+            requestBody: jsonBody(ref("NewProduct")),
+            responses: {
+                201: recordResponse("Created product", ref("Product")),
+                400: ref("BadRequest", "responses"),
+            },
+        },
+    },
+    "/products/export.csv": {
+        get: {
+            tags: [tag],
+            summary: "Download products as CSV",
+            description: "Columns: id, name, description, price, category, stock, createdAt, version.",
+            parameters: productFilters,
+            responses: {
+                200: {
+                    description: "CSV file",
+                    content: { "text/csv": { schema: { type: "string" } } },
+                },
+                400: ref("BadRequest", "responses"),
+            },
+        },
+    },
+    "/products/import": {
+        post: {
+            tags: [tag],
+            summary: "Create or update products from a CSV file",
+            description:
+                "Rows with an id update that product; rows without one update the product with the same " +
+                "name or create a new one. Invalid rows are skipped and reported.",
+            parameters: [
+                query("dryRun", { type: "boolean", default: false }, "Report what would change without saving"),
+            ],
+            requestBody: {
+                required: true,
+                content: {
+                    "text/csv": {
+                        schema: { type: "string" },
+                        example: "name,description,price,category,stock\r\nDesk Lamp,LED lamp,25,Home,4\r\n",
+                    },
+                },
+            },
+            responses: {
+                200: { description: "Row-by-row report", content: { "application/json": { schema: ref("ImportReport") } } },
+                400: ref("BadRequest", "responses"),
+                415: ref("UnsupportedMediaType", "responses"),
+            },
+        },
+    },
+    ...trashPaths("products", "Product", tag),
+    "/products/{id}": {
+        parameters: [ref("Id", "parameters")],
+        get: {
+            tags: [tag],
+            summary: "Get a product",
+            parameters: [ref("Fields", "parameters"), ref("Format", "parameters")],
+            responses: {
+                200: recordResponse("Product", ref("Product"), { formats: true }),
+                400: ref("BadRequest", "responses"),
+                404: ref("NotFound", "responses"),
+                406: ref("NotAcceptable", "responses"),
+            },
+        },
+        put: {
+            tags: [tag],
+            summary: "Update a product",
+            description: "Only the provided fields are changed.",
+            parameters: [ref("IfMatch", "parameters")],
+            requestBody: jsonBody(ref("ProductChanges")),
+            responses: {
+                200: recordResponse("Updated product", ref("Product")),
+                400: ref("BadRequest", "responses"),
+                404: ref("NotFound", "responses"),
+                412: ref("PreconditionFailed", "responses"),
+            },
+        },
+        patch: {
+            tags: [tag],
+            summary: "Partially update a product",
+            description: "Plain JSON is treated as a JSON Merge Patch.",
+            parameters: [ref("IfMatch", "parameters")],
+            requestBody: patchBody(ref("ProductChanges")),
+            responses: {
+                200: recordResponse("Updated product", ref("Product")),
+                400: ref("BadRequest", "responses"),
+                404: ref("NotFound", "responses"),
+                409: ref("Conflict", "responses"),
+                412: ref("PreconditionFailed", "responses"),
+                415: ref("UnsupportedMediaType", "responses"),
+                422: ref("UnprocessableEntity", "responses"),
+            },
+        },
+        delete: {
+            tags: [tag],
+            summary: "Delete a product (moves it to the trash)",
+            parameters: [ref("IfMatch", "parameters")],
+            responses: {
+                200: recordResponse("Deleted product", ref("Product"), { message: true, etag: false }),
+                404: ref("NotFound", "responses"),
+                412: ref("PreconditionFailed", "responses"),
+            },
+        },
+    },
+};
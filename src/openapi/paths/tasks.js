@@ -0,0 +1,357 @@
+/**
+ * OpenAPI Description of the Task Routes (src/routes/tasks.js)
+ */
+
+import {
+    jsonBody,
+    listResponse,
+    patchBody,
+    pathId,
+    query,
+    recordResponse,
+    ref,
+    trashPaths,
+} from "../common.js";
+import { TASK_PRIORITIES, TASK_STATUSES } from "../../validation/schemas.js";
+
+const tag = "Tasks";
+
+// Filters shared by the task list and the calendar feed
+const statusParameter = query("status", { type: "string", enum: TASK_STATUSES }, "Only tasks with this status");
+const priorityParameter = query("priority", { type: "string", enum: TASK_PRIORITIES }, "Only tasks with this priority");
+
+// Responses of the routes that change the links of a task
+const linkConflict = {
+    ...ref("Conflict", "responses"),
+    description: "A link would create a cycle (DEPENDENCY_CYCLE), or the task has open blockers (TASK_BLOCKED)",
+};
+
+// Response of the routes that can complete a recurring task
+const updatedTask = recordResponse("Updated task", ref("Task"), {
+    message: true,
+    properties: {
+        nextOccurrence: {
+            ...ref("Task"),
+            description: "Task created for the next occurrence (when a recurring task is completed)",
+        },
+    },
+});
+
+// Parameters of the task lists (GET /tasks and GET /users/{id}/tasks)
+export const taskListParameters = [
+    query("q", { type: "string" }, "Full-text search in title and description (ranked by relevance)"),
+    statusParameter,
+    priorityParameter,
+    ref("Filter", "parameters"),
+    query("sortBy", { type: "string", enum: ["title", "priority", "dueDate", "createdAt"] }, "Sort field"),
+    query("order", { type: "string", enum: ["asc", "desc"], default: "asc" }, "Sort order"),
+    ref("Limit", "parameters"),
+    ref("Cursor", "parameters"),
+    ref("Fields", "parameters"),
+    { ...ref("Include", "parameters"), description: "Related records to embed: assignee, parent, subtasks" },
+    ref("Format", "parameters"),
+];
+
+export const taskPaths = {
+    "/tasks": {
+        get: {
+            tags: [tag],
+            summary: "List tasks",
+            description: "Supports search, filtering, sorting, cursor pagination, sparse fieldsets and embedding.",
+            parameters: [
+                ...taskListParameters,
+                query(
+                    "assignee",
+                    { oneOf: [{ type: "integer", minimum: 1 }, { const: "none" }] },
+                    "Only the tasks assigned to this user ID, or unassigned tasks (none)"
+                ),
+            ],
+            responses: {
+                200: listResponse("Tasks", ref("Task")),
+                400: ref("BadRequest", "responses"),
+                406: ref("NotAcceptable", "responses"),
+            },
+        },
+        post: {
+            tags: [tag],
+            summary: "Create a task",
+            description:
+                "assigneeId must be the ID of an existing user (UNKNOWN_USER otherwise), and parentId and " +
+                "blockedBy IDs of existing tasks (UNKNOWN_TASK). A task cannot be created completed while " +
+                "tasks it is blocked by are open. A recurring task (recurrence) needs a dueDate.",
+            requestBody: jsonBody(ref("NewTask")),
+            responses: {
+                201: recordResponse("Created task", ref("Task"), { message: true }),
+                400: ref("BadRequest", "responses"),
+                409: linkConflict,
+            },
+        },
+    },
+    "/tasks/calendar.ics": {
+        get: {
+            tags: [tag],
+            summary: "iCalendar feed of task due dates",
+            description:
+                "RFC 5545 calendar of the tasks that have a due date. With a subscription token " +
+                "(POST /users/{id}/calendar) only the tasks assigned to that user are included.",
+            parameters: [
+                statusParameter,
+                priorityParameter,
+                ref("Filter", "parameters"),
+                query(
+                    "component",
+                    { type: "string", enum: ["event", "todo"], default: "event" },
+                    "All-day events (VEVENT) or to-dos (VTODO)"
+                ),
+                query("token", { type: "string" }, "Calendar subscription token of a user"),
+            ],
+            responses: {
+                200: {
+                    description: "iCalendar document",
+                    content: { "text/calendar": { schema: { type: "string" } } },
+                },
+                400: ref("BadRequest", "responses"),
+                404: { ...ref("NotFound", "responses"), description: "Unknown or revoked subscription token" },
+            },
+        },
+    },
+    "/tasks/bulk": {
+        post: {
+            tags: [tag],
+            summary: "Create, update and delete many tasks",
+            description:
+                "atomic (default): all or nothing; the error lists every failing operation. " +
+                "partial: every operation gets its own result.",
+            requestBody: jsonBody(ref("BulkRequest")),
+            responses: {
+                200: { description: "Results", content: { "application/json": { schema: ref("BulkResponse") } } },
+                400: ref("BadRequest", "responses"),
+                404: ref("NotFound", "responses"),
+                409: linkConflict,
+                412: ref("PreconditionFailed", "responses"),
+            },
+        },
+    },
+    ...trashPaths("tasks", "Task", tag),
+    "/tasks/{id}": {
+        parameters: [ref("Id", "parameters")],
+        get: {
+            tags: [tag],
+            summary: "Get a task",
+            description: "A task with subtasks has their rolled-up progress.",
+            parameters: [
+                ref("Fields", "parameters"),
+                { ...ref("Include", "parameters"), description: "Related records to embed: assignee, parent, subtasks" },
+                ref("Format", "parameters"),
+            ],
+            responses: {
+                200: recordResponse("Task", ref("Task"), { formats: true }),
+                400: ref("BadRequest", "responses"),
+                404: ref("NotFound", "responses"),
+                406: ref("NotAcceptable", "responses"),
+            },
+        },
+        put: {
+            tags: [tag],
+            summary: "Replace a task",
+            description:
+                "title, status and priority are required; omitted optional fields are cleared. Completing a " +
+                "recurring task creates the task of its next occurrence.",
+            parameters: [ref("IfMatch", "parameters")],
+            requestBody: jsonBody(ref("TaskReplacement")),
+            responses: {
+                200: updatedTask,
+                400: ref("BadRequest", "responses"),
+                404: ref("NotFound", "responses"),
+                409: linkConflict,
+                412: ref("PreconditionFailed", "responses"),
+            },
+        },
+        patch: {
+            tags: [tag],
+            summary: "Partially update a task",
+            description:
+                "Plain JSON is treated as a JSON Merge Patch. Completing a recurring task creates the task of " +
+                "its next occurrence.",
+            parameters: [ref("IfMatch", "parameters")],
+            requestBody: patchBody(ref("TaskChanges")),
+            responses: {
+                200: updatedTask,
+                400: ref("BadRequest", "responses"),
+                404: ref("NotFound", "responses"),
+                409: {
+                    ...ref("Conflict", "responses"),
+                    description: "A JSON Patch test failed, a link would create a cycle or the task has open blockers",
+                },
+                412: ref("PreconditionFailed", "responses"),
+                415: ref("UnsupportedMediaType", "responses"),
+                422: ref("UnprocessableEntity", "responses"),
+            },
+        },
+        delete: {
+            tags: [tag],
+            summary: "Delete a task (moves it to the trash)",
+            parameters: [ref("IfMatch", "parameters")],
+            responses: {
+                200: recordResponse("Deleted task", ref("Task"), { message: true, etag: false }),
+                400: ref("BadRequest", "responses"),
+                404: ref("NotFound", "responses"),
+                412: ref("PreconditionFailed", "responses"),
+            },
+        },
+    },
+    "/tasks/{id}/graph": {
+        get: {
+            tags: [tag],
+            summary: "Get the dependency graph around a task",
+            description:
+                "The task, the tasks it is blocked by (directly or not) and the tasks waiting on it, in " +
+                "topological order: every task comes after its blockers. Tasks in the trash are left out.",
+            parameters: [ref("Id", "parameters"), ref("Format", "parameters")],
+            responses: {
+                200: {
+                    description: "Tasks in topological order and the blockedBy links between them",
+                    content: {
+                        "application/json": {
+                            schema: {
+                                type: "object",
+                                properties: {
+                                    success: { const: true },
+                                    count: { type: "integer" },
+                                    data: { type: "array", items: ref("Task") },
+                                    edges: {
+                                        type: "array",
+                                        items: {
+                                            type: "object",
+                                            properties: {
+                                                blockerId: { type: "integer" },
+                                                taskId: { type: "integer", description: "Task blocked by blockerId" },
+                                            },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+                400: ref("BadRequest", "responses"),
+                404: ref("NotFound", "responses"),
+                406: ref("NotAcceptable", "responses"),
+            },
+        },
+    },
+    "/tasks/{id}/occurrences": {
+        get: {
+            tags: [tag],
+            summary: "Preview the occurrences of a recurring task",
+            description:
+                "The task's own occurrence (current) and the upcoming ones (scheduled or skipped) in the " +
+                "range, earliest first. 404 if the task does not recur. Dates more than 10 years after the " +
+                "task's own occurrence are rejected (400).",
+            parameters: [
+                ref("Id", "parameters"),
+                query("from", { type: "string", format: "date" }, "First date (default: today)"),
+                query("to", { type: "string", format: "date" }, "Last date (default: one year after from)"),
+            ],
+            responses: {
+                200: {
+                    description: "Occurrences, earliest first",
+                    content: {
+                        "application/json": {
+                            schema: {
+                                type: "object",
+                                properties: {
+                                    success: { const: true },
+                                    count: { type: "integer" },
+                                    data: { type: "array", items: ref("Occurrence") },
+                                    truncated: {
+                                        type: "boolean",
+                                        description: "The range holds more than the 366 occurrences listed",
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+                400: ref("BadRequest", "responses"),
+                404: ref("NotFound", "responses"),
+            },
+        },
+    },
+    "/tasks/{id}/occurrences/{date}": {
+        patch: {
+            tags: [tag],
+            summary: "Skip or change a single occurrence of a recurring task",
+            description:
+                "Changes are saved on the task and applied when the occurrence's task is created. The " +
+                "task's own occurrence can only be skipped, which moves the task to the next occurrence " +
+                "(409 if it is the last one). Dates more than 10 years after the task's own occurrence are " +
+                "rejected (400).",
+            parameters: [
+                ref("Id", "parameters"),
+                {
+                    name: "date",
+                    in: "path",
+                    required: true,
+                    schema: { type: "string", format: "date" },
+                    description: "Scheduled date of the occurrence",
+                },
+                ref("IfMatch", "parameters"),
+            ],
+            requestBody: jsonBody(ref("OccurrenceChanges")),
+            responses: {
+                200: recordResponse("Updated task", ref("Task"), { message: true }),
+                400: ref("BadRequest", "responses"),
+                404: { ...ref("NotFound", "responses"), description: "The task does not recur on that date" },
+                409: { ...ref("Conflict", "responses"), description: "The last occurrence cannot be skipped" },
+                412: ref("PreconditionFailed", "responses"),
+            },
+        },
+    },
+    "/tasks/{id}/history": {
+        get: {
+            tags: [tag],
+            summary: "List every change made to a task",
+            parameters: [ref("Id", "parameters"), ref("Format", "parameters")],
+            responses: {
+                200: {
+                    description: "History entries, oldest first",
+                    content: {
+                        "application/json": {
+                            schema: {
+                                type: "object",
+                                properties: {
+                                    success: { const: true },
+                                    count: { type: "integer" },
+                                    data: { type: "array", items: ref("HistoryEntry") },
+                                },
+                            },
+                        },
+                    },
+                },
+                400: ref("BadRequest", "responses"),
+                404: ref("NotFound", "responses"),
+                406: ref("NotAcceptable", "responses"),
+            },
+        },
+    },
+    "/tasks/{id}/revert/{version}": {
+        post: {
+            tags: [tag],
+            summary: "Restore a task to an earlier version",
+            description: "The snapshot of that version becomes a new version. A deleted task is re-created.",
+            parameters: [
+                ref("Id", "parameters"),
+                pathId("version", "Version to restore"),
+                ref("IfMatch", "parameters"),
+            ],
+            responses: {
+                200: recordResponse("Restored task", ref("Task"), { message: true }),
+                400: ref("BadRequest", "responses"),
+                404: ref("NotFound", "responses"),
+                409: linkConflict,
+                412: ref("PreconditionFailed", "responses"),
+            },
+        },
+    },
+};
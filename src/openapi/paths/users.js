@@ -0,0 +1,179 @@
+/**
+ * OpenAPI Description of the User Routes (src/routes/users.js)
+ */
+
+import {
+    jsonBody,
+    listResponse,
+    messageResponse,
+    patchBody,
+    query,
+    recordResponse,
+    ref,
+    trashPaths,
+} from "../common.js";
+import { taskListParameters } from "./tasks.js";
+import { ASSIGNED_TASKS_POLICIES } from "../../validation/schemas.js";
+
+const tag = "Users";
+
+export const userPaths = {
+    "/users": {
+        get: {
+            tags: [tag],
+            summary: "List users",
+            parameters: [
+                ref("Filter", "parameters"),
+                ref("Limit", "parameters"),
+                ref("Cursor", "parameters"),
+                ref("Fields", "parameters"),
+                { ...ref("Include", "parameters"), description: "Related records to embed: tasks, tasks.assignee" },
+                ref("Format", "parameters"),
+            ],
+            responses: {
+                200: listResponse("Users", ref("User")),
+                400: ref("BadRequest", "responses"),
+                406: ref("NotAcceptable", "responses"),
+            },
+        },
+        post: {
+            tags: [tag],
+            summary: "Create a user",
+            requestBody: jsonBody(ref("NewUser")),
+            responses: {
+                201: recordResponse("Created user", ref("User")),
+                400: ref("BadRequest", "responses"),
+                409: { ...ref("Conflict", "responses"), description: "Email already in use" },
+            },
+        },
+    },
+    ...trashPaths("users", "User", tag),
+    "/users/{id}": {
+        parameters: [ref("Id", "parameters")],
+        get: {
+            tags: [tag],
+            summary: "Get a user",
+            parameters: [ref("Fields", "parameters"), ref("Include", "parameters"), ref("Format", "parameters")],
+            responses: {
+                200: recordResponse("User", ref("User"), { formats: true }),
+                400: ref("BadRequest", "responses"),
+                404: ref("NotFound", "responses"),
+                406: ref("NotAcceptable", "responses"),
+            },
+        },
+        put: {
+            tags: [tag],
+            summary: "Update a user",
+            description: "Only the provided fields are changed.",
+            parameters: [ref("IfMatch", "parameters")],
+            requestBody: jsonBody(ref("UserChanges")),
+            responses: {
+                200: recordResponse("Updated user", ref("User")),
+                400: ref("BadRequest", "responses"),
+                404: ref("NotFound", "responses"),
+                409: { ...ref("Conflict", "responses"), description: "Email already in use" },
+                412: ref("PreconditionFailed", "responses"),
+            },
+        },
+        patch: {
+            tags: [tag],
+            summary: "Partially update a user",
+            description: "Plain JSON is treated as a JSON Merge Patch.",
+            parameters: [ref("IfMatch", "parameters")],
+            requestBody: patchBody(ref("UserChanges")),
+            responses: {
+                200: recordResponse("Updated user", ref("User")),
+                400: ref("BadRequest", "responses"),
+                404: ref("NotFound", "responses"),
+                409: ref("Conflict", "responses"),
+                412: ref("PreconditionFailed", "responses"),
+                415: ref("UnsupportedMediaType", "responses"),
+                422: ref("UnprocessableEntity", "responses"),
+            },
+        },
+        delete: {
+            tags: [tag],
+            summary: "Delete a user (moves it to the trash)",
+            description:
+                "Tasks assigned to the user (including tasks in the trash) block the delete " +
+                "(409 USER_HAS_TASKS) unless they are unassigned or reassigned to another user.",
+            parameters: [
+                ref("IfMatch", "parameters"),
+                query(
+                    "assignedTasks",
+                    { type: "string", enum: ASSIGNED_TASKS_POLICIES },
+                    "What happens to the user's tasks (default: reject, or reassign with reassignTo)"
+                ),
+                query("reassignTo", { type: "integer" }, "ID of the user who gets the tasks"),
+            ],
+            responses: {
+                200: recordResponse("Deleted user", ref("User"), {
+                    message: true,
+                    etag: false,
+                    properties: {
+                        assignedTasks: {
+                            type: "object",
+                            properties: {
+                                policy: { type: "string", enum: ASSIGNED_TASKS_POLICIES },
+                                taskIds: { type: "array", items: { type: "integer" } },
+                            },
+                        },
+                    },
+                }),
+                400: ref("BadRequest", "responses"),
+                404: ref("NotFound", "responses"),
+                409: { ...ref("Conflict", "responses"), description: "Tasks are assigned to the user" },
+                412: ref("PreconditionFailed", "responses"),
+            },
+        },
+    },
+    "/users/{id}/tasks": {
+        parameters: [ref("Id", "parameters")],
+        get: {
+            tags: [tag],
+            summary: "List the tasks assigned to a user",
+            description: "Takes the search, filter, sort and pagination parameters of GET /tasks.",
+            parameters: taskListParameters,
+            responses: {
+                200: listResponse("Tasks", ref("Task")),
+                400: ref("BadRequest", "responses"),
+                404: ref("NotFound", "responses"),
+                406: ref("NotAcceptable", "responses"),
+            },
+        },
+    },
+    "/users/{id}/calendar": {
+        parameters: [ref("Id", "parameters")],
+        post: {
+            tags: [tag],
+            summary: "Create a calendar subscription URL",
+            description:
+                "Returns a URL of the task calendar feed limited to the user's tasks. " +
+                "The token is only shown once; calling this again replaces the URL.",
+            responses: {
+                201: recordResponse(
+                    "Subscription",
+                    {
+                        type: "object",
+                        properties: {
+                            userId: { type: "integer" },
+                            token: { type: "string" },
+                            url: { type: "string", format: "uri" },
+                            webcalUrl: { type: "string" },
+                        },
+                    },
+                    { message: true, etag: false }
+                ),
+                404: ref("NotFound", "responses"),
+            },
+        },
+        delete: {
+            tags: [tag],
+            summary: "Revoke the calendar subscription URL",
+            responses: {
+                200: messageResponse("Subscription revoked"),
+                404: { ...ref("NotFound", "responses"), description: "The user has no subscription" },
+            },
+        },
+    },
+};
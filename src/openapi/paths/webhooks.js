@@ -0,0 +1,154 @@
+/**
+ * OpenAPI Description of the Webhook Routes (src/routes/webhooks.js)
+ */
+
+import { jsonBody, listResponse, patchBody, pathId, query, recordResponse, ref } from "../common.js";
+
+const tag = "Webhooks";
+
+// The :deliveryId parameter
+const deliveryId = pathId("deliveryId", "Delivery ID");
+
+export const webhookPaths = {
+    "/webhooks": {
+        get: {
+            tags: [tag],
+            summary: "List webhooks",
+            description: "Secrets are not included.",
+            parameters: [ref("Limit", "parameters"), ref("Cursor", "parameters"), ref("Format", "parameters")],
+            responses: {
+                200: listResponse("Webhooks", ref("Webhook")),
+                400: ref("BadRequest", "responses"),
+                406: ref("NotAcceptable", "responses"),
+            },
+        },
+        post: {
+            tags: [tag],
+            summary: "Subscribe to events",
+            description:
+                'events takes event types ("task.status_changed"), all events of a resource ("task.*") or ' +
+                'every event ("*"). The response contains the signing secret; it is not shown again.',
+            requestBody: jsonBody(ref("NewWebhook")),
+            responses: {
+                201: recordResponse("Created webhook, with its secret", ref("Webhook"), { message: true }),
+                400: ref("BadRequest", "responses"),
+            },
+        },
+    },
+    "/webhooks/events": {
+        get: {
+            tags: [tag],
+            summary: "List the event types",
+            responses: {
+                200: {
+                    description: "Event types",
+                    content: {
+                        "application/json": {
+                            schema: {
+                                type: "object",
+                                properties: {
+                                    success: { const: true },
+                                    count: { type: "integer" },
+                                    data: { type: "array", items: { type: "string" } },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    },
+    "/webhooks/{id}": {
+        parameters: [ref("Id", "parameters")],
+        get: {
+            tags: [tag],
+            summary: "Get a webhook",
+            parameters: [ref("Format", "parameters")],
+            responses: {
+                200: recordResponse("Webhook", ref("Webhook"), { formats: true }),
+                404: ref("NotFound", "responses"),
+                406: ref("NotAcceptable", "responses"),
+            },
+        },
+        patch: {
+            tags: [tag],
+            summary: "Change a webhook",
+            description: "Plain JSON is treated as a JSON Merge Patch. The secret cannot be changed.",
+            parameters: [ref("IfMatch", "parameters")],
+            requestBody: patchBody(ref("WebhookChanges")),
+            responses: {
+                200: recordResponse("Updated webhook", ref("Webhook")),
+                400: ref("BadRequest", "responses"),
+                404: ref("NotFound", "responses"),
+                409: ref("Conflict", "responses"),
+                412: ref("PreconditionFailed", "responses"),
+                415: ref("UnsupportedMediaType", "responses"),
+                422: ref("UnprocessableEntity", "responses"),
+            },
+        },
+        delete: {
+            tags: [tag],
+            summary: "Delete a webhook",
+            description: "Pending retries of its deliveries are cancelled.",
+            parameters: [ref("IfMatch", "parameters")],
+            responses: {
+                200: recordResponse("Deleted webhook", ref("Webhook"), { message: true, etag: false }),
+                404: ref("NotFound", "responses"),
+                412: ref("PreconditionFailed", "responses"),
+            },
+        },
+    },
+    "/webhooks/{id}/deliveries": {
+        parameters: [ref("Id", "parameters")],
+        get: {
+            tags: [tag],
+            summary: "List the deliveries of a webhook",
+            description: "Newest first, each with its payload and every attempt.",
+            parameters: [
+                query(
+                    "status",
+                    { type: "string", enum: ["pending", "succeeded", "failed", "cancelled"] },
+                    "Only deliveries in this state"
+                ),
+                query("event", { type: "string" }, "Only deliveries of this event type"),
+                ref("Limit", "parameters"),
+                ref("Cursor", "parameters"),
+                ref("Format", "parameters"),
+            ],
+            responses: {
+                200: listResponse("Deliveries", ref("WebhookDelivery")),
+                400: ref("BadRequest", "responses"),
+                404: ref("NotFound", "responses"),
+                406: ref("NotAcceptable", "responses"),
+            },
+        },
+    },
+    "/webhooks/{id}/deliveries/{deliveryId}": {
+        parameters: [ref("Id", "parameters"), deliveryId],
+        get: {
+            tags: [tag],
+            summary: "Get a delivery",
+            parameters: [ref("Format", "parameters")],
+            responses: {
+                200: recordResponse("Delivery", ref("WebhookDelivery"), { etag: false, formats: true }),
+                404: ref("NotFound", "responses"),
+                406: ref("NotAcceptable", "responses"),
+            },
+        },
+    },
+    "/webhooks/{id}/deliveries/{deliveryId}/replay": {
+        parameters: [ref("Id", "parameters"), deliveryId],
+        post: {
+            tags: [tag],
+            summary: "Replay a delivery",
+            description:
+                "Sends the event again as a new delivery (with replayOf set) to the webhook's current URL. " +
+                "The payload and its event id stay the same.",
+            responses: {
+                202: recordResponse("New delivery", ref("WebhookDelivery"), { message: true, etag: false }),
+                404: ref("NotFound", "responses"),
+                409: ref("Conflict", "responses"),
+            },
+        },
+    },
+};
@@ -0,0 +1,515 @@
+/**
+ * OpenAPI Component Schemas
+ * 
+ * JSON Schemas (draft 2020-12, as used by OpenAPI 3.1) for the records the
+ * API returns and the request bodies it accepts. Route descriptions refer to
+ * them with ref("Task"), ref("NewTask"), ...
+ */
+
+// Request bodies are described from the validation schemas, so the
+// document always matches what the routes accept
+import { toJsonSchema } from "../validation/index.js";
+import {
+    occurrenceSchema,
+    productSchema,
+    taskSchema,
+    userSchema,
+    WEBHOOK_EVENTS,
+    webhookSchema,
+} from "../validation/schemas.js";
+import { ERROR_CODES } from "../utils/problems.js";
+
+// Field types used by several schemas
+const id = { type: "integer", minimum: 1, examples: [1] };
+const timestamp = { type: "string", format: "date-time" };
+const nullableTimestamp = { type: ["string", "null"], format: "date-time" };
+const version = { type: "integer", minimum: 1, description: "Increases on every change (sent as the ETag)" };
+
+// Editable fields of each resource
+const taskFields = toJsonSchema(taskSchema, "update").properties;
+const productFields = toJsonSchema(productSchema, "update").properties;
+const userFields = toJsonSchema(userSchema, "update").properties;
+const webhookFields = toJsonSchema(webhookSchema, "update").properties;
+
+// Fields added to search results
+const searchFields = {
+    relevance: { type: "number", description: "Search relevance (only with q)" },
+    highlights: {
+        type: "object",
+        additionalProperties: { type: "string" },
+        description: "Matched fields with <mark> around the matches (only with q)",
+    },
+};
+
+export const schemas = {
+    Task: {
+        type: "object",
+        required: ["id", "title", "status", "priority", "createdAt", "version"],
+        properties: {
+            id,
+            ...taskFields,
+            description: { type: "string" },
+            createdAt: timestamp,
+            updatedAt: timestamp,
+            version,
+            deletedAt: { ...nullableTimestamp, description: "Set while the task is in the trash" },
+            ...searchFields,
+            assignee: {
+                oneOf: [{ $ref: "#/components/schemas/User" }, { type: "null" }],
+                description: "Assigned user (only with include=assignee)",
+            },
+            progress: {
+                type: "object",
+                description: "Completed subtasks, counting nested ones (only on tasks with subtasks)",
+                properties: {
+                    completed: { type: "integer" },
+                    total: { type: "integer" },
+                    percent: { type: "integer", minimum: 0, maximum: 100 },
+                },
+            },
+            parent: {
+                oneOf: [{ $ref: "#/components/schemas/Task" }, { type: "null" }],
+                description: "Parent task (only with include=parent)",
+            },
+            subtasks: {
+                type: "array",
+                items: { $ref: "#/components/schemas/Task" },
+                description: "Direct subtasks (only with include=subtasks)",
+            },
+            occurrenceDate: {
+                type: ["string", "null"],
+                format: "date",
+                description: "Scheduled date of the occurrence a recurring task stands for (its due date can differ)",
+            },
+            occurrenceOverrides: {
+                type: ["object", "null"],
+                additionalProperties: { $ref: "#/components/schemas/OccurrenceChanges" },
+                description: "Changes saved for single upcoming occurrences, by scheduled date",
+            },
+            seriesValues: {
+                type: ["object", "null"],
+                description: "Values of the series for the fields changed for this occurrence only",
+            },
+        },
+    },
+    NewTask: {
+        ...toJsonSchema(taskSchema, "create"),
+        description: "status defaults to pending and priority to medium",
+    },
+    TaskReplacement: toJsonSchema(taskSchema, "replace"),
+    TaskChanges: {
+        ...toJsonSchema(taskSchema, "update"),
+        description: "Only the provided fields are changed (a JSON Merge Patch); null removes a field",
+    },
+    Occurrence: {
+        type: "object",
+        required: ["date", "dueDate", "status"],
+        properties: {
+            date: { type: "string", format: "date", description: "Scheduled date" },
+            dueDate: { type: "string", format: "date", description: "Date it is due on (moved by a change)" },
+            status: {
+                type: "string",
+                enum: ["current", "scheduled", "skipped"],
+                description: "current is the task itself",
+            },
+            taskId: { type: "integer", description: "The task (current occurrence only)" },
+            changes: {
+                $ref: "#/components/schemas/OccurrenceChanges",
+                description: "Changes saved for this occurrence only",
+            },
+        },
+    },
+    OccurrenceChanges: {
+        ...toJsonSchema(occurrenceSchema, "update"),
+        description: "Changes to a single occurrence; null (or skipped: false) removes a change",
+    },
+    User: {
+        type: "object",
+        required: ["id", "name", "email", "createdAt", "version"],
+        properties: {
+            id,
+            ...userFields,
+            createdAt: timestamp,
+            updatedAt: timestamp,
+            version,
+            deletedAt: { ...nullableTimestamp, description: "Set while the user is in the trash" },
+            tasks: {
+                type: "array",
+                items: { $ref: "#/components/schemas/Task" },
+                description: "Assigned tasks (only with include=tasks)",
+            },
+        },
+    },
+    NewUser: toJsonSchema(userSchema, "create"),
+    UserChanges: toJsonSchema(userSchema, "update"),
+    Product: {
+        type: "object",
+        required: ["id", "name", "description", "price", "category", "stock", "createdAt", "version"],
+        properties: {
+            id,
+            ...productFields,
+            createdAt: timestamp,
+            updatedAt: timestamp,
+            version,
+            deletedAt: { ...nullableTimestamp, description: "Set while the product is in the trash" },
+            ...searchFields,
+        },
+    },
+    NewProduct: toJsonSchema(productSchema, "create"),
+    ProductChanges: toJsonSchema(productSchema, "update"),
+    Webhook: {
+        type: "object",
+        required: ["id", "url", "events", "active", "createdAt", "version"],
+        properties: {
+            id,
+            ...webhookFields,
+            secret: {
+                type: "string",
+                description: "Signing secret (only in the response that creates the webhook)",
+            },
+            createdAt: timestamp,
+            updatedAt: timestamp,
+            version,
+        },
+    },
+    NewWebhook: toJsonSchema(webhookSchema, "create"),
+    WebhookChanges: toJsonSchema(webhookSchema, "update"),
+    WebhookDelivery: {
+        type: "object",
+        properties: {
+            id,
+            webhookId: id,
+            eventId: { type: "string", format: "uuid", description: "Same for every delivery of the event" },
+            event: { type: "string", enum: WEBHOOK_EVENTS },
+            payload: {
+                type: "object",
+                description: "Request body sent to the webhook",
+                properties: {
+                    id: { type: "string", format: "uuid" },
+                    type: { type: "string", enum: WEBHOOK_EVENTS },
+                    createdAt: timestamp,
+                    data: {
+                        type: "object",
+                        properties: {
+                            record: { type: "object", description: "The task, product or user after the change" },
+                            changes: {
+                                type: "object",
+                                description: "Changed fields with their old and new value (updates only)",
+                            },
+                        },
+                    },
+                },
+            },
+            status: { type: "string", enum: ["pending", "succeeded", "failed", "cancelled"] },
+            attempts: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        number: { type: "integer", minimum: 1 },
+                        attemptedAt: timestamp,
+                        durationMs: { type: "integer" },
+                        statusCode: { type: ["integer", "null"], description: "null if no answer was received" },
+                        error: { type: ["string", "null"] },
+                        responseBody: { type: ["string", "null"], description: "Start of the answer" },
+                    },
+                },
+            },
+            nextAttemptAt: { ...nullableTimestamp, description: "Time of the next retry (pending deliveries)" },
+            replayOf: { type: ["integer", "null"], description: "The delivery this one replays" },
+            createdAt: timestamp,
+            updatedAt: timestamp,
+            version,
+        },
+    },
+    MergePatch: {
+        type: "object",
+        description: "JSON Merge Patch (RFC 7396): fields to change; null removes a field",
+    },
+    JsonPatch: {
+        type: "array",
+        description: "JSON Patch (RFC 6902), applied all or nothing",
+        items: {
+            type: "object",
+            required: ["op", "path"],
+            properties: {
+                op: { type: "string", enum: ["add", "remove", "replace", "move", "copy", "test"] },
+                path: { type: "string", description: "JSON Pointer, e.g. /status" },
+                from: { type: "string", description: "JSON Pointer (move and copy)" },
+                value: { description: "Value (add, replace and test)" },
+            },
+        },
+        examples: [[
+            { op: "test", path: "/status", value: "in-progress" },
+            { op: "replace", path: "/status", value: "completed" },
+        ]],
+    },
+    HistoryEntry: {
+        type: "object",
+        properties: {
+            id,
+            recordId: id,
+            version,
+            action: {
+                type: "string",
+                enum: ["create", "update", "patch", "delete", "restore", "revert", "purge"],
+            },
+            changes: {
+                type: "object",
+                additionalProperties: {
+                    type: "object",
+                    properties: { from: {}, to: {} },
+                },
+                description: "Changed fields with their old and new values",
+            },
+            snapshot: {
+                oneOf: [{ $ref: "#/components/schemas/Task" }, { type: "null" }],
+                description: "The task after the change (null once purged)",
+            },
+            changedBy: { type: ["integer", "null"], description: "X-User-Id of the request" },
+            changedAt: timestamp,
+        },
+    },
+    BulkRequest: {
+        type: "object",
+        required: ["operations"],
+        properties: {
+            mode: { type: "string", enum: ["atomic", "partial"], default: "atomic" },
+            operations: {
+                type: "array",
+                minItems: 1,
+                maxItems: 500,
+                items: {
+                    type: "object",
+                    required: ["op"],
+                    properties: {
+                        op: { type: "string", enum: ["create", "update", "delete"] },
+                        id: { ...id, description: "Task to update or delete" },
+                        version: { ...version, description: "Expected version (like If-Match)" },
+                        data: { type: "object", description: "Fields to create or change" },
+                    },
+                },
+            },
+        },
+    },
+    BulkResponse: {
+        type: "object",
+        properties: {
+            success: { type: "boolean", description: "False if any operation failed (partial mode)" },
+            mode: { type: "string", enum: ["atomic", "partial"] },
+            count: { type: "integer" },
+            succeeded: { type: "integer", description: "Partial mode only" },
+            failed: { type: "integer", description: "Partial mode only" },
+            results: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        index: { type: "integer" },
+                        op: { type: "string" },
+                        id: { type: ["integer", "null"] },
+                        success: { type: "boolean" },
+                        statusCode: { type: "integer" },
+                        code: { type: "string", description: "Error code of a failed operation" },
+                        data: { $ref: "#/components/schemas/Task" },
+                        nextOccurrence: {
+                            $ref: "#/components/schemas/Task",
+                            description: "Task created for the next occurrence of a completed recurring task",
+                        },
+                        error: { type: "string" },
+                    },
+                },
+            },
+        },
+    },
+    BatchRequest: {
+        type: "object",
+        required: ["requests"],
+        properties: {
+            mode: { type: "string", enum: ["sequential", "parallel"], default: "sequential" },
+            requests: {
+                type: "array",
+                minItems: 1,
+                maxItems: 20,
+                items: {
+                    type: "object",
+                    required: ["path"],
+                    properties: {
+                        id: { type: "string", pattern: "^[\\w-]+$", description: "Name used in {{id.body...}} references" },
+                        method: { type: "string", enum: ["GET", "POST", "PUT", "PATCH", "DELETE"], default: "GET" },
+                        path: { type: "string", pattern: "^/api", examples: ["/api/tasks/1"] },
+                        headers: { type: "object", additionalProperties: { type: "string" } },
+                        body: { description: "JSON request body" },
+                    },
+                },
+            },
+        },
+    },
+    BatchResponse: {
+        type: "object",
+        properties: {
+            success: { type: "boolean" },
+            mode: { type: "string", enum: ["sequential", "parallel"] },
+            count: { type: "integer" },
+            responses: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        id: { type: ["string", "null"] },
+                        status: { type: "integer" },
+                        headers: { type: "object", additionalProperties: { type: "string" } },
+                        body: { description: "Parsed JSON body (or text)" },
+                    },
+                },
+            },
+        },
+    },
+    GraphqlRequest: {
+        type: "object",
+        required: ["query"],
+        properties: {
+            query: {
+                type: "string",
+                description: "GraphQL query or mutation (the schema can be loaded by introspection)",
+                examples: ["{ tasks(status: PENDING, limit: 10) { nodes { id title assignee { name } } } }"],
+            },
+            variables: { type: ["object", "null"], description: "Values of the query's variables" },
+            operationName: { type: ["string", "null"], description: "Operation to run if the query has several" },
+        },
+    },
+    GraphqlResponse: {
+        type: "object",
+        properties: {
+            data: { type: ["object", "null"], description: "Result (left out if the request could not run)" },
+            errors: {
+                type: "array",
+                items: {
+                    type: "object",
+                    required: ["message", "extensions"],
+                    properties: {
+                        message: { type: "string" },
+                        locations: {
+                            type: "array",
+                            items: { type: "object", properties: { line: { type: "integer" }, column: { type: "integer" } } },
+                        },
+                        path: { type: "array", items: { type: ["string", "integer"] } },
+                        extensions: {
+                            type: "object",
+                            required: ["code"],
+                            properties: {
+                                code: { type: "string", enum: Object.keys(ERROR_CODES) },
+                                status: { type: "integer", description: "HTTP status of the failed REST call" },
+                                errors: { description: "Every failing field of invalid input (as in problem documents)" },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    },
+    ImportReport: {
+        type: "object",
+        properties: {
+            success: { type: "boolean" },
+            dryRun: { type: "boolean" },
+            summary: {
+                type: "object",
+                properties: {
+                    rows: { type: "integer" },
+                    created: { type: "integer" },
+                    updated: { type: "integer" },
+                    unchanged: { type: "integer" },
+                    failed: { type: "integer" },
+                },
+            },
+            rows: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        row: { type: "integer", description: "Line number in the file" },
+                        action: { type: "string", enum: ["create", "update", "unchanged", "error"] },
+                        id: { type: ["integer", "null"] },
+                        changes: { type: "array", items: { type: "string" } },
+                        error: { type: "string" },
+                    },
+                },
+            },
+        },
+    },
+    Problem: {
+        type: "object",
+        description: "RFC 7807 problem document (application/problem+json)",
+        required: ["type", "title", "status", "code"],
+        properties: {
+            type: { type: "string", format: "uri-reference", examples: ["/api/problems/validation-failed"] },
+            title: { type: "string", examples: ["Validation failed"] },
+            status: { type: "integer", examples: [400] },
+            detail: { type: "string", examples: ["Title is required"] },
+            instance: { type: "string", examples: ["/api/tasks"] },
+            code: { type: "string", enum: Object.keys(ERROR_CODES), description: "Stable error code (see GET /problems)" },
+            errors: {
+                type: "array",
+                description: "Every failing field of an invalid request body",
+                items: {
+                    type: "object",
+                    properties: {
+                        field: { type: ["string", "null"] },
+                        pointer: { type: "string", description: "JSON Pointer to the field", examples: ["/title"] },
+                        code: {
+                            type: "string",
+                            enum: [
+                                "REQUIRED",
+                                "INVALID_TYPE",
+                                "INVALID_FORMAT",
+                                "INVALID_VALUE",
+                                "TOO_SMALL",
+                                "UNKNOWN_FIELD",
+                                "NO_FIELDS",
+                                "UNKNOWN_USER",
+                                "UNKNOWN_TASK",
+                            ],
+                        },
+                        message: { type: "string" },
+                    },
+                },
+            },
+        },
+        additionalProperties: { description: "Extension members, e.g. position of a filter error" },
+    },
+    Error: {
+        type: "object",
+        description: "Legacy error envelope (sent when application/json is preferred)",
+        required: ["success", "error"],
+        properties: {
+            success: { const: false },
+            error: {
+                type: "object",
+                required: ["message"],
+                properties: {
+                    message: { type: "string" },
+                    code: { type: "string", enum: Object.keys(ERROR_CODES) },
+                    details: {
+                        type: "object",
+                        description: "Extra information, e.g. the position of a filter error",
+                        properties: {
+                            errors: {
+                                type: "array",
+                                description: "Every failing field of an invalid request body",
+                                items: {
+                                    type: "object",
+                                    properties: {
+                                        field: { type: ["string", "null"] },
+                                        code: { type: "string" },
+                                        message: { type: "string" },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    },
+};
@@ -0,0 +1,121 @@
+/**
+ * Live Resource Events
+ * 
+ * Feeds the Server-Sent Events stream of GET /api/events (see
+ * src/routes/events.js). Every create, update, delete, restore and purge of
+ * a task, product or user becomes an event that is passed to the open
+ * streams and kept in a bounded replay buffer (config.events.bufferSize), so
+ * a client that reconnects with Last-Event-ID gets the events it missed:
+ * 
+ *   { "id": "k3x9a1-42", "type": "task.updated", "createdAt": "...",
+ *     "data": { "record": { ... }, "changes": { "status": { "from": "pending", "to": "completed" } } } }
+ * 
+ * Event ids are "<stream>-<sequence>". The stream part changes when the
+ * server starts and when the storage is replaced. Ids of an earlier stream,
+ * and ids that have dropped out of the buffer, cannot be resumed from: such
+ * clients get a "reset" event and should reload what they show.
+ */
+
+import { randomBytes } from "crypto";
+import { config } from "../config/index.js";
+import { eventType, storageEvents } from "../storage/events.js";
+import { diffRecords } from "../storage/history.js";
+
+/**
+ * Create the id of a new event stream
+ * @returns {string} Random stream id
+ */
+const newStreamId = () => randomBytes(4).toString("hex");
+
+// Current stream and the sequence number of its latest event
+let streamId = newStreamId();
+let sequence = 0;
+
+// Latest events, oldest first: { sequence, event }
+const buffer = [];
+
+// Functions called with every event (one per open stream)
+const listeners = new Set();
+
+/**
+ * Get the id of the current position in the stream
+ * @returns {string} Id of the latest event (or of the start of the stream)
+ */
+const currentId = () => `${streamId}-${sequence}`;
+
+/**
+ * Pass an event to every open stream
+ * @param {Object} event - Event
+ */
+const broadcast = (event) => {
+    listeners.forEach((listener) => listener(event));
+};
+
+/**
+ * Create a reset event, telling a client to reload what it shows
+ * Its id is the current position, so the client resumes from there.
+ * @param {string} reason - Why the missed events cannot be sent
+ * @returns {Object} Event of type "reset"
+ */
+export const resetEvent = (reason) => ({
+    id: currentId(),
+    type: "reset",
+    createdAt: new Date().toISOString(),
+    data: { reason },
+});
+
+/**
+ * Get the events after a given event
+ * @param {string} lastEventId - Id of the last event the client received
+ * @returns {Array<Object>|null} The events since, oldest first, or null if
+ *   they cannot be told (another stream, or no longer in the buffer)
+ */
+export const eventsSince = (lastEventId) => {
+    const [stream, position] = String(lastEventId).split("-");
+    const after = Number(position);
+    if (stream !== streamId || !Number.isInteger(after) || after < 0 || after > sequence) return null;
+
+    // The event right before the oldest buffered one is the earliest to resume from
+    const oldest = buffer.length > 0 ? buffer[0].sequence : sequence + 1;
+    if (after < oldest - 1) return null;
+
+    return buffer.filter((entry) => entry.sequence > after).map((entry) => entry.event);
+};
+
+/**
+ * Receive every new event
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Stops the listener
+ */
+export const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+storageEvents.on("change", ({ collection, action, record, previous }) => {
+    const type = eventType(collection, action);
+    if (!type) return;
+
+    const changes = action === "update" ? diffRecords(previous, record) : undefined;
+    sequence += 1;
+    const event = {
+        id: currentId(),
+        type,
+        createdAt: new Date().toISOString(),
+        data: { record, ...(changes && { changes }) },
+    };
+
+    // Keep the latest events for clients that reconnect
+    buffer.push({ sequence, event });
+    if (buffer.length > config.events.bufferSize) buffer.shift();
+
+    broadcast(event);
+});
+
+// The replaced storage's events no longer describe the data: start a new stream
+storageEvents.on("reset", () => {
+    streamId = newStreamId();
+    sequence = 0;
+    buffer.length = 0;
+    broadcast(resetEvent("The storage was replaced"));
+});
@@ -0,0 +1,299 @@
+/**
+ * Batch Route
+ * 
+ * POST /api/batch runs several API calls in one HTTP request. Each
+ * sub-request is dispatched through the API router exactly like a normal
+ * request (same validation, errors, ETags and history), and its status,
+ * headers and body are returned in order.
+ * 
+ * Request body:
+ *   {
+ *     "mode": "sequential",
+ *     "requests": [
+ *       { "id": "task", "method": "GET", "path": "/api/tasks/1" },
+ *       { "id": "owner", "method": "GET", "path": "/api/users/{{task.body.data.assigneeId}}" }
+ *     ]
+ *   }
+ * 
+ * Modes:
+ * - sequential (default) - Requests run one after another. A request can use
+ *   the result of an earlier one with {{id.path}} in its path, headers or body,
+ *   where path starts with status, headers or body. A value that is only a
+ *   reference keeps its type ("{{task.body.data.id}}" becomes a number).
+ *   If the referenced request failed, the request is skipped with 424.
+ * - parallel - Requests run at the same time and cannot use references.
+ * 
+ * Sub-requests inherit the batch request's headers (e.g. X-User-Id), except
+ * Content-* and conditional (If-*) headers; their own headers take precedence.
+ * Bodies are sent as JSON, so a Content-Type header must be a JSON media type.
+ */
+
+import { Router } from "express";
+import { dispatch } from "../utils/dispatch.js";
+import { errorResponse } from "../utils/problems.js";
+
+// Limits and allowed values
+const MAX_BATCH_REQUESTS = 20;
+const BATCH_MODES = ["sequential", "parallel"];
+const BATCH_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+
+// A reference to an earlier result: {{id.body.data.id}}
+const REFERENCE_PATTERN = /\{\{\s*([^{}\s]+)\s*\}\}/g;
+const WHOLE_REFERENCE_PATTERN = /^\{\{\s*([^{}\s]+)\s*\}\}$/;
+
+// Error code of each batch error status (see utils/problems.js)
+const BATCH_ERROR_CODES = {
+    400: "INVALID_BATCH",
+    424: "DEPENDENCY_FAILED",
+};
+
+/**
+ * Create an error with a status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} details - Extra information for the client (optional)
+ * @returns {Error} Error with statusCode and code
+ */
+const batchError = (message, statusCode = 400, details) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = BATCH_ERROR_CODES[statusCode];
+    if (details) error.details = details;
+    return error;
+};
+
+/**
+ * Check the path of a sub-request
+ * Routes match paths whatever their case, so the checks ignore case too.
+ * @param {*} path - Path from the request (after references are resolved)
+ * @returns {string|null} What is wrong with the path, or null
+ */
+const checkPath = (path) => {
+    if (typeof path !== "string" || !/^\/api(\/|\?|$)/i.test(path)) {
+        return 'path must be an API path starting with "/api"';
+    }
+    if (/^\/api(\/v\d+)?\/batch(\/|\?|$)/i.test(path)) {
+        return "batch requests cannot be nested";
+    }
+    if (/^\/api(\/v\d+)?\/events(\/|\?|$)/i.test(path)) {
+        return "the event stream cannot be requested in a batch";
+    }
+    return null;
+};
+
+/**
+ * Check the Content-Type header of a sub-request
+ * Bodies are sent as JSON, so another media type (such as text/csv for the
+ * product import) would reach the route without the stream it expects.
+ * @param {Object} headers - Headers from the request (after references are resolved)
+ * @returns {string|null} What is wrong with the header, or null
+ */
+const checkContentType = (headers) => {
+    const [, contentType] = Object.entries(headers ?? {}).find(([name]) => name.toLowerCase() === "content-type") ?? [];
+    if (contentType === undefined) return null;
+    const mediaType = String(contentType).split(";")[0].trim();
+    if (!/^application\/([\w.-]+\+)?json$/i.test(mediaType)) {
+        return `Content-Type must be a JSON media type (bodies are sent as JSON), not "${mediaType}"`;
+    }
+    return null;
+};
+
+/**
+ * Find the request IDs a sub-request refers to
+ * @param {Object} request - Sub-request
+ * @returns {Array<string>} Referenced request IDs
+ */
+const referencedIds = ({ path, headers, body }) => {
+    const text = JSON.stringify([path, headers, body]) ?? "";
+    return [...text.matchAll(REFERENCE_PATTERN)].map(([, reference]) => reference.split(".")[0]);
+};
+
+/**
+ * Validate the batch request body
+ * @param {Object} body - Request body
+ * @returns {Error|null} 400 error describing the first problem, or null
+ */
+const validateBatch = (body = {}) => {
+    const { mode = "sequential", requests } = body;
+
+    if (!BATCH_MODES.includes(mode)) {
+        return batchError(`Invalid mode. Must be one of: ${BATCH_MODES.join(", ")}`);
+    }
+
+    if (!Array.isArray(requests) || requests.length === 0) {
+        return batchError("requests must be a non-empty array");
+    }
+
+    if (requests.length > MAX_BATCH_REQUESTS) {
+        return batchError(`At most ${MAX_BATCH_REQUESTS} requests are allowed per batch`);
+    }
+
+    const seenIds = new Set();
+    for (const [index, request] of requests.entries()) {
+        const invalid = (message) => batchError(`Request ${index}: ${message}`, 400, { index });
+
+        if (request === null || typeof request !== "object" || Array.isArray(request)) {
+            return invalid("must be an object");
+        }
+
+        const { id, method = "GET", path, headers } = request;
+
+        if (id !== undefined && (typeof id !== "string" || !/^[\w-]+$/.test(id))) {
+            return invalid("id must be a string of letters, digits, _ or -");
+        }
+        if (id !== undefined && seenIds.has(id)) {
+            return invalid(`id "${id}" is used more than once`);
+        }
+
+        if (typeof method !== "string" || !BATCH_METHODS.includes(method.toUpperCase())) {
+            return invalid(`method must be one of: ${BATCH_METHODS.join(", ")}`);
+        }
+
+        const pathProblem = checkPath(path);
+        if (pathProblem) return invalid(pathProblem);
+
+        if (headers !== undefined) {
+            const valid = headers !== null && typeof headers === "object" && !Array.isArray(headers) &&
+                Object.values(headers).every((value) => typeof value === "string");
+            if (!valid) return invalid("headers must be an object of strings");
+        }
+
+        const contentTypeProblem = checkContentType(headers);
+        if (contentTypeProblem) return invalid(contentTypeProblem);
+
+        // References may only point at earlier requests, and only in sequential mode
+        for (const reference of referencedIds(request)) {
+            if (mode === "parallel") {
+                return invalid("references to other requests are only allowed in sequential mode");
+            }
+            if (!seenIds.has(reference)) {
+                return invalid(`reference to "${reference}", which is not the id of an earlier request`);
+            }
+        }
+
+        if (id !== undefined) seenIds.add(id);
+    }
+
+    return null;
+};
+
+/**
+ * Read the value a reference points at
+ * @param {string} reference - Reference such as "task.body.data.id"
+ * @param {Map} results - Results of earlier requests by ID
+ * @returns {*} Referenced value
+ * @throws {Error} 424 if the referenced request failed, 400 if the value does not exist
+ */
+const lookupReference = (reference, results) => {
+    const [id, ...path] = reference.split(".");
+    const result = results.get(id);
+
+    if (result.status >= 400) {
+        throw batchError(`Request "${id}" failed with status ${result.status}, so this request was not sent`, 424);
+    }
+
+    let value = result;
+    for (const key of path) {
+        if (value === null || typeof value !== "object" || !Object.hasOwn(value, key)) {
+            throw batchError(`Reference {{${reference}}} does not exist in the result of request "${id}"`);
+        }
+        value = value[key];
+    }
+    return value;
+};
+
+/**
+ * Replace references in a value (strings, arrays and objects, recursively)
+ * @param {*} value - Path, headers or body of a sub-request
+ * @param {Map} results - Results of earlier requests by ID
+ * @returns {*} Value with every reference replaced
+ */
+const resolveReferences = (value, results) => {
+    if (typeof value === "string") {
+        const whole = value.match(WHOLE_REFERENCE_PATTERN);
+        if (whole) return lookupReference(whole[1], results);
+        return value.replace(REFERENCE_PATTERN, (match, reference) => String(lookupReference(reference, results)));
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => resolveReferences(item, results));
+    }
+    if (value !== null && typeof value === "object") {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, item]) => [key, resolveReferences(item, results)])
+        );
+    }
+    return value;
+};
+
+/**
+ * Build the result of a sub-request that could not be sent
+ * @param {Error} error - Why it was not sent
+ * @param {Object} parent - The batch request (its Accept header picks the error format)
+ * @returns {Object} { status, headers, body } shaped like an error response
+ */
+const notSent = (error, parent) => {
+    const { status, contentType, body } = errorResponse(error, parent);
+    return { status, headers: { "content-type": contentType }, body };
+};
+
+/**
+ * Create the batch router
+ * @param {Function} apiRouter - Router the sub-requests are dispatched through
+ * @returns {Router} Express router with POST /
+ */
+export const createBatchRouter = (apiRouter) => {
+    const router = Router();
+
+    /**
+     * POST /api/batch
+     * 
+     * Run several API requests in one call
+     * Responds 200 with one result per sub-request, whatever their statuses:
+     *   { success, mode, count, responses: [{ id, status, headers, body }] }
+     */
+    router.post("/", async (req, res, next) => {
+        // Validate the whole batch before running anything
+        const error = validateBatch(req.body);
+        if (error) return next(error);
+
+        const { mode = "sequential", requests } = req.body;
+        const normalize = (request) => ({ ...request, method: (request.method ?? "GET").toUpperCase() });
+
+        let results;
+        if (mode === "parallel") {
+            // Parallel mode: run every request at once
+            results = await Promise.all(requests.map((request) => dispatch(apiRouter, req, normalize(request))));
+        } else {
+            // Sequential mode: run in order, resolving references to earlier results
+            results = [];
+            const byId = new Map();
+            for (const request of requests) {
+                let result;
+                try {
+                    const resolved = {
+                        ...request,
+                        path: resolveReferences(request.path, byId),
+                        headers: resolveReferences(request.headers, byId),
+                        body: resolveReferences(request.body, byId),
+                    };
+                    const problem = checkPath(resolved.path) ?? checkContentType(resolved.headers);
+                    if (problem) throw batchError(problem);
+                    result = await dispatch(apiRouter, req, normalize(resolved));
+                } catch (error) {
+                    result = notSent(error, req);
+                }
+                if (request.id !== undefined) byId.set(request.id, result);
+                results.push(result);
+            }
+        }
+
+        res.json({
+            success: true,
+            mode,
+            count: results.length,
+            responses: results.map((result, index) => ({ id: requests[index].id ?? null, ...result })),
+        });
+    });
+
+    return router;
+};
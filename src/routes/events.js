@@ -0,0 +1,110 @@
+/**
+ * Live Event Routes
+ * 
+ * GET /api/events is a Server-Sent Events stream of the changes to tasks,
+ * products and users (see src/realtime/), so clients can follow other
+ * people's changes without polling:
+ * 
+ *   id: 3f9c01ab-42
+ *   event: task.updated
+ *   data: {"id":"3f9c01ab-42","type":"task.updated","createdAt":"...","data":{"record":{...},"changes":{...}}}
+ * 
+ * Idle connections get a heartbeat comment every config.events.heartbeatMs.
+ * A client that reconnects with Last-Event-ID (EventSource does this on its
+ * own) first gets the events it missed, or a "reset" event if they are no
+ * longer available.
+ */
+
+import { Router } from "express";
+import { config } from "../config/index.js";
+import { RESOURCE_NAMES } from "../storage/events.js";
+import { eventsSince, resetEvent, subscribe } from "../realtime/index.js";
+import { normalizeRecords } from "../utils/envelope.js";
+
+const router = Router();
+
+// Delay before EventSource reconnects after the connection drops (ms)
+const RETRY_MS = 3000;
+
+/**
+ * Format an event as a Server-Sent Events message
+ * @param {Object} event - Event from src/realtime/
+ * @returns {string} The id, event and data fields, ending with a blank line
+ */
+const formatEvent = (event) => `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+
+/**
+ * GET /api/events
+ * 
+ * Stream resource events as Server-Sent Events (text/event-stream)
+ * 
+ * Query Parameters:
+ * - resources: Comma-separated resources to follow (tasks, products, users) - default: all
+ * - lastEventId: Resume after this event, for clients that cannot send the
+ *   Last-Event-ID header (the header wins)
+ * 
+ * Example: GET /api/events?resources=tasks
+ */
+router.get("/", (req, res, next) => {
+    // Validate the resource filter
+    const resources =
+        req.query.resources === undefined
+            ? Object.keys(RESOURCE_NAMES)
+            : String(req.query.resources)
+                  .split(",")
+                  .map((resource) => resource.trim())
+                  .filter(Boolean);
+    const unknown = resources.filter((resource) => !Object.hasOwn(RESOURCE_NAMES, resource));
+    if (resources.length === 0 || unknown.length > 0) {
+        const error = new Error(
+            `Invalid resources "${req.query.resources}". ` +
+                `Must be a comma-separated list of: ${Object.keys(RESOURCE_NAMES).join(", ")}`
+        );
+        error.statusCode = 400;
+        error.code = "INVALID_PARAMETER";
+        return next(error);
+    }
+
+    // Event types start with the resource name (task.created)
+    const prefixes = resources.map((resource) => `${RESOURCE_NAMES[resource]}.`);
+    const wanted = (event) => event.type === "reset" || prefixes.some((prefix) => event.type.startsWith(prefix));
+
+    // Records are sent in the shape of the request's API version
+    const send = (event) => {
+        if (!wanted(event)) return;
+        res.write(formatEvent(req.apiVersion === "2" ? { ...event, data: normalizeRecords(event.data) } : event));
+    };
+
+    // Open the stream (no caching, and no buffering by proxies)
+    res.status(200).set({
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache",
+        "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    if (req.method === "HEAD") return res.end();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    // Send the missed events first; replay and subscription happen in the same
+    // tick, so no event falls between them
+    const lastEventId = req.get("Last-Event-ID") ?? req.query.lastEventId;
+    if (lastEventId !== undefined) {
+        const missed = eventsSince(lastEventId);
+        if (missed) {
+            missed.forEach(send);
+        } else {
+            send(resetEvent(`Events after ${lastEventId} are no longer available`));
+        }
+    }
+    const unsubscribe = subscribe(send);
+
+    // Keep idle connections (and the proxies in between) open
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), config.events.heartbeatMs);
+
+    res.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+export default router;
@@ -0,0 +1,134 @@
+/**
+ * GraphQL Route
+ * 
+ * POST /api/graphql answers GraphQL queries and mutations over users,
+ * products and tasks (schema in src/graphql/schema.js), so a client can
+ * fetch exactly the fields it needs, relations included, in one request:
+ * 
+ *   {
+ *     "query": "query ($limit: Int) { tasks(status: PENDING, limit: $limit) { nodes { title assignee { name } } } }",
+ *     "variables": { "limit": 10 }
+ *   }
+ * 
+ * Responses follow the GraphQL over HTTP conventions rather than the REST
+ * envelope: { data, errors }, where each error has a stable code in
+ * extensions.code (see GET /api/problems). Requests that cannot run at all
+ * (syntax errors, unknown fields, queries over the depth or complexity
+ * limits of src/graphql/limits.js) get 400 and no data; errors of single
+ * fields leave the rest of the data intact and get 200.
+ */
+
+import { Router } from "express";
+import { execute, GraphQLError, parse, validate } from "graphql";
+import { schema } from "../graphql/schema.js";
+import { checkLimits } from "../graphql/limits.js";
+import { createLoaders } from "../graphql/loaders.js";
+
+/**
+ * Create an error for a request that cannot run
+ * @param {string} message - Error message
+ * @returns {GraphQLError} Error with code INVALID_GRAPHQL_QUERY
+ */
+const requestError = (message) => new GraphQLError(message, { extensions: { code: "INVALID_GRAPHQL_QUERY" } });
+
+/**
+ * Check the shape of a GraphQL request body
+ * @param {*} body - Parsed JSON request body
+ * @returns {string|null} What is wrong with the body, or null
+ */
+const checkBody = (body) => {
+    if (body === null || typeof body !== "object" || Array.isArray(body)) {
+        return 'Request body must be a JSON object with a "query"';
+    }
+    if (typeof body.query !== "string" || body.query.trim() === "") {
+        return "query must be a GraphQL document";
+    }
+    if (body.variables != null && (typeof body.variables !== "object" || Array.isArray(body.variables))) {
+        return "variables must be an object";
+    }
+    if (body.operationName != null && typeof body.operationName !== "string") {
+        return "operationName must be a string";
+    }
+    return null;
+};
+
+/**
+ * Prepare errors for the response
+ * Every error gets a code. Unexpected errors thrown by resolvers are logged
+ * and their message is hidden from the client.
+ * @param {Array<GraphQLError>} errors - Errors of the request
+ * @param {string} code - Code of errors without one
+ * @returns {Array<Object>} Errors as sent in the response
+ */
+const formatErrors = (errors, code) =>
+    errors.map((error) => {
+        const json = error.toJSON();
+        if (json.extensions?.code) return json;
+
+        if (error.originalError) {
+            console.error("GraphQL error:", error.originalError);
+            return { ...json, message: "Internal server error", extensions: { code: "INTERNAL_ERROR" } };
+        }
+        return { ...json, extensions: { ...json.extensions, code } };
+    });
+
+/**
+ * Create the GraphQL router
+ * @param {Function} apiRouter - Router the REST calls of the resolvers are dispatched through
+ * @returns {Router} Express router with POST /
+ */
+export const createGraphqlRouter = (apiRouter) => {
+    const router = Router();
+
+    /**
+     * POST /api/graphql
+     * 
+     * Run a GraphQL query or mutation
+     * Request body: { query, variables?, operationName? }
+     * Responds with { data, errors? }
+     */
+    router.post("/", async (req, res) => {
+        const sendErrors = (errors) =>
+            res.status(400).json({ errors: formatErrors(errors, "INVALID_GRAPHQL_QUERY") });
+
+        // Check the request shape before parsing the query
+        const bodyProblem = checkBody(req.body);
+        if (bodyProblem) return sendErrors([requestError(bodyProblem)]);
+
+        const { query, variables, operationName } = req.body;
+
+        // Parse the query (syntax errors come back with their location)
+        let document;
+        try {
+            document = parse(query);
+        } catch (error) {
+            return sendErrors([error]);
+        }
+
+        // Check the query against the schema, then against the limits
+        const validationErrors = validate(schema, document);
+        if (validationErrors.length > 0) return sendErrors(validationErrors);
+
+        const limitErrors = checkLimits(schema, document, { operationName, variables });
+        if (limitErrors.length > 0) return sendErrors(limitErrors);
+
+        // Run it with loaders that batch relation lookups for this request only
+        const result = await execute({
+            schema,
+            document,
+            variableValues: variables,
+            operationName,
+            contextValue: { req, apiRouter, loaders: createLoaders() },
+        });
+
+        // Without data the request could not run (e.g. invalid variables)
+        if (result.data === undefined) return sendErrors(result.errors);
+
+        res.json({
+            data: result.data,
+            ...(result.errors && { errors: formatErrors(result.errors, "INTERNAL_ERROR") }),
+        });
+    });
+
+    return router;
+};
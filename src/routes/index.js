@@ -3,6 +3,13 @@
  * 
  * This file defines the main API routes and serves as the router aggregator.
  * It imports and mounts all sub-routers for different resources.
+ * 
+ * Every API version serves the same routes. The router mounted at /api
+ * picks the version (see src/middleware/apiVersion.js) and hands the
+ * request to `router`:
+ *   /api/v1/...  -> version 1 (the original response shapes)
+ *   /api/v2/...  -> version 2 (normalized { data, meta } envelope)
+ *   /api/...     -> the API-Version header, or the default version
  */
 
 import { Router } from "express";
@@ -11,9 +18,34 @@ import usersRouter from "./users.js";
 import productsRouter from "./products.js";
 import tasksRouter from "./tasks.js";
 import testRouter from "./test.js";
+import problemsRouter from "./problems.js";
+import webhooksRouter from "./webhooks.js";
+import eventsRouter from "./events.js";
+import { createBatchRouter } from "./batch.js";
+import { createGraphqlRouter } from "./graphql.js";
+import { buildOpenApiDocument } from "../openapi/index.js";
+import { selectVersion, useVersion } from "../middleware/apiVersion.js";
+import negotiate from "../middleware/negotiate.js";
+
+// Router mounted at /api: selects the version, then runs `router`
+const apiRouter = Router();
+
+// Routes shared by every version
+export const router = Router();
 
-// Create a new Express router instance
-const router = Router();
+// Path each sub-router is mounted at, so the OpenAPI check (npm run docs:check)
+// can list every route. Express does not keep mount paths on the router.
+export const mountPaths = new Map();
+
+/**
+ * Mount a sub-router and record its path
+ * @param {string} path - Mount path (e.g. "/users")
+ * @param {Function} subRouter - Express router
+ */
+const mount = (path, subRouter) => {
+    mountPaths.set(subRouter, path);
+    router.use(path, subRouter);
+};
 
 // ============================================
 // Health Check Route
@@ -34,24 +66,70 @@ router.get("/", (req, res) => {
     });
 });
 
+/**
+ * GET /api/openapi.json
+ * 
+ * OpenAPI 3.1 description of the API (rendered at /api/docs).
+ */
+router.get("/openapi.json", (req, res) => {
+    res.json(buildOpenApiDocument());
+});
+
 // ============================================
 // Resource Routes
 // ============================================
 
 // Mount user routes at /api/users
 // All routes defined in users.js will be prefixed with /users
-router.use("/users", usersRouter);
+mount("/users", usersRouter);
 
 // Mount product routes at /api/products
 // All routes defined in products.js will be prefixed with /products
-router.use("/products", productsRouter);
+mount("/products", productsRouter);
 
 // Mount task routes at /api/tasks
 // All routes defined in tasks.js will be prefixed with /tasks
-router.use("/tasks", tasksRouter);
+mount("/tasks", tasksRouter);
 
 // Mount test routes at /api/test
 // Provides a simple health/hello endpoint for quick checks
-router.use("/test", testRouter);
+mount("/test", testRouter);
+
+// Mount webhook routes at /api/webhooks
+// Subscriptions to resource events and their delivery log
+mount("/webhooks", webhooksRouter);
+
+// Mount the live event stream at /api/events
+// Server-Sent Events of every task, product and user change
+mount("/events", eventsRouter);
+
+// Mount the error code catalog at /api/problems
+// Problem documents link their type here
+mount("/problems", problemsRouter);
+
+// Mount the batch route at /api/batch
+// Sub-requests are dispatched through the version-selecting router, so
+// each can use its own version
+mount("/batch", createBatchRouter(apiRouter));
+
+// Mount the GraphQL endpoint at /api/graphql
+// Its resolvers call the REST routes through the same router
+mount("/graphql", createGraphqlRouter(apiRouter));
+
+// ============================================
+// API Versions
+// ============================================
+
+// Pick the response format of GET requests (JSON, CSV, NDJSON or XML)
+// Registered first, so it renders the body each version has shaped
+apiRouter.use(negotiate);
+
+// Version prefixes: /api/v1 is a compatibility alias of the original routes,
+// /api/v2 sends the normalized envelope
+apiRouter.use("/v1", useVersion("1"), router);
+apiRouter.use("/v2", useVersion("2"), router);
+
+// Unprefixed paths: version from the API-Version header, or the default
+apiRouter.use(selectVersion, router);
 
-export default router;
+export default apiRouter;
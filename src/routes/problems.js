@@ -0,0 +1,56 @@
+/**
+ * Problem Type Routes
+ * 
+ * Documents the error codes used in problem documents. The `type` of every
+ * problem (e.g. /api/problems/validation-failed) points here.
+ */
+
+import { Router } from "express";
+import { ERROR_CODES, problemType } from "../utils/problems.js";
+
+const router = Router();
+
+/**
+ * Describe a catalog entry
+ * @param {string} code - Code from ERROR_CODES
+ * @returns {Object} { code, type, status, title, description }
+ */
+const describe = (code) => ({ code, type: problemType(code), ...ERROR_CODES[code] });
+
+/**
+ * GET /api/problems
+ * 
+ * List every error code with its problem type URI, status and meaning
+ */
+router.get("/", (req, res) => {
+    const data = Object.keys(ERROR_CODES).map(describe);
+    res.json({
+        success: true,
+        count: data.length,
+        data,
+    });
+});
+
+/**
+ * GET /api/problems/:type
+ * 
+ * Describe one problem type
+ * @param {string} type - Last segment of the problem type URI (e.g. "validation-failed")
+ */
+router.get("/:type", (req, res, next) => {
+    const code = Object.keys(ERROR_CODES).find((key) => problemType(key) === `/api/problems/${req.params.type}`);
+
+    // If the problem type is unknown, return 404 error
+    if (!code) {
+        const error = new Error(`Problem type "${req.params.type}" not found`);
+        error.statusCode = 404;
+        return next(error);
+    }
+
+    res.json({
+        success: true,
+        data: describe(code),
+    });
+});
+
+export default router;
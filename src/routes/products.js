@@ -1,101 +1,290 @@
 /**
  * Product Routes
  * 
- * This file defines all routes related to product management.
+ * This file defines all routes related to product management, including
+ * CSV export and import for editing the catalog in a spreadsheet.
  * These are demo routes for demonstration purposes only.
  * In a real application, you would connect these to a database.
  */
 
 import { Router } from "express";
+import { createRepository } from "../storage/index.js";
+import { checkIfMatch, setETag } from "../utils/etag.js";
+import { sendList } from "../utils/pagination.js";
+import { applyFilter } from "../utils/filter.js";
+import { shapeRecord } from "../utils/fieldsets.js";
+import { applyPatchRequest, setAcceptPatch, validatePatchedRecord } from "../utils/patch.js";
+import { readCsvRows, toCsv } from "../utils/csv.js";
+import { createSearch } from "../search/index.js";
+import { validate } from "../validation/index.js";
+import { productSchema } from "../validation/schemas.js";
+import { createTrashRouter } from "./trash.js";
 
 const router = Router();
 
-// In-memory storage for demo purposes (replace with database in production)
-// This simulates a database for demonstration
-let products = [
-    {
-        id: 1,
-        name: "Laptop",
-        description: "High-performance laptop",
-        price: 999.99,
-        category: "Electronics",
-        stock: 15,
-        createdAt: new Date().toISOString(),
-    },
-    {
-        id: 2,
-        name: "Coffee Maker",
-        description: "Programmable coffee maker",
-        price: 79.99,
-        category: "Appliances",
-        stock: 30,
-        createdAt: new Date().toISOString(),
-    },
-    {
-        id: 3,
-        name: "Running Shoes",
-        description: "Comfortable running shoes",
-        price: 129.99,
-        category: "Sports",
-        stock: 25,
-        createdAt: new Date().toISOString(),
-    },
-];
+// Product repository (backed by the storage driver chosen in config)
+const products = createRepository("products");
 
-// ============================================
-// GET Routes
-// ============================================
+// Full-text search over product names, categories and descriptions
+const productSearch = createSearch("products", {
+    repository: products,
+    fields: { name: 3, category: 2, description: 1 },
+});
+
+// Fields usable in the filter query parameter and their types
+const productFilterFields = {
+    id: "number",
+    name: "string",
+    description: "string",
+    price: "number",
+    category: "string",
+    stock: "number",
+    createdAt: "date",
+    updatedAt: "date",
+};
+
+// Trash bin routes: GET /trash, DELETE /trash and POST /:id/restore
+// (mounted before the "/:id" routes so "trash" is not read as an ID)
+router.use(createTrashRouter({ repository: products, label: "Product" }));
+
+// Fields a client can set on a product
+const PRODUCT_FIELDS = Object.keys(productSchema.fields);
+
+// Columns of the CSV export. The import reads the same columns, so an exported
+// file can be edited and imported again (createdAt is ignored, version is
+// checked against the current product).
+const CSV_COLUMNS = ["id", ...PRODUCT_FIELDS, "createdAt", "version"];
 
 /**
- * GET /api/products
- * 
- * Get all products
- * Supports optional query parameters for filtering:
- * - category: Filter by product category
- * - minPrice: Minimum price filter
- * - maxPrice: Maximum price filter
+ * Apply the category, minPrice, maxPrice and filter query parameters
+ * @param {Array<Object>} records - Products to filter
+ * @param {Object} query - Express req.query
+ * @returns {Array<Object>} Matching products
  */
-router.get("/", (req, res) => {
-    let filteredProducts = [...products];
+const filterProducts = (records, query) => {
+    let filteredProducts = records;
 
     // Filter by category if provided
-    if (req.query.category) {
+    if (query.category) {
         filteredProducts = filteredProducts.filter(
-            (p) => p.category.toLowerCase() === req.query.category.toLowerCase()
+            (p) => p.category.toLowerCase() === query.category.toLowerCase()
         );
     }
 
     // Filter by minimum price if provided
-    if (req.query.minPrice) {
-        const minPrice = parseFloat(req.query.minPrice);
+    if (query.minPrice) {
+        const minPrice = parseFloat(query.minPrice);
         filteredProducts = filteredProducts.filter((p) => p.price >= minPrice);
     }
 
     // Filter by maximum price if provided
-    if (req.query.maxPrice) {
-        const maxPrice = parseFloat(req.query.maxPrice);
+    if (query.maxPrice) {
+        const maxPrice = parseFloat(query.maxPrice);
         filteredProducts = filteredProducts.filter((p) => p.price <= maxPrice);
     }
 
-    res.json({
-        success: true,
-        count: filteredProducts.length,
-        data: filteredProducts,
-    });
+    // Filter by the filter expression if provided (400 with the position if invalid)
+    return applyFilter(filteredProducts, query.filter, productFilterFields);
+};
+
+/**
+ * Convert a CSV cell to a number for validation
+ * Text that is not a number is kept as is, so validation rejects it.
+ * @param {string} value - Cell value
+ * @returns {number|string|undefined} Number, the original text, or undefined if empty
+ */
+const csvNumber = (value) => {
+    const text = value.trim();
+    if (text === "") return undefined;
+    return Number.isFinite(Number(text)) ? Number(text) : text;
+};
+
+/**
+ * Read the header row of a product import
+ * Column names are matched case-insensitively against CSV_COLUMNS.
+ * @param {Array<string>} values - Header row
+ * @returns {Object} { error } with statusCode 400, or { columns }
+ */
+const readImportHeader = (values) => {
+    const invalid = (message) => {
+        const error = new Error(message);
+        error.statusCode = 400;
+        error.code = "INVALID_CSV";
+        return { error };
+    };
+
+    const columns = values.map(
+        (value) => CSV_COLUMNS.find((column) => column.toLowerCase() === value.trim().toLowerCase()) ?? value.trim()
+    );
+
+    const unknown = columns.filter((column) => !CSV_COLUMNS.includes(column));
+    if (unknown.length > 0) {
+        return invalid(`Unknown column(s): ${unknown.join(", ")}. Allowed columns: ${CSV_COLUMNS.join(", ")}`);
+    }
+
+    const duplicates = columns.filter((column, i) => columns.indexOf(column) !== i);
+    if (duplicates.length > 0) {
+        return invalid(`Duplicate column(s): ${duplicates.join(", ")}`);
+    }
+
+    const missing = PRODUCT_FIELDS.filter((field) => !columns.includes(field));
+    if (missing.length > 0) {
+        return invalid(`Missing column(s): ${missing.join(", ")}`);
+    }
+
+    return { columns };
+};
+
+/**
+ * Import one CSV row: create the product, or update the one with the same id
+ * (or, without an id, the same name)
+ * @param {Object} row - { line, values } from readCsvRows()
+ * @param {Array<string>} columns - Columns from the header row
+ * @param {Object} lookup - Products by ID (byId) and lowercase name (byName), kept up to date
+ * @param {boolean} dryRun - Report what would change without writing
+ * @returns {Promise<Object>} Report entry { row, action, id, changes, error }
+ */
+const importRow = async ({ line, values }, columns, lookup, dryRun) => {
+    const fail = (message) => ({ row: line, action: "error", error: message });
+
+    if (values.length !== columns.length) {
+        return fail(`Expected ${columns.length} values, found ${values.length}`);
+    }
+    const cells = Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+
+    // Validate the fields exactly like POST /api/products
+    const { error, value: product } = validate(productSchema, {
+        name: cells.name,
+        description: cells.description,
+        price: csvNumber(cells.price),
+        category: cells.category,
+        stock: csvNumber(cells.stock),
+    }, "create");
+    if (error) return fail(error.message);
+
+    // Find the product to update: by ID if given, otherwise by name
+    let target;
+    const idText = cells.id?.trim();
+    if (idText) {
+        const id = Number(idText);
+        target = lookup.byId.get(id);
+        if (!target) return fail(`Product with ID ${idText} not found`);
+    } else {
+        target = lookup.byName.get(product.name.toLowerCase());
+    }
+
+    const now = new Date().toISOString();
+    try {
+        // No match: create a new product
+        if (!target) {
+            const created = dryRun
+                ? { ...product, id: null }
+                : await products.insert({ ...product, createdAt: now, updatedAt: now });
+            if (created.id !== null) lookup.byId.set(created.id, created);
+            lookup.byName.set(created.name.toLowerCase(), created);
+            return { row: line, action: "create", id: created.id };
+        }
+
+        // A version column holds the version the row was exported at: reject
+        // the row if the product has been changed since
+        const versionText = cells.version?.trim();
+        if (versionText && target.id !== null && Number(versionText) !== target.version) {
+            return fail(
+                `Product with ID ${target.id} has changed since it was exported ` +
+                    `(version ${versionText}, now ${target.version})`
+            );
+        }
+
+        const changed = PRODUCT_FIELDS.filter((field) => product[field] !== target[field]);
+        if (changed.length === 0) {
+            return { row: line, action: "unchanged", id: target.id };
+        }
+
+        const changes = Object.fromEntries(changed.map((field) => [field, product[field]]));
+        const updated = dryRun
+            ? { ...target, ...changes, version: target.version + 1 }
+            : await products.update(target.id, { ...changes, updatedAt: now }, { expectedVersion: target.version });
+        if (updated.id !== null) lookup.byId.set(updated.id, updated);
+        lookup.byName.delete(target.name.toLowerCase());
+        lookup.byName.set(updated.name.toLowerCase(), updated);
+        return { row: line, action: "update", id: target.id, changes: changed };
+    } catch (error) {
+        // e.g. a concurrent edit (version conflict) while importing
+        return fail(error.message);
+    }
+};
+
+// ============================================
+// GET Routes
+// ============================================
+
+/**
+ * GET /api/products
+ * 
+ * Get all products
+ * Supports optional query parameters for filtering:
+ * - q: Full-text search in name, description and category (ranked by relevance, with highlights)
+ * - category: Filter by product category
+ * - minPrice: Minimum price filter
+ * - maxPrice: Maximum price filter
+ * - filter: Filter expression, e.g. "price < 100 or category = Sports" (see utils/filter.js)
+ * - fields: Fields to return, e.g. "id,name,price" (see utils/fieldsets.js)
+ * - limit, cursor: Cursor pagination (see src/utils/pagination.js)
+ */
+router.get("/", async (req, res) => {
+    // Full-text search if q is provided (otherwise start from all products)
+    const allProducts = req.query.q
+        ? await productSearch.search(req.query.q)
+        : await products.list();
+
+    // Apply the category, price range and filter expression
+    const filteredProducts = filterProducts(allProducts, req.query);
+
+    // Search results are ordered by relevance
+    if (req.query.q) {
+        return sendList(req, res, filteredProducts, {
+            compare: (a, b) => b.relevance - a.relevance,
+            keyFields: ["relevance"],
+            sort: "relevance:desc",
+            resource: "products",
+        });
+    }
+
+    await sendList(req, res, filteredProducts, { resource: "products" });
+});
+
+/**
+ * GET /api/products/export.csv
+ * 
+ * Download products as a CSV file (one row per product, ordered by ID)
+ * Supports the same filters as GET /api/products: q, category, minPrice,
+ * maxPrice and filter
+ */
+router.get("/export.csv", async (req, res) => {
+    // Search and filter exactly like the product list
+    const allProducts = req.query.q
+        ? await productSearch.search(req.query.q)
+        : await products.list();
+    const filteredProducts = filterProducts(allProducts, req.query).sort((a, b) => a.id - b.id);
+
+    res.attachment("products.csv");
+    res.type("text/csv");
+    res.send(toCsv(filteredProducts, CSV_COLUMNS));
 });
 
 /**
  * GET /api/products/:id
  * 
  * Get a single product by ID
+ * Supports the fields query parameter (e.g. ?fields=id,name,price)
  * @param {string} id - Product ID from URL parameter
  */
-router.get("/:id", (req, res, next) => {
+router.get("/:id", async (req, res, next) => {
     // Convert ID parameter to number
     const id = parseInt(req.params.id);
 
     // Find product by ID
-    const product = products.find((p) => p.id === id);
+    const product = await products.find(id);
 
     // If product not found, return 404 error
     if (!product) {
@@ -104,10 +293,14 @@ router.get("/:id", (req, res, next) => {
         return next(error);
     }
 
-    // Return the found product
+    // Apply the fields and include parameters (400 if they are invalid)
+    const data = await shapeRecord(req, product, "products");
+
+    // Return the found product (ETag lets the client make conditional updates)
+    setETag(res, product);
     res.json({
         success: true,
-        data: product,
+        data,
     });
 });
 
@@ -121,49 +314,107 @@ router.get("/:id", (req, res, next) => {
  * Create a new product
  * Expects JSON body with name, description, price, category, and stock fields
  */
-router.post("/", (req, res, next) => {
-    // Extract data from request body
-    const { name, description, price, category, stock } = req.body;
+router.post("/", async (req, res, next) => {
+    // Validate the request body
+    const { error, value } = validate(productSchema, req.body, "create");
+    if (error) return next(error);
+
+    // Create new product (the repository assigns the ID)
+    const createdAt = new Date().toISOString();
+    const newProduct = await products.insert({
+        ...value,
+        createdAt,
+        updatedAt: createdAt,
+    });
 
-    // Validate required fields
-    if (!name || !description || price === undefined || !category || stock === undefined) {
-        const error = new Error("Name, description, price, category, and stock are required");
-        error.statusCode = 400;
+    // Return the created product with 201 status code
+    setETag(res, newProduct);
+    res.status(201).json({
+        success: true,
+        data: newProduct,
+    });
+});
+
+/**
+ * POST /api/products/import
+ * 
+ * Create or update products from a CSV file sent as the request body
+ * (Content-Type: text/csv). The first row names the columns: name,
+ * description, price, category and stock are required; id, createdAt and
+ * version are optional (the columns of GET /api/products/export.csv).
+ * 
+ * Each row updates the product with its id, or without an id the product with
+ * the same name, or else creates a new product. Rows are validated like
+ * POST /api/products; invalid rows are skipped and reported, the others are saved.
+ * 
+ * Query Parameters:
+ * - dryRun: "true" to report what would change without saving anything
+ */
+router.post("/import", async (req, res, next) => {
+    // The CSV file is streamed from the request body
+    if (!req.is(["text/csv", "text/plain"])) {
+        const error = new Error("Send the CSV file as the request body with Content-Type: text/csv");
+        error.statusCode = 415;
         return next(error);
     }
 
-    // Validate price is a positive number
-    if (typeof price !== "number" || price < 0) {
-        const error = new Error("Price must be a positive number");
-        error.statusCode = 400;
-        return next(error);
+    const dryRun = req.query.dryRun === "true";
+
+    // Existing products by ID and by name (rows see the changes of earlier rows)
+    const existing = await products.list();
+    const lookup = {
+        byId: new Map(existing.map((p) => [p.id, p])),
+        byName: new Map(existing.map((p) => [p.name.toLowerCase(), p])),
+    };
+
+    let columns = null;
+    let headerError = null;
+    const report = [];
+
+    try {
+        for await (const row of readCsvRows(req)) {
+            // The first row names the columns
+            if (!columns && !headerError) {
+                const header = readImportHeader(row.values);
+                headerError = header.error;
+                columns = header.columns;
+                continue;
+            }
+
+            // Keep reading after a bad header so the whole upload is consumed
+            if (headerError) continue;
+
+            report.push(await importRow(row, columns, lookup, dryRun));
+        }
+    } catch (error) {
+        // A malformed end of file (unclosed quote) is reported like a bad row,
+        // since the rows before it have already been imported
+        if (!columns || error.statusCode !== 400) return next(error);
+        report.push({ row: error.details.line, action: "error", error: error.message });
     }
 
-    // Validate stock is a non-negative integer
-    if (typeof stock !== "number" || stock < 0 || !Number.isInteger(stock)) {
-        const error = new Error("Stock must be a non-negative integer");
+    if (headerError) return next(headerError);
+    if (!columns) {
+        const error = new Error("The CSV file is empty");
         error.statusCode = 400;
+        error.code = "INVALID_CSV";
         return next(error);
     }
 
-    // Create new product object
-    const newProduct = {
-        id: products.length > 0 ? Math.max(...products.map((p) => p.id)) + 1 : 1,
-        name,
-        description,
-        price,
-        category,
-        stock,
-        createdAt: new Date().toISOString(),
-    };
-
-    // Add product to the array (in production, save to database)
-    products.push(newProduct);
+    // Count the rows by outcome
+    const count = (action) => report.filter((entry) => entry.action === action).length;
 
-    // Return the created product with 201 status code
-    res.status(201).json({
+    res.json({
         success: true,
-        data: newProduct,
+        dryRun,
+        summary: {
+            rows: report.length,
+            created: count("create"),
+            updated: count("update"),
+            unchanged: count("unchanged"),
+            failed: count("error"),
+        },
+        rows: report,
     });
 });
 
@@ -177,59 +428,96 @@ router.post("/", (req, res, next) => {
  * Update an existing product
  * @param {string} id - Product ID from URL parameter
  */
-router.put("/:id", (req, res, next) => {
+router.put("/:id", async (req, res, next) => {
     // Convert ID parameter to number
     const id = parseInt(req.params.id);
 
-    // Find product index in array
-    const productIndex = products.findIndex((p) => p.id === id);
+    // Find the existing product
+    const existingProduct = await products.find(id);
 
     // If product not found, return 404 error
-    if (productIndex === -1) {
+    if (!existingProduct) {
         const error = new Error(`Product with ID ${id} not found`);
         error.statusCode = 404;
         return next(error);
     }
 
-    // Extract data from request body
-    const { name, description, price, category, stock } = req.body;
+    // Reject the change if the client edited an outdated version (If-Match)
+    const preconditionError = checkIfMatch(req, existingProduct);
+    if (preconditionError) {
+        setETag(res, existingProduct);
+        return next(preconditionError);
+    }
+
+    // Validate the provided fields (only these are updated)
+    const { error, value: changes } = validate(productSchema, req.body, "update");
+    if (error) return next(error);
 
-    // Validate that at least one field is provided
-    if (!name && !description && price === undefined && !category && stock === undefined) {
-        const error = new Error("At least one field is required for update");
-        error.statusCode = 400;
+    const updatedProduct = await products.update(id, { ...changes, updatedAt: new Date().toISOString() }, {
+        expectedVersion: existingProduct.version,
+    });
+
+    // Return the updated product
+    setETag(res, updatedProduct);
+    res.json({
+        success: true,
+        data: updatedProduct,
+    });
+});
+
+// ============================================
+// PATCH Routes
+// ============================================
+
+/**
+ * PATCH /api/products/:id
+ * 
+ * Partially update a product with a JSON Merge Patch (application/merge-patch+json,
+ * or plain application/json) or a JSON Patch (application/json-patch+json).
+ * The patched product must still be valid as a whole (see utils/patch.js).
+ * @param {string} id - Product ID from URL parameter
+ */
+router.patch("/:id", async (req, res, next) => {
+    // Advertise the supported patch formats
+    setAcceptPatch(res);
+
+    // Convert ID parameter to number
+    const id = parseInt(req.params.id);
+
+    // Find the existing product
+    const existingProduct = await products.find(id);
+
+    // If product not found, return 404 error
+    if (!existingProduct) {
+        const error = new Error(`Product with ID ${id} not found`);
+        error.statusCode = 404;
         return next(error);
     }
 
-    // Validate price if provided
-    if (price !== undefined) {
-        if (typeof price !== "number" || price < 0) {
-            const error = new Error("Price must be a positive number");
-            error.statusCode = 400;
-            return next(error);
-        }
+    // Reject the change if the client edited an outdated version (If-Match)
+    const preconditionError = checkIfMatch(req, existingProduct);
+    if (preconditionError) {
+        setETag(res, existingProduct);
+        return next(preconditionError);
     }
 
-    // Validate stock if provided
-    if (stock !== undefined) {
-        if (typeof stock !== "number" || stock < 0 || !Number.isInteger(stock)) {
-            const error = new Error("Stock must be a non-negative integer");
-            error.statusCode = 400;
-            return next(error);
-        }
-    }
+    // Apply the patch to a copy of the product
+    const { error, patched } = applyPatchRequest(req, existingProduct);
+    if (error) return next(error);
 
-    // Update product fields (only update provided fields)
-    if (name) products[productIndex].name = name;
-    if (description) products[productIndex].description = description;
-    if (price !== undefined) products[productIndex].price = price;
-    if (category) products[productIndex].category = category;
-    if (stock !== undefined) products[productIndex].stock = stock;
+    // Validate the patched product as a whole
+    const result = validatePatchedRecord(existingProduct, patched, productSchema);
+    if (result.error) return next(result.error);
+
+    const updatedProduct = await products.update(id, { ...result.value, updatedAt: new Date().toISOString() }, {
+        expectedVersion: existingProduct.version,
+    });
 
     // Return the updated product
+    setETag(res, updatedProduct);
     res.json({
         success: true,
-        data: products[productIndex],
+        data: updatedProduct,
     });
 });
 
@@ -240,25 +528,32 @@ router.put("/:id", (req, res, next) => {
 /**
  * DELETE /api/products/:id
  * 
- * Delete a product by ID
+ * Delete a product by ID (soft delete - the product is moved to the trash)
  * @param {string} id - Product ID from URL parameter
  */
-router.delete("/:id", (req, res, next) => {
+router.delete("/:id", async (req, res, next) => {
     // Convert ID parameter to number
     const id = parseInt(req.params.id);
 
-    // Find product index in array
-    const productIndex = products.findIndex((p) => p.id === id);
+    // Find the existing product
+    const existingProduct = await products.find(id);
 
     // If product not found, return 404 error
-    if (productIndex === -1) {
+    if (!existingProduct) {
         const error = new Error(`Product with ID ${id} not found`);
         error.statusCode = 404;
         return next(error);
     }
 
-    // Remove product from array (in production, delete from database)
-    const deletedProduct = products.splice(productIndex, 1)[0];
+    // Reject the change if the client edited an outdated version (If-Match)
+    const preconditionError = checkIfMatch(req, existingProduct);
+    if (preconditionError) {
+        setETag(res, existingProduct);
+        return next(preconditionError);
+    }
+
+    // Move product to the trash
+    const deletedProduct = await products.remove(id, { expectedVersion: existingProduct.version });
 
     // Return success message with deleted product data
     res.json({
@@ -14,47 +14,341 @@
  * - POST   /api/tasks          - Create a new resource
  * - PUT    /api/tasks/:id      - Update an existing resource (full update)
  * - PATCH  /api/tasks/:id      - Partial update of a resource
- * - DELETE /api/tasks/:id      - Delete a resource
+ * - DELETE /api/tasks/:id      - Delete a resource (moves it to the trash)
+ * - POST   /api/tasks/bulk     - Create, update and delete many tasks at once
+ * - GET    /api/tasks/calendar.ics - iCalendar feed of due dates
+ * 
+ * Trash bin:
+ * - GET    /api/tasks/trash        - List deleted tasks
+ * - DELETE /api/tasks/trash        - Purge tasks past the retention period
+ * - POST   /api/tasks/:id/restore  - Restore a deleted task
+ * 
+ * Recurring tasks:
+ * - GET    /api/tasks/:id/occurrences        - Preview the occurrences of a recurring task
+ * - PATCH  /api/tasks/:id/occurrences/:date  - Skip or change a single occurrence
+ * 
+ * Change history:
+ * - GET    /api/tasks/:id/history          - List every change made to a task
+ * - POST   /api/tasks/:id/revert/:version  - Restore a task to an earlier version
+ * 
+ * Single-task responses include an ETag header. Send it back in If-Match on
+ * PUT, PATCH and DELETE to get a 412 instead of overwriting someone else's change.
  */
 
 import { Router } from "express";
+import { config } from "../config/index.js";
+import { createRepository } from "../storage/index.js";
+import { createHistory } from "../storage/history.js";
+import { createCalendarTokens } from "../storage/calendarTokens.js";
+import { versionConflictError } from "../storage/errors.js";
+import { createSearch } from "../search/index.js";
+import { createTrashRouter } from "./trash.js";
+import { isCalendarDate, validate, validationError } from "../validation/index.js";
+import { occurrenceSchema, TASK_PRIORITIES, TASK_STATUSES, taskSchema } from "../validation/schemas.js";
+import { checkIfMatch, setETag } from "../utils/etag.js";
+import { errorCode, errorStatus } from "../utils/problems.js";
+import { sendList } from "../utils/pagination.js";
+import { applyFilter } from "../utils/filter.js";
+import { shapeRecord } from "../utils/fieldsets.js";
+import { applyPatchRequest, setAcceptPatch, validatePatchedRecord } from "../utils/patch.js";
+import { buildCalendar, CALENDAR_COMPONENTS } from "../utils/ical.js";
+import { dependencyGraph, findCycle, openBlockers, withProgress } from "../utils/taskGraph.js";
+import {
+    MAX_YEARS_AHEAD,
+    hasOccurrence,
+    lastPlannedDate,
+    listOccurrences,
+    nextOccurrence,
+} from "../utils/recurrence.js";
 
 const router = Router();
 
-// In-memory storage for demo purposes (replace with database in production)
-// This simulates a database for demonstration
-let tasks = [
-    {
-        id: 1,
-        title: "Complete project documentation",
-        description: "Write comprehensive documentation for the Node.js API project",
+// Task repository (backed by the storage driver chosen in config)
+const tasks = createRepository("tasks");
+
+// Change log for tasks (every create, update, patch, delete and revert)
+const taskHistory = createHistory("tasks");
+
+// Users, for assignees and the owner of a calendar subscription
+const users = createRepository("users");
+
+// Secret tokens of per-user calendar subscription URLs
+const calendarTokens = createCalendarTokens();
+
+// Full-text search over task titles and descriptions (title matches weigh more)
+const taskSearch = createSearch("tasks", {
+    repository: tasks,
+    fields: { title: 3, description: 1 },
+});
+
+// Fields usable in the filter query parameter and their types
+const taskFilterFields = {
+    id: "number",
+    title: "string",
+    description: "string",
+    status: { type: "enum", values: TASK_STATUSES },
+    priority: { type: "enum", values: TASK_PRIORITIES },
+    dueDate: "date",
+    assigneeId: "number",
+    parentId: "number",
+    recurrence: "string",
+    occurrenceDate: "date",
+    createdAt: "date",
+    updatedAt: "date",
+};
+
+// Trash bin routes (mounted before the "/:id" routes so "trash" is not read as an ID)
+router.use(createTrashRouter({ repository: tasks, label: "Task", history: taskHistory }));
+
+/**
+ * Add the timestamps to validated task fields
+ * @param {Object} fields - Fields from validate()
+ * @param {boolean} created - True for a new task (also sets createdAt)
+ * @returns {Object} Fields to save
+ */
+const withTimestamps = (fields, created = false) => {
+    const now = new Date().toISOString();
+    return created ? { ...fields, createdAt: now, updatedAt: now } : { ...fields, updatedAt: now };
+};
+
+/**
+ * Check that validated task fields assign the task to an existing user
+ * Only a changed assignee is checked, so a task can be edited whatever it
+ * was assigned to before.
+ * @param {Object} fields - Fields from validate()
+ * @param {Object|null} existing - The task before the change (null for a new task)
+ * @returns {Promise<Error|null>} Validation error for assigneeId, or null
+ */
+const checkAssignee = async (fields, existing = null) => {
+    const { assigneeId } = fields;
+    if (assigneeId == null || assigneeId === existing?.assigneeId) return null;
+    if (await users.find(assigneeId)) return null;
+
+    return validationError([
+        { field: "assigneeId", code: "UNKNOWN_USER", message: `User with ID ${assigneeId} not found` },
+    ]);
+};
+
+/**
+ * Check the parent and blockers of validated task fields
+ * New links must point at tasks that are not in the trash and must not
+ * create a cycle, and a task cannot become completed while a task it is
+ * blocked by is open (see utils/taskGraph.js).
+ * @param {Object} fields - Fields from validate()
+ * @param {Object|null} existing - The task before the change (null for a new task)
+ * @param {Array<Object>|null} taskList - Every task, trash included, to check against (default: the saved tasks)
+ * @returns {Promise<Error|null>} 400 (unknown task), 409 DEPENDENCY_CYCLE or 409 TASK_BLOCKED error, or null
+ */
+const checkLinks = async (fields, existing = null, taskList = null) => {
+    const { parentId, blockedBy } = fields;
+    const allTasks = taskList ?? (await tasks.list({ withDeleted: true }));
+    const activeTasks = allTasks.filter((task) => !task.deletedAt);
+    const activeIds = new Set(activeTasks.map((task) => task.id));
+
+    // New links must point at existing tasks
+    const errors = [];
+    if (parentId != null && parentId !== existing?.parentId && !activeIds.has(parentId)) {
+        errors.push({ field: "parentId", code: "UNKNOWN_TASK", message: `Task with ID ${parentId} not found` });
+    }
+    const previousBlockers = existing?.blockedBy ?? [];
+    const unknown = (blockedBy ?? []).filter((id) => !previousBlockers.includes(id) && !activeIds.has(id));
+    if (unknown.length > 0) {
+        errors.push({ field: "blockedBy", code: "UNKNOWN_TASK", message: `Task(s) not found: ${unknown.join(", ")}` });
+    }
+    if (errors.length > 0) return validationError(errors);
+
+    // A task cannot depend on itself (a new task has no links pointing at it yet)
+    const cycle = existing && findCycle(allTasks, existing.id, { parentId, blockedBy });
+    if (cycle) {
+        const error = new Error(
+            `Setting ${cycle.field} of task ${existing.id} would create a cycle: ${cycle.path.join(" -> ")}`
+        );
+        error.statusCode = 409;
+        error.code = "DEPENDENCY_CYCLE";
+        error.details = { field: cycle.field, cycle: cycle.path };
+        return error;
+    }
+
+    // A task can only be completed once its blockers are
+    if (fields.status === "completed" && existing?.status !== "completed") {
+        const blockers = openBlockers(activeTasks, { blockedBy: blockedBy ?? existing?.blockedBy });
+        if (blockers.length > 0) {
+            const error = new Error(`Task cannot be completed while blocked by open task(s): ${blockers.join(", ")}`);
+            error.statusCode = 409;
+            error.code = "TASK_BLOCKED";
+            error.details = { blockers };
+            return error;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Check the links of validated task fields to users and other tasks
+ * @param {Object} fields - Fields from validate()
+ * @param {Object|null} existing - The task before the change (null for a new task)
+ * @returns {Promise<Error|null>} Error from checkAssignee() or checkLinks(), or null
+ */
+const checkTask = async (fields, existing = null) =>
+    (await checkAssignee(fields, existing)) ?? (await checkLinks(fields, existing));
+
+/**
+ * Start or end the series of a recurring task (see utils/recurrence.js)
+ * Setting or changing the recurrence starts a new series at the task's due
+ * date (saved occurrence changes are dropped); clearing it ends the series.
+ * A recurring task needs a due date.
+ * @param {Object} fields - Fields from validate()
+ * @param {Object|null} existing - The task before the change (null for a new task)
+ * @returns {Object} { error } (400 without a due date) or { value } with the fields to save
+ */
+const scheduleSeries = (fields, existing = null) => {
+    const recurrence = fields.recurrence !== undefined ? fields.recurrence : existing?.recurrence ?? null;
+    const dueDate = fields.dueDate !== undefined ? fields.dueDate : existing?.dueDate ?? null;
+
+    // One-off task (a series that ends loses its occurrence date and changes)
+    if (!recurrence) {
+        return {
+            value: existing?.recurrence
+                ? { ...fields, occurrenceDate: null, occurrenceOverrides: null, seriesValues: null }
+                : fields,
+        };
+    }
+
+    if (!dueDate) {
+        return {
+            error: validationError([
+                { field: "dueDate", code: "REQUIRED", message: "Due date is required for a recurring task" },
+            ]),
+        };
+    }
+
+    // A new or changed rule starts its series at the due date
+    if (recurrence !== existing?.recurrence) {
+        return { value: { ...fields, occurrenceDate: dueDate, occurrenceOverrides: null, seriesValues: null } };
+    }
+    return { value: fields };
+};
+
+/**
+ * Hand the series of a recurring task that gets completed over to a new task
+ * The completed task keeps its occurrenceDate but loses its recurrence, so
+ * completing it again does not repeat it twice. The next task is pending,
+ * due on the next occurrence that is not skipped (with the changes saved for
+ * it), keeps the parent and has no blockers. There is none when the series
+ * has ended.
+ * @param {Object} changes - Fields to save
+ * @param {Object} existing - The task before the change
+ * @returns {Object} { changes, next } - The fields to save and those of the next task (or null)
+ */
+const completeOccurrence = (changes, existing) => {
+    const task = { ...existing, ...changes };
+    if (task.status !== "completed" || existing.status === "completed" || !task.recurrence) {
+        return { changes, next: null };
+    }
+
+    const occurrence = nextOccurrence(task);
+    const next = occurrence && withTimestamps({
+        title: occurrence.title,
+        description: occurrence.description,
         status: "pending",
-        priority: "high",
-        dueDate: "2024-12-31",
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-    },
-    {
-        id: 2,
-        title: "Review code changes",
-        description: "Review and merge pull request #42",
-        status: "in-progress",
-        priority: "medium",
-        dueDate: "2024-12-20",
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-    },
-    {
-        id: 3,
-        title: "Update dependencies",
-        description: "Update npm packages to latest versions",
-        status: "completed",
-        priority: "low",
-        dueDate: "2024-12-15",
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-    },
-];
+        priority: occurrence.priority,
+        dueDate: occurrence.dueDate,
+        assigneeId: occurrence.assigneeId,
+        parentId: task.parentId ?? null,
+        blockedBy: [],
+        ...occurrence,
+    }, true);
+
+    return { changes: { ...changes, recurrence: null, occurrenceOverrides: null, seriesValues: null }, next };
+};
+
+/**
+ * Create the task of the next occurrence of a completed recurring task
+ * @param {Object|null} fields - Fields from completeOccurrence() (null if there is none)
+ * @param {Object} req - Express request object (for the history)
+ * @returns {Promise<Object|null>} The created task, or null
+ */
+const insertNextOccurrence = async (fields, req) => {
+    if (!fields) return null;
+
+    const task = await tasks.insert(fields);
+    await taskHistory.record("create", null, task, req);
+    return task;
+};
+
+/**
+ * Read the assignee query parameter
+ * @param {string} value - User ID, or "none" for unassigned tasks
+ * @returns {Object} { assigneeId } (undefined without the parameter, null for "none") or { error }
+ */
+const parseAssignee = (value) => {
+    if (value === undefined) return { assigneeId: undefined };
+    if (String(value).toLowerCase() === "none") return { assigneeId: null };
+
+    const assigneeId = Number(value);
+    if (!Number.isInteger(assigneeId) || assigneeId < 1) {
+        const error = new Error('Invalid assignee. Must be a user ID or "none"');
+        error.statusCode = 400;
+        error.code = "INVALID_PARAMETER";
+        return { error };
+    }
+    return { assigneeId };
+};
+
+/**
+ * Apply the status and priority query parameters (unknown values are ignored)
+ * @param {Array<Object>} records - Tasks to filter
+ * @param {Object} query - Express req.query
+ * @returns {Array<Object>} Matching tasks
+ */
+const filterByStatusAndPriority = (records, query) => {
+    let filteredTasks = records;
+
+    // Filter by status if provided
+    if (query.status) {
+        if (TASK_STATUSES.includes(query.status.toLowerCase())) {
+            filteredTasks = filteredTasks.filter(
+                (task) => task.status.toLowerCase() === query.status.toLowerCase()
+            );
+        }
+    }
+
+    // Filter by priority if provided
+    if (query.priority) {
+        if (TASK_PRIORITIES.includes(query.priority.toLowerCase())) {
+            filteredTasks = filteredTasks.filter(
+                (task) => task.priority.toLowerCase() === query.priority.toLowerCase()
+            );
+        }
+    }
+
+    return filteredTasks;
+};
+
+/**
+ * Build a comparator for the sortBy/order query parameters
+ * @param {string} sortField - Sort field (title, priority, dueDate, createdAt)
+ * @param {number} sortOrder - 1 for ascending, -1 for descending
+ * @returns {Function} Comparator usable with Array.prototype.sort
+ */
+const compareTasks = (sortField, sortOrder) => (a, b) => {
+    // Handle priority sorting (convert to numeric value)
+    if (sortField === "priority") {
+        const priorityOrder = { low: 1, medium: 2, high: 3 };
+        return (priorityOrder[a.priority] - priorityOrder[b.priority]) * sortOrder;
+    }
+
+    // Handle date sorting
+    if (sortField === "dueDate" || sortField === "createdAt") {
+        return (new Date(a[sortField]) - new Date(b[sortField])) * sortOrder;
+    }
+
+    // Handle string sorting
+    if (a[sortField] < b[sortField]) return -1 * sortOrder;
+    if (a[sortField] > b[sortField]) return 1 * sortOrder;
+    return 0;
+};
 
 // ============================================
 // GET Routes - Read Operations
@@ -66,80 +360,156 @@ let tasks = [
  * Get all tasks with optional filtering and sorting
  * 
  * Query Parameters:
+ * - q: Full-text search in title and description (ranked by relevance, with highlights)
  * - status: Filter by status (pending, in-progress, completed)
  * - priority: Filter by priority (low, medium, high)
+ * - assignee: Only the tasks of this user ID, or "none" for unassigned tasks
+ * - filter: Filter expression, e.g. "dueDate < today and status != completed" (see utils/filter.js)
  * - sortBy: Sort field (title, priority, dueDate, createdAt)
  * - order: Sort order (asc, desc) - default: asc
+ * - limit: Page size (1-100) - enables cursor pagination
+ * - cursor: Opaque cursor from nextCursor/prevCursor of a previous page
+ * - fields: Fields to return, e.g. "id,title,status" (see utils/fieldsets.js)
+ * - include: Related records to embed (assignee)
  * 
  * Example: GET /api/tasks?status=pending&priority=high&sortBy=dueDate&order=asc
+ * Example: GET /api/tasks?sortBy=priority&order=desc&limit=10
+ * Example: GET /api/tasks?q=documentation&status=pending
+ * Example: GET /api/tasks?assignee=2&status=in-progress
+ * Example: GET /api/tasks?filter=dueDate between -7d and today or priority = high
  */
-router.get("/", (req, res) => {
-    let filteredTasks = [...tasks];
+router.get("/", async (req, res, next) => {
+    // Validate the assignee filter
+    const { assigneeId, error } = parseAssignee(req.query.assignee);
+    if (error) return next(error);
 
-    // Filter by status if provided
-    if (req.query.status) {
-        const validStatuses = ["pending", "in-progress", "completed"];
-        if (validStatuses.includes(req.query.status.toLowerCase())) {
-            filteredTasks = filteredTasks.filter(
-                (task) => task.status.toLowerCase() === req.query.status.toLowerCase()
-            );
-        }
-    }
+    await sendTaskList(req, res, { assigneeId });
+});
 
-    // Filter by priority if provided
-    if (req.query.priority) {
-        const validPriorities = ["low", "medium", "high"];
-        if (validPriorities.includes(req.query.priority.toLowerCase())) {
-            filteredTasks = filteredTasks.filter(
-                (task) => task.priority.toLowerCase() === req.query.priority.toLowerCase()
-            );
-        }
+/**
+ * Send the tasks matching a list request (GET /api/tasks, GET /api/users/:id/tasks)
+ * Applies q, status, priority, filter, sortBy and order, adds the progress of
+ * parent tasks, then paginates and shapes the list like every list route
+ * (see utils/pagination.js).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} options - { assigneeId: only the tasks of this user (null for unassigned tasks) }
+ * @returns {Promise<void>}
+ */
+export const sendTaskList = async (req, res, { assigneeId } = {}) => {
+    // Full-text search if q is provided (otherwise start from all tasks)
+    const allTasks = req.query.q
+        ? await taskSearch.search(req.query.q)
+        : await tasks.list();
+
+    // Filter by status and priority if provided
+    let filteredTasks = filterByStatusAndPriority(allTasks, req.query);
+
+    // Filter by assignee if provided
+    if (assigneeId !== undefined) {
+        filteredTasks = filteredTasks.filter((task) => (task.assigneeId ?? null) === assigneeId);
     }
 
-    // Sort tasks if sortBy parameter is provided
-    if (req.query.sortBy) {
+    // Filter by the filter expression if provided (400 with the position if invalid)
+    filteredTasks = applyFilter(filteredTasks, req.query.filter, taskFilterFields);
+
+    // Add the rolled-up progress of their subtasks to parent tasks (search
+    // results are only the matching tasks, so subtasks are counted over all)
+    filteredTasks = withProgress(filteredTasks, req.query.q ? await tasks.list() : allTasks);
+
+    // Sort tasks if a valid sortBy parameter is provided (ties are ordered by ID)
+    const validSortFields = ["title", "priority", "dueDate", "createdAt"];
+    if (validSortFields.includes(req.query.sortBy)) {
         const sortField = req.query.sortBy;
         const sortOrder = req.query.order === "desc" ? -1 : 1;
 
-        // Validate sort field
-        const validSortFields = ["title", "priority", "dueDate", "createdAt"];
-        if (validSortFields.includes(sortField)) {
-            filteredTasks.sort((a, b) => {
-                // Handle priority sorting (convert to numeric value)
-                if (sortField === "priority") {
-                    const priorityOrder = { low: 1, medium: 2, high: 3 };
-                    return (priorityOrder[a.priority] - priorityOrder[b.priority]) * sortOrder;
-                }
+        return sendList(req, res, filteredTasks, {
+            compare: compareTasks(sortField, sortOrder),
+            keyFields: [sortField],
+            sort: `${sortField}:${sortOrder === -1 ? "desc" : "asc"}`,
+            resource: "tasks",
+        });
+    }
 
-                // Handle date sorting
-                if (sortField === "dueDate" || sortField === "createdAt") {
-                    return (new Date(a[sortField]) - new Date(b[sortField])) * sortOrder;
-                }
+    // Search results are ordered by relevance unless sortBy says otherwise
+    if (req.query.q) {
+        return sendList(req, res, filteredTasks, {
+            compare: (a, b) => b.relevance - a.relevance,
+            keyFields: ["relevance"],
+            sort: "relevance:desc",
+            resource: "tasks",
+        });
+    }
+
+    // Return filtered tasks (one page of them if limit/cursor is given)
+    await sendList(req, res, filteredTasks, { resource: "tasks" });
+};
 
-                // Handle string sorting
-                if (a[sortField] < b[sortField]) return -1 * sortOrder;
-                if (a[sortField] > b[sortField]) return 1 * sortOrder;
-                return 0;
-            });
+/**
+ * GET /api/tasks/calendar.ics
+ * 
+ * iCalendar (RFC 5545) feed of the tasks that have a due date, for calendar
+ * apps to import or subscribe to (see utils/ical.js)
+ * 
+ * Query Parameters:
+ * - status, priority, filter: Same filters as GET /api/tasks
+ * - component: "event" (default, all-day events) or "todo" (VTODO to-dos)
+ * - token: Subscription token from POST /api/users/:id/calendar; limits the
+ *   feed to the tasks assigned to that user
+ */
+router.get("/calendar.ics", async (req, res, next) => {
+    // Validate the component type
+    const componentName = req.query.component ?? "event";
+    const component = CALENDAR_COMPONENTS[componentName];
+    if (!component) {
+        const error = new Error(
+            `Invalid component. Must be one of: ${Object.keys(CALENDAR_COMPONENTS).join(", ")}`
+        );
+        error.statusCode = 400;
+        return next(error);
+    }
+
+    let calendarTasks = await tasks.list();
+    let name = `${config.appName} Tasks`;
+
+    // A subscription token limits the feed to the tasks of its user
+    if (req.query.token !== undefined) {
+        const userId = await calendarTokens.findUserId(req.query.token);
+        const user = userId && (await users.find(userId));
+        if (!user) {
+            const error = new Error("Calendar subscription not found");
+            error.statusCode = 404;
+            return next(error);
         }
+        calendarTasks = calendarTasks.filter((task) => task.assigneeId === user.id);
+        name = `${user.name} - ${name}`;
     }
 
-    // Return filtered and sorted tasks
-    res.json({
-        success: true,
-        count: filteredTasks.length,
-        data: filteredTasks,
-    });
+    // Filter like the task list (400 with the position if the filter is invalid)
+    calendarTasks = applyFilter(
+        filterByStatusAndPriority(calendarTasks, req.query),
+        req.query.filter,
+        taskFilterFields
+    );
+
+    // Only tasks with a due date appear, earliest first
+    calendarTasks = calendarTasks.filter((task) => task.dueDate).sort(compareTasks("dueDate", 1));
+
+    res.type("text/calendar");
+    res.set("Content-Disposition", 'inline; filename="tasks.ics"');
+    res.send(buildCalendar(calendarTasks, { name, productId: config.appName, component }));
 });
 
 /**
  * GET /api/tasks/:id
  * 
  * Get a single task by ID
+ * Supports the fields and include query parameters (e.g. ?include=assignee)
+ * A task with subtasks has their rolled-up progress.
  * 
  * @param {string} id - Task ID from URL parameter
  */
-router.get("/:id", (req, res, next) => {
+router.get("/:id", async (req, res, next) => {
     // Convert ID parameter to number
     const id = parseInt(req.params.id);
 
@@ -151,7 +521,7 @@ router.get("/:id", (req, res, next) => {
     }
 
     // Find task by ID
-    const task = tasks.find((t) => t.id === id);
+    const task = await tasks.find(id);
 
     // If task not found, return 404 error
     if (!task) {
@@ -160,10 +530,16 @@ router.get("/:id", (req, res, next) => {
         return next(error);
     }
 
-    // Return the found task
+    // Add the rolled-up progress of its subtasks, then apply the fields and
+    // include parameters (400 if they are invalid)
+    const [withSubtasks] = withProgress([task], await tasks.list());
+    const data = await shapeRecord(req, withSubtasks, "tasks");
+
+    // Return the found task (ETag lets the client make conditional updates)
+    setETag(res, task);
     res.json({
         success: true,
-        data: task,
+        data,
     });
 });
 
@@ -182,74 +558,401 @@ router.get("/:id", (req, res, next) => {
  *   "description": "Task description (optional)",
  *   "status": "pending|in-progress|completed (optional, default: pending)",
  *   "priority": "low|medium|high (optional, default: medium)",
- *   "dueDate": "YYYY-MM-DD (optional)"
+ *   "dueDate": "YYYY-MM-DD (optional)",
+ *   "assigneeId": "ID of the user working on the task (optional)",
+ *   "parentId": "ID of the task this is a subtask of (optional)",
+ *   "blockedBy": "[IDs of the tasks that must be completed first] (optional)",
+ *   "recurrence": "RRULE value, e.g. FREQ=WEEKLY;BYDAY=MO (optional, needs a dueDate)"
  * }
  */
-router.post("/", (req, res, next) => {
-    // Extract data from request body
-    const { title, description, status, priority, dueDate } = req.body;
+router.post("/", async (req, res, next) => {
+    // Validate the request body and apply defaults
+    const { error, value } = validate(taskSchema, req.body, "create");
+    if (error) return next(error);
+
+    // A recurring task starts its series at its due date
+    const series = scheduleSeries(value);
+    if (series.error) return next(series.error);
+
+    // Check the assignee, parent and blockers
+    const linkError = await checkTask(series.value);
+    if (linkError) return next(linkError);
+
+    // Create new task (the repository assigns the ID)
+    const newTask = await tasks.insert(withTimestamps(series.value, true));
+
+    // Record the creation in the task history
+    await taskHistory.record("create", null, newTask, req);
+
+    // Return the created task with 201 status code (Created)
+    setETag(res, newTask);
+    res.status(201).json({
+        success: true,
+        message: "Task created successfully",
+        data: newTask,
+    });
+});
+
+// ============================================
+// Bulk Route - Many Operations in One Request
+// ============================================
+
+// Most operations accepted in one bulk request
+const MAX_BULK_OPERATIONS = 500;
+
+/**
+ * Create an error with a status code for a bulk operation
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Object} { error }
+ */
+const bulkError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return { error };
+};
+
+/**
+ * Validate one bulk operation and read the task it targets
+ * Uses the same validation as POST (create) and PATCH (update).
+ * @param {Object} operation - { op, id, version, data }
+ * @returns {Promise<Object>} { error } or { plan } for applyBulkOperation()
+ */
+const prepareBulkOperation = async (operation) => {
+    const { op, id, version, data } = operation ?? {};
+
+    if (op === "create") {
+        const { error, value } = validate(taskSchema, data, "create");
+        if (error) return { error };
+        const series = scheduleSeries(value);
+        if (series.error) return { error: series.error };
+        const assigneeError = await checkAssignee(series.value);
+        return assigneeError ? { error: assigneeError } : { plan: { op, task: withTimestamps(series.value, true) } };
+    }
+
+    if (op !== "update" && op !== "delete") {
+        return bulkError("op must be one of: create, update, delete");
+    }
+    if (!Number.isInteger(id)) {
+        return bulkError("Invalid task ID");
+    }
+
+    const existing = await tasks.find(id);
+    if (!existing) {
+        return bulkError(`Task with ID ${id} not found`, 404);
+    }
+
+    // An optional version plays the role of If-Match for this operation
+    if (version !== undefined && version !== existing.version) {
+        return { error: versionConflictError(id, version, existing.version) };
+    }
+
+    if (op === "update") {
+        const { error, value } = validate(taskSchema, data, "update");
+        if (error) return { error };
+        const series = scheduleSeries(value, existing);
+        if (series.error) return { error: series.error };
+        const assigneeError = await checkAssignee(series.value, existing);
+        if (assigneeError) return { error: assigneeError };
+
+        // Completing a recurring task also creates the task of its next occurrence
+        const { changes, next } = completeOccurrence(withTimestamps(series.value), existing);
+        return { plan: { op, id, existing, changes, next } };
+    }
+
+    return { plan: { op, id, existing } };
+};
+
+/**
+ * Apply a prepared bulk operation
+ * @param {Object} plan - Plan from prepareBulkOperation()
+ * @returns {Promise<Object>} { statusCode, action, before, after, next } for the response and
+ *   history (next is the task created for the next occurrence of a completed recurring task)
+ */
+const applyBulkOperation = async (plan) => {
+    // Task links are checked against the tasks as the earlier operations left them
+    if (plan.op !== "delete") {
+        const linkError = await checkLinks(plan.task ?? plan.changes, plan.existing);
+        if (linkError) throw linkError;
+    }
+
+    if (plan.op === "create") {
+        const created = await tasks.insert(plan.task);
+        return { statusCode: 201, action: "create", before: null, after: created };
+    }
 
-    // Validate required fields
-    if (!title || title.trim() === "") {
-        const error = new Error("Title is required");
+    const options = { expectedVersion: plan.existing.version };
+    if (plan.op === "update") {
+        const updated = await tasks.update(plan.id, plan.changes, options);
+        const next = plan.next && (await tasks.insert(plan.next));
+        return { statusCode: 200, action: "patch", before: plan.existing, after: updated, next };
+    }
+
+    const deleted = await tasks.remove(plan.id, options);
+    return { statusCode: 200, action: "delete", before: plan.existing, after: deleted };
+};
+
+/**
+ * Check the task links of every operation of an all-or-nothing request
+ * before anything is saved. Each operation is checked against the tasks as
+ * the operations before it would leave them (see checkLinks()).
+ * @param {Array<Object>} plans - Plans from prepareBulkOperation(), in request order
+ * @returns {Promise<Array<Object>>} { index, error } of each operation whose links are invalid
+ */
+const checkBulkLinks = async (plans) => {
+    let taskList = await tasks.list({ withDeleted: true });
+    const failures = [];
+
+    // Only existing tasks can be linked to, so created tasks are left out
+    for (const [index, plan] of plans.entries()) {
+        if (plan.op === "delete") {
+            const deletedAt = new Date().toISOString();
+            taskList = taskList.map((task) => (task.id === plan.id ? { ...task, deletedAt } : task));
+            continue;
+        }
+
+        const error = await checkLinks(plan.task ?? plan.changes, plan.existing, taskList);
+        if (error) {
+            failures.push({ index, error });
+        } else if (plan.op === "update") {
+            taskList = taskList.map((task) => (task.id === plan.id ? { ...task, ...plan.changes } : task));
+        }
+    }
+
+    return failures;
+};
+
+/**
+ * Undo an applied bulk operation (used to roll back an all-or-nothing request
+ * when a save fails, e.g. because of a concurrent change)
+ * @param {Object} plan - Plan from prepareBulkOperation()
+ * @param {Object} outcome - Result of applyBulkOperation()
+ * @returns {Promise<Array<Object>>} { action, before, after } of each undoing change, for the history
+ * @throws {Error} 412 if an updated task changed again meanwhile (nothing is undone then)
+ */
+const undoBulkOperation = async (plan, outcome) => {
+    if (plan.op === "create") {
+        return [{ action: "purge", before: await tasks.purge(outcome.after.id), after: null }];
+    }
+
+    if (plan.op === "update") {
+        // Put back the previous value of every changed field, unless another
+        // request changed the task after this operation
+        const previous = Object.fromEntries(
+            Object.keys(plan.changes).map((field) => [field, plan.existing[field] ?? null])
+        );
+        const restored = await tasks.update(
+            plan.id,
+            { ...previous, updatedAt: new Date().toISOString() },
+            { expectedVersion: outcome.after.version }
+        );
+        const purged = outcome.next && (await tasks.purge(outcome.next.id));
+        return [
+            ...(purged ? [{ action: "purge", before: purged, after: null }] : []),
+            { action: "patch", before: outcome.after, after: restored },
+        ];
+    }
+
+    return [{ action: "restore", before: outcome.after, after: await tasks.restore(plan.id) }];
+};
+
+/**
+ * Describe the outcome of one operation for the response
+ * @param {number} index - Position of the operation in the request
+ * @param {Object} operation - Operation from the request
+ * @param {Object} outcome - { statusCode, after, next } or { error }
+ * @returns {Object} Result entry
+ */
+const bulkResult = (index, operation, { statusCode, after, next, error }) =>
+    error
+        ? {
+            index,
+            op: operation?.op,
+            id: operation?.id ?? null,
+            success: false,
+            statusCode: errorStatus(error),
+            code: errorCode(error),
+            error: error.message,
+        }
+        : {
+            index,
+            op: operation.op,
+            id: after.id,
+            success: true,
+            statusCode,
+            data: after,
+            ...(next && { nextOccurrence: next }),
+        };
+
+/**
+ * POST /api/tasks/bulk
+ * 
+ * Create, update and delete many tasks in one request
+ * 
+ * Expected JSON body:
+ * {
+ *   "mode": "atomic (default) | partial",
+ *   "operations": [
+ *     { "op": "create", "data": { "title": "New task", "priority": "high" } },
+ *     { "op": "update", "id": 2, "version": 3, "data": { "status": "completed" } },
+ *     { "op": "delete", "id": 5 }
+ *   ]
+ * }
+ * 
+ * Creates and updates are validated exactly like POST and PATCH. The optional
+ * `version` makes an update or delete fail with 412 if the task has changed.
+ * Links between tasks (parentId, blockedBy) are checked as each operation is
+ * applied, so an operation sees the links set by the ones before it.
+ * Completing a recurring task creates the task of its next occurrence, like
+ * PUT and PATCH do (returned as nextOccurrence in the operation's result).
+ * 
+ * - atomic:  Every operation is checked first, links included. If any is
+ *            invalid, nothing is saved and the error lists every failing
+ *            operation. If a save fails halfway (e.g. a concurrent change),
+ *            the operations already applied are undone (both recorded in
+ *            the task history).
+ * - partial: Operations run one after another and each gets its own result;
+ *            failures don't stop the others.
+ */
+router.post("/bulk", async (req, res, next) => {
+    const { mode = "atomic", operations } = req.body ?? {};
+
+    // Validate the request shape
+    if (mode !== "atomic" && mode !== "partial") {
+        const error = new Error("mode must be either atomic or partial");
+        error.statusCode = 400;
+        return next(error);
+    }
+    if (!Array.isArray(operations) || operations.length === 0) {
+        const error = new Error("operations must be a non-empty array");
+        error.statusCode = 400;
+        return next(error);
+    }
+    if (operations.length > MAX_BULK_OPERATIONS) {
+        const error = new Error(`At most ${MAX_BULK_OPERATIONS} operations are allowed per request`);
         error.statusCode = 400;
         return next(error);
     }
 
-    // Validate status if provided
-    if (status) {
-        const validStatuses = ["pending", "in-progress", "completed"];
-        if (!validStatuses.includes(status.toLowerCase())) {
-            const error = new Error(
-                `Invalid status. Must be one of: ${validStatuses.join(", ")}`
-            );
-            error.statusCode = 400;
-            return next(error);
+    // Partial mode: run each operation on its own and report every outcome
+    if (mode === "partial") {
+        const results = [];
+        for (const [index, operation] of operations.entries()) {
+            const { error, plan } = await prepareBulkOperation(operation);
+            if (error) {
+                results.push(bulkResult(index, operation, { error }));
+                continue;
+            }
+            try {
+                const outcome = await applyBulkOperation(plan);
+                await taskHistory.record(outcome.action, outcome.before, outcome.after, req);
+                if (outcome.next) await taskHistory.record("create", null, outcome.next, req);
+                results.push(bulkResult(index, operation, outcome));
+            } catch (error) {
+                results.push(bulkResult(index, operation, { error }));
+            }
         }
+
+        const failed = results.filter((result) => !result.success).length;
+        return res.json({
+            success: failed === 0,
+            mode,
+            count: results.length,
+            succeeded: results.length - failed,
+            failed,
+            results,
+        });
     }
 
-    // Validate priority if provided
-    if (priority) {
-        const validPriorities = ["low", "medium", "high"];
-        if (!validPriorities.includes(priority.toLowerCase())) {
-            const error = new Error(
-                `Invalid priority. Must be one of: ${validPriorities.join(", ")}`
-            );
-            error.statusCode = 400;
-            return next(error);
+    // Atomic mode: check every operation before saving anything
+    const plans = [];
+    const failures = [];
+    const targeted = new Map();
+    for (const [index, operation] of operations.entries()) {
+        const { error, plan } = await prepareBulkOperation(operation);
+        if (error) {
+            failures.push(bulkResult(index, operation, { error }));
+            continue;
         }
+
+        // Each task can only be changed once, as later operations would see a stale version
+        if (plan.id !== undefined) {
+            if (targeted.has(plan.id)) {
+                const { error } = bulkError(
+                    `Task ${plan.id} is already changed by operation ${targeted.get(plan.id)}`
+                );
+                failures.push(bulkResult(index, operation, { error }));
+                continue;
+            }
+            targeted.set(plan.id, index);
+        }
+        plans.push(plan);
     }
 
-    // Validate date format if dueDate is provided
-    if (dueDate) {
-        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-        if (!dateRegex.test(dueDate)) {
-            const error = new Error("Invalid date format. Use YYYY-MM-DD");
-            error.statusCode = 400;
-            return next(error);
+    // Check the links between tasks as the operations would leave them
+    if (failures.length === 0) {
+        for (const { index, error } of await checkBulkLinks(plans)) {
+            failures.push(bulkResult(index, operations[index], { error }));
         }
     }
 
-    // Create new task object with defaults
-    const newTask = {
-        id: tasks.length > 0 ? Math.max(...tasks.map((t) => t.id)) + 1 : 1,
-        title: title.trim(),
-        description: description ? description.trim() : "",
-        status: status ? status.toLowerCase() : "pending",
-        priority: priority ? priority.toLowerCase() : "medium",
-        dueDate: dueDate || null,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-    };
+    if (failures.length > 0) {
+        const statusCodes = new Set(failures.map((failure) => failure.statusCode));
+        const error = new Error(
+            `${failures.length} of ${operations.length} operations failed, nothing was saved`
+        );
+        error.statusCode = statusCodes.size === 1 ? [...statusCodes][0] : 400;
+        error.details = { failures };
+        return next(error);
+    }
+
+    // Save everything. If a save still fails (e.g. a task changed meanwhile),
+    // the applied operations are undone; the history records both, so it
+    // explains the versions the tasks went through. An update is not undone
+    // if the task changed again since, and is reported as a failure instead.
+    const outcomes = [];
+    for (const [index, plan] of plans.entries()) {
+        try {
+            outcomes.push(await applyBulkOperation(plan));
+        } catch (applyError) {
+            const notRolledBack = [];
+            for (let i = outcomes.length - 1; i >= 0; i--) {
+                const outcome = outcomes[i];
+                await taskHistory.record(outcome.action, outcome.before, outcome.after, req);
+                if (outcome.next) await taskHistory.record("create", null, outcome.next, req);
+                try {
+                    for (const undo of await undoBulkOperation(plans[i], outcome)) {
+                        await taskHistory.record(undo.action, undo.before, undo.after, req);
+                    }
+                } catch (undoError) {
+                    notRolledBack.unshift(bulkResult(i, operations[i], { error: undoError }));
+                }
+            }
+            const error = new Error(
+                notRolledBack.length === 0
+                    ? `Operation ${index} failed (${applyError.message}), all changes were rolled back`
+                    : `Operation ${index} failed (${applyError.message}), and ${notRolledBack.length} ` +
+                        "saved operation(s) could not be rolled back because their tasks changed meanwhile"
+            );
+            error.statusCode = applyError.statusCode || 500;
+            error.details = {
+                failures: [bulkResult(index, operations[index], { error: applyError }), ...notRolledBack],
+            };
+            return next(error);
+        }
+    }
 
-    // Add task to the array (in production, save to database)
-    tasks.push(newTask);
+    // Record the history only once everything is saved
+    for (const outcome of outcomes) {
+        await taskHistory.record(outcome.action, outcome.before, outcome.after, req);
+        if (outcome.next) await taskHistory.record("create", null, outcome.next, req);
+    }
 
-    // Return the created task with 201 status code (Created)
-    res.status(201).json({
+    res.json({
         success: true,
-        message: "Task created successfully",
-        data: newTask,
+        mode,
+        count: outcomes.length,
+        results: outcomes.map((outcome, index) => bulkResult(index, operations[index], outcome)),
     });
 });
 
@@ -262,10 +965,12 @@ router.post("/", (req, res, next) => {
  * 
  * Update an existing task (full update - replaces entire resource)
  * All fields are required for a PUT request
+ * Completing a recurring task creates the task of its next occurrence
+ * (returned as nextOccurrence).
  * 
  * @param {string} id - Task ID from URL parameter
  */
-router.put("/:id", (req, res, next) => {
+router.put("/:id", async (req, res, next) => {
     // Convert ID parameter to number
     const id = parseInt(req.params.id);
 
@@ -276,88 +981,155 @@ router.put("/:id", (req, res, next) => {
         return next(error);
     }
 
-    // Find task index in array
-    const taskIndex = tasks.findIndex((t) => t.id === id);
+    // Find the existing task
+    const existingTask = await tasks.find(id);
 
     // If task not found, return 404 error
-    if (taskIndex === -1) {
+    if (!existingTask) {
         const error = new Error(`Task with ID ${id} not found`);
         error.statusCode = 404;
         return next(error);
     }
 
-    // Extract data from request body
-    const { title, description, status, priority, dueDate } = req.body;
-
-    // Validate required fields for full update
-    if (!title || title.trim() === "") {
-        const error = new Error("Title is required for update");
-        error.statusCode = 400;
-        return next(error);
+    // Reject the change if the client edited an outdated version (If-Match)
+    const preconditionError = checkIfMatch(req, existingTask);
+    if (preconditionError) {
+        setETag(res, existingTask);
+        return next(preconditionError);
     }
 
-    // Validate status
-    const validStatuses = ["pending", "in-progress", "completed"];
-    if (!status || !validStatuses.includes(status.toLowerCase())) {
-        const error = new Error(
-            `Status is required and must be one of: ${validStatuses.join(", ")}`
-        );
+    // Validate the request body (every field is required)
+    const { error, value } = validate(taskSchema, req.body, "replace");
+    if (error) return next(error);
+
+    // Start, keep or end the series of a recurring task
+    const series = scheduleSeries(value, existingTask);
+    if (series.error) return next(series.error);
+
+    // Check the assignee, parent and blockers
+    const linkError = await checkTask(series.value, existingTask);
+    if (linkError) return next(linkError);
+
+    // Update task with new values (full replacement); completing a recurring
+    // task hands its series over to the task of the next occurrence
+    const completion = completeOccurrence(withTimestamps(series.value), existingTask);
+    const updatedTask = await tasks.update(id, completion.changes, { expectedVersion: existingTask.version });
+
+    // Record the change in the task history
+    await taskHistory.record("update", existingTask, updatedTask, req);
+    const nextTask = await insertNextOccurrence(completion.next, req);
+
+    // Return the updated task
+    setETag(res, updatedTask);
+    res.json({
+        success: true,
+        message: "Task updated successfully",
+        data: updatedTask,
+        ...(nextTask && { nextOccurrence: nextTask }),
+    });
+});
+
+// ============================================
+// PATCH Route - Partial Update Operation
+// ============================================
+
+/**
+ * PATCH /api/tasks/:id
+ * 
+ * Partially update an existing task (only provided fields are updated)
+ * This is more flexible than PUT as it allows updating only specific fields
+ * 
+ * The body format depends on the Content-Type (see utils/patch.js):
+ * - application/merge-patch+json or application/json: RFC 7396 merge patch,
+ *   e.g. { "status": "completed" } (null clears a field)
+ * - application/json-patch+json: RFC 6902 operations, applied all or nothing
+ * Patch documents are validated as a whole, like a PUT of the patched task.
+ * Completing a recurring task creates the task of its next occurrence, as
+ * with PUT.
+ * 
+ * @param {string} id - Task ID from URL parameter
+ */
+router.patch("/:id", async (req, res, next) => {
+    // Advertise the supported patch formats
+    setAcceptPatch(res);
+
+    // Convert ID parameter to number
+    const id = parseInt(req.params.id);
+
+    // Validate ID
+    if (isNaN(id)) {
+        const error = new Error("Invalid task ID");
         error.statusCode = 400;
         return next(error);
     }
 
-    // Validate priority
-    const validPriorities = ["low", "medium", "high"];
-    if (!priority || !validPriorities.includes(priority.toLowerCase())) {
-        const error = new Error(
-            `Priority is required and must be one of: ${validPriorities.join(", ")}`
-        );
-        error.statusCode = 400;
+    // Find the existing task
+    const existingTask = await tasks.find(id);
+
+    // If task not found, return 404 error
+    if (!existingTask) {
+        const error = new Error(`Task with ID ${id} not found`);
+        error.statusCode = 404;
         return next(error);
     }
 
-    // Validate date format if dueDate is provided
-    if (dueDate) {
-        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-        if (!dateRegex.test(dueDate)) {
-            const error = new Error("Invalid date format. Use YYYY-MM-DD");
-            error.statusCode = 400;
-            return next(error);
-        }
+    // Reject the change if the client edited an outdated version (If-Match)
+    const preconditionError = checkIfMatch(req, existingTask);
+    if (preconditionError) {
+        setETag(res, existingTask);
+        return next(preconditionError);
     }
 
-    // Update task with new values (full replacement)
-    tasks[taskIndex] = {
-        ...tasks[taskIndex],
-        title: title.trim(),
-        description: description ? description.trim() : "",
-        status: status.toLowerCase(),
-        priority: priority.toLowerCase(),
-        dueDate: dueDate || null,
-        updatedAt: new Date().toISOString(),
-    };
+    // Apply the patch document to a copy of the task
+    const { error, patched } = applyPatchRequest(req, existingTask);
+    if (error) return next(error);
+
+    // Validate the patched task like a full update
+    const result = validatePatchedRecord(existingTask, patched, taskSchema);
+    if (result.error) return next(result.error);
+    const changes = withTimestamps(result.value);
+
+    // Start, keep or end the series of a recurring task
+    const series = scheduleSeries(changes, existingTask);
+    if (series.error) return next(series.error);
+
+    // Check the assignee, parent and blockers
+    const linkError = await checkTask(series.value, existingTask);
+    if (linkError) return next(linkError);
+
+    // Save the changes (fails with 412 if the task changed since it was read);
+    // completing a recurring task hands its series over to the next occurrence
+    const completion = completeOccurrence(series.value, existingTask);
+    const updatedTask = await tasks.update(id, completion.changes, { expectedVersion: existingTask.version });
+
+    // Record the change in the task history
+    await taskHistory.record("patch", existingTask, updatedTask, req);
+    const nextTask = await insertNextOccurrence(completion.next, req);
 
     // Return the updated task
+    setETag(res, updatedTask);
     res.json({
         success: true,
         message: "Task updated successfully",
-        data: tasks[taskIndex],
+        data: updatedTask,
+        ...(nextTask && { nextOccurrence: nextTask }),
     });
 });
 
 // ============================================
-// PATCH Route - Partial Update Operation
+// DELETE Route - Delete Operation
 // ============================================
 
 /**
- * PATCH /api/tasks/:id
+ * DELETE /api/tasks/:id
  * 
- * Partially update an existing task (only provided fields are updated)
- * This is more flexible than PUT as it allows updating only specific fields
+ * Delete a task by ID (soft delete)
+ * The task is moved to the trash: it gets a deletedAt timestamp and disappears
+ * from normal listings until it is restored or purged.
  * 
  * @param {string} id - Task ID from URL parameter
  */
-router.patch("/:id", (req, res, next) => {
+router.delete("/:id", async (req, res, next) => {
     // Convert ID parameter to number
     const id = parseInt(req.params.id);
 
@@ -368,105 +1140,332 @@ router.patch("/:id", (req, res, next) => {
         return next(error);
     }
 
-    // Find task index in array
-    const taskIndex = tasks.findIndex((t) => t.id === id);
+    // Find the existing task
+    const existingTask = await tasks.find(id);
 
     // If task not found, return 404 error
-    if (taskIndex === -1) {
+    if (!existingTask) {
         const error = new Error(`Task with ID ${id} not found`);
         error.statusCode = 404;
         return next(error);
     }
 
-    // Extract data from request body
-    const { title, description, status, priority, dueDate } = req.body;
+    // Reject the change if the client edited an outdated version (If-Match)
+    const preconditionError = checkIfMatch(req, existingTask);
+    if (preconditionError) {
+        setETag(res, existingTask);
+        return next(preconditionError);
+    }
+
+    // Move task to the trash
+    const deletedTask = await tasks.remove(id, { expectedVersion: existingTask.version });
+
+    // Record the deletion in the task history
+    await taskHistory.record("delete", existingTask, deletedTask, req);
 
-    // Validate that at least one field is provided for update
-    if (!title && !description && !status && !priority && dueDate === undefined) {
-        const error = new Error("At least one field is required for update");
+    // Return success message with deleted task data
+    res.json({
+        success: true,
+        message: "Task deleted successfully",
+        data: deletedTask,
+    });
+});
+
+// ============================================
+// Dependency Graph Route
+// ============================================
+
+/**
+ * GET /api/tasks/:id/graph
+ * 
+ * Get the dependency graph around a task: the task, the tasks it is blocked
+ * by (directly or through other tasks) and the tasks waiting on it, in
+ * topological order - every task comes after its blockers, so the list is
+ * an order the tasks can be done in. Tasks in the trash are left out.
+ * 
+ * Response: { success, count, data: [tasks], edges: [{ blockerId, taskId }] }
+ * 
+ * @param {string} id - Task ID from URL parameter
+ */
+router.get("/:id/graph", async (req, res, next) => {
+    // Convert ID parameter to number
+    const id = parseInt(req.params.id);
+
+    // Validate ID
+    if (isNaN(id)) {
+        const error = new Error("Invalid task ID");
         error.statusCode = 400;
         return next(error);
     }
 
-    // Validate and update title if provided
-    if (title !== undefined) {
-        if (!title || title.trim() === "") {
-            const error = new Error("Title cannot be empty");
-            error.statusCode = 400;
-            return next(error);
-        }
-        tasks[taskIndex].title = title.trim();
+    // If task not found, return 404 error
+    const allTasks = await tasks.list();
+    if (!allTasks.some((task) => task.id === id)) {
+        const error = new Error(`Task with ID ${id} not found`);
+        error.statusCode = 404;
+        return next(error);
+    }
+
+    // Walk the blockedBy links and sort the tasks found
+    const { nodes, edges } = dependencyGraph(allTasks, id);
+
+    res.json({
+        success: true,
+        count: nodes.length,
+        data: withProgress(nodes, allTasks),
+        edges,
+    });
+});
+
+// ============================================
+// Occurrence Routes - Recurring Tasks
+// ============================================
+
+// Most occurrences listed by one GET /api/tasks/:id/occurrences
+const MAX_OCCURRENCES = 366;
+
+/**
+ * Read a date query parameter
+ * @param {Object} query - Express req.query
+ * @param {string} name - Parameter name
+ * @param {string} fallback - Date used without the parameter
+ * @returns {Object} { date } or { error } (400 if it is not a YYYY-MM-DD date)
+ */
+const parseDateParameter = (query, name, fallback) => {
+    if (query[name] === undefined) return { date: fallback };
+    if (isCalendarDate(query[name])) return { date: query[name] };
+
+    const error = new Error(`Invalid ${name} date. Must be a valid date in YYYY-MM-DD format`);
+    error.statusCode = 400;
+    error.code = "INVALID_PARAMETER";
+    error.details = { parameter: name };
+    return { error };
+};
+
+/**
+ * Reject a date too far ahead to look for the occurrences of a task on
+ * @param {Object} task - Recurring task
+ * @param {string} name - Parameter name
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Error|null} 400 error, or null if the date can be looked at
+ */
+const checkPlannedDate = (task, name, date) => {
+    const lastDate = lastPlannedDate(task);
+    if (date <= lastDate) return null;
+
+    const error = new Error(
+        `${name} must not be after ${lastDate}: occurrences can be looked at up to ${MAX_YEARS_AHEAD} years ` +
+            `after the task's own (${task.occurrenceDate})`
+    );
+    error.statusCode = 400;
+    error.code = "INVALID_PARAMETER";
+    error.details = { parameter: name };
+    return error;
+};
+
+/**
+ * Find a recurring task for the occurrence routes
+ * @param {string} idParameter - Task ID from URL parameter
+ * @returns {Promise<Object>} { task } or { error } (400 invalid ID, 404 missing or not recurring)
+ */
+const findRecurringTask = async (idParameter) => {
+    const id = parseInt(idParameter);
+    if (isNaN(id)) {
+        const error = new Error("Invalid task ID");
+        error.statusCode = 400;
+        return { error };
     }
 
-    // Update description if provided
-    if (description !== undefined) {
-        tasks[taskIndex].description = description.trim();
+    const task = await tasks.find(id);
+    if (!task || !task.recurrence) {
+        const error = new Error(task ? `Task ${id} is not a recurring task` : `Task with ID ${id} not found`);
+        error.statusCode = 404;
+        return { error };
+    }
+    return { task };
+};
+
+/**
+ * GET /api/tasks/:id/occurrences
+ * 
+ * Preview the occurrences of a recurring task, earliest first: the task's
+ * own ("current"), then the upcoming ones ("scheduled", or "skipped"), with
+ * the changes saved for single occurrences (see utils/recurrence.js)
+ * 
+ * Query Parameters:
+ * - from: First date (YYYY-MM-DD) - default: today
+ * - to: Last date (YYYY-MM-DD) - default: one year after from
+ * 
+ * Both dates must be at most 10 years after the task's own occurrence;
+ * later ones are rejected with 400.
+ * 
+ * Response: { success, count, data: [{ date, dueDate, status, changes }], truncated }
+ * (truncated when the range holds more than 366 occurrences)
+ * 
+ * Example: GET /api/tasks/3/occurrences?from=2024-12-01&to=2025-03-31
+ * 
+ * @param {string} id - Task ID from URL parameter
+ */
+router.get("/:id/occurrences", async (req, res, next) => {
+    // Find the task (404 unless it recurs)
+    const { task, error } = await findRecurringTask(req.params.id);
+    if (error) return next(error);
+
+    // Validate the date range
+    const today = new Date().toISOString().slice(0, 10);
+    const from = parseDateParameter(req.query, "from", today);
+    if (from.error) return next(from.error);
+    const fromError = checkPlannedDate(task, "from", from.date);
+    if (fromError) return next(fromError);
+    const yearLater = new Date(`${from.date}T00:00:00Z`);
+    yearLater.setUTCFullYear(yearLater.getUTCFullYear() + 1);
+    const lastDate = lastPlannedDate(task);
+    const defaultTo = yearLater.toISOString().slice(0, 10);
+    const to = parseDateParameter(req.query, "to", defaultTo < lastDate ? defaultTo : lastDate);
+    if (to.error) return next(to.error);
+    const toError = checkPlannedDate(task, "to", to.date);
+    if (toError) return next(toError);
+    if (to.date < from.date) {
+        const error = new Error("to must not be before from");
+        error.statusCode = 400;
+        error.code = "INVALID_PARAMETER";
+        error.details = { parameter: "to" };
+        return next(error);
     }
 
-    // Validate and update status if provided
-    if (status) {
-        const validStatuses = ["pending", "in-progress", "completed"];
-        if (!validStatuses.includes(status.toLowerCase())) {
+    const { occurrences, truncated } = listOccurrences(task, from.date, to.date, MAX_OCCURRENCES);
+
+    res.json({
+        success: true,
+        count: occurrences.length,
+        data: occurrences,
+        truncated,
+    });
+});
+
+/**
+ * PATCH /api/tasks/:id/occurrences/:date
+ * 
+ * Skip or change a single occurrence of a recurring task. The date is the
+ * one the occurrence is scheduled on (its date in GET .../occurrences).
+ * 
+ * Expected JSON body (every field is optional, null removes a change):
+ * {
+ *   "skipped": "true to skip the occurrence, false to bring it back",
+ *   "title", "description", "priority", "assigneeId": "Values for this occurrence only",
+ *   "dueDate": "YYYY-MM-DD to move this occurrence only"
+ * }
+ * 
+ * Upcoming occurrences keep their changes until their task is created. The
+ * task's own occurrence can only be skipped: the task then moves on to the
+ * next occurrence (409 if it is the last one). To change it, PATCH the task.
+ * Dates more than 10 years after the task's own occurrence are rejected (400).
+ * 
+ * @param {string} id - Task ID from URL parameter
+ * @param {string} date - Scheduled date of the occurrence (YYYY-MM-DD)
+ */
+router.patch("/:id/occurrences/:date", async (req, res, next) => {
+    // Find the task (404 unless it recurs)
+    const { task, error: findError } = await findRecurringTask(req.params.id);
+    if (findError) return next(findError);
+
+    // The date must be one of the occurrences from the task's own on
+    const { date } = req.params;
+    if (!isCalendarDate(date)) {
+        const error = new Error("Invalid occurrence date. Must be a valid date in YYYY-MM-DD format");
+        error.statusCode = 400;
+        return next(error);
+    }
+    const dateError = checkPlannedDate(task, "date", date);
+    if (dateError) return next(dateError);
+    if (!hasOccurrence(task, date)) {
+        const error = new Error(`Task ${task.id} has no occurrence on ${date}`);
+        error.statusCode = 404;
+        return next(error);
+    }
+
+    // Reject the change if the client edited an outdated version (If-Match)
+    const preconditionError = checkIfMatch(req, task);
+    if (preconditionError) {
+        setETag(res, task);
+        return next(preconditionError);
+    }
+
+    // Validate the changes (nothing is saved if any field is invalid)
+    const { error, value } = validate(occurrenceSchema, req.body, "update");
+    if (error) return next(error);
+    const assigneeError = await checkAssignee(value);
+    if (assigneeError) return next(assigneeError);
+
+    let changes;
+    let message;
+    if (date === task.occurrenceDate) {
+        // The task's own occurrence: skipping it moves the task to the next one
+        if (value.skipped !== true || Object.keys(value).length > 1) {
             const error = new Error(
-                `Invalid status. Must be one of: ${validStatuses.join(", ")}`
+                `The occurrence on ${date} is task ${task.id} itself: change it with PATCH /api/tasks/${task.id}, ` +
+                    'or skip it with { "skipped": true }'
             );
             error.statusCode = 400;
             return next(error);
         }
-        tasks[taskIndex].status = status.toLowerCase();
-    }
 
-    // Validate and update priority if provided
-    if (priority) {
-        const validPriorities = ["low", "medium", "high"];
-        if (!validPriorities.includes(priority.toLowerCase())) {
+        const occurrence = nextOccurrence(task);
+        if (!occurrence) {
             const error = new Error(
-                `Invalid priority. Must be one of: ${validPriorities.join(", ")}`
+                `The occurrence on ${date} is the last one of the series and cannot be skipped; delete the task instead`
             );
-            error.statusCode = 400;
+            error.statusCode = 409;
             return next(error);
         }
-        tasks[taskIndex].priority = priority.toLowerCase();
-    }
-
-    // Validate and update dueDate if provided
-    if (dueDate !== undefined) {
-        if (dueDate === null || dueDate === "") {
-            tasks[taskIndex].dueDate = null;
-        } else {
-            const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-            if (!dateRegex.test(dueDate)) {
-                const error = new Error("Invalid date format. Use YYYY-MM-DD");
-                error.statusCode = 400;
-                return next(error);
+        changes = occurrence;
+        message = `Occurrence on ${date} skipped; the task moved to ${occurrence.occurrenceDate}`;
+    } else {
+        // An upcoming occurrence: merge the changes into the saved ones
+        const saved = { ...task.occurrenceOverrides?.[date] };
+        for (const [field, fieldValue] of Object.entries(value)) {
+            if (fieldValue === null || fieldValue === false) {
+                delete saved[field];
+            } else {
+                saved[field] = fieldValue;
             }
-            tasks[taskIndex].dueDate = dueDate;
         }
+
+        const overrides = { ...task.occurrenceOverrides, [date]: saved };
+        if (Object.keys(saved).length === 0) delete overrides[date];
+        changes = { occurrenceOverrides: Object.keys(overrides).length > 0 ? overrides : null };
+        message = `Occurrence on ${date} updated`;
     }
 
-    // Update the updatedAt timestamp
-    tasks[taskIndex].updatedAt = new Date().toISOString();
+    // Save the changes (fails with 412 if the task changed since it was read)
+    const updatedTask = await tasks.update(task.id, withTimestamps(changes), { expectedVersion: task.version });
 
-    // Return the updated task
+    // Record the change in the task history
+    await taskHistory.record("patch", task, updatedTask, req);
+
+    setETag(res, updatedTask);
     res.json({
         success: true,
-        message: "Task updated successfully",
-        data: tasks[taskIndex],
+        message,
+        data: updatedTask,
     });
 });
 
 // ============================================
-// DELETE Route - Delete Operation
+// History Routes - Audit and Revert
 // ============================================
 
 /**
- * DELETE /api/tasks/:id
+ * GET /api/tasks/:id/history
  * 
- * Delete a task by ID
+ * List every change made to a task, oldest first.
+ * Each entry contains the version, action, field-level diff
+ * ({ field: { from, to } }), who made the change (X-User-Id header) and when.
+ * History is kept after a task is deleted.
  * 
  * @param {string} id - Task ID from URL parameter
  */
-router.delete("/:id", (req, res, next) => {
+router.get("/:id/history", async (req, res, next) => {
     // Convert ID parameter to number
     const id = parseInt(req.params.id);
 
@@ -477,24 +1476,108 @@ router.delete("/:id", (req, res, next) => {
         return next(error);
     }
 
-    // Find task index in array
-    const taskIndex = tasks.findIndex((t) => t.id === id);
+    const entries = await taskHistory.list(id);
 
-    // If task not found, return 404 error
-    if (taskIndex === -1) {
+    // A task that never existed has no history (tasks stored before histories
+    // were kept exist without one)
+    if (entries.length === 0 && !(await tasks.find(id))) {
         const error = new Error(`Task with ID ${id} not found`);
         error.statusCode = 404;
         return next(error);
     }
 
-    // Remove task from array (in production, delete from database)
-    const deletedTask = tasks.splice(taskIndex, 1)[0];
+    res.json({
+        success: true,
+        count: entries.length,
+        data: entries,
+    });
+});
 
-    // Return success message with deleted task data
+/**
+ * POST /api/tasks/:id/revert/:version
+ * 
+ * Restore a task to the snapshot saved at an earlier version.
+ * The revert is recorded as a new version, so it can itself be undone.
+ * A task in the trash is restored along the way; a purged task is re-created
+ * with its original ID.
+ * 
+ * @param {string} id - Task ID from URL parameter
+ * @param {string} version - Version to restore
+ */
+router.post("/:id/revert/:version", async (req, res, next) => {
+    // Convert parameters to numbers
+    const id = parseInt(req.params.id);
+    const version = parseInt(req.params.version);
+
+    // Validate parameters
+    if (isNaN(id)) {
+        const error = new Error("Invalid task ID");
+        error.statusCode = 400;
+        return next(error);
+    }
+    if (isNaN(version)) {
+        const error = new Error("Invalid version");
+        error.statusCode = 400;
+        return next(error);
+    }
+
+    // Find the snapshot to restore
+    const entries = await taskHistory.list(id);
+    const entry = entries.find((e) => e.version === version);
+
+    if (!entry) {
+        const error = new Error(`Version ${version} of task ${id} not found`);
+        error.statusCode = 404;
+        return next(error);
+    }
+
+    if (!entry.snapshot) {
+        const error = new Error(`Version ${version} of task ${id} is a purge and cannot be restored`);
+        error.statusCode = 400;
+        return next(error);
+    }
+
+    // Fields to restore (bookkeeping fields are managed by the store)
+    const { id: _id, version: _version, createdAt, updatedAt, ...fields } = entry.snapshot;
+    const existingTask = await tasks.find(id, { withDeleted: true });
+    let restoredTask;
+
+    // The snapshot may link to users and tasks that have changed since
+    const linkError = await checkTask(fields, existingTask);
+    if (linkError) return next(linkError);
+
+    if (existingTask) {
+        // Reject the revert if the client based it on an outdated version (If-Match)
+        const preconditionError = checkIfMatch(req, existingTask);
+        if (preconditionError) {
+            setETag(res, existingTask);
+            return next(preconditionError);
+        }
+
+        restoredTask = await tasks.update(id, {
+            ...fields,
+            deletedAt: fields.deletedAt ?? null,
+            updatedAt: new Date().toISOString(),
+        }, { expectedVersion: existingTask.version });
+    } else {
+        // Purged: re-create the task with its original ID and the next version
+        restoredTask = await tasks.insert({
+            ...fields,
+            id,
+            version: entries[entries.length - 1].version + 1,
+            createdAt,
+            updatedAt: new Date().toISOString(),
+        });
+    }
+
+    // Record the revert in the task history
+    await taskHistory.record("revert", existingTask, restoredTask, req);
+
+    setETag(res, restoredTask);
     res.json({
         success: true,
-        message: "Task deleted successfully",
-        data: deletedTask,
+        message: `Task restored to version ${version}`,
+        data: restoredTask,
     });
 });
 
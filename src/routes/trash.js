@@ -0,0 +1,141 @@
+/**
+ * Trash Routes
+ * 
+ * Deletes are soft: DELETE /api/<resource>/:id only moves a record to the
+ * trash. This file builds the routes to inspect and manage that trash, shared
+ * by the users, products and tasks routers:
+ * - GET    /api/<resource>/trash        - List deleted records
+ * - DELETE /api/<resource>/trash        - Purge records older than the retention period
+ * - POST   /api/<resource>/:id/restore  - Restore a deleted record
+ * 
+ * The resource router must mount these before its own "/:id" routes.
+ */
+
+import { Router } from "express";
+import { config } from "../config/index.js";
+import { checkIfMatch, setETag } from "../utils/etag.js";
+import { sendList } from "../utils/pagination.js";
+
+/**
+ * Create the trash routes for a resource
+ * @param {Object} options - Trash options
+ * @param {Object} options.repository - Repository of the resource
+ * @param {string} options.label - Resource name used in messages (e.g. "Task")
+ * @param {Object} options.history - Change history to record restores and purges in (optional)
+ * @returns {Router} Express router with the trash routes
+ */
+export const createTrashRouter = ({ repository, label, history }) => {
+    const router = Router();
+
+    /**
+     * GET /trash
+     * 
+     * List deleted records, most recently deleted first
+     * Supports cursor pagination (limit, cursor) and the fields/include parameters
+     */
+    router.get("/trash", async (req, res) => {
+        const deleted = await repository.trash();
+
+        await sendList(req, res, deleted, {
+            compare: (a, b) => new Date(b.deletedAt) - new Date(a.deletedAt),
+            keyFields: ["deletedAt"],
+            sort: "deletedAt:desc",
+            resource: repository.name,
+        });
+    });
+
+    /**
+     * DELETE /trash
+     * 
+     * Permanently remove records that have been in the trash longer than the
+     * retention period (TRASH_RETENTION_DAYS, default 30 days)
+     * 
+     * Query Parameters:
+     * - olderThanDays: Override the retention period (0 empties the trash)
+     */
+    router.delete("/trash", async (req, res, next) => {
+        let retentionDays = config.storage.trashRetentionDays;
+
+        // Validate the retention override if provided
+        if (req.query.olderThanDays !== undefined) {
+            retentionDays = Number(req.query.olderThanDays);
+            if (!Number.isInteger(retentionDays) || retentionDays < 0) {
+                const error = new Error("olderThanDays must be a non-negative integer");
+                error.statusCode = 400;
+                return next(error);
+            }
+        }
+
+        const purged = await repository.purgeExpired(retentionDays);
+
+        // Record each purge so the history shows where the record went
+        if (history) {
+            for (const record of purged) {
+                await history.record("purge", record, null, req);
+            }
+        }
+
+        res.json({
+            success: true,
+            message: `${purged.length} ${label.toLowerCase()}(s) permanently deleted`,
+            count: purged.length,
+            data: purged,
+        });
+    });
+
+    /**
+     * POST /:id/restore
+     * 
+     * Take a record back out of the trash
+     * @param {string} id - Record ID from URL parameter
+     */
+    router.post("/:id/restore", async (req, res, next) => {
+        // Convert ID parameter to number
+        const id = parseInt(req.params.id);
+
+        // Validate ID
+        if (isNaN(id)) {
+            const error = new Error(`Invalid ${label.toLowerCase()} ID`);
+            error.statusCode = 400;
+            return next(error);
+        }
+
+        // Find the record, including deleted ones
+        const existing = await repository.find(id, { withDeleted: true });
+
+        if (!existing) {
+            const error = new Error(`${label} with ID ${id} not found`);
+            error.statusCode = 404;
+            return next(error);
+        }
+
+        if (!existing.deletedAt) {
+            const error = new Error(`${label} with ID ${id} is not in the trash`);
+            error.statusCode = 409;
+            error.code = "NOT_IN_TRASH";
+            return next(error);
+        }
+
+        // Reject the restore if the client acted on an outdated version (If-Match)
+        const preconditionError = checkIfMatch(req, existing);
+        if (preconditionError) {
+            setETag(res, existing);
+            return next(preconditionError);
+        }
+
+        const restored = await repository.restore(id, { expectedVersion: existing.version });
+
+        if (history) {
+            await history.record("restore", existing, restored, req);
+        }
+
+        setETag(res, restored);
+        res.json({
+            success: true,
+            message: `${label} restored successfully`,
+            data: restored,
+        });
+    });
+
+    return router;
+};
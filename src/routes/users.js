@@ -1,21 +1,50 @@
 /**
  * User Routes
  * 
- * This file defines all routes related to user management.
+ * This file defines all routes related to user management, including each
+ * user's calendar subscription URL (a feed of their tasks' due dates).
  * These are demo routes for demonstration purposes only.
  * In a real application, you would connect these to a database.
  */
 
 import { Router } from "express";
+import { createRepository } from "../storage/index.js";
+import { createCalendarTokens } from "../storage/calendarTokens.js";
+import { createHistory } from "../storage/history.js";
+import { checkIfMatch, setETag } from "../utils/etag.js";
+import { sendList } from "../utils/pagination.js";
+import { applyFilter } from "../utils/filter.js";
+import { shapeRecord } from "../utils/fieldsets.js";
+import { applyPatchRequest, setAcceptPatch, validatePatchedRecord } from "../utils/patch.js";
+import { validate } from "../validation/index.js";
+import { ASSIGNED_TASKS_POLICIES, userSchema } from "../validation/schemas.js";
+import { createTrashRouter } from "./trash.js";
+import { sendTaskList } from "./tasks.js";
 
 const router = Router();
 
-// In-memory storage for demo purposes (replace with database in production)
-// This simulates a database for demonstration
-let users = [
-    { id: 1, name: "John Doe", email: "john@example.com", createdAt: new Date().toISOString() },
-    { id: 2, name: "Jane Smith", email: "jane@example.com", createdAt: new Date().toISOString() },
-];
+// User repository (backed by the storage driver chosen in config)
+const users = createRepository("users");
+
+// Tasks and their change log, for the tasks assigned to a user
+const tasks = createRepository("tasks");
+const taskHistory = createHistory("tasks");
+
+// Secret tokens of per-user calendar subscription URLs
+const calendarTokens = createCalendarTokens();
+
+// Trash bin routes: GET /trash, DELETE /trash and POST /:id/restore
+// (mounted before the "/:id" routes so "trash" is not read as an ID)
+router.use(createTrashRouter({ repository: users, label: "User" }));
+
+// Fields usable in the filter query parameter and their types
+const userFilterFields = {
+    id: "number",
+    name: "string",
+    email: "string",
+    createdAt: "date",
+    updatedAt: "date",
+};
 
 // ============================================
 // GET Routes
@@ -26,27 +55,32 @@ let users = [
  * 
  * Get all users
  * Returns a list of all users in the system
+ * Supports cursor pagination with the limit and cursor query parameters
+ * and a filter expression, e.g. filter=email ~ example.com (see utils/filter.js)
+ * Supports fields and include, e.g. ?fields=id,name&include=tasks (see utils/fieldsets.js)
  */
-router.get("/", (req, res) => {
-    res.json({
-        success: true,
-        count: users.length,
-        data: users,
-    });
+router.get("/", async (req, res) => {
+    const allUsers = await users.list();
+
+    // Filter by the filter expression if provided (400 with the position if invalid)
+    const filteredUsers = applyFilter(allUsers, req.query.filter, userFilterFields);
+
+    await sendList(req, res, filteredUsers, { resource: "users" });
 });
 
 /**
  * GET /api/users/:id
  * 
  * Get a single user by ID
+ * Supports the fields and include query parameters
  * @param {string} id - User ID from URL parameter
  */
-router.get("/:id", (req, res, next) => {
+router.get("/:id", async (req, res, next) => {
     // Convert ID parameter to number
     const id = parseInt(req.params.id);
 
     // Find user by ID
-    const user = users.find((u) => u.id === id);
+    const user = await users.find(id);
 
     // If user not found, return 404 error
     if (!user) {
@@ -55,13 +89,45 @@ router.get("/:id", (req, res, next) => {
         return next(error);
     }
 
-    // Return the found user
+    // Apply the fields and include parameters (400 if they are invalid)
+    const data = await shapeRecord(req, user, "users");
+
+    // Return the found user (ETag lets the client make conditional updates)
+    setETag(res, user);
     res.json({
         success: true,
-        data: user,
+        data,
     });
 });
 
+/**
+ * GET /api/users/:id/tasks
+ * 
+ * Get the tasks assigned to a user
+ * Supports the query parameters of GET /api/tasks (q, status, priority,
+ * filter, sortBy, order, limit, cursor)
+ * @param {string} id - User ID from URL parameter
+ * 
+ * Example: GET /api/users/1/tasks?status=pending&sortBy=dueDate
+ */
+router.get("/:id/tasks", async (req, res, next) => {
+    // Convert ID parameter to number
+    const id = parseInt(req.params.id);
+
+    // Find user by ID
+    const user = await users.find(id);
+
+    // If user not found, return 404 error
+    if (!user) {
+        const error = new Error(`User with ID ${id} not found`);
+        error.statusCode = 404;
+        return next(error);
+    }
+
+    // Return the user's tasks, filtered and sorted like GET /api/tasks
+    await sendTaskList(req, res, { assigneeId: user.id });
+});
+
 // ============================================
 // POST Routes
 // ============================================
@@ -72,45 +138,32 @@ router.get("/:id", (req, res, next) => {
  * Create a new user
  * Expects JSON body with name and email fields
  */
-router.post("/", (req, res, next) => {
-    // Extract data from request body
-    const { name, email } = req.body;
-
-    // Validate required fields
-    if (!name || !email) {
-        const error = new Error("Name and email are required");
-        error.statusCode = 400;
-        return next(error);
-    }
-
-    // Validate email format (basic validation)
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-        const error = new Error("Invalid email format");
-        error.statusCode = 400;
-        return next(error);
-    }
-
-    // Check if email already exists
-    const existingUser = users.find((u) => u.email === email);
+router.post("/", async (req, res, next) => {
+    // Validate the request body
+    const { error, value } = validate(userSchema, req.body, "create");
+    if (error) return next(error);
+    const { name, email } = value;
+
+    // Check if email already exists (including users in the trash, which can be restored)
+    const existingUser = (await users.list({ withDeleted: true })).find((u) => u.email === email);
     if (existingUser) {
         const error = new Error("User with this email already exists");
         error.statusCode = 409;
+        error.code = "DUPLICATE_EMAIL";
         return next(error);
     }
 
-    // Create new user object
-    const newUser = {
-        id: users.length > 0 ? Math.max(...users.map((u) => u.id)) + 1 : 1,
+    // Create new user (the repository assigns the ID)
+    const now = new Date().toISOString();
+    const newUser = await users.insert({
         name,
         email,
-        createdAt: new Date().toISOString(),
-    };
-
-    // Add user to the array (in production, save to database)
-    users.push(newUser);
+        createdAt: now,
+        updatedAt: now,
+    });
 
     // Return the created user with 201 status code
+    setETag(res, newUser);
     res.status(201).json({
         success: true,
         data: newUser,
@@ -127,56 +180,124 @@ router.post("/", (req, res, next) => {
  * Update an existing user
  * @param {string} id - User ID from URL parameter
  */
-router.put("/:id", (req, res, next) => {
+router.put("/:id", async (req, res, next) => {
     // Convert ID parameter to number
     const id = parseInt(req.params.id);
 
-    // Find user index in array
-    const userIndex = users.findIndex((u) => u.id === id);
+    // Find the existing user
+    const existingUser = await users.find(id);
 
     // If user not found, return 404 error
-    if (userIndex === -1) {
+    if (!existingUser) {
         const error = new Error(`User with ID ${id} not found`);
         error.statusCode = 404;
         return next(error);
     }
 
-    // Extract data from request body
-    const { name, email } = req.body;
-
-    // Validate that at least one field is provided
-    if (!name && !email) {
-        const error = new Error("At least one field (name or email) is required for update");
-        error.statusCode = 400;
-        return next(error);
+    // Reject the change if the client edited an outdated version (If-Match)
+    const preconditionError = checkIfMatch(req, existingUser);
+    if (preconditionError) {
+        setETag(res, existingUser);
+        return next(preconditionError);
     }
 
-    // Validate email format if email is being updated
-    if (email) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(email)) {
-            const error = new Error("Invalid email format");
-            error.statusCode = 400;
-            return next(error);
-        }
+    // Validate the provided fields (only these are updated)
+    const { error, value: changes } = validate(userSchema, req.body, "update");
+    if (error) return next(error);
 
-        // Check if email already exists for another user
-        const existingUser = users.find((u) => u.email === email && u.id !== id);
-        if (existingUser) {
+    // Check if email already exists for another user
+    if (changes.email) {
+        const duplicateUser = (await users.list({ withDeleted: true })).find(
+            (u) => u.email === changes.email && u.id !== id
+        );
+        if (duplicateUser) {
             const error = new Error("User with this email already exists");
             error.statusCode = 409;
+            error.code = "DUPLICATE_EMAIL";
             return next(error);
         }
     }
 
-    // Update user fields (only update provided fields)
-    if (name) users[userIndex].name = name;
-    if (email) users[userIndex].email = email;
+    const updatedUser = await users.update(
+        id,
+        { ...changes, updatedAt: new Date().toISOString() },
+        { expectedVersion: existingUser.version }
+    );
+
+    // Return the updated user
+    setETag(res, updatedUser);
+    res.json({
+        success: true,
+        data: updatedUser,
+    });
+});
+
+// ============================================
+// PATCH Routes
+// ============================================
+
+/**
+ * PATCH /api/users/:id
+ * 
+ * Partially update a user with a JSON Merge Patch (application/merge-patch+json,
+ * or plain application/json) or a JSON Patch (application/json-patch+json).
+ * The patched user must still be valid as a whole (see utils/patch.js).
+ * @param {string} id - User ID from URL parameter
+ */
+router.patch("/:id", async (req, res, next) => {
+    // Advertise the supported patch formats
+    setAcceptPatch(res);
+
+    // Convert ID parameter to number
+    const id = parseInt(req.params.id);
+
+    // Find the existing user
+    const existingUser = await users.find(id);
+
+    // If user not found, return 404 error
+    if (!existingUser) {
+        const error = new Error(`User with ID ${id} not found`);
+        error.statusCode = 404;
+        return next(error);
+    }
+
+    // Reject the change if the client edited an outdated version (If-Match)
+    const preconditionError = checkIfMatch(req, existingUser);
+    if (preconditionError) {
+        setETag(res, existingUser);
+        return next(preconditionError);
+    }
+
+    // Apply the patch to a copy of the user
+    const { error, patched } = applyPatchRequest(req, existingUser);
+    if (error) return next(error);
+
+    // Validate the patched user as a whole
+    const result = validatePatchedRecord(existingUser, patched, userSchema);
+    if (result.error) return next(result.error);
+
+    // Check if email already exists for another user
+    const duplicateUser = (await users.list({ withDeleted: true })).find(
+        (u) => u.email === result.value.email && u.id !== id
+    );
+    if (duplicateUser) {
+        const error = new Error("User with this email already exists");
+        error.statusCode = 409;
+        error.code = "DUPLICATE_EMAIL";
+        return next(error);
+    }
+
+    const updatedUser = await users.update(
+        id,
+        { ...result.value, updatedAt: new Date().toISOString() },
+        { expectedVersion: existingUser.version }
+    );
 
     // Return the updated user
+    setETag(res, updatedUser);
     res.json({
         success: true,
-        data: users[userIndex],
+        data: updatedUser,
     });
 });
 
@@ -184,34 +305,243 @@ router.put("/:id", (req, res, next) => {
 // DELETE Routes
 // ============================================
 
+/**
+ * Read the assigned task policy of a user delete
+ * @param {Object} query - Request query (assignedTasks, reassignTo)
+ * @param {number} id - ID of the user being deleted
+ * @returns {Promise<Object>} { policy, reassignTo } or { error } with statusCode 400
+ */
+const readDeletePolicy = async (query, id) => {
+    const invalid = (message) => {
+        const error = new Error(message);
+        error.statusCode = 400;
+        error.code = "INVALID_PARAMETER";
+        return { error };
+    };
+
+    // Reassigning is implied by reassignTo; otherwise tasks block the delete
+    const policy = query.assignedTasks ?? (query.reassignTo !== undefined ? "reassign" : "reject");
+    if (!ASSIGNED_TASKS_POLICIES.includes(policy)) {
+        return invalid(`Invalid assignedTasks "${policy}". Must be one of: ${ASSIGNED_TASKS_POLICIES.join(", ")}`);
+    }
+    if (policy !== "reassign") {
+        return query.reassignTo === undefined ? { policy } : invalid("reassignTo can only be used with assignedTasks=reassign");
+    }
+
+    // The tasks go to another existing user
+    if (query.reassignTo === undefined) return invalid("reassignTo is required with assignedTasks=reassign");
+    const reassignTo = Number(query.reassignTo);
+    if (!Number.isInteger(reassignTo) || reassignTo === id || !(await users.find(reassignTo))) {
+        return invalid(`Invalid reassignTo "${query.reassignTo}". Must be the ID of another user`);
+    }
+    return { policy, reassignTo };
+};
+
+/**
+ * Get the changes that take a user off a task
+ * Besides its assignee, a recurring task can name a user in the changes saved
+ * for single occurrences and in the values of its series, which later tasks
+ * of the series are assigned to (see utils/recurrence.js).
+ * @param {Object} task - Task
+ * @param {number} userId - ID of the user being deleted
+ * @param {number|null} assigneeId - ID of the user who gets the task (null to unassign it)
+ * @returns {Object|null} Fields to save, or null if the task does not name the user
+ */
+const assigneeChanges = (task, userId, assigneeId) => {
+    const changes = {};
+    if (task.assigneeId === userId) {
+        changes.assigneeId = assigneeId;
+    }
+    if (task.seriesValues?.assigneeId === userId) {
+        changes.seriesValues = { ...task.seriesValues, assigneeId };
+    }
+    const overrides = Object.entries(task.occurrenceOverrides ?? {});
+    if (overrides.some(([, override]) => override.assigneeId === userId)) {
+        changes.occurrenceOverrides = Object.fromEntries(
+            overrides.map(([date, override]) => [
+                date,
+                override.assigneeId === userId ? { ...override, assigneeId } : override,
+            ])
+        );
+    }
+    return Object.keys(changes).length > 0 ? changes : null;
+};
+
+/**
+ * Undo the changes made to tasks while deleting a user (used when a later
+ * save fails, so the user keeps their tasks); each undo is recorded in the
+ * task history
+ * @param {Array<Object>} moved - { task, changes, updatedTask } of each changed task
+ * @param {Object} req - Express request object
+ */
+const undoTaskMoves = async (moved, req) => {
+    for (const { task, changes, updatedTask } of moved.reverse()) {
+        const previous = Object.fromEntries(Object.keys(changes).map((field) => [field, task[field] ?? null]));
+        const restoredTask = await tasks.update(
+            task.id,
+            { ...previous, updatedAt: new Date().toISOString() },
+            { expectedVersion: updatedTask.version }
+        );
+        await taskHistory.record("patch", updatedTask, restoredTask, req);
+    }
+};
+
 /**
  * DELETE /api/users/:id
  * 
- * Delete a user by ID
+ * Delete a user by ID (soft delete - the user is moved to the trash)
+ * No task is left assigned to a deleted user: the assignedTasks parameter
+ * says what happens to the user's tasks, including those in the trash.
+ * 
+ * Query Parameters:
+ * - assignedTasks: reject (409 USER_HAS_TASKS if the user has tasks), unassign
+ *   or reassign - default: reject, or reassign if reassignTo is given
+ * - reassignTo: ID of the user who gets the tasks
+ * 
+ * Example: DELETE /api/users/2?reassignTo=1
  * @param {string} id - User ID from URL parameter
  */
-router.delete("/:id", (req, res, next) => {
+router.delete("/:id", async (req, res, next) => {
     // Convert ID parameter to number
     const id = parseInt(req.params.id);
 
-    // Find user index in array
-    const userIndex = users.findIndex((u) => u.id === id);
+    // Find the existing user
+    const existingUser = await users.find(id);
 
     // If user not found, return 404 error
-    if (userIndex === -1) {
+    if (!existingUser) {
         const error = new Error(`User with ID ${id} not found`);
         error.statusCode = 404;
         return next(error);
     }
 
-    // Remove user from array (in production, delete from database)
-    const deletedUser = users.splice(userIndex, 1)[0];
+    // Reject the change if the client edited an outdated version (If-Match)
+    const preconditionError = checkIfMatch(req, existingUser);
+    if (preconditionError) {
+        setETag(res, existingUser);
+        return next(preconditionError);
+    }
+
+    // Validate the assigned task policy
+    const { error, policy, reassignTo } = await readDeletePolicy(req.query, id);
+    if (error) return next(error);
+
+    // Find the user's tasks (a task in the trash can be restored, so it counts too,
+    // and so do upcoming occurrences of recurring tasks assigned to the user)
+    const assignedTasks = (await tasks.list({ withDeleted: true })).filter((task) =>
+        assigneeChanges(task, id, null)
+    );
+
+    // Keep the user while tasks are assigned to them, unless asked otherwise
+    if (policy === "reject" && assignedTasks.length > 0) {
+        const error = new Error(
+            `User with ID ${id} has ${assignedTasks.length} assigned task(s). ` +
+                "Use assignedTasks=unassign or reassignTo to delete the user"
+        );
+        error.statusCode = 409;
+        error.code = "USER_HAS_TASKS";
+        error.details = { taskIds: assignedTasks.map((task) => task.id) };
+        return next(error);
+    }
+
+    // Unassign or reassign the tasks (each change is recorded in the task history),
+    // then move the user to the trash. If a save fails (e.g. a concurrent change),
+    // the tasks already changed are put back and the user is kept.
+    const assigneeId = policy === "reassign" ? reassignTo : null;
+    const moved = [];
+    let deletedUser;
+    try {
+        for (const task of assignedTasks) {
+            const changes = { ...assigneeChanges(task, id, assigneeId), updatedAt: new Date().toISOString() };
+            const updatedTask = await tasks.update(task.id, changes, { expectedVersion: task.version });
+            await taskHistory.record("patch", task, updatedTask, req);
+            moved.push({ task, changes, updatedTask });
+        }
+
+        deletedUser = await users.remove(id, { expectedVersion: existingUser.version });
+    } catch (error) {
+        await undoTaskMoves(moved, req);
+        return next(error);
+    }
 
     // Return success message with deleted user data
+    const taskIds = assignedTasks.map((task) => task.id);
+    const outcome = policy === "reassign" ? `reassigned to user ${reassignTo}` : "unassigned";
     res.json({
         success: true,
-        message: "User deleted successfully",
+        message:
+            taskIds.length > 0
+                ? `User deleted successfully; ${taskIds.length} task(s) ${outcome}`
+                : "User deleted successfully",
         data: deletedUser,
+        assignedTasks: { policy, taskIds },
+    });
+});
+
+// ============================================
+// Calendar Subscription Routes
+// ============================================
+
+/**
+ * POST /api/users/:id/calendar
+ * 
+ * Create a calendar subscription URL for the tasks assigned to a user.
+ * The URL contains a secret token, so calendar apps can poll it without
+ * credentials. Calling this again replaces the URL (the old one stops working).
+ * @param {string} id - User ID from URL parameter
+ */
+router.post("/:id/calendar", async (req, res, next) => {
+    // Convert ID parameter to number
+    const id = parseInt(req.params.id);
+
+    // Find the user
+    const user = await users.find(id);
+
+    // If user not found, return 404 error
+    if (!user) {
+        const error = new Error(`User with ID ${id} not found`);
+        error.statusCode = 404;
+        return next(error);
+    }
+
+    // Issue a new token (the token is only shown in this response)
+    const token = await calendarTokens.issue(id);
+    const url = `${req.protocol}://${req.get("host")}/api/tasks/calendar.ics?token=${token}`;
+
+    res.status(201).json({
+        success: true,
+        message: "Calendar subscription created. Keep the URL secret; anyone with it can read the feed.",
+        data: {
+            userId: id,
+            token,
+            url,
+            // webcal:// opens the subscribe dialog of most calendar apps
+            webcalUrl: url.replace(/^https?:/, "webcal:"),
+        },
+    });
+});
+
+/**
+ * DELETE /api/users/:id/calendar
+ * 
+ * Revoke a user's calendar subscription URL
+ * @param {string} id - User ID from URL parameter
+ */
+router.delete("/:id/calendar", async (req, res, next) => {
+    // Convert ID parameter to number
+    const id = parseInt(req.params.id);
+
+    // Revoke the token, or return 404 if the user has none
+    const revoked = await calendarTokens.revoke(id);
+    if (!revoked) {
+        const error = new Error(`User with ID ${id} has no calendar subscription`);
+        error.statusCode = 404;
+        return next(error);
+    }
+
+    res.json({
+        success: true,
+        message: "Calendar subscription revoked",
     });
 });
 
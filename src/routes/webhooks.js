@@ -0,0 +1,321 @@
+/**
+ * Webhook Routes
+ * 
+ * Subscriptions to resource events and their delivery log. Events are
+ * produced and delivered by src/webhooks/; these routes manage the
+ * subscriptions and let a client inspect and replay deliveries.
+ * 
+ * A webhook's secret is returned once, when the webhook is created. Use it
+ * to check the X-Webhook-Signature header of every delivery.
+ */
+
+import { Router } from "express";
+import { createRepository } from "../storage/index.js";
+import { checkIfMatch, setETag } from "../utils/etag.js";
+import { sendList } from "../utils/pagination.js";
+import { applyPatchRequest, setAcceptPatch, validatePatchedRecord } from "../utils/patch.js";
+import { validate } from "../validation/index.js";
+import { WEBHOOK_EVENTS, webhookSchema } from "../validation/schemas.js";
+import { generateSecret, replayDelivery } from "../webhooks/index.js";
+
+const router = Router();
+
+// Webhook and delivery repositories (backed by the storage driver chosen in config)
+const webhooks = createRepository("webhooks");
+const deliveries = createRepository("webhook_deliveries");
+
+// Delivery states, for the status query parameter
+const DELIVERY_STATUSES = ["pending", "succeeded", "failed", "cancelled"];
+
+/**
+ * Remove the secret from a webhook
+ * @param {Object} webhook - Webhook record
+ * @returns {Object} Webhook without its secret
+ */
+const withoutSecret = ({ secret: _secret, ...webhook }) => webhook;
+
+/**
+ * Find the webhook of a request (the :id parameter)
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} { webhook } or { error } with statusCode 404
+ */
+const findWebhook = async (req) => {
+    const id = parseInt(req.params.id);
+    const webhook = await webhooks.find(id);
+    if (!webhook) {
+        const error = new Error(`Webhook with ID ${req.params.id} not found`);
+        error.statusCode = 404;
+        return { error };
+    }
+    return { webhook };
+};
+
+/**
+ * Find a delivery of a webhook (the :deliveryId parameter)
+ * @param {Object} webhook - Webhook record
+ * @param {string} deliveryId - Delivery ID from the URL
+ * @returns {Promise<Object>} { delivery } or { error } with statusCode 404
+ */
+const findDelivery = async (webhook, deliveryId) => {
+    const delivery = await deliveries.find(parseInt(deliveryId));
+    if (!delivery || delivery.webhookId !== webhook.id) {
+        const error = new Error(`Delivery with ID ${deliveryId} not found for webhook ${webhook.id}`);
+        error.statusCode = 404;
+        return { error };
+    }
+    return { delivery };
+};
+
+// ============================================
+// GET Routes
+// ============================================
+
+/**
+ * GET /api/webhooks/events
+ * 
+ * List the event types a webhook can subscribe to
+ */
+router.get("/events", (req, res) => {
+    res.json({
+        success: true,
+        count: WEBHOOK_EVENTS.length,
+        data: WEBHOOK_EVENTS,
+    });
+});
+
+/**
+ * GET /api/webhooks
+ * 
+ * Get all webhooks (without their secrets)
+ * Supports cursor pagination with the limit and cursor query parameters
+ */
+router.get("/", async (req, res) => {
+    const allWebhooks = await webhooks.list();
+    await sendList(req, res, allWebhooks.map(withoutSecret));
+});
+
+/**
+ * GET /api/webhooks/:id
+ * 
+ * Get a single webhook by ID (without its secret)
+ * @param {string} id - Webhook ID from URL parameter
+ */
+router.get("/:id", async (req, res, next) => {
+    const { webhook, error } = await findWebhook(req);
+    if (error) return next(error);
+
+    setETag(res, webhook);
+    res.json({
+        success: true,
+        data: withoutSecret(webhook),
+    });
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * 
+ * Get the deliveries of a webhook, newest first, with every attempt
+ * (time, duration, status code, error and the start of the answer)
+ * 
+ * Query Parameters:
+ * - status: Only deliveries in this state (pending, succeeded, failed, cancelled)
+ * - event: Only deliveries of this event type
+ * - limit, cursor: Cursor pagination (see src/utils/pagination.js)
+ * 
+ * @param {string} id - Webhook ID from URL parameter
+ */
+router.get("/:id/deliveries", async (req, res, next) => {
+    const { webhook, error } = await findWebhook(req);
+    if (error) return next(error);
+
+    // Validate the status filter
+    const { status, event } = req.query;
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+        const error = new Error(`Invalid status. Must be one of: ${DELIVERY_STATUSES.join(", ")}`);
+        error.statusCode = 400;
+        error.code = "INVALID_PARAMETER";
+        return next(error);
+    }
+
+    const webhookDeliveries = (await deliveries.list()).filter(
+        (delivery) =>
+            delivery.webhookId === webhook.id &&
+            (status === undefined || delivery.status === status) &&
+            (event === undefined || delivery.event === event)
+    );
+
+    await sendList(req, res, webhookDeliveries, {
+        compare: (a, b) => b.id - a.id,
+        sort: "id:desc",
+    });
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries/:deliveryId
+ * 
+ * Get a single delivery with its payload and attempts
+ * @param {string} id - Webhook ID from URL parameter
+ * @param {string} deliveryId - Delivery ID from URL parameter
+ */
+router.get("/:id/deliveries/:deliveryId", async (req, res, next) => {
+    const { webhook, error } = await findWebhook(req);
+    if (error) return next(error);
+
+    const found = await findDelivery(webhook, req.params.deliveryId);
+    if (found.error) return next(found.error);
+
+    res.json({
+        success: true,
+        data: found.delivery,
+    });
+});
+
+// ============================================
+// POST Routes
+// ============================================
+
+/**
+ * POST /api/webhooks
+ * 
+ * Subscribe to events
+ * Expects JSON body with url and events (and optionally description and active)
+ * The response contains the webhook's signing secret; it is not shown again.
+ */
+router.post("/", async (req, res, next) => {
+    // Validate the request body
+    const { error, value } = validate(webhookSchema, req.body, "create");
+    if (error) return next(error);
+
+    // Create the webhook with a new signing secret
+    const now = new Date().toISOString();
+    const webhook = await webhooks.insert({
+        ...value,
+        events: [...new Set(value.events)],
+        secret: generateSecret(),
+        createdAt: now,
+        updatedAt: now,
+    });
+
+    // Return the created webhook with 201 status code
+    setETag(res, webhook);
+    res.status(201).json({
+        success: true,
+        message: "Webhook created. Store the secret now; it is not shown again.",
+        data: webhook,
+    });
+});
+
+/**
+ * POST /api/webhooks/:id/deliveries/:deliveryId/replay
+ * 
+ * Send a delivery's event again, as a new delivery to the webhook's current
+ * URL (the payload and event id stay the same, so receivers can tell a
+ * replay from a new event)
+ * @param {string} id - Webhook ID from URL parameter
+ * @param {string} deliveryId - Delivery ID from URL parameter
+ */
+router.post("/:id/deliveries/:deliveryId/replay", async (req, res, next) => {
+    const { webhook, error } = await findWebhook(req);
+    if (error) return next(error);
+
+    const found = await findDelivery(webhook, req.params.deliveryId);
+    if (found.error) return next(found.error);
+
+    // Inactive webhooks get no deliveries
+    if (!webhook.active) {
+        const error = new Error("The webhook is inactive. Activate it before replaying deliveries");
+        error.statusCode = 409;
+        return next(error);
+    }
+
+    // The new delivery is sent in the background
+    const delivery = await replayDelivery(webhook, found.delivery);
+
+    res.status(202).json({
+        success: true,
+        message: "Delivery replayed",
+        data: delivery,
+    });
+});
+
+// ============================================
+// PATCH Routes
+// ============================================
+
+/**
+ * PATCH /api/webhooks/:id
+ * 
+ * Change a webhook's url, events, description or active flag with a JSON
+ * Merge Patch (application/merge-patch+json, or plain application/json) or a
+ * JSON Patch (application/json-patch+json). The secret cannot be changed.
+ * @param {string} id - Webhook ID from URL parameter
+ */
+router.patch("/:id", async (req, res, next) => {
+    // Advertise the supported patch formats
+    setAcceptPatch(res);
+
+    const { webhook: existingWebhook, error: notFound } = await findWebhook(req);
+    if (notFound) return next(notFound);
+
+    // Reject the change if the client edited an outdated version (If-Match)
+    const preconditionError = checkIfMatch(req, existingWebhook);
+    if (preconditionError) {
+        setETag(res, existingWebhook);
+        return next(preconditionError);
+    }
+
+    // Apply the patch to a copy of the webhook (the secret is not part of it)
+    const current = withoutSecret(existingWebhook);
+    const { error, patched } = applyPatchRequest(req, current);
+    if (error) return next(error);
+
+    // Validate the patched webhook as a whole
+    const result = validatePatchedRecord(current, patched, webhookSchema);
+    if (result.error) return next(result.error);
+
+    const updatedWebhook = await webhooks.update(
+        existingWebhook.id,
+        { ...result.value, events: [...new Set(result.value.events)], updatedAt: new Date().toISOString() },
+        { expectedVersion: existingWebhook.version }
+    );
+
+    // Return the updated webhook
+    setETag(res, updatedWebhook);
+    res.json({
+        success: true,
+        data: withoutSecret(updatedWebhook),
+    });
+});
+
+// ============================================
+// DELETE Routes
+// ============================================
+
+/**
+ * DELETE /api/webhooks/:id
+ * 
+ * Delete a webhook. It gets no new deliveries and its pending retries are
+ * cancelled.
+ * @param {string} id - Webhook ID from URL parameter
+ */
+router.delete("/:id", async (req, res, next) => {
+    const { webhook: existingWebhook, error } = await findWebhook(req);
+    if (error) return next(error);
+
+    // Reject the change if the client edited an outdated version (If-Match)
+    const preconditionError = checkIfMatch(req, existingWebhook);
+    if (preconditionError) {
+        setETag(res, existingWebhook);
+        return next(preconditionError);
+    }
+
+    const deletedWebhook = await webhooks.remove(existingWebhook.id, { expectedVersion: existingWebhook.version });
+
+    res.json({
+        success: true,
+        message: "Webhook deleted successfully",
+        data: withoutSecret(deletedWebhook),
+    });
+});
+
+export default router;
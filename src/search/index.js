@@ -0,0 +1,104 @@
+/**
+ * Full-Text Search
+ * 
+ * Keeps an inverted index per searchable collection and answers `q` queries
+ * from the list endpoints. The index is built from the repository on the
+ * first search and then kept up to date from the storage change events
+ * (create, update, delete, restore, purge), so it never needs a full rescan.
+ * Records in the trash are not searchable.
+ */
+
+import { storageEvents } from "../storage/events.js";
+import { createInvertedIndex } from "./invertedIndex.js";
+import { highlight } from "./tokenizer.js";
+
+/**
+ * Create a search for a collection
+ * @param {string} collection - Collection name (e.g. "tasks")
+ * @param {Object} options - Search options
+ * @param {Object} options.repository - Repository of the collection
+ * @param {Object} options.fields - Searchable fields and their weights (e.g. { title: 3, description: 1 })
+ * @returns {Object} Search with a search(query) method
+ */
+export const createSearch = (collection, { repository, fields }) => {
+    const index = createInvertedIndex(fields);
+    // Promise of the initial build (null until the first search)
+    let building = null;
+    // Changes received while the initial build is running
+    let pending = [];
+
+    const apply = ({ action, record }) => {
+        if (action === "purge" || record.deletedAt) {
+            index.remove(record.id);
+        } else {
+            index.add(record);
+        }
+    };
+
+    storageEvents.on("change", (event) => {
+        // Before the first search there is no index to update yet
+        if (event.collection !== collection || !building) return;
+
+        if (pending) pending.push(event);
+        else apply(event);
+    });
+
+    // A different storage has different records: start over
+    storageEvents.on("reset", () => {
+        index.clear();
+        building = null;
+        pending = [];
+    });
+
+    const ensureBuilt = () => {
+        if (!building) {
+            pending = [];
+            building = (async () => {
+                for (const record of await repository.list()) {
+                    index.add(record);
+                }
+                // Replay changes made while the records were being read
+                pending.forEach(apply);
+                pending = null;
+            })();
+            // Allow a retry on the next search if building failed
+            building.catch(() => {
+                index.clear();
+                building = null;
+            });
+        }
+        return building;
+    };
+
+    return {
+        /**
+         * Search the collection
+         * @param {string} query - Free-text query
+         * @returns {Promise<Array<Object>>} Matching records, best first, each with
+         *   `relevance` (score) and `highlights` (matched fields with <mark> tags)
+         */
+        async search(query) {
+            await ensureBuilt();
+
+            const results = [];
+            for (const match of index.search(query)) {
+                const record = await repository.find(match.id);
+                if (!record) continue;
+
+                const terms = new Set(match.terms);
+                const highlights = {};
+                for (const field of Object.keys(fields)) {
+                    const marked = highlight(record[field], (term) => terms.has(term));
+                    if (marked) highlights[field] = marked;
+                }
+
+                results.push({
+                    ...record,
+                    relevance: Math.round(match.score * 1000) / 1000,
+                    highlights,
+                });
+            }
+            return results;
+        },
+    };
+};
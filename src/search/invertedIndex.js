@@ -0,0 +1,152 @@
+/**
+ * Inverted Index
+ * 
+ * Maps every term to the records (and fields) it appears in, so a query only
+ * looks at the records that contain its terms instead of scanning them all.
+ * 
+ * Ranking is TF-IDF with per-field weights: a term found in a heavily
+ * weighted field (e.g. a title) or in few records scores higher. Every query
+ * term must match (AND). A query term also matches longer index terms that
+ * start with it ("doc" finds "documentation"), at half the weight. The terms
+ * are also kept sorted, so the ones starting with a query term are found by
+ * binary search rather than by scanning the whole vocabulary.
+ */
+
+import { tokenize } from "./tokenizer.js";
+
+// Weight of a prefix match compared to an exact match
+const PREFIX_WEIGHT = 0.5;
+
+/**
+ * Create an inverted index
+ * @param {Object} fields - Fields to index and their weights (e.g. { title: 3, description: 1 })
+ * @returns {Object} Index with add, remove, clear and search
+ */
+export const createInvertedIndex = (fields) => {
+    // term -> Map(recordId -> Map(field -> term frequency))
+    const postings = new Map();
+    // recordId -> Set(term), to remove a record without scanning all terms
+    const recordTerms = new Map();
+    // Every term of postings, in sorted order (for prefix matches)
+    const sortedTerms = [];
+
+    // Position of the first sorted term that is not before a given string
+    const lowerBound = (text) => {
+        let low = 0;
+        let high = sortedTerms.length;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (sortedTerms[middle] < text) low = middle + 1;
+            else high = middle;
+        }
+        return low;
+    };
+
+    const remove = (id) => {
+        const terms = recordTerms.get(id);
+        if (!terms) return;
+
+        for (const term of terms) {
+            const records = postings.get(term);
+            records.delete(id);
+            if (records.size === 0) {
+                postings.delete(term);
+                sortedTerms.splice(lowerBound(term), 1);
+            }
+        }
+        recordTerms.delete(id);
+    };
+
+    const add = (record) => {
+        remove(record.id);
+
+        const terms = new Set();
+        for (const field of Object.keys(fields)) {
+            for (const term of tokenize(record[field])) {
+                if (!postings.has(term)) {
+                    postings.set(term, new Map());
+                    sortedTerms.splice(lowerBound(term), 0, term);
+                }
+                const records = postings.get(term);
+                if (!records.has(record.id)) records.set(record.id, new Map());
+                const frequencies = records.get(record.id);
+                frequencies.set(field, (frequencies.get(field) || 0) + 1);
+                terms.add(term);
+            }
+        }
+        recordTerms.set(record.id, terms);
+    };
+
+    // Index terms matched by a query term, with their match weight (the terms
+    // starting with it follow each other in sortedTerms, the exact match first)
+    const expand = (queryTerm) => {
+        const matches = [];
+        for (let i = lowerBound(queryTerm); i < sortedTerms.length && sortedTerms[i].startsWith(queryTerm); i++) {
+            const term = sortedTerms[i];
+            matches.push([term, term === queryTerm ? 1 : PREFIX_WEIGHT]);
+        }
+        return matches;
+    };
+
+    /**
+     * Find the records matching every term of a query
+     * @param {string} query - Free-text query
+     * @returns {Array<{id: number, score: number, terms: Array<string>}>} Matches, best first
+     */
+    const search = (query) => {
+        const queryTerms = [...new Set(tokenize(query))];
+        if (queryTerms.length === 0) return [];
+
+        const totalRecords = recordTerms.size;
+        let results = null;
+
+        for (const queryTerm of queryTerms) {
+            // Score of every record for this query term
+            const termScores = new Map();
+            const matchedTerms = new Map();
+
+            for (const [term, matchWeight] of expand(queryTerm)) {
+                const records = postings.get(term);
+                const idf = Math.log(1 + totalRecords / records.size);
+
+                for (const [id, frequencies] of records) {
+                    let score = 0;
+                    for (const [field, frequency] of frequencies) {
+                        // Dampen repeated terms so a long field cannot dominate
+                        score += fields[field] * (frequency / (frequency + 1)) * idf * matchWeight;
+                    }
+                    termScores.set(id, (termScores.get(id) || 0) + score);
+                    if (!matchedTerms.has(id)) matchedTerms.set(id, []);
+                    matchedTerms.get(id).push(term);
+                }
+            }
+
+            // Keep only records that matched every term so far
+            const next = new Map();
+            for (const [id, score] of termScores) {
+                if (results && !results.has(id)) continue;
+                const previous = results?.get(id) || { score: 0, terms: [] };
+                next.set(id, {
+                    score: previous.score + score,
+                    terms: [...previous.terms, ...matchedTerms.get(id)],
+                });
+            }
+            results = next;
+        }
+
+        return [...results]
+            .map(([id, { score, terms }]) => ({ id, score, terms }))
+            .sort((a, b) => b.score - a.score || a.id - b.id);
+    };
+
+    return {
+        add,
+        remove,
+        search,
+        clear() {
+            postings.clear();
+            recordTerms.clear();
+            sortedTerms.length = 0;
+        },
+    };
+};
@@ -0,0 +1,58 @@
+/**
+ * Search Tokenizer
+ * 
+ * Splits text into search terms. Terms are lowercased and stripped of
+ * accents, so "Café", "cafe" and "CAFÉ" all produce the term "cafe".
+ */
+
+// A word is a run of letters (with their combining marks) and digits
+const wordPattern = /[\p{L}\p{M}\p{N}]+/gu;
+
+/**
+ * Normalize a word for matching (lowercase, accents removed)
+ * @param {string} word - Word as written
+ * @returns {string} Normalized term
+ */
+export const normalize = (word) =>
+    word.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+
+/**
+ * Split text into normalized terms
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms in order of appearance (with repeats)
+ */
+export const tokenize = (text) =>
+    (String(text ?? "").match(wordPattern) || []).map(normalize).filter(Boolean);
+
+/**
+ * Escape text for safe use inside HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) =>
+    text.replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+/**
+ * Wrap the words of a text that match any of the given terms in <mark> tags
+ * The rest of the text is HTML-escaped, so the result can be inserted as HTML.
+ * @param {string} text - Original text
+ * @param {Function} isMatch - Returns true for a normalized term that should be highlighted
+ * @returns {string|null} Highlighted HTML, or null if nothing matched
+ */
+export const highlight = (text, isMatch) => {
+    const source = String(text ?? "");
+    let result = "";
+    let lastIndex = 0;
+    let matched = false;
+
+    for (const match of source.matchAll(wordPattern)) {
+        if (!isMatch(normalize(match[0]))) continue;
+
+        result += escapeHtml(source.slice(lastIndex, match.index));
+        result += `<mark>${escapeHtml(match[0])}</mark>`;
+        lastIndex = match.index + match[0].length;
+        matched = true;
+    }
+
+    return matched ? result + escapeHtml(source.slice(lastIndex)) : null;
+};
@@ -8,6 +8,18 @@
 import http from "http";
 import app from "./app.js";
 import { config } from "./config/index.js";
+import { getStorage } from "./storage/index.js";
+import { seedStorage } from "./storage/seeds.js";
+import { resumeDeliveries } from "./webhooks/index.js";
+
+// The in-memory store starts empty on every boot, so load the sample data.
+// Persistent drivers are seeded once with "npm run db:seed".
+if (config.storage.driver === "memory") {
+    await seedStorage(getStorage());
+}
+
+// Pick up webhook deliveries that were waiting for a retry when the server stopped
+await resumeDeliveries();
 
 // Create HTTP server instance using the Express app
 // The Express app handles all incoming HTTP requests
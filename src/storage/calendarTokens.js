@@ -0,0 +1,74 @@
+/**
+ * Calendar Subscription Tokens
+ * 
+ * Calendar apps poll a feed URL and cannot send headers, so a user's task
+ * feed is addressed by a secret token in the URL:
+ *   /api/tasks/calendar.ics?token=<token>
+ * 
+ * Only the SHA-256 hash of a token is stored, in the `calendar_tokens`
+ * collection; the token itself is shown once, when it is issued. A user has
+ * at most one token, so issuing a new one revokes the old URL.
+ */
+
+import { createHash, randomBytes } from "crypto";
+import { createRepository } from "./index.js";
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Token from the subscription URL
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+const hashToken = (token) => createHash("sha256").update(token).digest("hex");
+
+/**
+ * Create the calendar token store
+ * @returns {Object} Token store with issue, revoke and findUserId
+ */
+export const createCalendarTokens = () => {
+    const tokens = createRepository("calendar_tokens");
+
+    return {
+        /**
+         * Issue a new token for a user, revoking any previous one
+         * @param {number} userId - User id
+         * @returns {Promise<string>} The new token (not stored in plain text)
+         */
+        async issue(userId) {
+            await this.revoke(userId);
+
+            const token = randomBytes(24).toString("base64url");
+            await tokens.insert({
+                userId,
+                tokenHash: hashToken(token),
+                createdAt: new Date().toISOString(),
+            });
+            return token;
+        },
+
+        /**
+         * Revoke a user's token
+         * @param {number} userId - User id
+         * @returns {Promise<boolean>} True if the user had a token
+         */
+        async revoke(userId) {
+            const existing = (await tokens.list()).filter((entry) => entry.userId === userId);
+            for (const entry of existing) {
+                await tokens.purge(entry.id);
+            }
+            return existing.length > 0;
+        },
+
+        /**
+         * Find the user a token belongs to
+         * @param {string} token - Token from the subscription URL
+         * @returns {Promise<number|null>} User id, or null for an unknown token
+         */
+        async findUserId(token) {
+            if (typeof token !== "string" || token === "") return null;
+
+            const tokenHash = hashToken(token);
+            const entry = (await tokens.list()).find((e) => e.tokenHash === tokenHash);
+            return entry ? entry.userId : null;
+        },
+    };
+};
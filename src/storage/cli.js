@@ -0,0 +1,93 @@
+/**
+ * Storage Command Line Tasks
+ * 
+ * Usage:
+ *   node src/storage/cli.js migrate  - Apply pending SQLite migrations
+ *   node src/storage/cli.js seed     - Load the sample data into empty collections
+ *   node src/storage/cli.js purge    - Permanently delete trashed records past the retention period
+ * 
+ * All commands use the storage settings from src/config/index.js.
+ */
+
+import { config } from "../config/index.js";
+import { createRepository, getStorage } from "./index.js";
+import { createHistory } from "./history.js";
+import { runMigrations } from "./migrate.js";
+import { openDatabase } from "./sqliteDriver.js";
+import { seedStorage } from "./seeds.js";
+
+const commands = {
+    /**
+     * Apply pending migrations to the configured SQLite database
+     */
+    async migrate() {
+        if (config.storage.driver !== "sqlite") {
+            console.log(`Storage driver "${config.storage.driver}" has no schema to migrate.`);
+            return;
+        }
+
+        const db = await openDatabase(config.storage.sqliteFile, { migrate: false });
+        try {
+            const applied = runMigrations(db);
+            if (applied.length === 0) {
+                console.log("✅ Database schema is up to date");
+            }
+            for (const { version, name } of applied) {
+                console.log(`✅ Applied migration ${version}_${name}`);
+            }
+        } finally {
+            db.close();
+        }
+    },
+
+    /**
+     * Seed every empty collection with the sample data
+     */
+    async seed() {
+        const storage = getStorage();
+        try {
+            const inserted = await seedStorage(storage);
+            for (const [name, count] of Object.entries(inserted)) {
+                console.log(
+                    count > 0
+                        ? `✅ Seeded ${count} ${name}`
+                        : `⏭️  Skipped ${name} (collection is not empty)`
+                );
+            }
+        } finally {
+            await storage.close();
+        }
+    },
+
+    /**
+     * Permanently delete records that have been in the trash too long
+     * (suitable for running from cron)
+     */
+    async purge() {
+        const storage = getStorage();
+        const retentionDays = config.storage.trashRetentionDays;
+        // Only tasks keep a change history
+        const histories = { tasks: createHistory("tasks") };
+
+        try {
+            for (const name of ["users", "products", "tasks"]) {
+                const purged = await createRepository(name).purgeExpired(retentionDays);
+                for (const record of purged) {
+                    await histories[name]?.record("purge", record, null);
+                }
+                console.log(`🗑️  Purged ${purged.length} ${name} deleted more than ${retentionDays} days ago`);
+            }
+        } finally {
+            await storage.close();
+        }
+    },
+};
+
+const command = commands[process.argv[2]];
+
+if (!command) {
+    console.error(`Usage: node src/storage/cli.js <${Object.keys(commands).join("|")}>`);
+    process.exit(1);
+}
+
+await command();
@@ -0,0 +1,24 @@
+/**
+ * Storage Errors
+ * 
+ * Errors raised by the storage drivers. Like the errors created in the
+ * routers, they carry a `statusCode` so the error handler can respond
+ * with the right HTTP status.
+ */
+
+/**
+ * Create the error raised when a write expected a different record version
+ * (another client changed the record first)
+ * @param {number} id - Record id
+ * @param {number} expectedVersion - Version the caller based its change on
+ * @param {number} currentVersion - Version currently stored
+ * @returns {Error} Error with statusCode 412 and code "VERSION_CONFLICT"
+ */
+export const versionConflictError = (id, expectedVersion, currentVersion) => {
+    const error = new Error(
+        `Record ${id} was modified by another request (expected version ${expectedVersion}, current version ${currentVersion})`
+    );
+    error.statusCode = 412;
+    error.code = "VERSION_CONFLICT";
+    return error;
+};
@@ -0,0 +1,48 @@
+/**
+ * Storage Change Events
+ * 
+ * Every write made through a repository is announced on this emitter, so
+ * other parts of the app (such as the search index) can follow changes
+ * without the routers having to notify them.
+ * 
+ * Events:
+ * - "change" - { collection, action, record, previous }
+ *     action is one of create, update, delete, restore or purge.
+ *     `record` is the record after the change (the removed record for purge)
+ *     and `previous` the record before it (null on create).
+ * - "reset"  - The active storage was replaced with setStorage()
+ * 
+ * Changes of the public resources are also announced to clients (webhooks,
+ * the live event stream) as typed events such as task.created; eventType()
+ * gives the type of a change.
+ */
+
+import { EventEmitter } from "events";
+
+export const storageEvents = new EventEmitter();
+
+// Several features may listen at once; this is not a leak
+storageEvents.setMaxListeners(50);
+
+// Resource name of each collection whose changes are announced to clients
+// (other collections, such as the task history or the webhook delivery log,
+// are internal)
+export const RESOURCE_NAMES = { tasks: "task", products: "product", users: "user" };
+
+// Event suffix of each storage action
+const ACTION_NAMES = {
+    create: "created",
+    update: "updated",
+    delete: "deleted",
+    restore: "restored",
+    purge: "purged",
+};
+
+/**
+ * Get the client-facing event type of a change
+ * @param {string} collection - Collection name (e.g. "tasks")
+ * @param {string} action - Storage action (e.g. "update")
+ * @returns {string|null} Event type (e.g. "task.updated"), or null for internal collections
+ */
+export const eventType = (collection, action) =>
+    RESOURCE_NAMES[collection] ? `${RESOURCE_NAMES[collection]}.${ACTION_NAMES[action]}` : null;
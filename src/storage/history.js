@@ -0,0 +1,106 @@
+/**
+ * Change History
+ * 
+ * Keeps an append-only log of every change made to the records of a
+ * collection, stored in its own `<name>_history` collection. Each entry holds:
+ * - recordId  - Id of the changed record
+ * - version   - Record version the entry produced
+ * - action    - What happened (create, update, patch, delete, restore, revert, purge)
+ * - changes   - Field-level diff: { field: { from, to } }
+ * - snapshot  - Full record after the change (null once purged)
+ * - changedBy - Value of the X-User-Id request header, if any
+ * - changedAt - ISO timestamp of the change
+ * 
+ * The snapshots allow a record to be restored to any earlier version.
+ */
+
+import { createRepository } from "./index.js";
+
+// Bookkeeping fields that are not reported in the field-level diff
+const ignoredFields = ["id", "version", "createdAt", "updatedAt"];
+
+/**
+ * Compute the field-level differences between two versions of a record
+ * @param {Object|null} before - Previous record (null on create)
+ * @param {Object|null} after - New record (null on delete)
+ * @returns {Object} Map of changed fields to { from, to }
+ */
+export const diffRecords = (before, after) => {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const field of fields) {
+        if (ignoredFields.includes(field)) continue;
+
+        const from = before?.[field] ?? null;
+        const to = after?.[field] ?? null;
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = { from, to };
+        }
+    }
+
+    return changes;
+};
+
+/**
+ * Read the acting user from the request (X-User-Id header)
+ * @param {Object} req - Express request object (absent for changes made outside a request)
+ * @returns {number|null} User id, or null when the header is missing or invalid
+ */
+const getActor = (req) => {
+    const userId = parseInt(req?.get("X-User-Id"));
+    return isNaN(userId) ? null : userId;
+};
+
+/**
+ * Build the history entry describing a change
+ * @param {string} action - create, update, patch, delete, restore, revert or purge
+ * @param {Object|null} before - Record before the change (null on create)
+ * @param {Object|null} after - Record after the change (null on purge)
+ * @param {Object} req - Express request that made the change (optional)
+ * @returns {Object} Entry to store in the `<name>_history` collection
+ */
+export const historyEntry = (action, before, after, req) => ({
+    recordId: (after || before).id,
+    // A purge gets its own version so every entry is addressable
+    version: after ? after.version : before.version + 1,
+    action,
+    changes: diffRecords(before, after),
+    snapshot: after,
+    changedBy: getActor(req),
+    changedAt: new Date().toISOString(),
+});
+
+/**
+ * Create the change history for a collection
+ * @param {string} name - Collection name (e.g. "tasks")
+ * @returns {Object} History with record and list
+ */
+export const createHistory = (name) => {
+    const entries = createRepository(`${name}_history`);
+
+    return {
+        /**
+         * Append an entry describing a change
+         * @param {string} action - create, update, patch, delete, restore, revert or purge
+         * @param {Object|null} before - Record before the change (null on create)
+         * @param {Object|null} after - Record after the change (null on purge)
+         * @param {Object} req - Express request that made the change (optional)
+         * @returns {Promise<Object>} The stored history entry
+         */
+        record(action, before, after, req) {
+            return entries.insert(historyEntry(action, before, after, req));
+        },
+
+        /**
+         * List all entries for a record, oldest first
+         * @param {number} recordId - Record id
+         * @returns {Promise<Array<Object>>} History entries
+         */
+        async list(recordId) {
+            return (await entries.list())
+                .filter((entry) => entry.recordId === recordId)
+                .sort((a, b) => a.version - b.version);
+        },
+    };
+};
@@ -0,0 +1,174 @@
+/**
+ * Storage Layer
+ * 
+ * This file exposes the repository interface used by the resource routers.
+ * A repository offers the same operations regardless of where the data
+ * actually lives:
+ * - name                - Collection name
+ * - find(id)            - Get a single record (or null)
+ * - list()              - Get every record
+ * - insert(data)        - Create a record and return it with its id
+ * - update(id, changes) - Merge changes into a record (or return null)
+ * - remove(id)          - Move a record to the trash and return it (or null)
+ * - trash()             - List the records in the trash
+ * - restore(id)         - Take a record back out of the trash (or return null)
+ * - purge(id)           - Permanently delete a record (or return null)
+ * - purgeExpired(days)  - Permanently delete records in the trash for at least `days` days
+ * 
+ * Deletes are soft: remove() only sets `deletedAt`. Records in the trash are
+ * hidden from find() and list() unless `{ withDeleted: true }` is passed.
+ * 
+ * Every successful write is announced on `storageEvents` (see events.js).
+ * 
+ * Every record has a `version` that the driver sets to 1 on insert and
+ * increments on each update. `update` and `remove` accept
+ * `{ expectedVersion }` and throw a 412 error if the stored record has moved
+ * on, which the routers use for ETag / If-Match handling.
+ * 
+ * The backing driver is chosen through `config.storage.driver`:
+ * - memory - Plain arrays, reset on restart
+ * - json   - One JSON file per collection, written atomically
+ * - sqlite - Embedded SQLite database (node:sqlite) with schema migrations
+ */
+
+import { config } from "../config/index.js";
+import { createMemoryDriver } from "./memoryDriver.js";
+import { createJsonFileDriver } from "./jsonFileDriver.js";
+import { createSqliteDriver } from "./sqliteDriver.js";
+import { storageEvents } from "./events.js";
+
+// Available storage drivers, keyed by the name used in configuration
+const drivers = {
+    memory: createMemoryDriver,
+    json: createJsonFileDriver,
+    sqlite: createSqliteDriver,
+};
+
+/**
+ * Create a storage driver instance
+ * @param {Object} options - Storage options (defaults to config.storage)
+ * @param {string} options.driver - Name of the driver to use
+ * @returns {Object} Storage driver
+ */
+export const createStorage = (options = config.storage) => {
+    const { driver, ...driverOptions } = options;
+    const createDriver = drivers[driver];
+
+    if (!createDriver) {
+        throw new Error(
+            `Unknown storage driver "${driver}". Must be one of: ${Object.keys(drivers).join(", ")}`
+        );
+    }
+
+    return createDriver(driverOptions);
+};
+
+// Storage used by all repositories (created lazily from configuration)
+let activeStorage = null;
+
+/**
+ * Get the active storage driver, creating it from configuration on first use
+ * @returns {Object} Storage driver
+ */
+export const getStorage = () => {
+    if (!activeStorage) {
+        activeStorage = createStorage();
+    }
+    return activeStorage;
+};
+
+/**
+ * Replace the active storage driver
+ * Useful for tests that need to run the routers against a clean store.
+ * @param {Object} storage - Storage driver created with createStorage()
+ */
+export const setStorage = (storage) => {
+    activeStorage = storage;
+    storageEvents.emit("reset");
+};
+
+/**
+ * Create a repository for a named collection
+ * 
+ * The repository resolves the active storage on every call, so routers can
+ * create their repositories at import time and still pick up a storage
+ * swapped in later with setStorage().
+ * 
+ * @param {string} name - Collection name (e.g. "tasks")
+ * @returns {Object} Repository (see the list of operations above)
+ */
+export const createRepository = (name) => {
+    const collection = () => getStorage().collection(name);
+    const isDeleted = (record) => Boolean(record.deletedAt);
+
+    // Announce a successful write and pass its result through
+    const notify = (action, record, previous = null) => {
+        if (record) {
+            storageEvents.emit("change", { collection: name, action, record, previous });
+        }
+        return record;
+    };
+
+    return {
+        name,
+
+        async find(id, { withDeleted = false } = {}) {
+            const record = await collection().find(id);
+            return record && (withDeleted || !isDeleted(record)) ? record : null;
+        },
+
+        async list({ withDeleted = false } = {}) {
+            const records = await collection().list();
+            return withDeleted ? records : records.filter((record) => !isDeleted(record));
+        },
+
+        async insert(data) {
+            return notify("create", await collection().insert(data));
+        },
+
+        async update(id, changes, options) {
+            const previous = await collection().find(id);
+            return notify("update", await collection().update(id, changes, options), previous);
+        },
+
+        async remove(id, options) {
+            const previous = await this.find(id);
+            if (!previous) return null;
+
+            const record = await collection().update(id, { deletedAt: new Date().toISOString() }, options);
+            return notify("delete", record, previous);
+        },
+
+        async trash() {
+            const records = await collection().list();
+            return records
+                .filter(isDeleted)
+                .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+        },
+
+        async restore(id, options) {
+            const previous = await collection().find(id);
+            if (!previous || !isDeleted(previous)) return null;
+
+            return notify("restore", await collection().update(id, { deletedAt: null }, options), previous);
+        },
+
+        async purge(id, options) {
+            return notify("purge", await collection().remove(id, options));
+        },
+
+        async purgeExpired(retentionDays) {
+            const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+            const expired = (await this.trash()).filter(
+                (record) => new Date(record.deletedAt).getTime() <= cutoff
+            );
+
+            const purged = [];
+            for (const record of expired) {
+                const removed = await this.purge(record.id);
+                if (removed) purged.push(removed);
+            }
+            return purged;
+        },
+    };
+};
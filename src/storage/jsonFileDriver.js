@@ -0,0 +1,105 @@
+/**
+ * JSON File Storage Driver
+ * 
+ * Persists each collection as a JSON array in `<dataDir>/<name>.json`.
+ * Records are held in memory and the whole file is rewritten after every
+ * mutation. Writes go to a temporary file that is then renamed over the
+ * original, so a crash mid-write never leaves a half-written collection.
+ */
+
+import path from "path";
+import { mkdir, readFile, rename, writeFile } from "fs/promises";
+import { createMemoryCollection } from "./memoryDriver.js";
+
+/**
+ * Atomically write data to a file (write to a temp file, then rename)
+ * @param {string} filePath - Destination file
+ * @param {string} contents - File contents
+ */
+const writeFileAtomic = async (filePath, contents) => {
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await writeFile(tempPath, contents, "utf8");
+    await rename(tempPath, filePath);
+};
+
+/**
+ * Create a collection backed by a single JSON file
+ * @param {string} filePath - Path of the collection file
+ * @returns {Object} Collection implementing find, list, insert, update and remove
+ */
+const createJsonFileCollection = (filePath) => {
+    let loading = null;
+    // Chain of pending writes so files are written one at a time, in order
+    let writeQueue = Promise.resolve();
+
+    const persist = (collection) => {
+        const write = writeQueue.then(async () => {
+            const records = await collection.list();
+            await writeFileAtomic(filePath, JSON.stringify(records, null, 2));
+        });
+        // Keep the queue usable even if this write fails
+        writeQueue = write.catch(() => {});
+        return write;
+    };
+
+    // Load the file on first use (a missing file is an empty collection)
+    const load = () => {
+        if (!loading) {
+            loading = (async () => {
+                await mkdir(path.dirname(filePath), { recursive: true });
+                try {
+                    const raw = await readFile(filePath, "utf8");
+                    return createMemoryCollection(JSON.parse(raw));
+                } catch (err) {
+                    if (err.code !== "ENOENT") throw err;
+                    return createMemoryCollection();
+                }
+            })();
+            // Allow a retry on the next call if loading failed
+            loading.catch(() => {
+                loading = null;
+            });
+        }
+        return loading;
+    };
+
+    // Wrap a mutating operation so its result is flushed to disk
+    const mutation = (operation) => async (...args) => {
+        const collection = await load();
+        const result = await collection[operation](...args);
+        if (result) await persist(collection);
+        return result;
+    };
+
+    return {
+        find: async (id) => (await load()).find(id),
+        list: async () => (await load()).list(),
+        insert: mutation("insert"),
+        update: mutation("update"),
+        remove: mutation("remove"),
+    };
+};
+
+/**
+ * Create the JSON file driver
+ * @param {Object} options - Driver options
+ * @param {string} options.dataDir - Directory holding the collection files
+ * @returns {Object} Storage driver
+ */
+export const createJsonFileDriver = ({ dataDir }) => {
+    const collections = new Map();
+
+    return {
+        collection(name) {
+            if (!collections.has(name)) {
+                const filePath = path.resolve(dataDir, `${name}.json`);
+                collections.set(name, createJsonFileCollection(filePath));
+            }
+            return collections.get(name);
+        },
+
+        async close() {
+            collections.clear();
+        },
+    };
+};
@@ -0,0 +1,129 @@
+/**
+ * In-Memory Storage Driver
+ * 
+ * Keeps every collection in a plain array for the lifetime of the process.
+ * Data is lost on restart, which makes this driver a good fit for local
+ * development and for tests that need a clean store.
+ */
+
+import { versionConflictError } from "./errors.js";
+
+/**
+ * Deep copy a record so callers can never mutate stored data by reference
+ * @param {Object} record - Record to copy
+ * @returns {Object} Independent copy of the record
+ */
+const clone = (record) => structuredClone(record);
+
+/**
+ * Create an in-memory collection
+ * 
+ * Ids are numeric and assigned as "highest id + 1" when a record is inserted
+ * without one, matching the behaviour of the original route handlers.
+ * Every record carries a `version` that starts at 1 and is incremented on
+ * each update, for optimistic concurrency control.
+ * 
+ * @param {Array<Object>} initialRecords - Records the collection starts with
+ * @returns {Object} Collection implementing find, list, insert, update and remove
+ */
+export const createMemoryCollection = (initialRecords = []) => {
+    // Records written before versioning existed start at version 1
+    let records = initialRecords.map((r) => ({ ...clone(r), version: r.version ?? 1 }));
+
+    // Next id to hand out (computed from existing records)
+    const nextId = () =>
+        records.length > 0 ? Math.max(...records.map((r) => r.id)) + 1 : 1;
+
+    return {
+        /**
+         * Find a single record by id
+         * @param {number} id - Record id
+         * @returns {Promise<Object|null>} The record, or null if it does not exist
+         */
+        async find(id) {
+            const record = records.find((r) => r.id === id);
+            return record ? clone(record) : null;
+        },
+
+        /**
+         * List every record in insertion order
+         * @returns {Promise<Array<Object>>} Copies of all records
+         */
+        async list() {
+            return records.map(clone);
+        },
+
+        /**
+         * Insert a new record, assigning an id and version 1 if none are provided
+         * @param {Object} data - Record fields
+         * @returns {Promise<Object>} The stored record
+         */
+        async insert(data) {
+            const { id = nextId(), version = 1, ...fields } = clone(data);
+            const record = { id, ...fields, version };
+            records.push(record);
+            return clone(record);
+        },
+
+        /**
+         * Merge changes into an existing record and bump its version
+         * @param {number} id - Record id
+         * @param {Object} changes - Fields to overwrite
+         * @param {Object} options - Update options
+         * @param {number} options.expectedVersion - Fail with a 412 error unless the record is at this version
+         * @returns {Promise<Object|null>} The updated record, or null if it does not exist
+         */
+        async update(id, changes, { expectedVersion } = {}) {
+            const index = records.findIndex((r) => r.id === id);
+            if (index === -1) return null;
+
+            const current = records[index];
+            if (expectedVersion !== undefined && current.version !== expectedVersion) {
+                throw versionConflictError(id, expectedVersion, current.version);
+            }
+
+            records[index] = { ...current, ...clone(changes), id, version: current.version + 1 };
+            return clone(records[index]);
+        },
+
+        /**
+         * Remove a record permanently
+         * @param {number} id - Record id
+         * @param {Object} options - Remove options
+         * @param {number} options.expectedVersion - Fail with a 412 error unless the record is at this version
+         * @returns {Promise<Object|null>} The removed record, or null if it does not exist
+         */
+        async remove(id, { expectedVersion } = {}) {
+            const index = records.findIndex((r) => r.id === id);
+            if (index === -1) return null;
+
+            if (expectedVersion !== undefined && records[index].version !== expectedVersion) {
+                throw versionConflictError(id, expectedVersion, records[index].version);
+            }
+
+            return clone(records.splice(index, 1)[0]);
+        },
+    };
+};
+
+/**
+ * Create the in-memory driver
+ * Collections are created empty on first access.
+ * @returns {Object} Storage driver
+ */
+export const createMemoryDriver = () => {
+    const collections = new Map();
+
+    return {
+        collection(name) {
+            if (!collections.has(name)) {
+                collections.set(name, createMemoryCollection());
+            }
+            return collections.get(name);
+        },
+
+        async close() {
+            collections.clear();
+        },
+    };
+};
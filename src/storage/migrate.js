@@ -0,0 +1,80 @@
+/**
+ * Schema Migration Runner
+ * 
+ * Applies the numbered SQL files in `src/storage/migrations/` to a SQLite
+ * database, in order. Each file is named `<number>_<description>.sql`
+ * (e.g. `001_create_tables.sql`) and is applied at most once: applied
+ * migrations are recorded in the `schema_migrations` table.
+ * 
+ * To change the schema, add a new file with the next number. Never edit a
+ * migration that has already been applied somewhere.
+ */
+
+import path from "path";
+import { readdirSync, readFileSync } from "fs";
+import { fileURLToPath } from "url";
+
+// Get __dirname equivalent for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Directory holding the migration files
+const migrationsDir = path.join(__dirname, "migrations");
+
+// Migration file names look like "001_create_tables.sql"
+const migrationPattern = /^(\d+)_([\w-]+)\.sql$/;
+
+/**
+ * Read all migration files, sorted by number
+ * @returns {Array<{version: number, name: string, sql: string}>} Migrations
+ */
+export const loadMigrations = () =>
+    readdirSync(migrationsDir)
+        .map((file) => ({ file, match: file.match(migrationPattern) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => ({
+            version: parseInt(match[1], 10),
+            name: match[2],
+            sql: readFileSync(path.join(migrationsDir, file), "utf8"),
+        }))
+        .sort((a, b) => a.version - b.version);
+
+/**
+ * Apply every pending migration to the database
+ * Each migration runs in its own transaction together with its bookkeeping row.
+ * @param {DatabaseSync} db - Open node:sqlite database
+ * @returns {Array<{version: number, name: string}>} Migrations applied by this call
+ */
+export const runMigrations = (db) => {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        )
+    `);
+
+    const applied = new Set(
+        db.prepare("SELECT version FROM schema_migrations").all().map((row) => row.version)
+    );
+    const record = db.prepare(
+        "INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)"
+    );
+
+    const pending = loadMigrations().filter((m) => !applied.has(m.version));
+
+    for (const migration of pending) {
+        db.exec("BEGIN");
+        try {
+            db.exec(migration.sql);
+            record.run(migration.version, migration.name, new Date().toISOString());
+            db.exec("COMMIT");
+        } catch (err) {
+            db.exec("ROLLBACK");
+            err.message = `Migration ${migration.version}_${migration.name} failed: ${err.message}`;
+            throw err;
+        }
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }));
+};
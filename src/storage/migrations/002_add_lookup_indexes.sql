@@ -0,0 +1,7 @@
+-- Index the columns used for filtering and duplicate checks
+
+CREATE INDEX idx_users_email ON users (email);
+CREATE INDEX idx_products_category ON products (category);
+CREATE INDEX idx_tasks_status ON tasks (status);
+CREATE INDEX idx_tasks_priority ON tasks (priority);
+CREATE INDEX idx_tasks_due_date ON tasks (due_date);
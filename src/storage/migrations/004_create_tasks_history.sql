@@ -0,0 +1,14 @@
+-- Append-only change log for tasks (one row per create, update, delete or revert)
+
+CREATE TABLE tasks_history (
+    id INTEGER PRIMARY KEY,
+    record_id INTEGER NOT NULL,
+    version INTEGER NOT NULL,
+    action TEXT NOT NULL,
+    changes JSON NOT NULL,
+    snapshot JSON,
+    changed_by INTEGER,
+    changed_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_tasks_history_record ON tasks_history (record_id, version);
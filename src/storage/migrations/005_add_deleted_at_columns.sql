@@ -0,0 +1,9 @@
+-- Soft delete: deleted records keep their row and get a deleted_at timestamp
+
+ALTER TABLE users ADD COLUMN deleted_at TEXT;
+ALTER TABLE products ADD COLUMN deleted_at TEXT;
+ALTER TABLE tasks ADD COLUMN deleted_at TEXT;
+
+CREATE INDEX idx_users_deleted_at ON users (deleted_at);
+CREATE INDEX idx_products_deleted_at ON products (deleted_at);
+CREATE INDEX idx_tasks_deleted_at ON tasks (deleted_at);
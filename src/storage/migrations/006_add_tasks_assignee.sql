@@ -0,0 +1,5 @@
+-- Tasks can be assigned to a user (embedded with ?include=assignee)
+
+ALTER TABLE tasks ADD COLUMN assignee_id INTEGER;
+
+CREATE INDEX idx_tasks_assignee_id ON tasks (assignee_id);
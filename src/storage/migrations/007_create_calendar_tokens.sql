@@ -0,0 +1,11 @@
+-- Secret tokens for per-user calendar subscription URLs (only a hash of each token is stored)
+
+CREATE TABLE calendar_tokens (
+    id INTEGER PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    created_at TEXT NOT NULL,
+    version INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE INDEX idx_calendar_tokens_user ON calendar_tokens (user_id);
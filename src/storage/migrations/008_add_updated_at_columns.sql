@@ -0,0 +1,5 @@
+-- Users and products record when they were last changed, like tasks
+-- (rows written before this migration have none until their next change)
+
+ALTER TABLE users ADD COLUMN updated_at TEXT;
+ALTER TABLE products ADD COLUMN updated_at TEXT;
@@ -0,0 +1,35 @@
+-- Outgoing webhook subscriptions, and one delivery row per event sent to a
+-- webhook (its attempts are kept as JSON)
+
+CREATE TABLE webhooks (
+    id INTEGER PRIMARY KEY,
+    url TEXT NOT NULL,
+    events JSON NOT NULL,
+    description TEXT NOT NULL DEFAULT '',
+    -- JSON true or false (SQLite has no boolean type)
+    active JSON NOT NULL,
+    secret TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT,
+    deleted_at TEXT,
+    version INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE TABLE webhook_deliveries (
+    id INTEGER PRIMARY KEY,
+    webhook_id INTEGER NOT NULL,
+    event_id TEXT NOT NULL,
+    event TEXT NOT NULL,
+    payload JSON NOT NULL,
+    status TEXT NOT NULL
+        CHECK (status IN ('pending', 'succeeded', 'failed', 'cancelled')),
+    attempts JSON NOT NULL,
+    next_attempt_at TEXT,
+    replay_of INTEGER,
+    created_at TEXT NOT NULL,
+    updated_at TEXT,
+    version INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id);
+CREATE INDEX idx_webhook_deliveries_status ON webhook_deliveries (status);
@@ -0,0 +1,7 @@
+-- Subtasks (parent_id) and dependencies between tasks (blocked_by, the JSON
+-- array of the ids of the tasks that must be completed first)
+
+ALTER TABLE tasks ADD COLUMN parent_id INTEGER;
+ALTER TABLE tasks ADD COLUMN blocked_by JSON;
+
+CREATE INDEX idx_tasks_parent_id ON tasks (parent_id);
@@ -0,0 +1,10 @@
+-- Recurring tasks: the RRULE value (recurrence), the date of the occurrence
+-- a task stands for (occurrence_date), the JSON object of the changes saved
+-- for single upcoming occurrences by date (occurrence_overrides), and the
+-- series' values of the fields changed for the task's own occurrence
+-- (series_values)
+
+ALTER TABLE tasks ADD COLUMN recurrence TEXT;
+ALTER TABLE tasks ADD COLUMN occurrence_date TEXT;
+ALTER TABLE tasks ADD COLUMN occurrence_overrides JSON;
+ALTER TABLE tasks ADD COLUMN series_values JSON;
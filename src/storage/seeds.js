@@ -0,0 +1,138 @@
+/**
+ * Sample Data Seeding
+ * 
+ * This file holds the sample users, products and tasks the demo starts with,
+ * and the seed step that loads them into a storage driver. Collections that
+ * already contain records are left untouched, so seeding is safe to repeat.
+ */
+
+import { historyEntry } from "./history.js";
+
+// Sample users
+const sampleUsers = [
+    { id: 1, name: "John Doe", email: "john@example.com", createdAt: new Date().toISOString() },
+    { id: 2, name: "Jane Smith", email: "jane@example.com", createdAt: new Date().toISOString() },
+];
+
+// Sample products
+const sampleProducts = [
+    {
+        id: 1,
+        name: "Laptop",
+        description: "High-performance laptop",
+        price: 999.99,
+        category: "Electronics",
+        stock: 15,
+        createdAt: new Date().toISOString(),
+    },
+    {
+        id: 2,
+        name: "Coffee Maker",
+        description: "Programmable coffee maker",
+        price: 79.99,
+        category: "Appliances",
+        stock: 30,
+        createdAt: new Date().toISOString(),
+    },
+    {
+        id: 3,
+        name: "Running Shoes",
+        description: "Comfortable running shoes",
+        price: 129.99,
+        category: "Sports",
+        stock: 25,
+        createdAt: new Date().toISOString(),
+    },
+];
+
+// Sample tasks
+const sampleTasks = [
+    {
+        id: 1,
+        title: "Complete project documentation",
+        description: "Write comprehensive documentation for the Node.js API project",
+        status: "pending",
+        priority: "high",
+        dueDate: "2024-12-31",
+        assigneeId: 1,
+        parentId: null,
+        blockedBy: [],
+        recurrence: null,
+        occurrenceDate: null,
+        occurrenceOverrides: null,
+        seriesValues: null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+    },
+    {
+        id: 2,
+        title: "Review code changes",
+        description: "Review and merge pull request #42",
+        status: "in-progress",
+        priority: "medium",
+        dueDate: "2024-12-20",
+        assigneeId: 2,
+        parentId: null,
+        blockedBy: [],
+        recurrence: null,
+        occurrenceDate: null,
+        occurrenceOverrides: null,
+        seriesValues: null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+    },
+    {
+        id: 3,
+        title: "Update dependencies",
+        description: "Update npm packages to latest versions",
+        status: "completed",
+        priority: "low",
+        dueDate: "2024-12-15",
+        assigneeId: 1,
+        parentId: null,
+        blockedBy: [],
+        recurrence: null,
+        occurrenceDate: null,
+        occurrenceOverrides: null,
+        seriesValues: null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+    },
+];
+
+// Sample records for each collection, keyed by collection name
+export const sampleData = {
+    users: sampleUsers,
+    products: sampleProducts,
+    tasks: sampleTasks,
+};
+
+// Collections that keep a change history, so seeded records start with a
+// "create" entry like records created through the API
+const historyCollections = ["tasks"];
+
+/**
+ * Load the sample records into every empty collection
+ * @param {Object} storage - Storage driver to seed
+ * @returns {Promise<Object>} Number of records inserted per collection
+ */
+export const seedStorage = async (storage) => {
+    const inserted = {};
+
+    for (const [name, records] of Object.entries(sampleData)) {
+        const collection = storage.collection(name);
+        const history = historyCollections.includes(name) ? storage.collection(`${name}_history`) : null;
+        const existing = await collection.list();
+
+        inserted[name] = 0;
+        if (existing.length > 0) continue;
+
+        for (const record of records) {
+            const stored = await collection.insert(record);
+            await history?.insert(historyEntry("create", null, stored));
+            inserted[name] += 1;
+        }
+    }
+
+    return inserted;
+};
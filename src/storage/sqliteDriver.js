@@ -0,0 +1,213 @@
+/**
+ * SQLite Storage Driver
+ * 
+ * Stores each collection in a table of an embedded SQLite database, using
+ * Node's built-in `node:sqlite` module (Node.js 22.5 or newer). The schema is
+ * created and upgraded by the migration runner when the database is opened.
+ * 
+ * Record fields are camelCase and table columns are snake_case
+ * (e.g. `dueDate` <-> `due_date`); the driver converts between the two.
+ * Columns declared with the `JSON` type hold JSON-encoded values.
+ */
+
+import path from "path";
+import { mkdirSync } from "fs";
+import { runMigrations } from "./migrate.js";
+import { versionConflictError } from "./errors.js";
+
+/**
+ * Convert a camelCase field name to a snake_case column name
+ * @param {string} field - Field name (e.g. "dueDate")
+ * @returns {string} Column name (e.g. "due_date")
+ */
+const toColumnName = (field) => field.replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`);
+
+/**
+ * Convert a snake_case column name to a camelCase field name
+ * @param {string} column - Column name (e.g. "due_date")
+ * @returns {string} Field name (e.g. "dueDate")
+ */
+const toFieldName = (column) => column.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+
+/**
+ * Open a SQLite database file and bring its schema up to date
+ * @param {string} filename - Database file path (or ":memory:")
+ * @param {Object} options - Open options
+ * @param {boolean} options.migrate - Apply pending migrations (default: true)
+ * @returns {Promise<DatabaseSync>} Open database
+ */
+export const openDatabase = async (filename, { migrate = true } = {}) => {
+    // Loaded lazily so the other drivers keep working on Node versions without node:sqlite
+    const { DatabaseSync } = await import("node:sqlite");
+
+    if (filename !== ":memory:") {
+        mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+    }
+
+    const db = new DatabaseSync(filename);
+    db.exec("PRAGMA journal_mode = WAL");
+    db.exec("PRAGMA foreign_keys = ON");
+    if (migrate) runMigrations(db);
+
+    return db;
+};
+
+/**
+ * Create a collection backed by a SQLite table
+ * @param {Function} getDatabase - Returns a promise for the open database
+ * @param {string} table - Table name
+ * @returns {Object} Collection implementing find, list, insert, update and remove
+ */
+const createSqliteCollection = (getDatabase, table) => {
+    // Column metadata, read from the table the first time it is needed
+    let columns = null;
+
+    const connect = async () => {
+        const db = await getDatabase();
+        if (!columns) {
+            const info = db.prepare(`PRAGMA table_info("${table}")`).all();
+            if (info.length === 0) {
+                throw new Error(`Table "${table}" does not exist. Add a migration that creates it.`);
+            }
+            columns = new Map(
+                info.map((col) => [col.name, { json: col.type.toUpperCase() === "JSON" }])
+            );
+        }
+        return db;
+    };
+
+    // After a write matched no row, tell "not found" (null) apart from a version conflict
+    const checkVersion = (db, id, expectedVersion) => {
+        if (expectedVersion === undefined) return;
+
+        const current = db.prepare(`SELECT version FROM "${table}" WHERE id = ?`).get(id);
+        if (current) {
+            throw versionConflictError(id, expectedVersion, current.version);
+        }
+    };
+
+    // Convert a database row into a record
+    const fromRow = (row) => {
+        if (!row) return null;
+
+        const record = {};
+        for (const [column, value] of Object.entries(row)) {
+            const isJson = columns.get(column)?.json && value !== null;
+            record[toFieldName(column)] = isJson ? JSON.parse(value) : value;
+        }
+        return record;
+    };
+
+    // Convert record fields into [column, value] pairs ready to bind
+    const toColumns = (fields) =>
+        Object.entries(fields)
+            .filter(([, value]) => value !== undefined)
+            .map(([field, value]) => {
+                const column = toColumnName(field);
+                if (!columns.has(column)) {
+                    throw new Error(`Unknown field "${field}" for table "${table}"`);
+                }
+                const isJson = columns.get(column).json && value !== null;
+                return [column, isJson ? JSON.stringify(value) : value];
+            });
+
+    return {
+        async find(id) {
+            const db = await connect();
+            return fromRow(db.prepare(`SELECT * FROM "${table}" WHERE id = ?`).get(id));
+        },
+
+        async list() {
+            const db = await connect();
+            return db.prepare(`SELECT * FROM "${table}" ORDER BY id`).all().map(fromRow);
+        },
+
+        async insert(data) {
+            const db = await connect();
+            const pairs = toColumns(data);
+            const names = pairs.map(([column]) => `"${column}"`).join(", ");
+            const placeholders = pairs.map(() => "?").join(", ");
+
+            const row = db
+                .prepare(`INSERT INTO "${table}" (${names}) VALUES (${placeholders}) RETURNING *`)
+                .get(...pairs.map(([, value]) => value));
+            return fromRow(row);
+        },
+
+        async update(id, changes, { expectedVersion } = {}) {
+            const db = await connect();
+            const pairs = toColumns(changes).filter(
+                ([column]) => column !== "id" && column !== "version"
+            );
+
+            const assignments = [...pairs.map(([column]) => `"${column}" = ?`), "version = version + 1"];
+            const values = [...pairs.map(([, value]) => value), id];
+            let where = "id = ?";
+            if (expectedVersion !== undefined) {
+                where += " AND version = ?";
+                values.push(expectedVersion);
+            }
+
+            const row = db
+                .prepare(`UPDATE "${table}" SET ${assignments.join(", ")} WHERE ${where} RETURNING *`)
+                .get(...values);
+            if (!row) checkVersion(db, id, expectedVersion);
+            return fromRow(row);
+        },
+
+        async remove(id, { expectedVersion } = {}) {
+            const db = await connect();
+            const values = [id];
+            let where = "id = ?";
+            if (expectedVersion !== undefined) {
+                where += " AND version = ?";
+                values.push(expectedVersion);
+            }
+
+            const row = db.prepare(`DELETE FROM "${table}" WHERE ${where} RETURNING *`).get(...values);
+            if (!row) checkVersion(db, id, expectedVersion);
+            return fromRow(row);
+        },
+    };
+};
+
+/**
+ * Create the SQLite driver
+ * @param {Object} options - Driver options
+ * @param {string} options.sqliteFile - Path of the database file
+ * @returns {Object} Storage driver
+ */
+export const createSqliteDriver = ({ sqliteFile }) => {
+    const collections = new Map();
+    let opening = null;
+
+    // Open the database on first use
+    const getDatabase = () => {
+        if (!opening) {
+            opening = openDatabase(sqliteFile);
+            // Allow a retry on the next call if opening failed
+            opening.catch(() => {
+                opening = null;
+            });
+        }
+        return opening;
+    };
+
+    return {
+        collection(name) {
+            if (!collections.has(name)) {
+                collections.set(name, createSqliteCollection(getDatabase, name));
+            }
+            return collections.get(name);
+        },
+
+        async close() {
+            if (opening) {
+                const db = await opening;
+                db.close();
+                opening = null;
+            }
+            collections.clear();
+        },
+    };
+};
@@ -0,0 +1,159 @@
+/**
+ * CSV Helpers
+ * 
+ * Reading and writing RFC 4180 CSV: fields separated by commas, rows by CRLF
+ * (LF alone is accepted when reading), and fields containing commas, quotes or
+ * line breaks wrapped in double quotes with inner quotes doubled.
+ * 
+ * readCsvRows() parses a stream chunk by chunk, so a large upload is never
+ * held in memory as a whole.
+ * 
+ * Text that starts like a spreadsheet formula (=, +, -, @, tab or carriage
+ * return) is written with a leading ' so spreadsheet apps show it instead of
+ * running it; readCsvRows() drops that ' again, so exported files can be
+ * imported as they are.
+ */
+
+// Text that spreadsheet apps read as a formula (or that only looks guarded
+// already, so its own leading ' survives the round trip)
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+
+/**
+ * Quote a value for a CSV field if needed
+ * @param {*} value - Value (null and undefined become an empty field)
+ * @returns {string} CSV field
+ */
+const formatField = (value) => {
+    if (value === null || value === undefined) return "";
+    const text = typeof value === "string" && FORMULA_START.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write one CSV row
+ * @param {Array<*>} values - Field values
+ * @returns {string} CSV line ending in CRLF
+ */
+export const toCsvLine = (values) => values.map(formatField).join(",") + "\r\n";
+
+/**
+ * Write records as CSV
+ * @param {Array<Object>} records - Records to write
+ * @param {Array<string>} columns - Fields to write, in order (also the header row)
+ * @returns {string} CSV text with a header row
+ */
+export const toCsv = (records, columns) => {
+    const lines = [columns, ...records.map((record) => columns.map((column) => record[column]))];
+    return lines.map(toCsvLine).join("");
+};
+
+/**
+ * Read a CSV field, without the ' written before formula-like text
+ * @param {string} text - Field as read from the file
+ * @returns {string} Field value
+ */
+const readField = (text) => (text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text);
+
+/**
+ * Decode a stream of UTF-8 chunks as text
+ * A character split across chunks is decoded once its last byte arrives.
+ * @param {AsyncIterable<Buffer|string>} stream - Readable stream
+ * @yields {string} Text of each chunk
+ */
+async function* decodeText(stream) {
+    const decoder = new TextDecoder("utf-8");
+    for await (const chunk of stream) {
+        yield typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+    }
+
+    // Bytes left over from a character cut off at the end of the stream
+    const rest = decoder.decode();
+    if (rest) yield rest;
+}
+
+/**
+ * Read CSV rows from a stream
+ * 
+ * Blank lines are skipped. Each row is yielded with the line it starts on,
+ * so errors can point at the right place in the file.
+ * 
+ * @param {AsyncIterable<Buffer|string>} stream - Readable stream (e.g. an Express request)
+ * @yields {Object} { line, values } with values as an array of strings
+ * @throws {Error} 400 error if a quoted field is not closed
+ */
+export async function* readCsvRows(stream) {
+    let values = [];
+    let field = "";
+    let quoted = false; // inside a quoted field
+    let quoteSeen = false; // a quote inside a quoted field: closes it unless doubled
+    let fieldStarted = false;
+    let line = 1;
+    let rowLine = 1;
+    let first = true;
+
+    // Finish the current row and return it (null for a blank line)
+    const endRow = () => {
+        const row = fieldStarted || values.length > 0 ? { line: rowLine, values: [...values, readField(field)] } : null;
+        values = [];
+        field = "";
+        fieldStarted = false;
+        return row;
+    };
+
+    for await (let text of decodeText(stream)) {
+        // Ignore a byte order mark (spreadsheet apps often write one)
+        if (first) {
+            text = text.replace(/^\uFEFF/, "");
+            first = false;
+        }
+
+        for (const char of text) {
+            if (quoteSeen) {
+                quoteSeen = false;
+                if (char === '"') {
+                    field += '"';
+                    continue;
+                }
+                quoted = false;
+            }
+
+            if (quoted) {
+                if (char === '"') {
+                    quoteSeen = true;
+                } else {
+                    if (char === "\n") line++;
+                    field += char;
+                }
+                continue;
+            }
+
+            if (char === '"' && field === "") {
+                quoted = true;
+                fieldStarted = true;
+            } else if (char === ",") {
+                values.push(readField(field));
+                field = "";
+                fieldStarted = true;
+            } else if (char === "\n") {
+                const row = endRow();
+                if (row) yield row;
+                line++;
+                rowLine = line;
+            } else if (char !== "\r") {
+                field += char;
+                fieldStarted = true;
+            }
+        }
+    }
+
+    if (quoted && !quoteSeen) {
+        const error = new Error(`Unterminated quoted field in the row starting on line ${rowLine}`);
+        error.statusCode = 400;
+        error.code = "INVALID_CSV";
+        error.details = { line: rowLine };
+        throw error;
+    }
+
+    const row = endRow();
+    if (row) yield row;
+}
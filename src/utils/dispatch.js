@@ -0,0 +1,132 @@
+/**
+ * Internal Request Dispatch
+ * 
+ * Sends a request through the API router without going over the network, so
+ * the batch route (src/routes/batch.js) and the GraphQL resolvers
+ * (src/graphql/) get the same validation, errors, ETags and history as a
+ * normal request.
+ * 
+ * Sub-requests inherit the parent request's headers (e.g. X-User-Id), except
+ * Content-* and conditional (If-*) headers; their own headers take precedence.
+ * Routes that keep their response open (the event stream) answer 400.
+ */
+
+import errorHandler from "../middleware/errorHandler.js";
+
+/**
+ * Create the 404 error of a path no route matched
+ * @param {string} method - HTTP method
+ * @param {string} path - Path of the sub-request
+ * @returns {Error} Error with statusCode 404
+ */
+const routeNotFound = (method, path) => {
+    const error = new Error(`Cannot ${method} ${path.split("?")[0]}`);
+    error.statusCode = 404;
+    error.code = "ROUTE_NOT_FOUND";
+    return error;
+};
+
+/**
+ * Headers a sub-request inherits from the request that sends it
+ * @param {Object} req - Parent request
+ * @returns {Object} Headers without Content-* and If-* headers
+ */
+const inheritedHeaders = (req) =>
+    Object.fromEntries(
+        Object.entries(req.headers).filter(
+            ([name]) => !name.startsWith("content-") && !name.startsWith("if-") && name !== "transfer-encoding"
+        )
+    );
+
+/**
+ * Dispatch a sub-request through the API router and capture its response
+ * 
+ * The sub-request and response are built on the app's own request and
+ * response prototypes, so res.json(), res.set(), req.query, req.is() and
+ * the rest behave exactly as they do for a real request.
+ * 
+ * @param {Function} apiRouter - Router mounted at /api
+ * @param {Object} parent - Request sending the sub-request (batch or GraphQL)
+ * @param {Object} request - Sub-request { method, path, headers, body }
+ * @returns {Promise<Object>} { status, headers, body }
+ */
+export const dispatch = (apiRouter, parent, { method, path, headers, body }) =>
+    new Promise((resolve) => {
+        const { app } = parent;
+        const payload = body === undefined ? undefined : JSON.stringify(body);
+
+        // Build the sub-request as the API router sees it (mounted at /api)
+        const req = Object.create(app.request);
+        Object.assign(req, {
+            app,
+            method,
+            url: path.slice("/api".length) || "/",
+            originalUrl: path,
+            baseUrl: "/api",
+            headers: {
+                ...inheritedHeaders(parent),
+                ...(payload !== undefined && {
+                    "content-type": "application/json",
+                    "content-length": String(Buffer.byteLength(payload)),
+                }),
+                ...Object.fromEntries(Object.entries(headers ?? {}).map(([name, value]) => [name.toLowerCase(), value])),
+            },
+            body,
+            socket: parent.socket,
+        });
+
+        // Build a response that records what the route sends
+        const responseHeaders = {};
+        const chunks = [];
+        const res = Object.create(app.response);
+        Object.assign(res, {
+            app,
+            req,
+            locals: {},
+            statusCode: 200,
+            setHeader(name, value) {
+                responseHeaders[name.toLowerCase()] = value;
+                return this;
+            },
+            getHeader: (name) => responseHeaders[name.toLowerCase()],
+            getHeaders: () => ({ ...responseHeaders }),
+            hasHeader: (name) => Object.hasOwn(responseHeaders, name.toLowerCase()),
+            removeHeader: (name) => {
+                delete responseHeaders[name.toLowerCase()];
+            },
+            // Responses that stay open (Server-Sent Events) cannot be collected:
+            // the route fails with a 400 error instead of starting the stream
+            flushHeaders() {
+                for (const name of Object.keys(responseHeaders)) delete responseHeaders[name];
+                const error = new Error(`${method} ${path.split("?")[0]} streams its response, which cannot be collected`);
+                error.statusCode = 400;
+                throw error;
+            },
+            // Streamed responses (CSV, NDJSON) are collected until they end
+            write(chunk) {
+                chunks.push(String(chunk));
+                return true;
+            },
+            end(chunk) {
+                if (chunk !== undefined && chunk !== null) chunks.push(String(chunk));
+                const text = chunks.join("");
+                const isJson = /[/+]json\b/.test(responseHeaders["content-type"] ?? "");
+                delete responseHeaders["content-length"];
+                resolve({
+                    status: this.statusCode,
+                    headers: responseHeaders,
+                    body: text === "" ? null : isJson ? JSON.parse(text) : text,
+                });
+                return this;
+            },
+        });
+        req.res = res;
+
+        // Errors and unmatched routes get the same responses as normal requests
+        const done = (err) => {
+            const error = err || routeNotFound(method, path);
+            errorHandler(error, req, res, () => {});
+        };
+
+        apiRouter(req, res, done);
+    });
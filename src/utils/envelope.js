@@ -0,0 +1,99 @@
+/**
+ * Version 2 Response Envelope
+ * 
+ * Version 1 responses grew their shape route by route: some carry a message
+ * and some do not, older users and products have no updatedAt, and ids are
+ * numbers. Version 2 (/api/v2) sends the same data in one shape:
+ * 
+ *   { "data": <record, list or result>, "meta": { "count": 2, "nextCursor": null, ... } }
+ * 
+ * - success and message are dropped (the status code tells whether it worked)
+ * - the other top-level members move to meta; results without a data member
+ *   (bulk, batch and import reports) become the data instead
+ * - ids (id, every *Id field and changedBy, and the items of blockedBy and
+ *   every *Ids list) are strings
+ * - every record with a createdAt has an updatedAt
+ * 
+ * Only the success envelope ({ success, ... }) is rewritten; problem
+ * documents, the health check and the OpenAPI document are sent as they are.
+ * 
+ * Request bodies get the reverse treatment: ids sent as strings of digits
+ * become numbers before the routes validate them.
+ */
+
+// Fields holding record ids, and lists of record ids
+const isIdField = (key) => key === "id" || key === "changedBy" || /^[a-z]\w*Id$/.test(key);
+const isIdListField = (key) => key === "blockedBy" || /^[a-z]\w*Ids$/.test(key);
+
+/**
+ * Check for a plain object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a plain object
+ */
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Normalize records for version 2 (recursively, including embedded records)
+ * @param {*} value - Response data
+ * @returns {*} Data with string ids and updatedAt on every record
+ */
+export const normalizeRecords = (value) => {
+    if (Array.isArray(value)) return value.map(normalizeRecords);
+    if (!isObject(value)) return value;
+
+    const record = Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+            key,
+            isIdField(key) && Number.isInteger(item)
+                ? String(item)
+                : isIdListField(key) && Array.isArray(item)
+                  ? item.map((id) => (Number.isInteger(id) ? String(id) : id))
+                  : normalizeRecords(item),
+        ])
+    );
+
+    // Records written before updatedAt was tracked were never changed since
+    if (record.createdAt !== undefined && record.updatedAt == null) {
+        record.updatedAt = record.createdAt;
+    }
+
+    return record;
+};
+
+/**
+ * Rewrite a version 1 response body as a version 2 envelope
+ * @param {*} body - Body passed to res.json()
+ * @param {Object} options - { records: false to leave the records as they are (batch results) }
+ * @returns {*} { data, meta }, or the body itself if it is not a success envelope
+ */
+export const toV2Body = (body, { records = true } = {}) => {
+    if (!isObject(body) || body.success === undefined || body.error !== undefined) return body;
+
+    const { success: _success, message: _message, data, ...rest } = body;
+    const normalize = records ? normalizeRecords : (value) => value;
+    return data === undefined
+        ? { data: normalize(rest), meta: {} }
+        : { data: normalize(data), meta: normalize(rest) };
+};
+
+/**
+ * Turn string ids in a version 2 request body back into numbers
+ * @param {*} value - Request body
+ * @returns {*} Body with every id field holding a string of digits as a number
+ */
+export const fromV2Body = (value) => {
+    if (Array.isArray(value)) return value.map(fromV2Body);
+    if (!isObject(value)) return value;
+
+    const toNumber = (id) => (typeof id === "string" && /^\d+$/.test(id) ? Number(id) : id);
+    return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+            key,
+            isIdField(key) && typeof item === "string"
+                ? toNumber(item)
+                : isIdListField(key) && Array.isArray(item)
+                  ? item.map(toNumber)
+                  : fromV2Body(item),
+        ])
+    );
+};
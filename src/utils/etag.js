@@ -0,0 +1,54 @@
+/**
+ * ETag Helpers
+ * 
+ * Resources carry a `version` number that changes on every update. These
+ * helpers expose it as an HTTP entity tag and evaluate the `If-Match`
+ * request header, so clients can avoid overwriting each other's changes
+ * (optimistic concurrency control).
+ * 
+ * Flow:
+ * 1. GET returns `ETag: "<version>"`
+ * 2. The client sends it back as `If-Match: "<version>"` on PUT, PATCH or DELETE
+ * 3. If the resource has changed in the meantime, the server answers 412
+ */
+
+/**
+ * Format a record's version as a strong entity tag
+ * @param {Object} record - Record with a version field
+ * @returns {string} Entity tag (e.g. "\"3\"")
+ */
+export const formatETag = (record) => `"${record.version}"`;
+
+/**
+ * Set the ETag response header for a record
+ * @param {Object} res - Express response object
+ * @param {Object} record - Record with a version field
+ */
+export const setETag = (res, record) => {
+    res.set("ETag", formatETag(record));
+};
+
+/**
+ * Check the If-Match request header against the current record
+ * 
+ * Requests without If-Match are allowed through. `If-Match: *` matches any
+ * existing record. Weak tags (W/"...") never match, as required for If-Match.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} record - Current version of the record
+ * @returns {Error|null} Error with statusCode 412 if the header does not match, otherwise null
+ */
+export const checkIfMatch = (req, record) => {
+    const header = req.get("If-Match");
+    if (!header) return null;
+
+    const tags = header.split(",").map((tag) => tag.trim());
+    if (tags.includes("*") || tags.includes(formatETag(record))) return null;
+
+    const error = new Error(
+        `Precondition failed: the resource has been modified (current ETag is ${formatETag(record)})`
+    );
+    error.statusCode = 412;
+    error.code = "PRECONDITION_FAILED";
+    return error;
+};
@@ -0,0 +1,235 @@
+/**
+ * Sparse Fieldsets and Related-Resource Embedding
+ * 
+ * GET routes accept two query parameters that shape the returned records:
+ * - fields:  Comma-separated fields to return (the id is always returned)
+ *            GET /api/tasks?fields=id,title,status
+ * - include: Comma-separated relations to embed, dot-separated for nested ones
+ *            GET /api/tasks?include=assignee
+ *            GET /api/tasks/1?include=subtasks.assignee
+ *            GET /api/users/1?include=tasks.assignee&fields=name,tasks.title
+ * 
+ * Fields of embedded records are selected with their relation path as a
+ * prefix (tasks.title). Related records are loaded in one batch per relation
+ * and level, not one query per record.
+ * 
+ * Embedding is limited: includes can be at most MAX_INCLUDE_DEPTH levels
+ * deep and a response can embed at most MAX_EMBEDDED_RECORDS records.
+ */
+
+import { createRepository } from "../storage/index.js";
+
+// Limits on embedding
+export const MAX_INCLUDE_DEPTH = 2;
+export const MAX_EMBEDDED_RECORDS = 200;
+
+// Fields and relations of each resource. A to-one relation reads the foreign
+// key from the record itself; a to-many relation finds the related records
+// whose foreign key points back at the record.
+const resources = {
+    users: {
+        fields: ["id", "name", "email", "createdAt", "updatedAt", "version", "deletedAt"],
+        relations: {
+            tasks: { resource: "tasks", foreignKey: "assigneeId", many: true },
+        },
+    },
+    products: {
+        fields: [
+            "id", "name", "description", "price", "category", "stock",
+            "createdAt", "updatedAt", "version", "deletedAt", "relevance", "highlights",
+        ],
+        relations: {},
+    },
+    tasks: {
+        fields: [
+            "id", "title", "description", "status", "priority", "dueDate", "assigneeId", "parentId",
+            "blockedBy", "progress", "recurrence", "occurrenceDate", "occurrenceOverrides", "seriesValues",
+            "createdAt", "updatedAt", "version", "deletedAt", "relevance", "highlights",
+        ],
+        relations: {
+            assignee: { resource: "users", foreignKey: "assigneeId" },
+            parent: { resource: "tasks", foreignKey: "parentId" },
+            subtasks: { resource: "tasks", foreignKey: "parentId", many: true },
+        },
+    },
+};
+
+// Repositories of related resources, created when first needed
+const repositories = {};
+const repositoryFor = (name) => (repositories[name] ??= createRepository(name));
+
+/**
+ * Create a 400 error for an invalid fields/include parameter
+ * @param {string} parameter - "fields" or "include"
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 400
+ */
+const badRequest = (parameter, message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    error.code = "INVALID_PARAMETER";
+    error.details = { parameter };
+    return error;
+};
+
+/**
+ * Split a comma-separated query parameter into its non-empty entries
+ * @param {string|Array<string>|undefined} value - Query parameter value
+ * @returns {Array<string>} Entries
+ */
+const splitList = (value) =>
+    [].concat(value ?? [])
+        .flatMap((part) => String(part).split(","))
+        .map((entry) => entry.trim())
+        .filter(Boolean);
+
+/**
+ * Read and validate the fields and include query parameters
+ * 
+ * The result is a tree with one node per resource level:
+ *   { resource, fields: Set|null, include: Map(relation -> node) }
+ * 
+ * @param {Object} query - Express req.query
+ * @param {string} resource - Resource of the returned records (e.g. "tasks")
+ * @returns {Object|null} Shape tree, or null if neither parameter was given
+ * @throws {Error} 400 error for unknown fields or relations, or includes nested too deep
+ */
+export const parseShape = (query, resource) => {
+    const includes = splitList(query.include);
+    const fields = splitList(query.fields);
+    if (includes.length === 0 && fields.length === 0) return null;
+
+    const root = { resource, fields: null, include: new Map() };
+
+    // Build the include tree, checking every relation along each path
+    for (const path of includes) {
+        const names = path.split(".");
+        if (names.length > MAX_INCLUDE_DEPTH) {
+            throw badRequest("include", `Include "${path}" is nested too deep (at most ${MAX_INCLUDE_DEPTH} levels)`);
+        }
+
+        let node = root;
+        for (const name of names) {
+            const relation = resources[node.resource].relations[name];
+            if (!relation) {
+                const available = Object.keys(resources[node.resource].relations);
+                throw badRequest(
+                    "include",
+                    `Unknown relation "${name}" on ${node.resource}` +
+                        (available.length ? ` (available: ${available.join(", ")})` : " (it has no relations)")
+                );
+            }
+            if (!node.include.has(name)) {
+                node.include.set(name, { resource: relation.resource, fields: null, include: new Map() });
+            }
+            node = node.include.get(name);
+        }
+    }
+
+    // Attach each field to the level its relation path points at
+    for (const entry of fields) {
+        const names = entry.split(".");
+        const field = names.pop();
+
+        let node = root;
+        for (const name of names) {
+            node = node.include.get(name);
+            if (!node) {
+                throw badRequest("fields", `Field "${entry}" refers to "${names.join(".")}", which is not in include`);
+            }
+        }
+
+        if (!resources[node.resource].fields.includes(field)) {
+            throw badRequest(
+                "fields",
+                `Unknown field "${field}" on ${node.resource} (available: ${resources[node.resource].fields.join(", ")})`
+            );
+        }
+        node.fields ??= new Set(["id"]);
+        node.fields.add(field);
+    }
+
+    return root;
+};
+
+/**
+ * Embed related records and keep only the requested fields
+ * @param {Array<Object>} records - Records of the resource at this level
+ * @param {Object} node - Shape tree node from parseShape()
+ * @param {Object} budget - Shared counter of embedded records ({ embedded })
+ * @returns {Promise<Array<Object>>} Shaped copies of the records
+ */
+const shapeLevel = async (records, node, budget) => {
+    const embedded = records.map(() => ({}));
+
+    for (const [name, child] of node.include) {
+        const relation = resources[node.resource].relations[name];
+        const repository = repositoryFor(relation.resource);
+
+        // Load the related records of the whole level at once
+        let related;
+        if (relation.many) {
+            const ids = new Set(records.map((record) => record.id));
+            const matches = (await repository.list()).filter((other) => ids.has(other[relation.foreignKey]));
+            related = records.map((record) => matches.filter((other) => other[relation.foreignKey] === record.id));
+        } else {
+            const ids = [...new Set(records.map((record) => record[relation.foreignKey]).filter((id) => id != null))];
+            const found = new Map();
+            for (const id of ids) {
+                const other = await repository.find(id);
+                if (other) found.set(id, other);
+            }
+            related = records.map((record) => found.get(record[relation.foreignKey]) ?? null);
+        }
+
+        // Enforce the response size limit before doing any more work
+        budget.embedded += related.flat().filter(Boolean).length;
+        if (budget.embedded > MAX_EMBEDDED_RECORDS) {
+            throw badRequest(
+                "include",
+                `Include would embed more than ${MAX_EMBEDDED_RECORDS} records. Request fewer records with limit or filter.`
+            );
+        }
+
+        // Shape the related records with the nested part of the tree
+        const flat = related.flat().filter(Boolean);
+        const positions = new Map(flat.map((other, i) => [other, i]));
+        const shaped = await shapeLevel(flat, child, budget);
+        related.forEach((value, i) => {
+            embedded[i][name] = relation.many
+                ? value.map((other) => shaped[positions.get(other)])
+                : value && shaped[positions.get(value)];
+        });
+    }
+
+    return records.map((record, i) => {
+        const fields = node.fields
+            ? Object.fromEntries(Object.entries(record).filter(([field]) => node.fields.has(field)))
+            : record;
+        return { ...fields, ...embedded[i] };
+    });
+};
+
+/**
+ * Apply a shape to a list of records
+ * @param {Array<Object>} records - Records to shape
+ * @param {Object|null} shape - Shape tree from parseShape()
+ * @returns {Promise<Array<Object>>} Shaped records (the same records if shape is null)
+ */
+export const shapeRecords = async (records, shape) => {
+    if (!shape) return records;
+    return shapeLevel(records, shape, { embedded: 0 });
+};
+
+/**
+ * Apply the fields and include query parameters to a single record
+ * @param {Object} req - Express request object
+ * @param {Object} record - Record to shape
+ * @param {string} resource - Resource of the record (e.g. "tasks")
+ * @returns {Promise<Object>} Shaped record
+ * @throws {Error} 400 error if the parameters are invalid
+ */
+export const shapeRecord = async (req, record, resource) => {
+    const [shaped] = await shapeRecords([record], parseShape(req.query, resource));
+    return shaped;
+};
@@ -0,0 +1,458 @@
+/**
+ * Filter Query Language
+ * 
+ * List endpoints accept a `filter` query parameter with a small expression
+ * language, parsed and evaluated here for every resource:
+ * 
+ *   dueDate < today and status != completed
+ *   dueDate between 2024-12-01 and 2024-12-31
+ *   price < 100 or category = Sports
+ *   not (priority in (low, medium)) and createdAt >= -7d
+ * 
+ * Grammar (keywords are case-insensitive):
+ *   expression := term ("or" term)*
+ *   term       := factor ("and" factor)*
+ *   factor     := "not" factor | "(" expression ")" | comparison
+ *   comparison := field operator value
+ *               | field ["not"] "in" "(" value ("," value)* ")"
+ *               | field "between" value "and" value
+ *   operator   := "=" | "!=" | "<" | "<=" | ">" | ">=" | "~" (text contains)
+ *   value      := number | 'text' | "text" | word | date | null
+ * 
+ * Text comparisons ignore case. Dates are written as 2024-12-31 (a whole day),
+ * as a full ISO timestamp, or relative to today: today, yesterday, tomorrow,
+ * now, or an offset in days/weeks/months/years such as -7d, +2w, -1m, +1y.
+ * A whole day matches any time on that day, so `createdAt = today` works.
+ * 
+ * Invalid expressions throw a 400 error whose message and `details.position`
+ * (1-based character position) point at the offending part.
+ */
+
+// Keywords of the language (never read as bare values)
+const KEYWORDS = ["and", "or", "not", "in", "between", "null"];
+
+// Comparison operators, longest first so "<=" wins over "<"
+const OPERATORS = ["!=", "<=", ">=", "=", "<", ">", "~"];
+
+// Token patterns, tried in order at the current position
+const TOKEN_PATTERNS = [
+    ["date", /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})?)?(?![\w-])/],
+    ["relative", /^[+-]\d+[dwmy](?![\w-])/],
+    ["number", /^-?\d+(?:\.\d+)?(?![\w-])/],
+    ["word", /^[A-Za-z_][\w-]*/],
+];
+
+// Length of one day in milliseconds
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a 400 error pointing at a position of the filter expression
+ * @param {string} message - What is wrong
+ * @param {number} position - 0-based offset in the expression
+ * @returns {Error} Error with statusCode 400 and details.position (1-based)
+ */
+const filterError = (message, position) => {
+    const error = new Error(`Invalid filter at position ${position + 1}: ${message}`);
+    error.statusCode = 400;
+    error.code = "INVALID_FILTER";
+    error.details = { parameter: "filter", position: position + 1 };
+    return error;
+};
+
+/**
+ * Split an expression into tokens
+ * @param {string} expression - Filter expression
+ * @returns {Array<Object>} Tokens { type, value, text, position }, ending with an "end" token
+ */
+const tokenize = (expression) => {
+    const tokens = [];
+    let position = 0;
+
+    while (position < expression.length) {
+        const rest = expression.slice(position);
+
+        // Skip whitespace
+        const space = rest.match(/^\s+/);
+        if (space) {
+            position += space[0].length;
+            continue;
+        }
+
+        // Parentheses and commas
+        if ("(),".includes(rest[0])) {
+            tokens.push({ type: rest[0], text: rest[0], position });
+            position += 1;
+            continue;
+        }
+
+        // Operators
+        const operator = OPERATORS.find((op) => rest.startsWith(op));
+        if (operator) {
+            tokens.push({ type: "operator", value: operator, text: operator, position });
+            position += operator.length;
+            continue;
+        }
+
+        // Quoted text ('...' or "..."), backslash escapes the next character
+        if (rest[0] === "'" || rest[0] === '"') {
+            let value = "";
+            let end = 1;
+            while (end < rest.length && rest[end] !== rest[0]) {
+                if (rest[end] === "\\" && end + 1 < rest.length) end += 1;
+                value += rest[end];
+                end += 1;
+            }
+            if (end >= rest.length) {
+                throw filterError("unterminated text, missing closing quote", position);
+            }
+            tokens.push({ type: "string", value, text: rest.slice(0, end + 1), position });
+            position += end + 1;
+            continue;
+        }
+
+        // Dates, relative dates, numbers and words
+        const pattern = TOKEN_PATTERNS.find(([, regex]) => regex.test(rest));
+        if (!pattern) {
+            throw filterError(`unexpected character "${rest[0]}"`, position);
+        }
+        const [type, regex] = pattern;
+        const text = rest.match(regex)[0];
+        const isKeyword = type === "word" && KEYWORDS.includes(text.toLowerCase());
+        tokens.push({
+            type: isKeyword ? text.toLowerCase() : type,
+            value: type === "number" ? Number(text) : text,
+            text,
+            position,
+        });
+        position += text.length;
+    }
+
+    tokens.push({ type: "end", text: "end of filter", position: expression.length });
+    return tokens;
+};
+
+/**
+ * Describe a token for error messages
+ * @param {Object} token - Token
+ * @returns {string} e.g. `"price"` or `end of filter`
+ */
+const describe = (token) => (token.type === "end" ? token.text : `"${token.text}"`);
+
+/**
+ * Resolve a date value to the time range it stands for
+ * @param {Object} token - date, relative, word or string token
+ * @param {Date} now - Current time
+ * @returns {Object|null} { start, end } in milliseconds (end exclusive), or null if not a date
+ */
+const resolveDate = (token, now) => {
+    const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    const text = String(token.value).toLowerCase();
+
+    // Whole days relative to today
+    const namedDays = { yesterday: -1, today: 0, tomorrow: 1 };
+    if (text in namedDays) {
+        const start = today + namedDays[text] * DAY;
+        return { start, end: start + DAY };
+    }
+    if (text === "now") {
+        return { start: now.getTime(), end: now.getTime() + 1 };
+    }
+
+    // Offsets such as -7d or +1m (whole days, counted from today)
+    const relative = text.match(/^([+-]\d+)([dwmy])$/);
+    if (relative) {
+        const amount = parseInt(relative[1]);
+        const date = new Date(today);
+        if (relative[2] === "d") date.setUTCDate(date.getUTCDate() + amount);
+        if (relative[2] === "w") date.setUTCDate(date.getUTCDate() + amount * 7);
+        if (relative[2] === "m") date.setUTCMonth(date.getUTCMonth() + amount);
+        if (relative[2] === "y") date.setUTCFullYear(date.getUTCFullYear() + amount);
+        return { start: date.getTime(), end: date.getTime() + DAY };
+    }
+
+    // Calendar dates (a whole day) and full timestamps (an instant)
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+        const start = Date.parse(token.value);
+        if (isNaN(start)) return null;
+        return { start, end: text.length === 10 ? start + DAY : start + 1 };
+    }
+
+    return null;
+};
+
+/**
+ * Parse a filter expression into a predicate
+ * 
+ * `fields` lists the fields that may be filtered on and their types:
+ * "string", "number", "date", or { type: "enum", values: [...] } for a
+ * fixed list of values that are ordered as listed (e.g. low < medium < high).
+ * 
+ * @param {string} expression - Filter expression from the query string
+ * @param {Object} fields - Filterable fields and their types
+ * @param {Object} options - Options
+ * @param {Date} options.now - Reference time for relative dates (default: now)
+ * @returns {Function} Predicate (record) => boolean
+ * @throws {Error} 400 error with the position of the first problem
+ */
+export const parseFilter = (expression, fields, { now = new Date() } = {}) => {
+    const tokens = tokenize(String(expression));
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const expect = (type, what) => {
+        const token = next();
+        if (token.type !== type) {
+            throw filterError(`expected ${what} but found ${describe(token)}`, token.position);
+        }
+        return token;
+    };
+
+    /**
+     * Read one value for a field and convert it to the field's type
+     * @param {string} field - Field name
+     * @returns {Object} { kind, value } where kind is "null", "text", "number", "enum" or "date"
+     */
+    const parseValue = (field) => {
+        const token = next();
+        const spec = fields[field];
+        const type = typeof spec === "object" ? spec.type : spec;
+
+        if (token.type === "null") return { kind: "null" };
+        if (!["string", "number", "date", "relative", "word"].includes(token.type)) {
+            throw filterError(`expected a value for "${field}" but found ${describe(token)}`, token.position);
+        }
+
+        if (type === "number") {
+            const value = token.type === "string" ? Number(token.value) : token.value;
+            if (typeof value !== "number" || token.value === "" || isNaN(value)) {
+                throw filterError(`"${field}" is a number, ${describe(token)} is not`, token.position);
+            }
+            return { kind: "number", value };
+        }
+
+        if (type === "date") {
+            const range = resolveDate(token, now);
+            if (!range) {
+                throw filterError(
+                    `"${field}" is a date, ${describe(token)} is not (use e.g. 2024-12-31, today or -7d)`,
+                    token.position
+                );
+            }
+            return { kind: "date", ...range };
+        }
+
+        if (type === "enum") {
+            const value = String(token.value).toLowerCase();
+            const rank = spec.values.indexOf(value);
+            if (rank === -1) {
+                throw filterError(
+                    `${describe(token)} is not a valid ${field} (expected one of: ${spec.values.join(", ")})`,
+                    token.position
+                );
+            }
+            return { kind: "enum", value, rank };
+        }
+
+        const text = token.type === "number" ? token.text : token.value;
+        return { kind: "text", value: String(text).toLowerCase() };
+    };
+
+    /**
+     * Parse a comparison and build its predicate
+     * @returns {Function} Predicate
+     */
+    const parseComparison = () => {
+        const fieldToken = next();
+        if (fieldToken.type !== "word") {
+            throw filterError(`expected a field name but found ${describe(fieldToken)}`, fieldToken.position);
+        }
+        const field = fieldToken.text;
+        if (!Object.hasOwn(fields, field)) {
+            throw filterError(
+                `unknown field "${field}" (filterable fields: ${Object.keys(fields).join(", ")})`,
+                fieldToken.position
+            );
+        }
+
+        const compare = compareField(field);
+        const operatorToken = next();
+
+        // field [not] in (a, b, ...)
+        if (operatorToken.type === "in" || (operatorToken.type === "not" && peek().type === "in")) {
+            const negate = operatorToken.type === "not";
+            if (negate) next();
+            expect("(", `"(" after "in"`);
+            const values = [parseValue(field)];
+            while (peek().type === ",") {
+                next();
+                values.push(parseValue(field));
+            }
+            expect(")", `"," or ")" in the list of values`);
+            return (record) => values.some((value) => compare(record, "=", value)) !== negate;
+        }
+
+        // field between a and b (inclusive)
+        if (operatorToken.type === "between") {
+            const low = parseValue(field);
+            expect("and", `"and" between the two values of "between"`);
+            const high = parseValue(field);
+            return (record) => compare(record, ">=", low) && compare(record, "<=", high);
+        }
+
+        if (operatorToken.type !== "operator") {
+            throw filterError(
+                `expected an operator (${OPERATORS.join(" ")} in between) after "${field}" but found ${describe(operatorToken)}`,
+                operatorToken.position
+            );
+        }
+
+        const operator = operatorToken.value;
+        const valuePosition = peek().position;
+        const value = parseValue(field);
+
+        if (operator === "~" && value.kind !== "text") {
+            throw filterError(`"~" (contains) only works on text fields, "${field}" is not one`, operatorToken.position);
+        }
+        if (value.kind === "null" && !["=", "!="].includes(operator)) {
+            throw filterError(`null can only be compared with = or !=`, valuePosition);
+        }
+
+        return (record) => compare(record, operator, value);
+    };
+
+    /**
+     * Build the comparison function for a field
+     * @param {string} field - Field name
+     * @returns {Function} (record, operator, value) => boolean
+     */
+    const compareField = (field) => (record, operator, value) => {
+        const actual = record[field];
+        const isMissing = actual === undefined || actual === null || actual === "";
+
+        // Missing values only equal null (and differ from everything else)
+        if (value.kind === "null" || isMissing) {
+            const equal = value.kind === "null" && isMissing;
+            if (operator === "=") return equal;
+            if (operator === "!=") return !equal;
+            return false;
+        }
+
+        // Dates are ranges: a whole day matches any time on that day
+        if (value.kind === "date") {
+            const time = Date.parse(actual);
+            if (isNaN(time)) return false;
+            switch (operator) {
+                case "=": return time >= value.start && time < value.end;
+                case "!=": return time < value.start || time >= value.end;
+                case "<": return time < value.start;
+                case "<=": return time < value.end;
+                case ">": return time >= value.end;
+                case ">=": return time >= value.start;
+            }
+        }
+
+        let left;
+        let right;
+        if (value.kind === "number") {
+            left = Number(actual);
+            right = value.value;
+        } else if (value.kind === "enum") {
+            left = fields[field].values.indexOf(String(actual).toLowerCase());
+            right = value.rank;
+        } else {
+            left = String(actual).toLowerCase();
+            right = value.value;
+        }
+
+        switch (operator) {
+            case "=": return left === right;
+            case "!=": return left !== right;
+            case "<": return left < right;
+            case "<=": return left <= right;
+            case ">": return left > right;
+            case ">=": return left >= right;
+            case "~": return left.includes(right);
+        }
+        return false;
+    };
+
+    /**
+     * factor := "not" factor | "(" expression ")" | comparison
+     * @returns {Function} Predicate
+     */
+    const parseFactor = () => {
+        if (peek().type === "not") {
+            next();
+            const inner = parseFactor();
+            return (record) => !inner(record);
+        }
+        if (peek().type === "(") {
+            next();
+            const inner = parseExpression();
+            expect(")", `")"`);
+            return inner;
+        }
+        return parseComparison();
+    };
+
+    /**
+     * term := factor ("and" factor)*
+     * @returns {Function} Predicate
+     */
+    const parseTerm = () => {
+        const factors = [parseFactor()];
+        while (peek().type === "and") {
+            next();
+            factors.push(parseFactor());
+        }
+        return factors.length === 1 ? factors[0] : (record) => factors.every((factor) => factor(record));
+    };
+
+    /**
+     * expression := term ("or" term)*
+     * @returns {Function} Predicate
+     */
+    const parseExpression = () => {
+        const terms = [parseTerm()];
+        while (peek().type === "or") {
+            next();
+            terms.push(parseTerm());
+        }
+        return terms.length === 1 ? terms[0] : (record) => terms.some((term) => term(record));
+    };
+
+    if (peek().type === "end") {
+        throw filterError("the filter is empty", 0);
+    }
+
+    const predicate = parseExpression();
+
+    // Everything must have been read
+    const rest = peek();
+    if (rest.type !== "end") {
+        throw filterError(`unexpected ${describe(rest)}, expected "and", "or" or the end of the filter`, rest.position);
+    }
+
+    return predicate;
+};
+
+/**
+ * Apply the `filter` query parameter to a list of records
+ * 
+ * Repeating the parameter (?filter=a&filter=b) combines the expressions with "and".
+ * Blank expressions are ignored, like the other empty query parameters.
+ * 
+ * @param {Array<Object>} records - Records to filter
+ * @param {string|Array<string>|undefined} filter - Value of req.query.filter
+ * @param {Object} fields - Filterable fields and their types, see parseFilter()
+ * @returns {Array<Object>} Records matching every expression
+ * @throws {Error} 400 error if an expression is invalid
+ */
+export const applyFilter = (records, filter, fields) => {
+    const expressions = [].concat(filter ?? []).filter((expression) => String(expression).trim());
+    if (expressions.length === 0) return records;
+
+    const predicates = expressions.map((expression) => parseFilter(expression, fields));
+    return records.filter((record) => predicates.every((predicate) => predicate(record)));
+};
@@ -0,0 +1,171 @@
+/**
+ * Response Formats
+ * 
+ * Renders JSON response bodies in the other formats GET routes can send
+ * (see src/middleware/negotiate.js):
+ * - csv    (text/csv) - A header row, then one row per record. Nested values
+ *          (embedded records, highlights) are written as JSON.
+ * - ndjson (application/x-ndjson) - One JSON record per line
+ * - xml    (application/xml) - The whole body; array items are <i> elements,
+ *          as in RFC 7807 appendix A
+ * 
+ * CSV and NDJSON contain only the records (`data`; Link headers carry the
+ * pagination) and are written row by row, so a large collection is never
+ * held in memory as one string. Error responses are rendered the same way,
+ * with the problem document as the only record (or as an
+ * application/problem+xml document).
+ */
+
+import { toCsvLine } from "./csv.js";
+
+// Media types of each format; the first one is sent in Content-Type
+export const FORMATS = {
+    json: ["application/json"],
+    csv: ["text/csv"],
+    ndjson: ["application/x-ndjson"],
+    xml: ["application/xml", "text/xml"],
+};
+
+/**
+ * Get the records of a response body
+ * @param {*} body - JSON response body
+ * @returns {Array<Object>} The data list, the data record, or the body itself
+ */
+const recordsOf = (body) => {
+    const data = body?.data;
+    if (Array.isArray(data)) return data;
+    if (data !== null && typeof data === "object") return [data];
+    return [body];
+};
+
+/**
+ * Wait until a response can take more data
+ * @param {Object} res - Express response object
+ * @returns {Promise<boolean>} True once drained, false if the client went away
+ */
+const waitForDrain = (res) =>
+    new Promise((resolve) => {
+        const finish = (drained) => () => {
+            res.off("drain", onDrain);
+            res.off("close", onClose);
+            resolve(drained);
+        };
+        const onDrain = finish(true);
+        const onClose = finish(false);
+        res.on("drain", onDrain);
+        res.on("close", onClose);
+    });
+
+/**
+ * Write lines to the response, waiting whenever its buffer is full
+ * @param {Object} res - Express response object
+ * @param {Iterable<string>} lines - Lines to write (produced one at a time)
+ * @returns {Promise<void>} Resolves once the response has ended
+ */
+const writeLines = async (res, lines) => {
+    for (const line of lines) {
+        // Stop if the client went away instead of waiting forever
+        if (!res.write(line) && !(await waitForDrain(res))) return;
+    }
+    res.end();
+};
+
+/**
+ * Produce CSV lines for records
+ * @param {Array<Object>} records - Records
+ * @yields {string} Header row, then one row per record
+ */
+function* csvLines(records) {
+    // Columns in order of first appearance, so optional fields get a column too
+    const columns = [...new Set(records.flatMap((record) => Object.keys(record)))];
+    yield toCsvLine(columns);
+
+    for (const record of records) {
+        yield toCsvLine(
+            columns.map((column) => {
+                const value = record[column];
+                return value !== null && typeof value === "object" ? JSON.stringify(value) : value;
+            })
+        );
+    }
+}
+
+/**
+ * Produce NDJSON lines for records
+ * @param {Array<Object>} records - Records
+ * @yields {string} One JSON record per line
+ */
+function* ndjsonLines(records) {
+    for (const record of records) {
+        yield JSON.stringify(record) + "\n";
+    }
+}
+
+/**
+ * Escape text for XML content and attribute values
+ * @param {*} value - Value
+ * @returns {string} Escaped text (without characters XML does not allow)
+ */
+const escapeXml = (value) =>
+    String(value)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+
+/**
+ * Write a value as an XML element
+ * Keys that are not valid element names become <field name="...">.
+ * @param {string} name - Element name (the object key)
+ * @param {*} value - Value (objects and arrays become child elements)
+ * @param {number} depth - Indentation level
+ * @returns {string} XML
+ */
+const xmlElement = (name, value, depth) => {
+    const pad = "  ".repeat(depth);
+    const validName = /^[A-Za-z_][\w.-]*$/.test(name) && !/^xml/i.test(name);
+    const tag = validName ? name : "field";
+    const open = validName ? tag : `${tag} name="${escapeXml(name)}"`;
+
+    if (value === null || value === undefined) return `${pad}<${open}/>`;
+    if (typeof value !== "object") return `${pad}<${open}>${escapeXml(value)}</${tag}>`;
+
+    const children = Array.isArray(value)
+        ? value.map((item) => xmlElement("i", item, depth + 1))
+        : Object.entries(value).map(([key, item]) => xmlElement(key, item, depth + 1));
+    if (children.length === 0) return `${pad}<${open}/>`;
+
+    return [`${pad}<${open}>`, ...children, `${pad}</${tag}>`].join("\n");
+};
+
+/**
+ * Write a response body as an XML document
+ * @param {Object} body - JSON response body
+ * @param {boolean} problem - True for a problem document (RFC 7807 <problem> root)
+ * @returns {string} XML document
+ */
+export const toXml = (body, problem = false) => {
+    const root = problem ? "problem" : "response";
+    const element = xmlElement(root, body, 0).replace(/^<problem/, '<problem xmlns="urn:ietf:rfc:7807"');
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${element}\n`;
+};
+
+/**
+ * Send a JSON response body in another format
+ * @param {Object} res - Express response object (status already set)
+ * @param {string} format - "csv", "ndjson" or "xml"
+ * @param {Object} body - JSON response body
+ * @param {Object} options - { problem: true for an error's problem document }
+ * @returns {Promise<void>} Resolves once the response has been sent
+ */
+export const sendFormatted = async (res, format, body, { problem = false } = {}) => {
+    if (format === "xml") {
+        res.type(problem ? "application/problem+xml" : FORMATS.xml[0]).send(toXml(body, problem));
+        return;
+    }
+
+    res.type(FORMATS[format][0]);
+    const records = recordsOf(body);
+    await writeLines(res, format === "csv" ? csvLines(records) : ndjsonLines(records));
+};
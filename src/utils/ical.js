@@ -0,0 +1,164 @@
+/**
+ * iCalendar Helpers
+ * 
+ * Builds RFC 5545 calendars from tasks so calendar apps can show due dates.
+ * A task becomes either:
+ * - a VTODO with a DUE date (to-do lists, e.g. Apple Reminders, Thunderbird), or
+ * - an all-day VEVENT on its due date (calendars that ignore VTODO, e.g. Google Calendar)
+ * 
+ * Mapping:
+ *   status   pending -> NEEDS-ACTION (VTODO) / TENTATIVE (VEVENT)
+ *            in-progress -> IN-PROCESS / CONFIRMED
+ *            completed -> COMPLETED / CONFIRMED
+ *   priority high -> 1, medium -> 5, low -> 9
+ * 
+ * Tasks without a due date are left out.
+ */
+
+// Output of each task status for each component type
+const STATUS_MAP = {
+    VTODO: { pending: "NEEDS-ACTION", "in-progress": "IN-PROCESS", completed: "COMPLETED" },
+    VEVENT: { pending: "TENTATIVE", "in-progress": "CONFIRMED", completed: "CONFIRMED" },
+};
+
+// iCalendar priorities run from 1 (highest) to 9 (lowest)
+const PRIORITY_MAP = { high: 1, medium: 5, low: 9 };
+
+// Supported components, by the name used in the query string
+export const CALENDAR_COMPONENTS = { todo: "VTODO", event: "VEVENT" };
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeText = (text) =>
+    String(text)
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+
+/**
+ * Fold a content line to at most 75 octets per line (RFC 5545 section 3.1)
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line (continuation lines start with a space)
+ */
+const foldLine = (line) => {
+    const parts = [];
+    let current = "";
+    let size = 0;
+
+    for (const char of line) {
+        const charSize = Buffer.byteLength(char);
+        // Continuation lines lose one octet to the leading space
+        const limit = parts.length === 0 ? 75 : 74;
+        if (size + charSize > limit) {
+            parts.push(current);
+            current = "";
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    parts.push(current);
+
+    return parts.join("\r\n ");
+};
+
+/**
+ * Format a timestamp as a UTC DATE-TIME (e.g. 20241231T120000Z)
+ * @param {string|Date} value - ISO timestamp or Date
+ * @returns {string} iCalendar DATE-TIME
+ */
+const formatDateTime = (value) => new Date(value).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/**
+ * Format a calendar date (YYYY-MM-DD) as an iCalendar DATE, optionally shifted
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (default 0)
+ * @returns {string} iCalendar DATE (e.g. 20241231)
+ */
+const formatDate = (date, days = 0) => {
+    const [year, month, day] = date.split("-").map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10).replace(/-/g, "");
+};
+
+/**
+ * Build the component lines for one task
+ * @param {Object} task - Task with a dueDate
+ * @param {string} component - "VTODO" or "VEVENT"
+ * @param {Object} options - { domain, stamp }
+ * @returns {Array<string>} Unfolded content lines
+ */
+const taskLines = (task, component, { domain, stamp }) => {
+    const lines = [
+        `BEGIN:${component}`,
+        `UID:task-${task.id}@${domain}`,
+        `DTSTAMP:${stamp}`,
+    ];
+
+    if (task.createdAt) lines.push(`CREATED:${formatDateTime(task.createdAt)}`);
+    if (task.updatedAt) lines.push(`LAST-MODIFIED:${formatDateTime(task.updatedAt)}`);
+    // SEQUENCE tells clients which copy of an event is newer
+    lines.push(`SEQUENCE:${(task.version ?? 1) - 1}`);
+
+    lines.push(`SUMMARY:${escapeText(task.title)}`);
+    if (task.description) lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+
+    if (component === "VTODO") {
+        lines.push(`DUE;VALUE=DATE:${formatDate(task.dueDate)}`);
+    } else {
+        // All-day event: DTEND is the (exclusive) next day
+        lines.push(`DTSTART;VALUE=DATE:${formatDate(task.dueDate)}`);
+        lines.push(`DTEND;VALUE=DATE:${formatDate(task.dueDate, 1)}`);
+        lines.push("TRANSP:TRANSPARENT");
+    }
+
+    const status = STATUS_MAP[component][task.status];
+    if (status) lines.push(`STATUS:${status}`);
+
+    const priority = PRIORITY_MAP[task.priority];
+    if (priority) lines.push(`PRIORITY:${priority}`);
+
+    if (component === "VTODO" && task.status === "completed") {
+        lines.push(`COMPLETED:${formatDateTime(task.updatedAt ?? task.createdAt ?? stamp)}`);
+        lines.push("PERCENT-COMPLETE:100");
+    }
+
+    lines.push(`END:${component}`);
+    return lines;
+};
+
+/**
+ * Build an iCalendar (VCALENDAR) document for tasks
+ * @param {Array<Object>} tasks - Tasks (those without a dueDate are skipped)
+ * @param {Object} options - Calendar options
+ * @param {string} options.name - Calendar name shown by clients
+ * @param {string} options.productId - Product name for PRODID
+ * @param {string} options.component - "VTODO" or "VEVENT" (default "VEVENT")
+ * @param {Date} options.now - Time the calendar is generated (default: now)
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export const buildCalendar = (tasks, { name, productId, component = "VEVENT", now = new Date() }) => {
+    // UIDs must be stable and globally unique, so they use the product name
+    const domain = productId.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+    const stamp = formatDateTime(now);
+
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        `PRODID:-//${escapeText(productId)}//Tasks//EN`,
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        `NAME:${escapeText(name)}`,
+        `X-WR-CALNAME:${escapeText(name)}`,
+        // Ask subscribed clients to poll for changes every hour (RFC 7986)
+        "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+        "X-PUBLISHED-TTL:PT1H",
+        ...tasks.filter((task) => task.dueDate).flatMap((task) => taskLines(task, component, { domain, stamp })),
+        "END:VCALENDAR",
+    ];
+
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+};
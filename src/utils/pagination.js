@@ -0,0 +1,211 @@
+/**
+ * Cursor Pagination Helpers
+ * 
+ * List endpoints accept `limit` and an opaque `cursor`. A cursor encodes the
+ * sort values of the record at the edge of a page (keyset pagination), not
+ * an offset, so pages stay stable when records are created or deleted while
+ * a client is paging through them.
+ * 
+ * Responses contain `nextCursor` / `prevCursor` and an RFC 8288 `Link` header:
+ *   Link: </api/tasks?limit=10&cursor=...>; rel="next", </api/tasks?limit=10>; rel="first"
+ */
+
+import { parseShape, shapeRecords } from "./fieldsets.js";
+
+// Page size limits
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+/**
+ * Create a 400 error for invalid pagination parameters
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 400
+ */
+const badRequest = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    error.code = "INVALID_PARAMETER";
+    return error;
+};
+
+/**
+ * Encode a cursor pointing at a record
+ * @param {Object} record - Record at the edge of the page
+ * @param {Array<string>} keyFields - Fields that define the sort order
+ * @param {string} sort - Sort signature (e.g. "priority:desc")
+ * @param {string} direction - "next" (records after) or "prev" (records before)
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (record, keyFields, sort, direction) => {
+    const key = {};
+    for (const field of [...keyFields, "id"]) {
+        key[field] = record[field] ?? null;
+    }
+    return Buffer.from(JSON.stringify({ key, sort, direction })).toString("base64url");
+};
+
+/**
+ * Decode a cursor created by encodeCursor
+ * @param {string} cursor - Opaque cursor from the query string
+ * @param {string} sort - Sort signature of the current request
+ * @returns {Object} { key, direction }
+ * @throws {Error} 400 error if the cursor is malformed or belongs to another sort order
+ */
+const decodeCursor = (cursor, sort) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    } catch {
+        throw badRequest("Invalid cursor");
+    }
+
+    if (!decoded?.key || !["next", "prev"].includes(decoded.direction)) {
+        throw badRequest("Invalid cursor");
+    }
+    if (decoded.sort !== sort) {
+        throw badRequest("Cursor does not match the current sort order. Start again without a cursor.");
+    }
+
+    return decoded;
+};
+
+/**
+ * Read and validate the limit/cursor query parameters
+ * @param {Object} query - Express req.query
+ * @returns {Object|null} { limit, cursor }, or null if the client did not ask for pagination
+ * @throws {Error} 400 error if limit is not an integer between 1 and MAX_LIMIT
+ */
+export const getPageParams = (query) => {
+    if (query.limit === undefined && query.cursor === undefined) return null;
+
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw badRequest(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+
+    return { limit, cursor: query.cursor };
+};
+
+/**
+ * Return one page of an already sorted list
+ * 
+ * @param {Array<Object>} records - All matching records
+ * @param {Object} options - Pagination options
+ * @param {Function} options.compare - Comparator that defines the order (ties are broken by id)
+ * @param {Array<string>} options.keyFields - Fields the comparator reads (stored in the cursor)
+ * @param {string} options.sort - Sort signature, so cursors cannot be reused with another order
+ * @param {number} options.limit - Page size
+ * @param {string} options.cursor - Cursor from a previous page (optional)
+ * @returns {Object} { data, nextCursor, prevCursor }
+ */
+export const paginate = (records, { compare, keyFields = [], sort = "id", limit, cursor }) => {
+    // Break ties by id so every record has exactly one position
+    const order = (a, b) => compare(a, b) || a.id - b.id;
+    const sorted = [...records].sort(order);
+
+    let start = 0;
+    let end = Math.min(limit, sorted.length);
+
+    if (cursor) {
+        const { key, direction } = decodeCursor(cursor, sort);
+
+        if (direction === "next") {
+            // First record after the cursor
+            start = sorted.findIndex((record) => order(record, key) > 0);
+            if (start === -1) start = sorted.length;
+            end = Math.min(start + limit, sorted.length);
+        } else {
+            // Records before the cursor, ending right before it
+            end = sorted.findIndex((record) => order(record, key) >= 0);
+            if (end === -1) end = sorted.length;
+            start = Math.max(end - limit, 0);
+        }
+    }
+
+    const data = sorted.slice(start, end);
+
+    return {
+        data,
+        nextCursor:
+            end < sorted.length && data.length > 0
+                ? encodeCursor(data[data.length - 1], keyFields, sort, "next")
+                : null,
+        prevCursor:
+            start > 0 && data.length > 0
+                ? encodeCursor(data[0], keyFields, sort, "prev")
+                : null,
+    };
+};
+
+/**
+ * Set the RFC 8288 Link header for a page
+ * The links keep the request's other query parameters (filters, sort, limit).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} page - Result of paginate()
+ */
+export const setPageLinks = (req, res, page) => {
+    const path = req.originalUrl.split("?")[0];
+
+    const link = (cursor, rel) => {
+        const params = new URLSearchParams();
+        for (const [name, value] of Object.entries(req.query)) {
+            if (name !== "cursor") params.set(name, value);
+        }
+        if (cursor) params.set("cursor", cursor);
+        return `<${path}?${params}>; rel="${rel}"`;
+    };
+
+    const links = [];
+    if (page.nextCursor) links.push(link(page.nextCursor, "next"));
+    if (page.prevCursor) links.push(link(page.prevCursor, "prev"));
+    links.push(link(null, "first"));
+
+    // Keep links set earlier (e.g. the successor of a deprecated API version)
+    const existing = res.get("Link");
+    res.set("Link", [existing, ...links].filter(Boolean).join(", "));
+};
+
+/**
+ * Send a list response, paginated when the client passed limit or cursor
+ * 
+ * Without pagination parameters the whole (sorted) list is returned as before:
+ *   { success, count, data }
+ * With them, one page is returned together with the cursors and Link header:
+ *   { success, count, total, data, nextCursor, prevCursor }
+ * 
+ * When a resource is given, the fields and include query parameters are
+ * applied to the returned records (after sorting and paging, so cursors
+ * keep working whatever fields are selected).
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Array<Object>} records - All matching records
+ * @param {Object} options - Sort options (compare, keyFields, sort), see paginate(),
+ *   and the resource of the records for fields/include (e.g. "tasks")
+ */
+export const sendList = async (req, res, records, { compare = () => 0, keyFields = [], sort = "id", resource } = {}) => {
+    const pageParams = getPageParams(req.query);
+    const shape = resource ? parseShape(req.query, resource) : null;
+
+    if (!pageParams) {
+        const data = [...records].sort((a, b) => compare(a, b) || a.id - b.id);
+        return res.json({
+            success: true,
+            count: data.length,
+            data: await shapeRecords(data, shape),
+        });
+    }
+
+    const page = paginate(records, { compare, keyFields, sort, ...pageParams });
+    setPageLinks(req, res, page);
+
+    res.json({
+        success: true,
+        count: page.data.length,
+        total: records.length,
+        data: await shapeRecords(page.data, shape),
+        nextCursor: page.nextCursor,
+        prevCursor: page.prevCursor,
+    });
+};
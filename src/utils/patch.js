@@ -0,0 +1,341 @@
+/**
+ * PATCH Document Helpers
+ * 
+ * PATCH routes accept two standard patch formats:
+ * - application/merge-patch+json (RFC 7396): a partial document; `null` removes a field
+ *     { "description": "", "dueDate": null }
+ *   Plain application/json is read as a merge patch too, on every route.
+ * - application/json-patch+json (RFC 6902): a list of operations
+ *     [{ "op": "test", "path": "/version", "value": 3 },
+ *      { "op": "replace", "path": "/status", "value": "completed" }]
+ * 
+ * A patch is applied to a copy of the record, so a JSON Patch is atomic: if
+ * any operation (including a `test`) fails, nothing is changed. The patched
+ * document is then validated as a whole before it is saved.
+ * 
+ * Status codes follow RFC 5789:
+ * - 400 - Malformed patch document
+ * - 409 - The patch cannot be applied to the current record (failed test, missing path)
+ * - 415 - Unsupported Content-Type (the Accept-Patch header lists the supported ones)
+ * - 422 - The patched record would be invalid
+ */
+
+import { validate } from "../validation/index.js";
+
+// Patch formats understood by PATCH routes (advertised in Accept-Patch)
+export const MERGE_PATCH_TYPE = "application/merge-patch+json";
+export const JSON_PATCH_TYPE = "application/json-patch+json";
+
+// Error code of each patch error status (see utils/problems.js)
+const PATCH_ERROR_CODES = {
+    400: "INVALID_PATCH",
+    409: "PATCH_CONFLICT",
+    415: "UNSUPPORTED_MEDIA_TYPE",
+    422: "INVALID_PATCH_RESULT",
+};
+
+/**
+ * Create an error with a status code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode and code
+ */
+const patchError = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = PATCH_ERROR_CODES[statusCode];
+    return error;
+};
+
+/**
+ * Check whether a value is a plain JSON object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for objects
+ */
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Compare two JSON values structurally
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both values are equal as JSON
+ */
+const isEqual = (a, b) => {
+    if (a === b) return true;
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+    }
+    if (isObject(a) && isObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length &&
+            keys.every((key) => Object.hasOwn(b, key) && isEqual(a[key], b[key]));
+    }
+    return false;
+};
+
+/**
+ * Set the Accept-Patch response header (RFC 5789)
+ * @param {Object} res - Express response object
+ */
+export const setAcceptPatch = (res) => {
+    res.set("Accept-Patch", `${MERGE_PATCH_TYPE}, ${JSON_PATCH_TYPE}`);
+};
+
+/**
+ * Apply a JSON Merge Patch (RFC 7396)
+ * @param {*} target - Current document
+ * @param {*} patch - Merge patch
+ * @returns {*} Patched copy of the document
+ */
+export const applyMergePatch = (target, patch) => {
+    if (!isObject(patch)) return structuredClone(patch);
+
+    const result = isObject(target) ? { ...target } : {};
+    for (const [key, value] of Object.entries(patch)) {
+        if (value === null) {
+            delete result[key];
+        } else {
+            result[key] = applyMergePatch(result[key], value);
+        }
+    }
+    return result;
+};
+
+/**
+ * Split a JSON Pointer (RFC 6901) into its reference tokens
+ * @param {string} pointer - Pointer such as "/tags/0"
+ * @param {string} where - Operation description for error messages
+ * @returns {Array<string>} Tokens ([] for the whole document)
+ */
+const parsePointer = (pointer, where) => {
+    if (typeof pointer !== "string" || (pointer !== "" && !pointer.startsWith("/"))) {
+        throw patchError(400, `${where}: ${JSON.stringify(pointer)} is not a valid JSON Pointer`);
+    }
+    if (pointer === "") return [];
+    return pointer.slice(1).split("/").map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+};
+
+/**
+ * Read an array index token
+ * @param {string} token - Reference token
+ * @param {Array} array - Array being indexed
+ * @param {boolean} forInsert - Whether the index may point one past the end (or be "-")
+ * @param {string} where - Operation description for error messages
+ * @returns {number} Index
+ */
+const arrayIndex = (token, array, forInsert, where) => {
+    if (forInsert && token === "-") return array.length;
+    const max = forInsert ? array.length : array.length - 1;
+    if (!/^(0|[1-9]\d*)$/.test(token) || Number(token) > max) {
+        throw patchError(409, `${where}: array index "${token}" is out of range`);
+    }
+    return Number(token);
+};
+
+/**
+ * Find the container and key a pointer refers to
+ * @param {*} document - Document to walk
+ * @param {Array<string>} tokens - Pointer tokens (at least one)
+ * @param {string} where - Operation description for error messages
+ * @returns {Object} { parent, key }
+ */
+const locate = (document, tokens, where) => {
+    let parent = document;
+    for (const token of tokens.slice(0, -1)) {
+        if (Array.isArray(parent)) {
+            parent = parent[arrayIndex(token, parent, false, where)];
+        } else if (isObject(parent) && Object.hasOwn(parent, token)) {
+            parent = parent[token];
+        } else {
+            throw patchError(409, `${where}: path does not exist`);
+        }
+    }
+    if (!Array.isArray(parent) && !isObject(parent)) {
+        throw patchError(409, `${where}: path does not exist`);
+    }
+    return { parent, key: tokens[tokens.length - 1] };
+};
+
+/**
+ * Read the value a pointer refers to
+ * @returns {*} Value
+ */
+const getValue = (document, tokens, where) => {
+    if (tokens.length === 0) return document;
+    const { parent, key } = locate(document, tokens, where);
+    if (Array.isArray(parent)) return parent[arrayIndex(key, parent, false, where)];
+    if (!Object.hasOwn(parent, key)) throw patchError(409, `${where}: path does not exist`);
+    return parent[key];
+};
+
+/**
+ * Add a value at a pointer (inserting into arrays)
+ * @returns {*} The document (replaced entirely when the pointer is "")
+ */
+const addValue = (document, tokens, value, where) => {
+    if (tokens.length === 0) return value;
+    const { parent, key } = locate(document, tokens, where);
+    if (Array.isArray(parent)) {
+        parent.splice(arrayIndex(key, parent, true, where), 0, value);
+    } else {
+        parent[key] = value;
+    }
+    return document;
+};
+
+/**
+ * Remove the value at a pointer
+ * @returns {*} The document
+ */
+const removeValue = (document, tokens, where) => {
+    if (tokens.length === 0) throw patchError(409, `${where}: the whole document cannot be removed`);
+    const { parent, key } = locate(document, tokens, where);
+    if (Array.isArray(parent)) {
+        parent.splice(arrayIndex(key, parent, false, where), 1);
+    } else {
+        if (!Object.hasOwn(parent, key)) throw patchError(409, `${where}: path does not exist`);
+        delete parent[key];
+    }
+    return document;
+};
+
+/**
+ * Apply a JSON Patch (RFC 6902)
+ * 
+ * Operations run in order on a copy of the document. If one fails, an error
+ * is thrown and the original document is left untouched.
+ * 
+ * @param {*} document - Current document
+ * @param {Array<Object>} operations - Patch operations
+ * @returns {*} Patched copy of the document
+ * @throws {Error} 400 for a malformed patch, 409 if an operation cannot be applied
+ */
+export const applyJsonPatch = (document, operations) => {
+    if (!Array.isArray(operations)) {
+        throw patchError(400, "A JSON Patch document must be an array of operations");
+    }
+
+    let result = structuredClone(document);
+
+    operations.forEach((operation, index) => {
+        if (!isObject(operation)) {
+            throw patchError(400, `Patch operation ${index} must be an object`);
+        }
+
+        const { op, path, from, value } = operation;
+        const where = `Patch operation ${index} (${op} ${path})`;
+        const tokens = parsePointer(path, where);
+
+        const needsValue = ["add", "replace", "test"].includes(op);
+        if (needsValue && !Object.hasOwn(operation, "value")) {
+            throw patchError(400, `${where}: "value" is required`);
+        }
+
+        switch (op) {
+            case "add":
+                result = addValue(result, tokens, structuredClone(value), where);
+                break;
+            case "remove":
+                result = removeValue(result, tokens, where);
+                break;
+            case "replace":
+                getValue(result, tokens, where);
+                result = tokens.length === 0
+                    ? structuredClone(value)
+                    : addValue(removeValue(result, tokens, where), tokens, structuredClone(value), where);
+                break;
+            case "move": {
+                const fromTokens = parsePointer(from, where);
+                if (path.startsWith(`${from}/`)) {
+                    throw patchError(409, `${where}: a value cannot be moved into itself`);
+                }
+                const moved = getValue(result, fromTokens, where);
+                result = addValue(removeValue(result, fromTokens, where), tokens, moved, where);
+                break;
+            }
+            case "copy": {
+                const copied = structuredClone(getValue(result, parsePointer(from, where), where));
+                result = addValue(result, tokens, copied, where);
+                break;
+            }
+            case "test":
+                if (!isEqual(getValue(result, tokens, where), value)) {
+                    throw patchError(409, `${where}: test failed, the current value is different`);
+                }
+                break;
+            default:
+                throw patchError(
+                    400,
+                    `Patch operation ${index}: op must be one of add, remove, replace, move, copy, test`
+                );
+        }
+    });
+
+    return result;
+};
+
+/**
+ * Apply the body of a PATCH request to a record according to its Content-Type
+ * @param {Object} req - Express request object
+ * @param {Object} record - Current record
+ * @returns {Object} { error } or { patched } (the whole patched record)
+ */
+export const applyPatchRequest = (req, record) => {
+    try {
+        if (req.is(JSON_PATCH_TYPE)) {
+            return { patched: applyJsonPatch(record, req.body) };
+        }
+        if (req.is(MERGE_PATCH_TYPE) || req.is("application/json")) {
+            return { patched: applyMergePatch(record, req.body) };
+        }
+        return {
+            error: patchError(
+                415,
+                `Unsupported Content-Type. Use ${MERGE_PATCH_TYPE}, ${JSON_PATCH_TYPE} or application/json`
+            ),
+        };
+    } catch (error) {
+        return { error };
+    }
+};
+
+/**
+ * Validate a patched record before it is saved
+ * 
+ * Only the fields of the resource schema may change; other fields of the
+ * record (id, version, timestamps) are read-only and unknown fields cannot be
+ * added. The editable fields are then checked against the schema as a whole
+ * record (like a replace), so a patch cannot empty a required field.
+ * 
+ * @param {Object} record - Record before the patch
+ * @param {*} patched - Patched record
+ * @param {Object} schema - Resource schema (see src/validation/schemas.js)
+ * @returns {Object} { error } with statusCode 422, or { value } with the fields to save
+ */
+export const validatePatchedRecord = (record, patched, schema) => {
+    if (!isObject(patched)) {
+        return { error: patchError(422, "The patched record must be a JSON object") };
+    }
+
+    const editableFields = Object.keys(schema.fields);
+    for (const field of new Set([...Object.keys(record), ...Object.keys(patched)])) {
+        if (editableFields.includes(field)) continue;
+        if (!Object.hasOwn(record, field)) {
+            return { error: patchError(422, `Unknown field "${field}" (editable fields: ${editableFields.join(", ")})`) };
+        }
+        if (!isEqual(record[field], patched[field])) {
+            return { error: patchError(422, `Field "${field}" is read-only`) };
+        }
+    }
+
+    const editable = Object.fromEntries(
+        editableFields.filter((field) => Object.hasOwn(patched, field)).map((field) => [field, patched[field]])
+    );
+    const result = validate(schema, editable, "replace");
+    if (result.error) {
+        const error = patchError(422, `The patched record is invalid: ${result.error.message}`);
+        error.details = result.error.details;
+        return { error };
+    }
+    return result;
+};
@@ -0,0 +1,265 @@
+/**
+ * Problem Details (RFC 7807)
+ * 
+ * Errors are returned as application/problem+json documents:
+ * 
+ *   {
+ *     "type": "/api/problems/validation-failed",
+ *     "title": "Validation failed",
+ *     "status": 400,
+ *     "detail": "Title is required",
+ *     "instance": "/api/tasks",
+ *     "code": "VALIDATION_FAILED",
+ *     "errors": [{ "field": "title", "pointer": "/title", "code": "REQUIRED", "message": "Title is required" }]
+ *   }
+ * 
+ * `code` is a stable identifier from ERROR_CODES for clients to branch on
+ * (messages may change). An error gets its code from `error.code` when it is
+ * in the catalog, otherwise from its status. Other `error.details` become
+ * extension members (e.g. `position` of a filter error).
+ * 
+ * Version 1 clients that prefer application/json over application/problem+json
+ * in their Accept header get the original envelope instead:
+ * 
+ *   { "success": false, "error": { "message": "...", "code": "...", "details": { ... } } }
+ */
+
+// Media type of problem documents
+export const PROBLEM_JSON_TYPE = "application/problem+json";
+
+// Error code catalog: the status each code is used with and a short title
+export const ERROR_CODES = {
+    BAD_REQUEST: { status: 400, title: "Bad request", description: "The request is invalid." },
+    MALFORMED_JSON: { status: 400, title: "Malformed JSON", description: "The request body is not valid JSON." },
+    VALIDATION_FAILED: {
+        status: 400,
+        title: "Validation failed",
+        description: "One or more fields of the request body are invalid; `errors` lists each of them.",
+    },
+    INVALID_PARAMETER: {
+        status: 400,
+        title: "Invalid query parameter",
+        description: "A query parameter (e.g. limit, cursor, fields or include) has an invalid value.",
+    },
+    INVALID_FILTER: {
+        status: 400,
+        title: "Invalid filter expression",
+        description: "The filter query parameter cannot be parsed; `position` points at the problem.",
+    },
+    INVALID_PATCH: {
+        status: 400,
+        title: "Invalid patch document",
+        description: "The JSON Patch document is malformed.",
+    },
+    INVALID_CSV: { status: 400, title: "Invalid CSV file", description: "The uploaded CSV file cannot be read." },
+    INVALID_BATCH: {
+        status: 400,
+        title: "Invalid batch request",
+        description: "The batch request is malformed; `index` points at the sub-request.",
+    },
+    INVALID_GRAPHQL_QUERY: {
+        status: 400,
+        title: "Invalid GraphQL query",
+        description: "The GraphQL request cannot be parsed or does not match the schema.",
+    },
+    QUERY_TOO_COMPLEX: {
+        status: 400,
+        title: "Query too complex",
+        description: "The GraphQL query is nested deeper or would return more fields than the server allows.",
+    },
+    UNSUPPORTED_API_VERSION: {
+        status: 400,
+        title: "Unsupported API version",
+        description: "The API-Version header names a version this API does not have.",
+    },
+    NOT_FOUND: { status: 404, title: "Resource not found", description: "The requested record does not exist." },
+    ROUTE_NOT_FOUND: {
+        status: 404,
+        title: "Endpoint not found",
+        description: "No API endpoint matches the method and path.",
+    },
+    NOT_ACCEPTABLE: {
+        status: 406,
+        title: "Not acceptable",
+        description: "The response cannot be sent in the requested format; `available` lists the media types.",
+    },
+    CONFLICT: {
+        status: 409,
+        title: "Conflict",
+        description: "The request conflicts with the current state of the resource.",
+    },
+    DUPLICATE_EMAIL: { status: 409, title: "Email already in use", description: "Another user has this email." },
+    USER_HAS_TASKS: {
+        status: 409,
+        title: "User has assigned tasks",
+        description: "The user cannot be deleted while tasks are assigned to them; unassign or reassign the tasks.",
+    },
+    TASK_BLOCKED: {
+        status: 409,
+        title: "Task is blocked",
+        description: "The task cannot be completed while tasks it is blocked by are open (see blockers).",
+    },
+    DEPENDENCY_CYCLE: {
+        status: 409,
+        title: "Dependency cycle",
+        description: "The parent or blockedBy link would make a task depend on itself (see cycle).",
+    },
+    NOT_IN_TRASH: {
+        status: 409,
+        title: "Not in the trash",
+        description: "Only deleted records can be restored.",
+    },
+    PATCH_CONFLICT: {
+        status: 409,
+        title: "Patch cannot be applied",
+        description: "A JSON Patch test failed or a path does not exist in the current record.",
+    },
+    PRECONDITION_FAILED: {
+        status: 412,
+        title: "Precondition failed",
+        description: "If-Match does not match the current version; reload the record and try again.",
+    },
+    VERSION_CONFLICT: {
+        status: 412,
+        title: "Version conflict",
+        description: "The record was changed by another request while this one was being processed.",
+    },
+    PAYLOAD_TOO_LARGE: {
+        status: 413,
+        title: "Payload too large",
+        description: "The request body is larger than the server accepts.",
+    },
+    UNSUPPORTED_MEDIA_TYPE: {
+        status: 415,
+        title: "Unsupported media type",
+        description: "The Content-Type of the request body is not supported by this endpoint.",
+    },
+    UNPROCESSABLE_ENTITY: {
+        status: 422,
+        title: "Unprocessable entity",
+        description: "The request is well-formed but cannot be processed.",
+    },
+    INVALID_PATCH_RESULT: {
+        status: 422,
+        title: "Invalid patch result",
+        description: "Applying the patch would produce an invalid record.",
+    },
+    DEPENDENCY_FAILED: {
+        status: 424,
+        title: "Failed dependency",
+        description: "A batch sub-request was not sent because a request it refers to failed.",
+    },
+    INTERNAL_ERROR: { status: 500, title: "Internal server error", description: "Something went wrong on the server." },
+};
+
+// Code used for an error without a catalog code, by status
+const CODES_BY_STATUS = {
+    400: "BAD_REQUEST",
+    404: "NOT_FOUND",
+    409: "CONFLICT",
+    412: "PRECONDITION_FAILED",
+    406: "NOT_ACCEPTABLE",
+    413: "PAYLOAD_TOO_LARGE",
+    415: "UNSUPPORTED_MEDIA_TYPE",
+    422: "UNPROCESSABLE_ENTITY",
+    424: "DEPENDENCY_FAILED",
+};
+
+// Codes of errors raised by express.json() (body-parser sets `type`)
+const CODES_BY_PARSER_TYPE = {
+    "entity.parse.failed": "MALFORMED_JSON",
+    "entity.too.large": "PAYLOAD_TOO_LARGE",
+};
+
+/**
+ * Get the HTTP status of an error
+ * @param {Error} err - Error (statusCode from the routes, status from body-parser)
+ * @returns {number} HTTP status (500 if the error has none)
+ */
+export const errorStatus = (err) => err.statusCode || err.status || 500;
+
+/**
+ * Get the catalog code of an error
+ * @param {Error} err - Error
+ * @returns {string} Code from ERROR_CODES
+ */
+export const errorCode = (err) => {
+    if (Object.hasOwn(ERROR_CODES, err.code ?? "")) return err.code;
+    if (CODES_BY_PARSER_TYPE[err.type]) return CODES_BY_PARSER_TYPE[err.type];
+    const status = errorStatus(err);
+    return CODES_BY_STATUS[status] ?? (status >= 500 ? "INTERNAL_ERROR" : "BAD_REQUEST");
+};
+
+/**
+ * Get the problem type URI of a code (documented at GET /api/problems/:slug)
+ * @param {string} code - Code from ERROR_CODES (e.g. "VALIDATION_FAILED")
+ * @returns {string} Type URI (e.g. "/api/problems/validation-failed")
+ */
+export const problemType = (code) => `/api/problems/${code.toLowerCase().replace(/_/g, "-")}`;
+
+/**
+ * Check whether the client accepts problem documents
+ * Clients that prefer application/json get the legacy envelope.
+ * @param {Object} req - Express request object
+ * @returns {boolean} True for application/problem+json
+ */
+export const acceptsProblemJson = (req) => req.accepts([PROBLEM_JSON_TYPE, "application/json"]) !== "application/json";
+
+/**
+ * Build the response for an error in the format the client asked for
+ * @param {Error} err - Error with statusCode, and optionally code and details
+ * @param {Object} req - Express request object
+ * @returns {Object} { status, contentType, body }
+ */
+export const errorResponse = (err, req) => {
+    const status = errorStatus(err);
+    const code = errorCode(err);
+    const detail = err.message || "Internal Server Error";
+    // Include stack trace in development mode for debugging
+    const stack = process.env.NODE_ENV === "development" ? err.stack : undefined;
+
+    // Version 2 and requests for CSV, NDJSON or XML always get problem documents
+    const negotiatedJson = (req.format ?? "json") === "json";
+    if (req.apiVersion !== "2" && negotiatedJson && !acceptsProblemJson(req)) {
+        return {
+            status,
+            contentType: "application/json",
+            body: {
+                success: false,
+                error: {
+                    message: detail,
+                    code,
+                    // Extra information about the problem (e.g. where a filter is invalid)
+                    ...(err.details && { details: err.details }),
+                    ...(stack && { stack }),
+                },
+            },
+        };
+    }
+
+    const { errors, ...extensions } = err.details ?? {};
+    const body = {
+        type: problemType(code),
+        title: ERROR_CODES[code].title,
+        status,
+        detail,
+        instance: req.originalUrl,
+        code,
+    };
+
+    // Per-field errors get a JSON Pointer to the field in the request body
+    if (errors) {
+        body.errors = errors.map((error) => ({
+            ...error,
+            ...(error.field && { pointer: `/${error.field}` }),
+        }));
+    }
+
+    // Other details become extension members (never replacing the standard ones)
+    for (const [name, value] of Object.entries(extensions)) {
+        if (!Object.hasOwn(body, name)) body[name] = value;
+    }
+    if (stack) body.stack = stack;
+
+    return { status, contentType: PROBLEM_JSON_TYPE, body };
+};
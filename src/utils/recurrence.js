@@ -0,0 +1,377 @@
+/**
+ * Recurring Tasks (RFC 5545 RRULE)
+ * 
+ * A task repeats when its recurrence holds an RRULE value, e.g.
+ * 
+ *   FREQ=WEEKLY;BYDAY=MO             every Monday
+ *   FREQ=MONTHLY;BYMONTHDAY=1        the first of every month
+ *   FREQ=MONTHLY;BYDAY=-1FR;COUNT=6  the last Friday of the next six months
+ * 
+ * Tasks are due on dates, not at times, so the supported parts are FREQ
+ * (DAILY, WEEKLY, MONTHLY or YEARLY), INTERVAL, COUNT, UNTIL, BYDAY,
+ * BYMONTHDAY, BYMONTH and WKST. An optional "RRULE:" prefix is accepted.
+ * 
+ * A recurring task stands for one occurrence of its series: occurrenceDate
+ * is the date that occurrence is scheduled on and works as the rule's
+ * DTSTART (it is always the first occurrence, and COUNT counts it). Its
+ * dueDate usually matches, but can be moved without moving the series.
+ * 
+ * The later occurrences only exist as dates until the task is completed and
+ * the next one becomes a task. occurrenceOverrides holds the changes saved
+ * for single upcoming occurrences, by date:
+ * 
+ *   { "2024-12-23": { "skipped": true }, "2024-12-30": { "dueDate": "2024-12-31" } }
+ * 
+ * The task of an occurrence with changes keeps the values of the series it
+ * replaced in seriesValues, so the occurrence after it gets them back.
+ */
+
+// Day numbers of BYDAY and WKST values (as returned by Date.prototype.getUTCDay)
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+
+// Rule parts that only make sense for events with a time of day
+const TIME_PARTS = ["BYHOUR", "BYMINUTE", "BYSECOND"];
+
+// Periods in a row without an occurrence after which a series counts as ended
+// (a rule such as FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=30 never matches)
+const MAX_EMPTY_PERIODS = 1000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Years after a task's own occurrence that its series can be looked at. The
+// occurrences are found by walking the calendar from that date, so a date
+// far beyond it would keep the server busy for seconds.
+export const MAX_YEARS_AHEAD = 10;
+
+// Last year of calendar dates (YYYY-MM-DD has four-digit years)
+const LAST_YEAR = 9999;
+
+// Fields a single occurrence can change (besides its dueDate), and every task of the series copies
+const SERIES_FIELDS = ["title", "description", "priority", "assigneeId"];
+
+/**
+ * Read a calendar date (YYYY-MM-DD) as a UTC Date
+ * @param {string} text - Date in YYYY-MM-DD format
+ * @returns {Date} Midnight UTC of that date
+ */
+const toDate = (text) => new Date(`${text}T00:00:00Z`);
+
+/**
+ * Format a UTC Date as a calendar date
+ * @param {Date} date - Date
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Add days to a date
+ * @param {Date} date - Date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date} New date
+ */
+const addDays = (date, days) => new Date(date.getTime() + days * DAY);
+
+/**
+ * Get the number of days in a month
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @returns {number} 28 to 31
+ */
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Read a comma-separated list of integers
+ * @param {string} value - Rule part value, e.g. "1,15,-1"
+ * @param {number} min - Smallest allowed magnitude
+ * @param {number} max - Largest allowed magnitude
+ * @param {boolean} signed - Whether negative values (counted from the end) are allowed
+ * @returns {Array<number>|null} The integers, or null if one is invalid
+ */
+const parseNumbers = (value, min, max, signed) => {
+    const numbers = value.split(",").map((item) => (/^[+-]?\d+$/.test(item) ? Number(item) : NaN));
+    const valid = numbers.every(
+        (number) => Number.isInteger(number) && (signed || number > 0) && Math.abs(number) >= min && Math.abs(number) <= max
+    );
+    return valid ? numbers : null;
+};
+
+/**
+ * Parse an RRULE value
+ * @param {string} text - RRULE value, e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH"
+ * @returns {Object} { rule } or { error } with the reason it is invalid
+ */
+export const parseRecurrence = (text) => {
+    const fail = (reason) => ({ error: reason });
+    const rule = { interval: 1, count: null, until: null, byDay: null, byMonthDay: null, byMonth: null, weekStart: 1 };
+    const seen = new Set();
+
+    for (const part of String(text).trim().replace(/^RRULE:/i, "").split(";")) {
+        const match = /^([A-Za-z]+)=(.+)$/.exec(part.trim());
+        if (!match) return fail(`"${part}" is not a NAME=VALUE part`);
+
+        const name = match[1].toUpperCase();
+        const value = match[2].toUpperCase();
+        if (seen.has(name)) return fail(`${name} is given more than once`);
+        seen.add(name);
+
+        if (name === "FREQ") {
+            if (!FREQUENCIES.includes(value)) {
+                return fail(`FREQ must be one of: ${FREQUENCIES.join(", ")} (tasks are due on dates, not at times)`);
+            }
+            rule.frequency = value;
+        } else if (name === "INTERVAL" || name === "COUNT") {
+            if (!/^\d+$/.test(value) || Number(value) < 1) return fail(`${name} must be a positive integer`);
+            rule[name.toLowerCase()] = Number(value);
+        } else if (name === "UNTIL") {
+            // A DATE or DATE-TIME value; only its date matters for tasks
+            const date = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value);
+            const until = date && `${date[1]}-${date[2]}-${date[3]}`;
+            if (!until || Number.isNaN(toDate(until).getTime()) || formatDate(toDate(until)) !== until) {
+                return fail("UNTIL must be a date (YYYYMMDD) or a date and time (YYYYMMDDTHHMMSSZ)");
+            }
+            rule.until = until;
+        } else if (name === "BYDAY") {
+            const days = value.split(",").map((item) => /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item));
+            if (days.some((day) => !day || (day[1] !== undefined && (Number(day[1]) === 0 || Math.abs(Number(day[1])) > 5)))) {
+                return fail("BYDAY must list weekdays (SU, MO, TU, WE, TH, FR, SA), optionally numbered within the month (1MO to 5MO, -1FR to -5FR)");
+            }
+            rule.byDay = days.map((day) => ({
+                weekday: WEEKDAYS.indexOf(day[2]),
+                ordinal: day[1] === undefined ? null : Number(day[1]),
+            }));
+        } else if (name === "BYMONTHDAY") {
+            rule.byMonthDay = parseNumbers(value, 1, 31, true);
+            if (!rule.byMonthDay) return fail("BYMONTHDAY must list days from 1 to 31 (or -31 to -1 from the end)");
+        } else if (name === "BYMONTH") {
+            rule.byMonth = parseNumbers(value, 1, 12, false);
+            if (!rule.byMonth) return fail("BYMONTH must list months from 1 to 12");
+        } else if (name === "WKST") {
+            if (!WEEKDAYS.includes(value)) return fail("WKST must be a weekday (SU, MO, TU, WE, TH, FR, SA)");
+            rule.weekStart = WEEKDAYS.indexOf(value);
+        } else if (TIME_PARTS.includes(name)) {
+            return fail(`${name} is not supported (tasks are due on dates, not at times)`);
+        } else {
+            return fail(`${name} is not supported`);
+        }
+    }
+
+    // Parts that depend on each other
+    if (!rule.frequency) return fail("FREQ is required");
+    if (rule.count && rule.until) return fail("COUNT and UNTIL cannot be used together");
+    if (rule.byMonthDay && rule.frequency === "WEEKLY") return fail("BYMONTHDAY cannot be used with FREQ=WEEKLY");
+    const monthly = rule.frequency === "MONTHLY" || (rule.frequency === "YEARLY" && rule.byMonth);
+    if (rule.byDay?.some((day) => day.ordinal !== null) && !monthly) {
+        return fail("Numbered BYDAY values (e.g. 1MO) need FREQ=MONTHLY, or FREQ=YEARLY with BYMONTH");
+    }
+
+    return { rule };
+};
+
+/**
+ * Check whether a date matches the BY parts of a rule
+ * Parts the rule leaves out repeat the start date: the same weekday for
+ * WEEKLY, the same day of the month for MONTHLY, and the same day and month
+ * for YEARLY.
+ * @param {Object} rule - Parsed rule
+ * @param {Date} date - Candidate date
+ * @param {Date} start - First occurrence
+ * @returns {boolean} True if the date is an occurrence
+ */
+const matchesRule = (rule, date, start) => {
+    const day = date.getUTCDate();
+    const month = date.getUTCMonth();
+    const length = daysInMonth(date.getUTCFullYear(), month);
+
+    if (rule.byMonth && !rule.byMonth.includes(month + 1)) return false;
+    if (rule.byMonthDay && !rule.byMonthDay.some((monthDay) => monthDay === day || length + 1 + monthDay === day)) {
+        return false;
+    }
+    if (rule.byDay) {
+        // A numbered weekday counts from the start (1MO) or the end (-1MO) of the month
+        const matchesDay = ({ weekday, ordinal }) =>
+            weekday === date.getUTCDay() &&
+            (ordinal === null ||
+                (ordinal > 0 ? Math.ceil(day / 7) === ordinal : Math.floor((length - day) / 7) + 1 === -ordinal));
+        if (!rule.byDay.some(matchesDay)) return false;
+    }
+    if (rule.byDay || rule.byMonthDay) return true;
+
+    if (rule.frequency === "WEEKLY") return date.getUTCDay() === start.getUTCDay();
+    if (rule.frequency === "MONTHLY") return day === start.getUTCDate();
+    if (rule.frequency === "YEARLY") return day === start.getUTCDate() && (rule.byMonth || month === start.getUTCMonth());
+    return true;
+};
+
+/**
+ * Get the dates of one period of a rule (a day, week, month or year)
+ * @param {Object} rule - Parsed rule
+ * @param {Date} start - First occurrence
+ * @param {number} index - Period number (0 is the period of the start date)
+ * @returns {Array<Date>} [first day, day after the last day]
+ */
+const periodOf = (rule, start, index) => {
+    const year = start.getUTCFullYear();
+    const month = start.getUTCMonth();
+    const step = index * rule.interval;
+
+    if (rule.frequency === "DAILY") {
+        const day = addDays(start, step);
+        return [day, addDays(day, 1)];
+    }
+    if (rule.frequency === "WEEKLY") {
+        const weekStart = addDays(start, -((start.getUTCDay() - rule.weekStart + 7) % 7) + step * 7);
+        return [weekStart, addDays(weekStart, 7)];
+    }
+    if (rule.frequency === "MONTHLY") {
+        return [new Date(Date.UTC(year, month + step, 1)), new Date(Date.UTC(year, month + step + 1, 1))];
+    }
+    return [new Date(Date.UTC(year + step, 0, 1)), new Date(Date.UTC(year + step + 1, 0, 1))];
+};
+
+/**
+ * List the occurrences of a rule, earliest first
+ * The start date is always the first occurrence. The list ends with COUNT or
+ * UNTIL, and goes on for ever otherwise, so stop reading when done.
+ * @param {Object} rule - Parsed rule
+ * @param {string} startDate - First occurrence (YYYY-MM-DD)
+ * @yields {string} Occurrence dates (YYYY-MM-DD)
+ */
+export function* occurrenceDates(rule, startDate) {
+    const start = toDate(startDate);
+    const until = rule.until && toDate(rule.until);
+    let count = 1;
+    yield startDate;
+
+    let emptyPeriods = 0;
+    for (let index = 0; emptyPeriods < MAX_EMPTY_PERIODS; index++) {
+        const [first, end] = periodOf(rule, start, index);
+        if ((until && first > until) || first.getUTCFullYear() > LAST_YEAR) return;
+
+        let found = false;
+        for (let date = first; date < end; date = addDays(date, 1)) {
+            if (date <= start || !matchesRule(rule, date, start)) continue;
+            if ((until && date > until) || (rule.count && count >= rule.count)) return;
+            if (date.getUTCFullYear() > LAST_YEAR) return;
+            count++;
+            found = true;
+            yield formatDate(date);
+        }
+        emptyPeriods = found ? 0 : emptyPeriods + 1;
+    }
+}
+
+/**
+ * Set the COUNT of an RRULE value
+ * @param {string} recurrence - RRULE value with a COUNT part
+ * @param {number} count - New count
+ * @returns {string} RRULE value
+ */
+const withCount = (recurrence, count) => recurrence.replace(/COUNT=\d+/i, `COUNT=${count}`);
+
+/**
+ * Get the fields of the task standing for the occurrence after a task's own
+ * Skipped occurrences are passed over, and the changes saved for the chosen
+ * one are applied. A COUNT in the rule is lowered by the occurrences passed,
+ * as the next task starts the rest of the series.
+ * @param {Object} task - Recurring task
+ * @returns {Object|null} Fields of the series (title, ..., recurrence, occurrenceDate,
+ *   occurrenceOverrides, seriesValues) and dueDate, or null when the series has ended
+ */
+export const nextOccurrence = (task) => {
+    const { rule } = parseRecurrence(task.recurrence);
+    const overrides = task.occurrenceOverrides ?? {};
+    let passed = 0;
+
+    for (const date of occurrenceDates(rule, task.occurrenceDate)) {
+        if (date === task.occurrenceDate || overrides[date]?.skipped) {
+            passed++;
+            continue;
+        }
+
+        // Changes saved for later occurrences move on with the series
+        const later = Object.entries(overrides).filter(([overrideDate]) => overrideDate > date);
+        const { skipped, ...changes } = overrides[date] ?? {};
+
+        // Fields changed for one occurrence go back to the series' values afterwards
+        const series = { ...task, ...task.seriesValues };
+        const valuesOf = (fields) => Object.fromEntries(fields.map((field) => [field, series[field] ?? null]));
+        const replaced = SERIES_FIELDS.filter((field) => changes[field] !== undefined);
+
+        return {
+            ...valuesOf(SERIES_FIELDS),
+            recurrence: rule.count ? withCount(task.recurrence, rule.count - passed) : task.recurrence,
+            occurrenceDate: date,
+            dueDate: date,
+            ...changes,
+            occurrenceOverrides: later.length > 0 ? Object.fromEntries(later) : null,
+            seriesValues: replaced.length > 0 ? valuesOf(replaced) : null,
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Get the last date the occurrences of a recurring task can be looked at on
+ * (MAX_YEARS_AHEAD years after the task's own occurrence)
+ * @param {Object} task - Recurring task
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export const lastPlannedDate = (task) => {
+    const date = toDate(task.occurrenceDate);
+    date.setUTCFullYear(date.getUTCFullYear() + MAX_YEARS_AHEAD);
+    return date.getUTCFullYear() > LAST_YEAR ? `${LAST_YEAR}-12-31` : formatDate(date);
+};
+
+/**
+ * Find an occurrence of a recurring task
+ * @param {Object} task - Recurring task
+ * @param {string} date - Date to look for (YYYY-MM-DD)
+ * @returns {boolean} True if the series has an occurrence on that date (from the task's own on)
+ */
+export const hasOccurrence = (task, date) => {
+    const { rule } = parseRecurrence(task.recurrence);
+    for (const occurrence of occurrenceDates(rule, task.occurrenceDate)) {
+        if (occurrence >= date) return occurrence === date;
+    }
+    return false;
+};
+
+/**
+ * Describe the occurrences of a recurring task in a date range
+ * Each entry has the scheduled date, the date it is due on and its status:
+ * "current" (the task itself), "scheduled" or "skipped". Occurrences with
+ * saved changes list them in changes.
+ * @param {Object} task - Recurring task
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @param {number} limit - Most occurrences to return
+ * @returns {Object} { occurrences, truncated } (truncated if the range holds more than limit)
+ */
+export const listOccurrences = (task, from, to, limit) => {
+    const { rule } = parseRecurrence(task.recurrence);
+    const overrides = task.occurrenceOverrides ?? {};
+    const occurrences = [];
+
+    for (const date of occurrenceDates(rule, task.occurrenceDate)) {
+        if (date > to) break;
+        if (date < from) continue;
+        if (occurrences.length === limit) return { occurrences, truncated: true };
+
+        if (date === task.occurrenceDate) {
+            occurrences.push({ date, dueDate: task.dueDate, status: "current", taskId: task.id });
+            continue;
+        }
+        const { skipped, ...changes } = overrides[date] ?? {};
+        occurrences.push({
+            date,
+            dueDate: changes.dueDate ?? date,
+            status: skipped ? "skipped" : "scheduled",
+            ...(Object.keys(changes).length > 0 && { changes }),
+        });
+    }
+
+    return { occurrences, truncated: false };
+};
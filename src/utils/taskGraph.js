@@ -0,0 +1,181 @@
+/**
+ * Task Hierarchy and Dependency Helpers
+ * 
+ * Tasks are linked in two ways:
+ * - parentId makes a task a subtask of another task (a tree)
+ * - blockedBy lists the tasks that must be completed before a task (a DAG)
+ * 
+ * Neither may contain a cycle (a task cannot be its own ancestor, or wait on
+ * itself through a chain of blockers). Cycles are searched over every task,
+ * including those in the trash, so restoring a task cannot close one.
+ * 
+ * A task in the trash keeps its links, but does not block other tasks, is not
+ * counted in its parent's progress and is left out of dependency graphs.
+ */
+
+/**
+ * Get the ids of the tasks blocking a task
+ * @param {Object} task - Task
+ * @returns {Array<number>} Blocker ids (records written before blockedBy existed have none)
+ */
+const blockersOf = (task) => task?.blockedBy ?? [];
+
+/**
+ * Find the cycle that new links of a task would create
+ * @param {Array<Object>} records - Every task, including those in the trash
+ * @param {number} id - ID of the changed task
+ * @param {Object} links - New { parentId, blockedBy } of the task (undefined leaves a link out of the check)
+ * @returns {Object|null} { field, path } with the ids around the cycle (starting and
+ *   ending with id), or null if there is none
+ */
+export const findCycle = (records, id, { parentId, blockedBy }) => {
+    const byId = new Map(records.map((task) => [task.id, task]));
+
+    // The new parent must not be the task itself or one of its subtasks
+    if (parentId != null) {
+        const path = [id];
+        const seen = new Set();
+        for (let current = parentId; current != null && !seen.has(current); current = byId.get(current)?.parentId) {
+            path.push(current);
+            if (current === id) return { field: "parentId", path };
+            seen.add(current);
+        }
+    }
+
+    // No new blocker may (directly or through its own blockers) wait on the task
+    if (blockedBy) {
+        const edges = (taskId) => (taskId === id ? blockedBy : blockersOf(byId.get(taskId)));
+        const visited = new Set();
+        const search = (taskId, path) => {
+            if (taskId === id) return [...path, id];
+            if (visited.has(taskId)) return null;
+            visited.add(taskId);
+            for (const next of edges(taskId)) {
+                const found = search(next, [...path, taskId]);
+                if (found) return found;
+            }
+            return null;
+        };
+
+        for (const blocker of blockedBy) {
+            const path = search(blocker, [id]);
+            if (path) return { field: "blockedBy", path };
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Get the blockers of a task that are not completed yet
+ * @param {Array<Object>} records - Tasks that are not in the trash
+ * @param {Object} task - Task (its blockedBy is used)
+ * @returns {Array<number>} IDs of the open blockers
+ */
+export const openBlockers = (records, task) => {
+    const byId = new Map(records.map((record) => [record.id, record]));
+    return blockersOf(task).filter((id) => byId.has(id) && byId.get(id).status !== "completed");
+};
+
+/**
+ * Add the rolled-up progress of their subtasks to tasks
+ * Progress counts every subtask below a task, including nested ones:
+ *   "progress": { "completed": 2, "total": 5, "percent": 40 }
+ * Tasks without subtasks are returned unchanged.
+ * @param {Array<Object>} records - Tasks to return
+ * @param {Array<Object>} allTasks - Every task that is not in the trash
+ * @returns {Array<Object>} The tasks, parents with a progress field
+ */
+export const withProgress = (records, allTasks) => {
+    const children = new Map();
+    for (const task of allTasks) {
+        if (task.parentId == null) continue;
+        if (!children.has(task.parentId)) children.set(task.parentId, []);
+        children.get(task.parentId).push(task);
+    }
+
+    // Totals of each task's subtree (memoized, as a subtree is shared by every ancestor)
+    const totals = new Map();
+    const rollUp = (id) => {
+        if (totals.has(id)) return totals.get(id);
+        totals.set(id, { completed: 0, total: 0 });
+
+        const result = { completed: 0, total: 0 };
+        for (const child of children.get(id) ?? []) {
+            const below = rollUp(child.id);
+            result.total += 1 + below.total;
+            result.completed += (child.status === "completed" ? 1 : 0) + below.completed;
+        }
+        totals.set(id, result);
+        return result;
+    };
+
+    return records.map((task) => {
+        const { completed, total } = rollUp(task.id);
+        if (total === 0) return task;
+        return { ...task, progress: { completed, total, percent: Math.round((completed / total) * 100) } };
+    });
+};
+
+/**
+ * Build the dependency graph around a task
+ * The graph holds the task, every task it waits on (directly or not) and
+ * every task waiting on it. Nodes are in topological order: each task comes
+ * after all of its blockers (ties are ordered by ID).
+ * @param {Array<Object>} records - Tasks that are not in the trash
+ * @param {number} id - ID of the task
+ * @returns {Object} { nodes, edges } with an edge { blockerId, taskId } for each blockedBy link
+ */
+export const dependencyGraph = (records, id) => {
+    const byId = new Map(records.map((task) => [task.id, task]));
+    const blockers = (task) => blockersOf(task).filter((blocker) => byId.has(blocker));
+
+    // Tasks waiting on each task
+    const dependents = new Map();
+    for (const task of records) {
+        for (const blocker of blockers(task)) {
+            if (!dependents.has(blocker)) dependents.set(blocker, []);
+            dependents.get(blocker).push(task.id);
+        }
+    }
+
+    // Walk up (blockers) and down (dependents) from the task
+    const ids = new Set([id]);
+    const walk = (start, next) => {
+        const pending = [start];
+        const seen = new Set([start]);
+        while (pending.length > 0) {
+            for (const other of next(pending.pop())) {
+                if (seen.has(other)) continue;
+                seen.add(other);
+                ids.add(other);
+                pending.push(other);
+            }
+        }
+    };
+    walk(id, (taskId) => blockers(byId.get(taskId)));
+    walk(id, (taskId) => dependents.get(taskId) ?? []);
+
+    // Links between the tasks of the graph (a dependent's other blockers are left out)
+    const blockersInGraph = (taskId) => blockers(byId.get(taskId)).filter((blocker) => ids.has(blocker));
+    const edges = [...ids].flatMap((taskId) =>
+        blockersInGraph(taskId).map((blockerId) => ({ blockerId, taskId }))
+    );
+
+    // Kahn's algorithm: repeatedly take the lowest ID whose blockers are all placed
+    const waiting = new Map([...ids].map((taskId) => [taskId, blockersInGraph(taskId).length]));
+    const ready = [...ids].filter((taskId) => waiting.get(taskId) === 0);
+    const nodes = [];
+    while (ready.length > 0) {
+        ready.sort((a, b) => a - b);
+        const taskId = ready.shift();
+        nodes.push(byId.get(taskId));
+        for (const dependent of dependents.get(taskId) ?? []) {
+            if (!ids.has(dependent)) continue;
+            waiting.set(dependent, waiting.get(dependent) - 1);
+            if (waiting.get(dependent) === 0) ready.push(dependent);
+        }
+    }
+
+    return { nodes, edges: edges.sort((a, b) => a.taskId - b.taskId || a.blockerId - b.blockerId) };
+};
@@ -0,0 +1,278 @@
+/**
+ * Request Body Validation
+ * 
+ * Checks request bodies against the resource schemas in schemas.js. A schema
+ * lists the fields a client can set, each with a rule:
+ * 
+ *   title: { type: "string", label: "Title", required: true, trim: true }
+ * 
+ * Rule keywords:
+ * - type: "string", "number", "integer", "boolean" or "array" (a list of strings)
+ * - items: "integer" for an array of integers (e.g. record ids) instead of strings
+ * - label: Name used in error messages
+ * - required: Must have a value in a create or replace (unless it has a default)
+ * - default: Value used when a create leaves the field empty
+ * - emptyValue: Value saved when an optional field is left empty (default null)
+ * - trim / lowercase: Normalize strings before checking them
+ * - unique: Drop repeated items of an array
+ * - enum: Allowed values (of each item, for an array)
+ * - format: "date" (a real YYYY-MM-DD calendar date), "email", "url" (http or https)
+ *   or "rrule" (an RFC 5545 recurrence rule, see utils/recurrence.js)
+ * - minimum: Smallest allowed number (of each item, for an array of integers)
+ * - description / examples: Documentation only (used by the OpenAPI document)
+ * 
+ * A schema is used in three modes:
+ * - create: POST - required fields must be set, empty fields get their default
+ * - replace: PUT of a whole record - required fields must be set, others are cleared
+ * - update: PUT/PATCH of some fields - only the provided fields are checked
+ * 
+ * Every failing field is reported at once in a 400 error with
+ * details.errors = [{ field, code, message }], where code is one of
+ * REQUIRED, INVALID_TYPE, INVALID_FORMAT, INVALID_VALUE, TOO_SMALL,
+ * UNKNOWN_FIELD or NO_FIELDS. Fields the schema does not have are rejected
+ * or ignored depending on config.validation.unknownFields.
+ */
+
+import { config } from "../config/index.js";
+import { parseRecurrence } from "../utils/recurrence.js";
+
+// Email format (basic validation)
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Calendar dates, checked further by isCalendarDate()
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Check that a string is a real calendar date (rejects e.g. 2024-13-45 and 2023-02-29)
+ * @param {string} text - Date in YYYY-MM-DD format
+ * @returns {boolean} True if the date exists
+ */
+export const isCalendarDate = (text) => {
+    const match = DATE_PATTERN.exec(text);
+    if (!match) return false;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const leapYear = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+    const daysInMonth = [31, leapYear ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+    return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth[month - 1];
+};
+
+/**
+ * Check that a string is an absolute http or https URL
+ * @param {string} text - URL
+ * @returns {boolean} True for a valid URL
+ */
+const isHttpUrl = (text) => {
+    try {
+        return ["http:", "https:"].includes(new URL(text).protocol);
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Check whether a value is a plain JSON object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for objects
+ */
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Check a non-empty value against a rule
+ * @param {Object} rule - Field rule
+ * @param {*} value - Normalized value
+ * @returns {Object|null} { code, message } if the value is invalid, otherwise null
+ */
+const checkValue = (rule, value) => {
+    const { label } = rule;
+    const problem = (code, message) => ({ code, message });
+
+    if (rule.type === "string") {
+        if (typeof value !== "string") return problem("INVALID_TYPE", `${label} must be a string`);
+        if (rule.format === "date" && !isCalendarDate(value)) {
+            return problem("INVALID_FORMAT", `${label} must be a valid date in YYYY-MM-DD format`);
+        }
+        if (rule.format === "email" && !EMAIL_PATTERN.test(value)) {
+            return problem("INVALID_FORMAT", "Invalid email format");
+        }
+        if (rule.format === "url" && !isHttpUrl(value)) {
+            return problem("INVALID_FORMAT", `${label} must be an http or https URL`);
+        }
+        if (rule.format === "rrule") {
+            const { error } = parseRecurrence(value);
+            if (error) return problem("INVALID_FORMAT", `${label} must be an RRULE value: ${error}`);
+        }
+    } else if (rule.type === "boolean") {
+        if (typeof value !== "boolean") return problem("INVALID_TYPE", `${label} must be true or false`);
+    } else if (rule.type === "array" && rule.items === "integer") {
+        if (!Array.isArray(value) || value.some((item) => !Number.isInteger(item))) {
+            return problem("INVALID_TYPE", `${label} must be a list of integers`);
+        }
+        if (rule.minimum !== undefined && value.some((item) => item < rule.minimum)) {
+            return problem("TOO_SMALL", `Every item of ${label.toLowerCase()} must be ${rule.minimum} or more`);
+        }
+        return null;
+    } else if (rule.type === "array") {
+        if (!Array.isArray(value) || value.some((item) => typeof item !== "string")) {
+            return problem("INVALID_TYPE", `${label} must be a list of strings`);
+        }
+        const invalid = rule.enum ? value.find((item) => !rule.enum.includes(item)) : undefined;
+        if (invalid !== undefined) {
+            return problem(
+                "INVALID_VALUE",
+                `Invalid ${label.toLowerCase()} "${invalid}". Must be one of: ${rule.enum.join(", ")}`
+            );
+        }
+        return null;
+    } else {
+        if (typeof value !== "number" || !Number.isFinite(value)) {
+            return problem("INVALID_TYPE", `${label} must be a number`);
+        }
+        if (rule.type === "integer" && !Number.isInteger(value)) {
+            return problem("INVALID_TYPE", `${label} must be an integer`);
+        }
+        if (rule.minimum !== undefined && value < rule.minimum) {
+            return problem("TOO_SMALL", `${label} must be ${rule.minimum} or more`);
+        }
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        return problem("INVALID_VALUE", `Invalid ${label.toLowerCase()}. Must be one of: ${rule.enum.join(", ")}`);
+    }
+
+    return null;
+};
+
+/**
+ * Create the 400 error for failed checks
+ * @param {Array<Object>} errors - { field, code, message } of every failing field
+ * @returns {Error} Error with statusCode 400, code VALIDATION_FAILED and details.errors
+ */
+export const validationError = (errors) => {
+    const error = new Error(errors.map(({ message }) => message).join("; "));
+    error.statusCode = 400;
+    error.code = "VALIDATION_FAILED";
+    error.details = { errors };
+    return error;
+};
+
+/**
+ * Validate a request body against a schema
+ * @param {Object} schema - Resource schema from schemas.js
+ * @param {Object} body - Request body (undefined counts as an empty object)
+ * @param {string} mode - "create", "replace" or "update"
+ * @param {Object} options - { unknownFields: "reject" or "strip" (default from config) }
+ * @returns {Object} { error } with statusCode 400, or { value } with the fields to save
+ */
+export const validate = (schema, body = {}, mode, { unknownFields = config.validation.unknownFields } = {}) => {
+    if (!isObject(body)) {
+        return {
+            error: validationError([
+                { field: null, code: "INVALID_TYPE", message: "The request body must be a JSON object" },
+            ]),
+        };
+    }
+
+    const errors = [];
+    const value = {};
+
+    // Fields the resource does not have
+    if (unknownFields === "reject") {
+        for (const field of Object.keys(body)) {
+            if (!Object.hasOwn(schema.fields, field)) {
+                errors.push({ field, code: "UNKNOWN_FIELD", message: `Unknown field "${field}"` });
+            }
+        }
+    }
+
+    // An update must change something (empty values count as changes)
+    if (mode === "update" && !Object.keys(schema.fields).some((field) => body[field] !== undefined)) {
+        errors.push({ field: null, code: "NO_FIELDS", message: "At least one field is required for update" });
+        return { error: validationError(errors) };
+    }
+
+    for (const [field, rule] of Object.entries(schema.fields)) {
+        let input = body[field];
+
+        // Only the provided fields are checked in an update
+        if (mode === "update" && input === undefined) continue;
+
+        // Normalize strings before checking them
+        if (typeof input === "string") {
+            if (rule.trim) input = input.trim();
+            if (rule.lowercase) input = input.toLowerCase();
+        }
+        if (Array.isArray(input) && rule.unique) input = [...new Set(input)];
+
+        // Empty values: required, defaulted or cleared
+        const empty = input === undefined || input === null || input === "";
+        if (empty || (Array.isArray(input) && input.length === 0)) {
+            if (mode === "create" && rule.default !== undefined) {
+                value[field] = rule.default;
+            } else if (rule.required) {
+                errors.push({
+                    field,
+                    code: "REQUIRED",
+                    message: mode === "update" ? `${rule.label} cannot be empty` : `${rule.label} is required`,
+                });
+            } else {
+                value[field] = rule.emptyValue ?? null;
+            }
+            continue;
+        }
+
+        const problem = checkValue(rule, input);
+        if (problem) {
+            errors.push({ field, ...problem });
+        } else {
+            value[field] = input;
+        }
+    }
+
+    return errors.length > 0 ? { error: validationError(errors) } : { value };
+};
+
+/**
+ * Describe a schema as a JSON Schema (for the OpenAPI document)
+ * @param {Object} schema - Resource schema from schemas.js
+ * @param {string} mode - "create", "replace" or "update" (which fields are required)
+ * @returns {Object} JSON Schema (draft 2020-12)
+ */
+export const toJsonSchema = (schema, mode) => {
+    const properties = {};
+    const required = [];
+
+    for (const [field, rule] of Object.entries(schema.fields)) {
+        const nullable = !rule.required || (mode === "create" && rule.default !== undefined);
+        properties[field] = {
+            type: nullable ? [rule.type, "null"] : rule.type,
+            ...(rule.type === "array" && rule.items === "integer" && {
+                items: { type: "integer", ...(rule.minimum !== undefined && { minimum: rule.minimum }) },
+            }),
+            ...(rule.type === "array" && rule.items !== "integer" && {
+                items: { type: "string", ...(rule.enum && { enum: rule.enum }) },
+            }),
+            ...(rule.type !== "array" && rule.enum && { enum: nullable ? [...rule.enum, null] : rule.enum }),
+            ...(rule.format && { format: rule.format === "url" ? "uri" : rule.format }),
+            ...(rule.required && rule.type === "string" && !rule.enum && { minLength: 1 }),
+            ...(rule.required && rule.type === "array" && { minItems: 1 }),
+            ...(rule.type !== "array" && rule.minimum !== undefined && { minimum: rule.minimum }),
+            ...(mode === "create" && rule.default !== undefined && { default: rule.default }),
+            ...(rule.description && { description: rule.description }),
+            ...(rule.examples && { examples: rule.examples }),
+        };
+
+        if (mode !== "update" && rule.required && (mode === "replace" || rule.default === undefined)) {
+            required.push(field);
+        }
+    }
+
+    return {
+        type: "object",
+        ...(required.length > 0 && { required }),
+        ...(mode === "update" && { minProperties: 1 }),
+        properties,
+        ...(config.validation.unknownFields === "reject" && { additionalProperties: false }),
+    };
+};
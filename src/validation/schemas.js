@@ -0,0 +1,173 @@
+/**
+ * Resource Schemas
+ * 
+ * The fields a client can set on each resource and the rules they follow
+ * (see index.js for the rule keywords). Each schema is declared once and
+ * used by every route that writes the resource (create, replace, update,
+ * PATCH documents, bulk operations and CSV import) and by the OpenAPI
+ * document, so they cannot drift apart.
+ */
+
+// Allowed values for task status and priority
+export const TASK_STATUSES = ["pending", "in-progress", "completed"];
+export const TASK_PRIORITIES = ["low", "medium", "high"];
+
+// What DELETE /api/users/:id does with the tasks assigned to the user
+export const ASSIGNED_TASKS_POLICIES = ["reject", "unassign", "reassign"];
+
+export const taskSchema = {
+    fields: {
+        title: { type: "string", label: "Title", required: true, trim: true, examples: ["Write release notes"] },
+        description: {
+            type: "string",
+            label: "Description",
+            trim: true,
+            emptyValue: "",
+            description: "null or \"\" clears it",
+        },
+        status: {
+            type: "string",
+            label: "Status",
+            required: true,
+            default: "pending",
+            lowercase: true,
+            enum: TASK_STATUSES,
+        },
+        priority: {
+            type: "string",
+            label: "Priority",
+            required: true,
+            default: "medium",
+            lowercase: true,
+            enum: TASK_PRIORITIES,
+        },
+        dueDate: {
+            type: "string",
+            label: "Due date",
+            format: "date",
+            description: "Calendar date (YYYY-MM-DD); null or \"\" clears it",
+        },
+        assigneeId: {
+            type: "integer",
+            label: "Assignee ID",
+            minimum: 1,
+            description: "ID of an existing user, or null (unassigned)",
+        },
+        parentId: {
+            type: "integer",
+            label: "Parent ID",
+            minimum: 1,
+            description: "ID of the task this is a subtask of, or null",
+        },
+        blockedBy: {
+            type: "array",
+            items: "integer",
+            label: "Blocked by",
+            minimum: 1,
+            unique: true,
+            emptyValue: [],
+            description: "IDs of the tasks that must be completed before this one",
+            examples: [[1, 3]],
+        },
+        recurrence: {
+            type: "string",
+            label: "Recurrence",
+            trim: true,
+            format: "rrule",
+            description: "RFC 5545 RRULE value (the task needs a due date); null or \"\" makes it a one-off task",
+            examples: ["FREQ=WEEKLY;BYDAY=MO", "FREQ=MONTHLY;BYMONTHDAY=1;COUNT=12"],
+        },
+    },
+};
+
+// Changes to a single upcoming occurrence of a recurring task
+// (PATCH /api/tasks/:id/occurrences/:date); null removes a change
+export const occurrenceSchema = {
+    fields: {
+        skipped: {
+            type: "boolean",
+            label: "Skipped",
+            description: "true skips the occurrence, false brings it back",
+        },
+        title: { ...taskSchema.fields.title, required: false },
+        description: { ...taskSchema.fields.description, emptyValue: undefined, description: undefined },
+        priority: { ...taskSchema.fields.priority, required: false, default: undefined },
+        dueDate: {
+            ...taskSchema.fields.dueDate,
+            description: "Date the occurrence is due on instead of its scheduled date (YYYY-MM-DD)",
+        },
+        assigneeId: { ...taskSchema.fields.assigneeId, description: "ID of the user the occurrence is assigned to" },
+    },
+};
+
+export const userSchema = {
+    fields: {
+        name: { type: "string", label: "Name", required: true, trim: true, examples: ["Jane Smith"] },
+        email: { type: "string", label: "Email", required: true, trim: true, format: "email", examples: ["jane@example.com"] },
+    },
+};
+
+export const productSchema = {
+    fields: {
+        name: { type: "string", label: "Name", required: true, trim: true, examples: ["Laptop"] },
+        description: { type: "string", label: "Description", required: true, trim: true },
+        price: { type: "number", label: "Price", required: true, minimum: 0, examples: [999.99] },
+        category: { type: "string", label: "Category", required: true, trim: true, examples: ["Electronics"] },
+        stock: { type: "integer", label: "Stock", required: true, minimum: 0 },
+    },
+};
+
+// Webhook event types: <resource>.<action> for every write, plus the field
+// changes downstream systems react to (see src/webhooks/)
+export const WEBHOOK_EVENTS = [
+    "task.created",
+    "task.updated",
+    "task.status_changed",
+    "task.deleted",
+    "task.restored",
+    "task.purged",
+    "product.created",
+    "product.updated",
+    "product.stock_changed",
+    "product.deleted",
+    "product.restored",
+    "product.purged",
+    "user.created",
+    "user.updated",
+    "user.deleted",
+    "user.restored",
+    "user.purged",
+];
+
+// Events a webhook can subscribe to: single types, every event of a
+// resource ("task.*") or every event ("*")
+export const WEBHOOK_EVENT_FILTERS = ["*", "task.*", "product.*", "user.*", ...WEBHOOK_EVENTS];
+
+export const webhookSchema = {
+    fields: {
+        url: {
+            type: "string",
+            label: "URL",
+            required: true,
+            trim: true,
+            format: "url",
+            examples: ["https://example.com/hooks/tasks"],
+        },
+        events: {
+            type: "array",
+            label: "Events",
+            required: true,
+            enum: WEBHOOK_EVENT_FILTERS,
+            description: "Event types to deliver (\"task.*\" for every task event, \"*\" for every event)",
+            examples: [["task.status_changed", "product.stock_changed"]],
+        },
+        description: { type: "string", label: "Description", trim: true, emptyValue: "" },
+        active: {
+            type: "boolean",
+            label: "Active",
+            required: true,
+            default: true,
+            description: "Inactive webhooks get no new deliveries",
+        },
+    },
+};
@@ -0,0 +1,281 @@
+/**
+ * Outgoing Webhooks
+ * 
+ * Downstream systems subscribe to resource events (POST /api/webhooks) and
+ * receive each one as a signed HTTP POST. Events are produced from the
+ * storage change events, so every write of a task, product or user is
+ * covered, whichever route made it (single requests, bulk, import, batch,
+ * GraphQL, trash):
+ * - <resource>.created, .updated, .deleted, .restored, .purged
+ * - task.status_changed and product.stock_changed, next to .updated when
+ *   that field changed
+ * 
+ * Payload (the same for every webhook that receives the event):
+ *   { "id": "<event id>", "type": "task.status_changed", "createdAt": "...",
+ *     "data": { "record": { ... }, "changes": { "status": { "from": "pending", "to": "completed" } } } }
+ * 
+ * Each webhook and event gets a delivery record (webhook_deliveries) that
+ * logs every attempt. An attempt succeeds on a 2xx answer; otherwise it is
+ * retried with exponential backoff (config.webhooks.retryDelayMs, doubled
+ * each time) until config.webhooks.maxAttempts is reached. Deliveries can
+ * be replayed, e.g. after the receiver was fixed.
+ * 
+ * Requests are signed with the webhook's secret:
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<body>">
+ */
+
+import { createHmac, randomBytes, randomUUID } from "crypto";
+import { config } from "../config/index.js";
+import { createRepository } from "../storage/index.js";
+import { eventType, storageEvents } from "../storage/events.js";
+import { diffRecords } from "../storage/history.js";
+
+const webhooks = createRepository("webhooks");
+const deliveries = createRepository("webhook_deliveries");
+
+// Events for changes of a single field (sent with the .updated event)
+const FIELD_EVENTS = {
+    tasks: { status: "task.status_changed" },
+    products: { stock: "product.stock_changed" },
+};
+
+// Longest part of a receiver's answer kept in the delivery log
+const MAX_RESPONSE_LENGTH = 1000;
+
+// Timers of the scheduled attempts, by delivery id
+const timers = new Map();
+
+/**
+ * Generate a signing secret for a webhook
+ * @returns {string} Random secret
+ */
+export const generateSecret = () => `whsec_${randomBytes(24).toString("base64url")}`;
+
+/**
+ * Sign a payload
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time of the attempt (sent in X-Webhook-Timestamp)
+ * @param {string} body - Request body
+ * @returns {string} Hex-encoded HMAC-SHA256 of "<timestamp>.<body>"
+ */
+export const signPayload = (secret, timestamp, body) =>
+    createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+/**
+ * Check whether a webhook's event filters match an event type
+ * @param {Array<string>} filters - Subscribed events ("task.created", "task.*" or "*")
+ * @param {string} type - Event type
+ * @returns {boolean} True if the webhook receives the event
+ */
+const matches = (filters, type) =>
+    filters.some((filter) => filter === "*" || filter === type || filter === `${type.split(".")[0]}.*`);
+
+/**
+ * Build the events of a storage change
+ * @param {Object} change - { collection, action, record, previous } from storageEvents
+ * @returns {Array<Object>} Event payloads (none for collections without events)
+ */
+const eventsOf = ({ collection, action, record, previous }) => {
+    const type = eventType(collection, action);
+    if (!type) return [];
+
+    const changes = action === "update" ? diffRecords(previous, record) : undefined;
+    const types = [type];
+    for (const [field, fieldType] of Object.entries(FIELD_EVENTS[collection] ?? {})) {
+        if (changes?.[field]) types.push(fieldType);
+    }
+
+    const createdAt = new Date().toISOString();
+    return types.map((type) => ({
+        id: randomUUID(),
+        type,
+        createdAt,
+        data: { record, ...(changes && { changes }) },
+    }));
+};
+
+/**
+ * Schedule the next attempt of a pending delivery
+ * @param {Object} delivery - Delivery record (nextAttemptAt null means now)
+ */
+const schedule = (delivery) => {
+    clearTimeout(timers.get(delivery.id));
+
+    const delay = Math.max(0, Date.parse(delivery.nextAttemptAt ?? 0) - Date.now());
+    const timer = setTimeout(() => {
+        timers.delete(delivery.id);
+        attempt(delivery.id).catch((error) => console.error("Webhook delivery failed:", error));
+    }, delay);
+
+    // Waiting retries do not keep the process alive
+    timer.unref();
+    timers.set(delivery.id, timer);
+};
+
+/**
+ * Send a delivery to its webhook
+ * @param {Object} webhook - Webhook record
+ * @param {Object} delivery - Delivery record
+ * @param {number} number - Attempt number (1 for the first)
+ * @returns {Promise<Object>} The attempt { number, attemptedAt, durationMs, statusCode, error, responseBody }
+ */
+const send = async (webhook, delivery, number) => {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attemptedAt = new Date().toISOString();
+    const started = Date.now();
+
+    try {
+        const response = await fetch(webhook.url, {
+            method: "POST",
+            headers: {
+                "content-type": "application/json",
+                "user-agent": `${config.appName} Webhooks`,
+                "x-webhook-id": String(webhook.id),
+                "x-webhook-event": delivery.event,
+                "x-webhook-delivery": String(delivery.id),
+                "x-webhook-timestamp": String(timestamp),
+                "x-webhook-signature": `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+            },
+            body,
+            // A redirect counts as a failed attempt
+            redirect: "manual",
+            signal: AbortSignal.timeout(config.webhooks.timeoutMs),
+        });
+        const text = await response.text();
+
+        return {
+            number,
+            attemptedAt,
+            durationMs: Date.now() - started,
+            statusCode: response.status,
+            error: response.ok ? null : `Receiver answered ${response.status}`,
+            responseBody: text.slice(0, MAX_RESPONSE_LENGTH),
+        };
+    } catch (error) {
+        return {
+            number,
+            attemptedAt,
+            durationMs: Date.now() - started,
+            statusCode: null,
+            error:
+                error.name === "TimeoutError"
+                    ? `No answer within ${config.webhooks.timeoutMs} ms`
+                    : (error.cause?.message ?? error.message),
+            responseBody: null,
+        };
+    }
+};
+
+/**
+ * Make the next attempt of a delivery and record its outcome
+ * @param {number} id - Delivery id
+ * @returns {Promise<void>}
+ */
+const attempt = async (id) => {
+    const delivery = await deliveries.find(id);
+    if (!delivery || delivery.status !== "pending") return;
+
+    // Deliveries of deleted or deactivated webhooks are not sent
+    const webhook = await webhooks.find(delivery.webhookId);
+    if (!webhook || !webhook.active) {
+        await deliveries.update(
+            id,
+            { status: "cancelled", nextAttemptAt: null, updatedAt: new Date().toISOString() },
+            { expectedVersion: delivery.version }
+        );
+        return;
+    }
+
+    const result = await send(webhook, delivery, delivery.attempts.length + 1);
+    const attempts = [...delivery.attempts, result];
+
+    // Retry with exponential backoff until the attempts run out
+    let changes;
+    if (!result.error) {
+        changes = { status: "succeeded", nextAttemptAt: null };
+    } else if (attempts.length < config.webhooks.maxAttempts) {
+        const delay = config.webhooks.retryDelayMs * 2 ** (attempts.length - 1);
+        changes = { status: "pending", nextAttemptAt: new Date(Date.now() + delay).toISOString() };
+    } else {
+        changes = { status: "failed", nextAttemptAt: null };
+    }
+
+    // Fails with a version conflict if the delivery was changed meanwhile
+    const updated = await deliveries.update(
+        id,
+        { ...changes, attempts, updatedAt: new Date().toISOString() },
+        { expectedVersion: delivery.version }
+    );
+    if (updated?.status === "pending") schedule(updated);
+};
+
+/**
+ * Create a delivery and send it right away
+ * @param {Object} webhook - Webhook record
+ * @param {Object} payload - Event payload
+ * @param {Object} options - { replayOf: id of the replayed delivery }
+ * @returns {Promise<Object>} The delivery record
+ */
+const createDelivery = async (webhook, payload, { replayOf = null } = {}) => {
+    const delivery = await deliveries.insert({
+        webhookId: webhook.id,
+        eventId: payload.id,
+        event: payload.type,
+        payload,
+        status: "pending",
+        attempts: [],
+        nextAttemptAt: null,
+        replayOf,
+        createdAt: new Date().toISOString(),
+    });
+    schedule(delivery);
+    return delivery;
+};
+
+/**
+ * Send a delivery's event to its webhook again, as a new delivery
+ * @param {Object} webhook - Webhook record (its current URL and secret are used)
+ * @param {Object} delivery - Delivery to replay
+ * @returns {Promise<Object>} The new delivery (with replayOf set)
+ */
+export const replayDelivery = (webhook, delivery) =>
+    createDelivery(webhook, delivery.payload, { replayOf: delivery.id });
+
+/**
+ * Schedule the pending deliveries of the active storage
+ * Called when the server starts, so retries survive a restart.
+ * @returns {Promise<number>} Number of deliveries scheduled
+ */
+export const resumeDeliveries = async () => {
+    const pending = (await deliveries.list()).filter((delivery) => delivery.status === "pending");
+    pending.forEach(schedule);
+    return pending.length;
+};
+
+/**
+ * Create deliveries for the events of a storage change
+ * @param {Object} change - { collection, action, record, previous } from storageEvents
+ * @returns {Promise<void>}
+ */
+const publish = async (change) => {
+    const events = eventsOf(change);
+    if (events.length === 0) return;
+
+    const subscribers = (await webhooks.list()).filter((webhook) => webhook.active);
+    for (const event of events) {
+        for (const webhook of subscribers.filter((subscriber) => matches(subscriber.events, event.type))) {
+            await createDelivery(webhook, event);
+        }
+    }
+};
+
+storageEvents.on("change", (change) => {
+    publish(change).catch((error) => console.error("Webhook event failed:", error));
+});
+
+// Scheduled attempts belong to the replaced storage
+storageEvents.on("reset", () => {
+    timers.forEach((timer) => clearTimeout(timer));
+    timers.clear();
+});